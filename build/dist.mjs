@@ -15,9 +15,11 @@ const CORE_JS = [
     'src/core.js',
     'src/public.js',
     'src/data.js',
+    'src/filters.js',
     'src/template.js',
     'src/utils.js',
     'src/model.js',
+    'src/element.js',
     'src/jquery.js',
 ];
 
@@ -120,10 +122,18 @@ function buildMain() {
         ...Object.values(ALL_PLUGINS_JS),
     ];
 
+    // the custom element embeds the default theme in its shadow root
+    const css = fs.readFileSync(`${DIST}css/query-builder.default.css`, { encoding: 'utf8' });
+
     const output = BANNER()
         + '\n\n'
         + wrapper[0]
-        + files_to_load.map(f => fs.readFileSync(f, { encoding: 'utf8' })).join('\n\n')
+        + files_to_load.map(f => {
+            const content = fs.readFileSync(f, { encoding: 'utf8' });
+            return f === 'src/element.js'
+                ? content.replace(`QueryBuilderElement.styles = '';`, () => `QueryBuilderElement.styles = ${JSON.stringify(css)};`)
+                : content;
+        }).join('\n\n')
         + '\n\n'
         + getLang('en')
         + wrapper[1];
@@ -204,7 +214,7 @@ fs.mkdirSync(DIST + 'scss', { recursive: true });
 fs.mkdirSync(DIST + 'scss/plugins', { recursive: true });
 
 buildLangs();
-buildMain();
-buildStandalone();
 copySass();
 buildCss();
+buildMain();
+buildStandalone();
@@ -203,7 +203,52 @@ QueryBuilder.prototype.bindEvents = function () {
         }
     });
 
+    // duplicate rule button
+    this.element.addEventListener("click", function (event) {
+        if (event.target.matches(Selectors.duplicate_rule)) {
+            const rule = closest(event.target, Selectors.rule_container);
+            self.duplicateNode(self.getModel(rule));
+        }
+    });
+
+    // collapse group button
+    this.element.addEventListener("click", function (event) {
+        if (event.target.matches(Selectors.collapse_group)) {
+            const group = closest(event.target, Selectors.group_container);
+            self.collapseGroup(self.getModel(group));
+        }
+    });
+
+    // keep the summary of collapsed groups up to date
+    this.element.addEventListener("rulesChanged", function () {
+        self.refreshGroupsSummaries();
+    });
+
+    // disable rule button
+    this.element.addEventListener("click", function (event) {
+        if (event.target.matches(Selectors.disable_rule)) {
+            const rule = self.getModel(closest(event.target, Selectors.rule_container));
+            rule.disabled = !rule.disabled;
+        }
+    });
+
     if (this.settings.allow_groups !== 0) {
+        // disable group button
+        this.element.addEventListener("click", function (event) {
+            if (event.target.matches(Selectors.disable_group)) {
+                const group = self.getModel(closest(event.target, Selectors.group_container));
+                group.disabled = !group.disabled;
+            }
+        });
+
+        // duplicate group button
+        this.element.addEventListener("click", function (event) {
+            if (event.target.matches(Selectors.duplicate_group)) {
+                const group = closest(event.target, Selectors.group_container);
+                self.duplicateNode(self.getModel(group));
+            }
+        });
+
         // add group button
         this.element.addEventListener("click", function (event) {
             if (event.target.matches(Selectors.add_group)) {
@@ -222,11 +267,18 @@ QueryBuilder.prototype.bindEvents = function () {
     }
 
     // model events (assuming this.model is an event emitter, needs adaptation if not)
+    // without DOM only the updates are relevant
     this.model.on('drop', (e, node) => {
+        if (self.settings.headless) {
+            return;
+        }
         node.element.remove();
         self.refreshGroupsConditions();
     });
     this.model.on('add', (e, parent, node, index) => {
+        if (self.settings.headless) {
+            return;
+        }
         const parentList = parent.element.querySelector(">" + QueryBuilder.selectors.rules_list);
         if (index === 0) {
             parentList.prepend(node.element);
@@ -236,6 +288,9 @@ QueryBuilder.prototype.bindEvents = function () {
         self.refreshGroupsConditions();
     });
     this.model.on('move', (e, node, group, index) => {
+        if (self.settings.headless) {
+            return;
+        }
         node.element.remove();
         const groupList = group.element.querySelector(">" + QueryBuilder.selectors.rules_list);
         if (index === 0) {
@@ -254,6 +309,9 @@ QueryBuilder.prototype.bindEvents = function () {
                 case 'flags':
                     self.applyRuleFlags(node);
                     break;
+                case 'disabled':
+                    self.updateNodeDisabled(node);
+                    break;
                 case 'filter':
                     self.updateRuleFilter(node, oldValue);
                     break;
@@ -272,6 +330,9 @@ QueryBuilder.prototype.bindEvents = function () {
                 case 'flags':
                     self.applyGroupFlags(node);
                     break;
+                case 'disabled':
+                    self.updateNodeDisabled(node);
+                    break;
                 case 'condition':
                     self.updateGroupCondition(node, oldValue);
                     break;
@@ -291,11 +352,16 @@ QueryBuilder.prototype.bindEvents = function () {
  */
 QueryBuilder.prototype.setRoot = function(addRule = true, data, flags) {
     const groupId = this.nextGroupId();
-    const groupElement = document.createRange().createContextualFragment(this.getGroupTemplate(groupId, 1));
+    let groupElement = null;
+
+    if (!this.settings.headless) {
+        groupElement = document.createRange().createContextualFragment(this.getGroupTemplate(groupId, 1));
+        this.element.appendChild(groupElement);
+    }
 
-    this.element.appendChild(groupElement);
     const rootGroup = new Group(null, groupElement);
     rootGroup.model = this.model;
+    this.model.root = rootGroup;
     rootGroup.data = data;
     rootGroup.flags = Object.assign({}, this.settings.default_group_flags, flags);
     rootGroup.condition = this.settings.default_condition;
@@ -335,10 +401,13 @@ QueryBuilder.prototype.addGroup = function(parent, addRule = true, data, flags)
     }
 
     const groupId = this.nextGroupId();
-    const groupElement = document.createRange().createContextualFragment(this.getGroupTemplate(groupId, level));
-    parent.element.appendChild(groupElement);  // Assuming `element` is a property of Group that references its DOM element
+    let groupElement = null;
 
-    const model = new Group(parent, groupElement); // Assuming constructor takes a parent and element
+    if (!this.settings.headless) {
+        groupElement = document.createRange().createContextualFragment(this.getGroupTemplate(groupId, level));
+    }
+
+    const model = parent.addGroup(groupElement);
     model.data = data;
     model.flags = Object.assign({}, this.settings.default_group_flags, flags);
     model.condition = this.settings.default_condition;
@@ -418,11 +487,13 @@ QueryBuilder.prototype.deleteGroup = function(group) {
  * @private
  */
 QueryBuilder.prototype.updateGroupCondition = function(group, previousCondition) {
-    const conditions = group.element.querySelectorAll(">" + QueryBuilder.selectors.group_condition);
-    conditions.forEach(condition => {
-        condition.checked = condition.value === group.condition;
-        condition.parentNode.classList.toggle("active", condition.value === group.condition);
-    });
+    if (!this.settings.headless) {
+        const conditions = group.element.querySelectorAll(">" + QueryBuilder.selectors.group_condition);
+        conditions.forEach(condition => {
+            condition.checked = condition.value === group.condition;
+            condition.parentNode.classList.toggle("active", condition.value === group.condition);
+        });
+    }
 
     // Dispatch 'afterUpdateGroupCondition' event
     const event = new CustomEvent('afterUpdateGroupCondition', {
@@ -441,6 +512,10 @@ QueryBuilder.prototype.updateGroupCondition = function(group, previousCondition)
  * @private
  */
 QueryBuilder.prototype.refreshGroupsConditions = function() {
+    if (this.settings.headless) {
+        return;
+    }
+
     const walk = (group) => {
         if (!group.flags || (group.flags && !group.flags.condition_readonly)) {
             const conditions = group.element.querySelectorAll(">" + QueryBuilder.selectors.group_condition);
@@ -477,7 +552,12 @@ QueryBuilder.prototype.addRule = function(parent, data, flags) {
     }
 
     const ruleId = this.nextRuleId();
-    const ruleElement = document.createRange().createContextualFragment(this.getRuleTemplate(ruleId));
+    let ruleElement = null;
+
+    if (!this.settings.headless) {
+        ruleElement = document.createRange().createContextualFragment(this.getRuleTemplate(ruleId));
+    }
+
     const model = parent.addRule(ruleElement); // Assuming addRule method takes a DOM element
 
     model.data = data;
@@ -546,6 +626,10 @@ QueryBuilder.prototype.createRuleFilters = function(rule) {
     // Modify the list of filters available for the rule
     let filters = this.change("getRuleFilters", this.filters, rule);
 
+    if (this.settings.headless) {
+        return;
+    }
+
     // Create filter select element
     const filterSelect = document.createRange().createContextualFragment(this.getRuleFilterSelect(rule, filters));
     const filterContainer = rule.element.querySelector(QueryBuilder.selectors.filter_container);
@@ -567,16 +651,21 @@ QueryBuilder.prototype.createRuleFilters = function(rule) {
  * @private
  */
 QueryBuilder.prototype.createRuleOperators = function(rule) {
-    const operatorContainer = rule.element.querySelector(QueryBuilder.selectors.operator_container);
-    operatorContainer.innerHTML = '';  // Clear existing content
+    const headless = this.settings.headless;
+    const operatorContainer = headless ? null : rule.element.querySelector(QueryBuilder.selectors.operator_container);
+    if (operatorContainer) {
+        operatorContainer.innerHTML = '';  // Clear existing content
+    }
 
     if (!rule.filter) {
         return;
     }
 
     const operators = this.getOperators(rule.filter);
-    const operatorSelect = document.createRange().createContextualFragment(this.getRuleOperatorSelect(rule, operators));
-    operatorContainer.appendChild(operatorSelect);
+    if (operatorContainer) {
+        const operatorSelect = document.createRange().createContextualFragment(this.getRuleOperatorSelect(rule, operators));
+        operatorContainer.appendChild(operatorSelect);
+    }
 
     // Set the operator without triggering update event
     if (rule.filter.default_operator) {
@@ -585,6 +674,10 @@ QueryBuilder.prototype.createRuleOperators = function(rule) {
         rule.__.operator = operators[0];
     }
 
+    if (headless) {
+        return;
+    }
+
     // Set value to select without triggering change event
     const operatorSelectElement = rule.element.querySelector(QueryBuilder.selectors.rule_operator);
     operatorSelectElement.value = rule.__.operator.type;
@@ -603,8 +696,10 @@ QueryBuilder.prototype.createRuleOperators = function(rule) {
  * @private
  */
 QueryBuilder.prototype.createRuleInput = function(rule) {
-    const valueContainer = rule.element.querySelector(QueryBuilder.selectors.value_container);
-    valueContainer.innerHTML = '';  // Clear existing content
+    if (!this.settings.headless) {
+        const valueContainer = rule.element.querySelector(QueryBuilder.selectors.value_container);
+        valueContainer.innerHTML = '';  // Clear existing content
+    }
 
     rule.__.value = undefined;
 
@@ -612,12 +707,22 @@ QueryBuilder.prototype.createRuleInput = function(rule) {
         return;
     }
 
+    // without inputs the value can only come from the filter
+    if (this.settings.headless) {
+        if (rule.filter.default_value !== undefined) {
+            rule.value = rule.filter.default_value;
+        }
+        return;
+    }
+
+    const valueContainer = rule.element.querySelector(QueryBuilder.selectors.value_container);
+
     const self = this;
     let inputs = [];
     const filter = rule.filter;
 
     for (let i = 0; i < rule.operator.nb_inputs; i++) {
-        const inputHTML = document.createRange().createContextualFragment($.trim(this.getRuleInput(rule, i)));
+        const inputHTML = document.createRange().createContextualFragment(this.getRuleInput(rule, i).trim());
         if (i > 0) valueContainer.appendChild(document.createTextNode(this.settings.inputs_separator));
         valueContainer.appendChild(inputHTML);
         inputs.push(inputHTML);
@@ -667,8 +772,10 @@ QueryBuilder.prototype.updateRuleFilter = function(rule, previousFilter) {
     this.createRuleOperators(rule);
     this.createRuleInput(rule);
 
-    const ruleFilterElement = rule.element.querySelector(QueryBuilder.selectors.rule_filter);
-    ruleFilterElement.value = rule.filter ? rule.filter.id : "-1";
+    if (!this.settings.headless) {
+        const ruleFilterElement = rule.element.querySelector(QueryBuilder.selectors.rule_filter);
+        ruleFilterElement.value = rule.filter ? rule.filter.id : "-1";
+    }
 
     // Clear rule data if the filter changed
     if (previousFilter && rule.filter && previousFilter.id !== rule.filter.id) {
@@ -695,19 +802,24 @@ QueryBuilder.prototype.updateRuleFilter = function(rule, previousFilter) {
  * @private
  */
 QueryBuilder.prototype.updateRuleOperator = function(rule, previousOperator) {
-    const valueContainer = rule.element.querySelector(QueryBuilder.selectors.value_container);
+    const headless = this.settings.headless;
+    const valueContainer = headless ? null : rule.element.querySelector(QueryBuilder.selectors.value_container);
 
     if (!rule.operator || rule.operator.nb_inputs === 0) {
-        valueContainer.style.display = 'none';
+        if (valueContainer) {
+            valueContainer.style.display = 'none';
+        }
         rule.__.value = undefined;
     } else {
-        valueContainer.style.display = '';
+        if (valueContainer) {
+            valueContainer.style.display = '';
+        }
         if (!previousOperator || rule.operator.nb_inputs !== previousOperator.nb_inputs || rule.operator.optgroup !== previousOperator.optgroup) {
             this.createRuleInput(rule);
         }
     }
 
-    if (rule.operator) {
+    if (rule.operator && !headless) {
         const ruleOperatorElement = rule.element.querySelector(QueryBuilder.selectors.rule_operator);
         ruleOperatorElement.value = rule.operator.type;
         // Refresh value if the format changed for this operator
@@ -733,7 +845,7 @@ QueryBuilder.prototype.updateRuleOperator = function(rule, previousOperator) {
  * @private
  */
 QueryBuilder.prototype.updateRuleValue = function(rule, previousValue) {
-    if (!rule._updating_value) {
+    if (!rule._updating_value && !this.settings.headless) {
         this.setRuleInputValue(rule, rule.value);
     }
 
@@ -743,7 +855,7 @@ QueryBuilder.prototype.updateRuleValue = function(rule, previousValue) {
     });
     this.element.dispatchEvent(event);
 
-    const rulesChangedEvent = new Custom Event('rulesChanged');
+    const rulesChangedEvent = new CustomEvent('rulesChanged');
     this.element.dispatchEvent(rulesChangedEvent);
 };
 
@@ -755,6 +867,10 @@ QueryBuilder.prototype.updateRuleValue = function(rule, previousValue) {
  * @private
  */
 QueryBuilder.prototype.applyRuleFlags = function(rule) {
+    if (this.settings.headless) {
+        return;
+    }
+
     const flags = rule.flags;
     const Selectors = QueryBuilder.selectors;
 
@@ -787,6 +903,10 @@ QueryBuilder.prototype.applyRuleFlags = function(rule) {
  * @private
  */
 QueryBuilder.prototype.applyGroupFlags = function(group) {
+    if (this.settings.headless) {
+        return;
+    }
+
     const flags = group.flags;
     const Selectors = QueryBuilder.selectors;
 
@@ -813,12 +933,97 @@ QueryBuilder.prototype.applyGroupFlags = function(group) {
         }
     }
 
+    group.element.classList.toggle("collapsed", !!flags.collapsed);
+
+    const collapseElement = group.element.querySelector(Selectors.group_header + " " + Selectors.collapse_group);
+    if (collapseElement) {
+        collapseElement.title = this.translate(flags.collapsed ? "expand_group" : "collapse_group");
+        collapseElement.querySelector("i").className = flags.collapsed ? this.icons.expand_group : this.icons.collapse_group;
+    }
+
+    this.updateGroupSummary(group);
+
     // Dispatch 'afterApplyGroupFlags' event
     const event = new CustomEvent('afterApplyGroupFlags', { detail: { group: group } });
     this.element.dispatchEvent(event);
 };
 
 
+/**
+ * Displays the summary of a collapsed group
+ * @param {Group} group
+ * @private
+ */
+QueryBuilder.prototype.updateGroupSummary = function(group) {
+    if (this.settings.headless) {
+        return;
+    }
+
+    const summaryElement = group.element.querySelector(QueryBuilder.selectors.group_summary);
+    if (summaryElement) {
+        summaryElement.textContent = group.flags.collapsed ? this.getGroupSummary(group) : '';
+    }
+};
+
+
+/**
+ * Updates the summary of all collapsed groups
+ * @private
+ */
+QueryBuilder.prototype.refreshGroupsSummaries = function() {
+    const refresh = (group) => {
+        if (group.flags.collapsed) {
+            this.updateGroupSummary(group);
+        }
+        group.rules.forEach((node) => {
+            if (node instanceof Group) {
+                refresh(node);
+            }
+        });
+    };
+
+    if (this.model.root) {
+        refresh(this.model.root);
+    }
+};
+
+
+/**
+ * Greys out or restores a rule or a group
+ * @param {Node} node
+ * @fires QueryBuilder.afterUpdateNodeDisabled
+ * @private
+ */
+QueryBuilder.prototype.updateNodeDisabled = function(node) {
+    if (!this.settings.headless) {
+        const Selectors = QueryBuilder.selectors;
+        const toggleSelector = node instanceof Group ?
+            Selectors.group_header + " " + Selectors.disable_group :
+            Selectors.rule_header + " " + Selectors.disable_rule;
+
+        node.element.classList.toggle("is-disabled", node.disabled);
+
+        const toggleElement = node.element.querySelector(toggleSelector);
+        if (toggleElement) {
+            toggleElement.title = this.translate(node.disabled ? "enable" : "disable");
+            toggleElement.querySelector("i").className = node.disabled ? this.icons.enable : this.icons.disable;
+        }
+    }
+
+    /**
+     * After a rule or a group has been disabled or enabled
+     * @event afterUpdateNodeDisabled
+     * @memberof QueryBuilder
+     * @param {Node} node
+     */
+    const event = new CustomEvent("afterUpdateNodeDisabled", { detail: { node: node } });
+    this.element.dispatchEvent(event);
+
+    const rulesChangedEvent = new CustomEvent("rulesChanged");
+    this.element.dispatchEvent(rulesChangedEvent);
+};
+
+
 /**
  * Clears all errors markers
  * @param {Node} [node] default is root Group
@@ -833,11 +1038,8 @@ QueryBuilder.prototype.clearErrors = function(node) {
     node.error = null;
 
     if (node instanceof Group) {
-        node.rules.forEach(rule => {
-            rule.error = null;
-        });
-        node.groups.forEach(group => {
-            this.clearErrors(group);
+        node.rules.forEach(child => {
+            this.clearErrors(child);
         });
     }
 };
@@ -850,7 +1052,7 @@ QueryBuilder.prototype.clearErrors = function(node) {
  * @private
  */
 QueryBuilder.prototype.updateError = function(node) {
-    if (this.settings.display_errors) {
+    if (this.settings.display_errors && !this.settings.headless) {
         if (node.error === null) {
             node.element.classList.remove("has-error");
         } else {
@@ -85,7 +85,7 @@ QueryBuilder.prototype._validateValue = function(rule, value) {
     if ((operator.type === 'between' || operator.type === 'not_between') && value.length === 2) {
         if (['number', 'datetime'].includes(QueryBuilder.types[filter.type])) {
             const isInvalidRange = (QueryBuilder.types[filter.type] === 'number' && value[0] > value[1]) ||
-                (QueryBuilder.types[filter.type] === 'datetime' && moment(value[0], validation.format).isAfter(moment(value[1], validation.format)));
+                (QueryBuilder.types[filter.type] === 'datetime' && this.parseDateValue(filter, value[0]).isAfter(this.parseDateValue(filter, value[1])));
             if (isInvalidRange) {
                 return [`${filter.type}_between_invalid`, value[0], value[1]];
             }
@@ -133,20 +133,20 @@ QueryBuilder.prototype.validateByType = function(filter, value, validation) {
             break;
 
         case 'datetime':
-            const datetime = moment(value, validation.format);
+            const datetime = this.parseDateValue(filter, value);
             if (!datetime.isValid()) {
                 return ['datetime_invalid', validation.format];
             }
-            if (validation.min && datetime.isBefore(moment(validation.min, validation.format))) {
+            if (validation.min && datetime.isBefore(this.parseDateValue(filter, validation.min))) {
                 return ['datetime_exceed_min', validation.min];
             }
-            if (validation.max && datetime.isAfter(moment(validation.max, validation.format))) {
+            if (validation.max && datetime.isAfter(this.parseDateValue(filter, validation.max))) {
                 return ['datetime_exceed_max', validation.max];
             }
             break;
 
         case 'boolean':
-            const boolValue = value.trim().toLowerCase();
+            const boolValue = String(value).trim().toLowerCase();
             if (!['true', 'false', '1', '0'].includes(boolValue)) {
                 return ['boolean_not_valid'];
             }
@@ -155,6 +155,92 @@ QueryBuilder.prototype.validateByType = function(filter, value, validation) {
     return true;
 };
 
+/**
+ * Parses a date value, relative dates are resolved if the filter has `relative_dates` enabled
+ * @param {object} filter
+ * @param {string} value
+ * @returns {moment}
+ * @private
+ */
+QueryBuilder.prototype.parseDateValue = function(filter, value) {
+    if (filter.relative_dates && Utils.isRelativeDate(value)) {
+        return Utils.resolveRelativeDate(value);
+    }
+
+    return moment(value, (filter.validation || {}).format);
+};
+
+/**
+ * Replaces the relative dates (eg: `now-7d`, `startOf:month`) of a value by actual dates
+ * formatted with `validation.format` or {@link QueryBuilder.dateFormats}
+ * @param {object} filter
+ * @param {*} value - single value or array of values
+ * @returns {*}
+ */
+QueryBuilder.prototype.resolveRelativeDates = function(filter, value) {
+    if (!filter || QueryBuilder.types[filter.type] !== 'datetime') {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(val => this.resolveRelativeDates(filter, val));
+    }
+
+    if (!Utils.isRelativeDate(value)) {
+        return value;
+    }
+
+    const format = (filter.validation && filter.validation.format) || QueryBuilder.dateFormats[filter.type];
+    return Utils.resolveRelativeDate(value).format(format);
+};
+
+/**
+ * Returns the names of the parameters (eg: `{{region}}`) used in a value
+ * @param {*} value - single value or array of values
+ * @returns {string[]}
+ * @private
+ */
+QueryBuilder.prototype.getValueParameters = function(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((names, val) => {
+            this.getValueParameters(val).forEach(name => {
+                if (names.indexOf(name) === -1) {
+                    names.push(name);
+                }
+            });
+            return names;
+        }, []);
+    }
+
+    const name = Utils.getParameterName(value);
+    return name !== null ? [name] : [];
+};
+
+/**
+ * Replaces the parameters (eg: `{{region}}`) of a value by the values given to {@link QueryBuilder#bindParameters}
+ * @param {*} value - single value or array of values
+ * @param {object} [parameters] - values of the parameters, default to the bound values
+ * @returns {*}
+ * @throws UnboundParameterError
+ */
+QueryBuilder.prototype.resolveParameters = function(value, parameters = this.parameters) {
+    if (Array.isArray(value)) {
+        return value.map(val => this.resolveParameters(val, parameters));
+    }
+
+    const name = Utils.getParameterName(value);
+
+    if (name === null) {
+        return value;
+    }
+
+    if (parameters[name] === undefined) {
+        Utils.error('UnboundParameter', 'Parameter "{0}" is not bound', name);
+    }
+
+    return parameters[name];
+};
+
 /**
  * Returns an incremented group ID
  * @returns {string}
@@ -539,9 +625,230 @@ QueryBuilder.prototype.getGroupFlags = function(flags, all) {
     }
 };
 
+/**
+ * Returns the JSON of a single node, in the same format as {@link QueryBuilder#getRules}
+ * @param {Node} node
+ * @param {object} [options]
+ * @param {boolean|string} [options.get_flags=false] - export flags, true: only changes from default flags or 'all'
+ * @param {boolean} [options.resolve_relative_dates=false] - replaces relative dates by actual dates
+ * @param {boolean} [options.bind_parameters=false] - replaces parameters by their bound values
+ * @param {boolean} [options.skip_disabled=false] - removes disabled rules and groups, and groups left empty
+ * @returns {object}
+ * @fires QueryBuilder.changer:ruleToJson
+ * @fires QueryBuilder.changer:groupToJson
+ */
+QueryBuilder.prototype.getNodeJSON = function(node, options = {}) {
+    if (node instanceof Group) {
+        const groupData = {
+            condition: node.condition,
+            rules: node.rules
+                .filter(child => !options.skip_disabled || !child.disabled)
+                .map(child => this.getNodeJSON(child, options))
+                .filter(child => !options.skip_disabled || child.rules === undefined || child.rules.length > 0)
+        };
+
+        if (node.disabled) {
+            groupData.disabled = true;
+        }
+
+        if (node.data) {
+            groupData.data = JSON.parse(JSON.stringify(node.data));
+        }
+
+        if (options.get_flags) {
+            const flags = this.getGroupFlags(node.flags, options.get_flags === 'all');
+            if (Object.keys(flags).length) {
+                groupData.flags = flags;
+            }
+        }
+
+        return this.change('groupToJson', groupData, node);
+    }
+
+    const filter = node.filter;
+    const ruleData = {
+        id: filter ? filter.id : null,
+        field: filter ? filter.field : null,
+        type: filter ? filter.type : null,
+        input: filter ? filter.input : null,
+        operator: node.operator ? node.operator.type : null,
+        value: (!node.operator || node.operator.nb_inputs !== 0) ? node.value : null
+    };
+
+    if (node.disabled) {
+        ruleData.disabled = true;
+    }
+
+    if (options.bind_parameters) {
+        ruleData.value = this.resolveParameters(ruleData.value);
+    }
+
+    if (options.resolve_relative_dates) {
+        ruleData.value = this.resolveRelativeDates(filter, ruleData.value);
+    }
+
+    if ((filter && filter.data) || node.data) {
+        ruleData.data = JSON.parse(JSON.stringify(Object.assign({}, filter && filter.data, node.data)));
+    }
+
+    if (options.get_flags) {
+        const flags = this.getRuleFlags(node.flags, options.get_flags === 'all');
+        if (Object.keys(flags).length) {
+            ruleData.flags = flags;
+        }
+    }
+
+    return this.change('ruleToJson', ruleData, node);
+};
+
+/**
+ * Adds a rule or a group (with its children) from its JSON, in the same format as {@link QueryBuilder#setRules}
+ * @param {Group} parent
+ * @param {object} json
+ * @param {int} [index] - position in the parent, at the end by default
+ * @returns {Node|null} null if the node could not be added
+ * @fires QueryBuilder.changer:jsonToRule
+ * @fires QueryBuilder.changer:jsonToGroup
+ */
+QueryBuilder.prototype.addNodeFromJSON = function(parent, json, index) {
+    let model;
+
+    if (json.rules !== undefined) {
+        model = this.addGroup(parent, false, json.data, this.parseGroupFlags(json));
+        if (model === null) {
+            return null;
+        }
+
+        json.rules.forEach(item => this.addNodeFromJSON(model, item));
+    }
+    else {
+        model = this.addRule(parent, json.data, this.parseRuleFlags(json));
+        if (model === null) {
+            return null;
+        }
+    }
+
+    if (index !== undefined && index !== model.getPos()) {
+        model.move(parent, index);
+    }
+
+    this.updateNodeFromJSON(model, json);
+
+    return model;
+};
+
+/**
+ * Applies the JSON of a node to an existing rule or group, children of groups are not modified
+ * @param {Node} node
+ * @param {object} json
+ * @fires QueryBuilder.changer:jsonToRule
+ * @fires QueryBuilder.changer:jsonToGroup
+ * @throws RulesParseError
+ */
+QueryBuilder.prototype.updateNodeFromJSON = function(node, json) {
+    node.disabled = !node.isRoot() && !!json.disabled;
+
+    if (node instanceof Group) {
+        node.condition = json.condition || this.settings.default_condition;
+
+        if (this.change('jsonToGroup', node, json) != node) {
+            Utils.error('RulesParse', 'Plugin tried to change group reference');
+        }
+        return;
+    }
+
+    if (json.id === null || json.id === undefined) {
+        node.filter = null;
+    }
+    else {
+        node.filter = this.getFilterById(json.id);
+        node.operator = this.getOperatorByType(json.operator || 'equal', false) || this.getOperators(node.filter)[0];
+
+        if (node.operator.nb_inputs !== 0) {
+            if (json.value !== undefined && json.value !== null) {
+                node.value = json.value;
+            }
+            else if (node.filter.default_value !== undefined) {
+                node.value = node.filter.default_value;
+            }
+        }
+    }
+
+    this.applyRuleFlags(node);
+
+    if (this.change('jsonToRule', node, json) != node) {
+        Utils.error('RulesParse', 'Plugin tried to change rule reference');
+    }
+};
+
+/**
+ * Returns the position of a node in the tree, as a list of indexes from the root group
+ * @param {Node} node
+ * @returns {int[]}
+ */
+QueryBuilder.prototype.getNodePath = function(node) {
+    const path = [];
+
+    while (node.parent) {
+        path.unshift(node.getPos());
+        node = node.parent;
+    }
+
+    return path;
+};
+
+/**
+ * Returns a node from its position in the tree
+ * @param {int[]} path
+ * @param {boolean} [doThrow=true]
+ * @returns {Node|null}
+ * @throws UndefinedNodeError
+ */
+QueryBuilder.prototype.getNodeByPath = function(path, doThrow = true) {
+    let node = this.model.root;
+
+    for (let i = 0; i < path.length && node; i++) {
+        node = node instanceof Group ? node.rules[path[i]] : undefined;
+    }
+
+    if (!node) {
+        Utils.error(doThrow, 'UndefinedNode', 'No node at position "{0}"', path.join('.'));
+        return null;
+    }
+
+    return node;
+};
+
+/**
+ * Moves a node to a position in the tree, the position is relative to the tree without the node
+ * (like the target of a JSON Patch "move")
+ * @param {Node} node
+ * @param {int[]} path - the last index can be Infinity to move at the end of the group
+ * @throws UndefinedNodeError
+ */
+QueryBuilder.prototype.moveNodeToPath = function(node, path) {
+    const from = this.getNodePath(node);
+    const target = path.slice(0, -1);
+    const depth = from.length - 1;
+
+    // the node is still in the tree when looking for the target group
+    if (target.length > depth && from.slice(0, -1).every((index, i) => target[i] === index) && target[depth] >= from[depth]) {
+        target[depth]++;
+    }
+
+    const parent = this.getNodeByPath(target);
+
+    if (!(parent instanceof Group)) {
+        Utils.error('UndefinedNode', 'No group at position "{0}"', target.join('.'));
+    }
+
+    node.move(parent, Math.min(path[path.length - 1], parent.length() - (parent === node.parent ? 1 : 0)));
+};
+
 
 /**
- * Translate a label either by looking in the `lang` object or in itself if it's an object where keys are language codes
+ * Translate a label either by looking in the `lang` object or in itself if it's an object where keys are language codes,
+ * labels marked with {@link Utils.raw} are returned as is
  * @param {string} [category]
  * @param {string|object} key
  * @returns {string}
@@ -554,7 +861,9 @@ QueryBuilder.prototype.translate = function(category, key) {
     }
 
     let translation;
-    if (typeof key === 'object') {
+    if (Utils.isRaw(key)) {
+        translation = key;
+    } else if (typeof key === 'object') {
         translation = key[this.settings.lang_code] || key['en'];
     } else {
         translation = (category ? this.lang[category] : this.lang)[key] || key;
@@ -14,6 +14,17 @@ QueryBuilder.types = {
     'boolean':  'boolean'
 };
 
+/**
+ * Default formats of date values, used to resolve relative dates
+ * @type {object.<string, string>}
+ * @readonly
+ */
+QueryBuilder.dateFormats = {
+    'date':     'YYYY-MM-DD',
+    'time':     'HH:mm:ss',
+    'datetime': 'YYYY-MM-DD HH:mm:ss'
+};
+
 /**
  * Allowed inputs
  * @type {string[]}
@@ -63,6 +74,7 @@ QueryBuilder.selectors = {
     rule_actions:         '.rule-actions',
 
     rules_list:           '.rules-group-body>.rules-list',
+    group_summary:        '.rules-group-header .group-summary',
 
     group_condition:      '.rules-group-header [name$=_cond]',
     rule_filter:          '.rule-filter-container [name$=_filter]',
@@ -72,7 +84,12 @@ QueryBuilder.selectors = {
     add_rule:             '[data-add=rule]',
     delete_rule:          '[data-delete=rule]',
     add_group:            '[data-add=group]',
-    delete_group:         '[data-delete=group]'
+    delete_group:         '[data-delete=group]',
+    duplicate_rule:       '[data-duplicate=rule]',
+    duplicate_group:      '[data-duplicate=group]',
+    collapse_group:       '[data-collapse=group]',
+    disable_rule:         '[data-disable=rule]',
+    disable_group:        '[data-disable=group]'
 };
 
 /**
@@ -126,6 +143,8 @@ QueryBuilder.DEFAULTS = {
     filters: [],
     plugins: [],
 
+    headless: false,
+
     sort_filters: false,
     display_errors: true,
     allow_groups: -1,
@@ -137,6 +156,7 @@ QueryBuilder.DEFAULTS = {
     display_empty_filter: true,
     default_filter: null,
     optgroups: {},
+    summary_length: 2,
 
     default_rule_flags: {
         filter_readonly: false,
@@ -149,7 +169,8 @@ QueryBuilder.DEFAULTS = {
         condition_readonly: false,
         no_add_rule: false,
         no_add_group: false,
-        no_delete: false
+        no_delete: false,
+        collapsed: false
     },
 
     templates: {
@@ -187,10 +208,15 @@ QueryBuilder.DEFAULTS = {
     ],
 
     icons: {
-        add_group:    'bi-plus-circle-fill',
-        add_rule:     'bi-plus-lg',
-        remove_group: 'bi-x-lg',
-        remove_rule:  'bi-x-lg',
-        error:        'bi-exclamation-triangle'
+        add_group:      'bi-plus-circle-fill',
+        add_rule:       'bi-plus-lg',
+        remove_group:   'bi-x-lg',
+        remove_rule:    'bi-x-lg',
+        duplicate:      'bi-copy',
+        collapse_group: 'bi-chevron-down',
+        expand_group:   'bi-chevron-right',
+        disable:        'bi-toggle-on',
+        enable:         'bi-toggle-off',
+        error:          'bi-exclamation-triangle'
     }
 };
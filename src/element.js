@@ -0,0 +1,216 @@
+/**
+ * Custom element `<query-builder>` wrapping a {@link QueryBuilder} in a shadow root.<br>
+ * Options are given with the `filters`, `rules`, `plugins` and `lang-code` attributes (as JSON) or properties,
+ * builder events are re-dispatched on the element and cross the shadow root.
+ *
+ * @example
+ * <query-builder filters='[{"id": "name"}]' lang-code="fr"></query-builder>
+ *
+ * @example
+ * const element = document.createElement('query-builder');
+ * element.filters = [{ id: 'name' }];
+ * element.addEventListener('rulesChanged', () => console.log(element.getRules()));
+ * document.body.appendChild(element);
+ */
+class QueryBuilderElement extends (typeof HTMLElement !== 'undefined' ? HTMLElement : class {}) {
+    static get observedAttributes() {
+        return ['filters', 'rules', 'plugins', 'lang-code', 'stylesheets'];
+    }
+
+    constructor() {
+        super();
+        this.builder = null;
+        this.options = {};
+    }
+
+    get filters() {
+        return this.options.filters;
+    }
+
+    set filters(filters) {
+        this.options.filters = filters;
+        this.rebuild();
+    }
+
+    get rules() {
+        return this.builder ? this.builder.getRules({ allow_invalid: true }) : this.options.rules;
+    }
+
+    set rules(rules) {
+        this.options.rules = rules;
+
+        if (this.builder) {
+            this.builder.setRules(rules);
+        }
+    }
+
+    get plugins() {
+        return this.options.plugins;
+    }
+
+    set plugins(plugins) {
+        this.options.plugins = plugins;
+        this.rebuild();
+    }
+
+    get langCode() {
+        return this.options.lang_code;
+    }
+
+    set langCode(langCode) {
+        this.options.lang_code = langCode;
+        this.rebuild();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (oldValue === value) {
+            return;
+        }
+
+        switch (name) {
+            case 'filters':
+            case 'rules':
+            case 'plugins':
+                this[name] = value ? JSON.parse(value) : undefined;
+                break;
+            case 'lang-code':
+                this.langCode = value || undefined;
+                break;
+            case 'stylesheets':
+                this.rebuild();
+                break;
+        }
+    }
+
+    connectedCallback() {
+        this.rebuild();
+    }
+
+    disconnectedCallback() {
+        this.destroy();
+    }
+
+    /**
+     * Returns the rules of the builder, see {@link QueryBuilder#getRules}
+     * @param {object} [options]
+     * @returns {object}
+     */
+    getRules(options) {
+        return this.builder ? this.builder.getRules(options) : null;
+    }
+
+    /**
+     * Sets the rules of the builder, see {@link QueryBuilder#setRules}
+     * @param {object} data
+     * @param {object} [options]
+     */
+    setRules(data, options) {
+        this.options.rules = data;
+
+        if (this.builder) {
+            this.builder.setRules(data, options);
+        }
+    }
+
+    /**
+     * Creates the builder, or creates it again with the new options while keeping the current rules
+     * @private
+     */
+    rebuild() {
+        if (!this.isConnected || !this.options.filters) {
+            return;
+        }
+
+        if (this.builder) {
+            this.options.rules = this.builder.getRules({ allow_invalid: true }) || this.options.rules;
+            this.destroy();
+        }
+
+        if (!this.shadowRoot) {
+            this.attachShadow({ mode: 'open' });
+        }
+
+        const stylesheets = QueryBuilderElement.stylesheets.concat(
+            (this.getAttribute('stylesheets') || '').split(/\s+/).filter(url => !!url)
+        );
+
+        this.shadowRoot.innerHTML = String(Utils.html`
+            ${stylesheets.map(url => Utils.html`<link rel="stylesheet" href="${url}">`)}
+            <style>${Utils.raw(QueryBuilderElement.styles)}</style>
+            <div></div>
+        `);
+
+        const container = this.shadowRoot.querySelector('div');
+
+        QueryBuilderElement.events.forEach((type) => {
+            container.addEventListener(type, (event) => {
+                this.dispatchEvent(new CustomEvent(type, {
+                    detail: event.detail,
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+        });
+
+        const { rules, ...options } = this.options;
+        this.builder = new QueryBuilder(container, Object.assign({}, options));
+
+        if (rules) {
+            this.builder.setRules(rules, { allow_invalid: true });
+        }
+    }
+
+    /**
+     * Destroys the builder
+     * @private
+     */
+    destroy() {
+        if (this.builder) {
+            this.builder.destroy();
+            this.builder = null;
+        }
+    }
+}
+
+/**
+ * Builder events dispatched on the element
+ * @type {string[]}
+ */
+QueryBuilderElement.events = [
+    'rulesChanged',
+    'afterAddGroup',
+    'afterDeleteGroup',
+    'afterAddRule',
+    'afterDeleteRule',
+    'afterUpdateRuleValue',
+    'afterUpdateRuleFilter',
+    'afterUpdateRuleOperator',
+    'afterUpdateGroupCondition',
+    'afterSetRules',
+    'afterReset',
+    'afterClear',
+    'validationError'
+];
+
+/**
+ * Stylesheets added to all shadow roots, eg: Bootstrap and Bootstrap Icons which are not included in {@link QueryBuilderElement.styles}
+ * @type {string[]}
+ */
+QueryBuilderElement.stylesheets = [];
+
+/**
+ * CSS of the default theme and plugins, filled when building the dist files
+ * @type {string}
+ */
+QueryBuilderElement.styles = '';
+
+/**
+ * @member {function}
+ * @memberof QueryBuilder
+ * @see QueryBuilderElement
+ */
+QueryBuilder.Element = QueryBuilderElement;
+
+if (typeof customElements !== 'undefined' && !customElements.get('query-builder')) {
+    customElements.define('query-builder', QueryBuilderElement);
+}
@@ -0,0 +1,195 @@
+/**
+ * Generates filters from a JSON Schema describing an object, nested objects are flattened with dotted ids (eg: `address.city`)
+ *
+ * @example
+ * QueryBuilder.filtersFromJsonSchema({
+ *     type: 'object',
+ *     properties: {
+ *         age: { type: 'integer', minimum: 0 },
+ *         status: { type: 'string', enum: ['active', 'closed'] },
+ *         address: { type: 'object', properties: { city: { type: 'string', title: 'City' } } }
+ *     }
+ * });
+ *
+ * @param {object} schema
+ * @param {object} [options]
+ * @param {string} [options.separator='.'] - separator of nested properties
+ * @param {function} [options.map] - called with the filter, the property schema and the path, can modify the filter or return `null` to skip it
+ * @returns {QueryBuilder.Filter[]}
+ * @throws ConfigError
+ */
+QueryBuilder.filtersFromJsonSchema = function(schema, options = {}) {
+    options = { separator: '.', map: null, ...options };
+
+    const root = schema;
+    const filters = [];
+
+    const walk = (node, path, refs) => {
+        if (node.$ref) {
+            if (refs.includes(node.$ref)) {
+                return;
+            }
+            refs = [...refs, node.$ref];
+            node = { ...resolveJsonSchemaRef(root, node.$ref), ...node, $ref: undefined };
+        }
+
+        const type = getJsonSchemaType(node);
+
+        if (type === 'object') {
+            Object.keys(node.properties || {}).forEach((key) => {
+                walk(node.properties[key], [...path, key], refs);
+            });
+            return;
+        }
+
+        let filter = jsonSchemaToFilter(node, type);
+        if (!filter || path.length === 0) {
+            return;
+        }
+
+        const id = path.join(options.separator);
+        filter = { id, field: id, label: node.title || path[path.length - 1], ...filter };
+
+        if (node.description) {
+            filter.description = node.description;
+        }
+
+        if (options.map) {
+            filter = options.map(filter, node, path);
+        }
+
+        if (filter) {
+            filters.push(filter);
+        }
+    };
+
+    if (!schema || getJsonSchemaType(schema) !== 'object') {
+        Utils.error('Config', 'The JSON Schema must describe an object');
+    }
+
+    walk(schema, [], []);
+
+    return filters;
+};
+
+/**
+ * Returns the type of a JSON Schema node, ignoring "null" in types lists
+ * @param {object} node
+ * @returns {string|undefined}
+ * @private
+ */
+function getJsonSchemaType(node) {
+    let type = node.type;
+
+    if (Array.isArray(type)) {
+        type = type.find(t => t !== 'null');
+    }
+
+    if (type === undefined && node.properties) {
+        type = 'object';
+    }
+
+    return type;
+}
+
+/**
+ * Returns the definition targeted by a local `$ref` (eg: `#/definitions/address`)
+ * @param {object} root
+ * @param {string} ref
+ * @returns {object}
+ * @throws ConfigError
+ * @private
+ */
+function resolveJsonSchemaRef(root, ref) {
+    if (ref.indexOf('#/') !== 0) {
+        Utils.error('Config', 'Only local JSON Schema references are supported, got "{0}"', ref);
+    }
+
+    return ref.slice(2).split('/').reduce((node, key) => {
+        key = key.replace(/~1/g, '/').replace(/~0/g, '~');
+
+        if (!node || node[key] === undefined) {
+            Utils.error('Config', 'Undefined JSON Schema reference "{0}"', ref);
+        }
+
+        return node[key];
+    }, root);
+}
+
+/**
+ * Returns the type, input, values and validation of the filter of a JSON Schema property
+ * @param {object} node
+ * @param {string} type
+ * @returns {object|null} null if the property cannot be filtered
+ * @private
+ */
+function jsonSchemaToFilter(node, type) {
+    const filter = {};
+    const validation = {};
+
+    // arrays of enum are multiple selects
+    if (type === 'array') {
+        if (!node.items || !Array.isArray(node.items.enum)) {
+            return null;
+        }
+
+        const items = jsonSchemaToFilter(node.items, getJsonSchemaType(node.items) || 'string');
+        return items && { ...items, multiple: true };
+    }
+
+    switch (type) {
+        case 'string':
+            filter.type = JSON_SCHEMA_FORMATS[node.format] || 'string';
+
+            if (filter.type === 'string') {
+                if (node.minLength !== undefined) validation.min = node.minLength;
+                if (node.maxLength !== undefined) validation.max = node.maxLength;
+                if (node.pattern !== undefined) validation.format = node.pattern;
+            }
+            break;
+
+        case 'integer':
+        case 'number':
+            filter.type = type === 'integer' ? 'integer' : 'double';
+
+            if (node.minimum !== undefined) validation.min = node.minimum;
+            if (node.maximum !== undefined) validation.max = node.maximum;
+            if (node.multipleOf !== undefined) validation.step = node.multipleOf;
+            break;
+
+        case 'boolean':
+            filter.type = 'boolean';
+            filter.input = 'radio';
+            filter.values = [true, false];
+            break;
+
+        default:
+            return null;
+    }
+
+    if (Array.isArray(node.enum)) {
+        filter.input = 'select';
+        filter.values = node.enum.filter(value => value !== null);
+    }
+
+    if (node.default !== undefined) {
+        filter.default_value = node.default;
+    }
+
+    if (Object.keys(validation).length) {
+        filter.validation = validation;
+    }
+
+    return filter;
+}
+
+/**
+ * JSON Schema string formats and the matching filter types
+ * @type {object.<string, string>}
+ * @private
+ */
+const JSON_SCHEMA_FORMATS = {
+    'date':      'date',
+    'time':      'time',
+    'date-time': 'datetime'
+};
@@ -6,9 +6,6 @@ class QueryBuilderManager {
             if (!instance && option !== 'destroy') {
                 instance = new QueryBuilder(element, typeof option === 'object' ? option : undefined);
                 element.__queryBuilderInstance__ = instance;
-                if (typeof option === 'object' && option.rules) {
-                    instance.init(option.rules);
-                }
             } else if (instance && typeof option === 'string') {
                 if (option === 'destroy') {
                     instance.destroy();
@@ -29,6 +26,3 @@ QueryBuilderManager.extend = QueryBuilder.extend;
 QueryBuilderManager.define = QueryBuilder.define;
 QueryBuilderManager.regional = QueryBuilder.regional;
 
-// Usage example
-const queryBuilder = new QueryBuilderManager('#builder', { /* configuration object */ });
-queryBuilder.queryBuilder('methodName', methodParam1, methodParam2);
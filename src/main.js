@@ -1,11 +1,16 @@
 class QueryBuilder {
     constructor(element, options) {
-        this.element = (typeof element === 'string') ? document.querySelector(element) : element;
-        if (!this.element) {
-            throw new Error('No target defined');
-        }
+        this.settings = Utils.merge(Utils.merge({}, QueryBuilder.DEFAULTS), options || {});
 
-        this.settings = Object.assign({}, QueryBuilder.DEFAULTS, options);
+        if (this.settings.headless) {
+            // events still need a target, even without a DOM
+            this.element = new EventTarget();
+        } else {
+            this.element = (typeof element === 'string') ? document.querySelector(element) : element;
+            if (!this.element) {
+                throw new Error('No target defined');
+            }
+        }
 
         this.model = new Model();
         this.status = {
@@ -23,6 +28,7 @@ class QueryBuilder {
         this.icons = this.settings.icons;
         this.templates = this.settings.templates;
         this.plugins = this.settings.plugins;
+        this.parameters = {};
 
         // Initialize translations
         this.initTranslations();
@@ -30,8 +36,19 @@ class QueryBuilder {
         // Initialize ID and classes
         this.initIdAndClasses();
 
-        // Bind events, initialize plugins, etc.
-        this.init();
+        // Templates not given in the options are the default ones
+        Object.keys(this.templates).forEach(tpl => {
+            if (!this.templates[tpl]) {
+                this.templates[tpl] = QueryBuilder.templates[tpl];
+            }
+        });
+
+        this.filters = this.checkFilters(this.filters);
+        this.operators = this.checkOperators(this.operators);
+        this.bindEvents();
+        this.initPlugins();
+
+        this.init(this.settings.rules);
     }
 
     initTranslations() {
@@ -40,6 +57,11 @@ class QueryBuilder {
     }
 
     initIdAndClasses() {
+        if (this.settings.headless) {
+            this.status.id = 'qb_' + Math.floor(Math.random() * 99999);
+            return;
+        }
+
         if (!this.element.id) {
             this.element.id = 'qb_' + Math.floor(Math.random() * 99999);
             this.status.generated_id = true;
@@ -48,47 +70,79 @@ class QueryBuilder {
         this.element.classList.add('query-builder');
     }
 
-    init() {
-        this.filters = this.checkFilters(this.filters);
-        this.operators = this.checkOperators(this.operators);
-        this.bindEvents();
-        this.initPlugins();
-    }
-
     trigger(type, ...args) {
         const event = new CustomEvent(type, { detail: { builder: this, args } });
-        this.element.dispatchEvent(event);
+        this.dispatch(event);
         return event;
     }
 
     change(type, value, ...args) {
         const event = new CustomEvent(type, { detail: { builder: this, value, args } });
-        this.element.dispatchEvent(event);
+        this.dispatch(event);
         return event.detail.value;
     }
 
+    // errors thrown by the listeners are given back to the caller instead of being only reported
+    dispatch(event) {
+        this.element.dispatchEvent(event);
+
+        if (event.detail.error) {
+            throw event.detail.error;
+        }
+    }
+
+    getListener(cb) {
+        if (!this.listeners) {
+            this.listeners = new WeakMap();
+        }
+
+        if (!this.listeners.has(cb)) {
+            this.listeners.set(cb, function(event) {
+                try {
+                    return cb.call(this, event);
+                } catch (error) {
+                    if (!event.detail || typeof event.detail !== 'object') {
+                        throw error;
+                    }
+
+                    // like jQuery handlers, the following listeners are not called
+                    event.detail.error = error;
+                    event.stopImmediatePropagation();
+                }
+            });
+        }
+
+        return this.listeners.get(cb);
+    }
+
     on(type, cb) {
-        this.element.addEventListener(type, cb);
+        this.element.addEventListener(type, this.getListener(cb));
         return this;
     }
 
     off(type, cb) {
-        this.element.removeEventListener(type, cb);
+        this.element.removeEventListener(type, this.getListener(cb));
         return this;
     }
 
     once(type, cb) {
-        const onceCb = (event) => {
-            cb(event);
-            this.element.removeEventListener(type, onceCb);
-        };
-        this.element.addEventListener(type, onceCb);
+        this.element.addEventListener(type, this.getListener(cb), { once: true });
         return this;
     }
 }
 
-// Static members for defaults, extend, define, regional, etc.
-QueryBuilder.defaults = { /* default settings */ };
-QueryBuilder.extend = function(/* extensions */) { /* extend functionality */ };
-QueryBuilder.define = function(/* definitions */) { /* define plugins or methods */ };
-QueryBuilder.regional = { /* translations and regional settings */ };
+/**
+ * JSON of the last rule or group copied with {@link QueryBuilder#copyNode}, shared by all builders of the page
+ * @type {object|null}
+ */
+QueryBuilder.clipboard = null;
+
+/**
+ * Creates a builder which is not attached to any element, nothing is rendered.<br>
+ * Usable in Node.js for setRules, getRules, validate and the export methods.
+ * @param {object} options
+ * @returns {QueryBuilder}
+ */
+QueryBuilder.headless = function(options) {
+    return new QueryBuilder(null, Object.assign({}, options, { headless: true }));
+};
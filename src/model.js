@@ -29,17 +29,42 @@ class Model extends EventEmitter {
         super();
         this.root = null;
     }
+
+    /**
+     * Triggers an event on the model, listeners receive an event object followed by the arguments
+     * @param {string} type
+     * @param {...*} args
+     * @returns {object} the event object
+     */
+    trigger(type, ...args) {
+        const event = {
+            type: type,
+            target: this,
+            defaultPrevented: false,
+            preventDefault() {
+                this.defaultPrevented = true;
+            }
+        };
+        this.emit(type, event, ...args);
+        return event;
+    }
 }
 
 class Node extends EventEmitter {
     constructor(parent, element) {
         super();
+
+        // internal storage of the model properties, updates are notified by the setters
+        Object.defineProperty(this, '__', { value: {} });
+
         this.parent = parent;
-        this.element = element;
-        this.level = 1;
-        this.error = null;
-        this.flags = {};
-        this.data = undefined;
+        this.element = element || null;
+        this.model = parent ? parent.model : null;
+        this.__.level = parent ? parent.level + 1 : 1;
+        this.__.error = null;
+        this.__.flags = {};
+        this.__.disabled = false;
+        this.__.data = undefined;
 
         if (element) {
             element.dataset.queryBuilderModel = this;
@@ -50,12 +75,23 @@ class Node extends EventEmitter {
         return this.level === 1;
     }
 
+    getPos() {
+        if (this.isRoot()) {
+            return -1;
+        }
+        return this.parent.getNodePos(this);
+    }
+
     drop() {
         if (this.parent) {
             this.parent.removeNode(this);
         }
-        delete this.element.dataset.queryBuilderModel;
-        this.emit('drop', this);
+        if (this.element) {
+            delete this.element.dataset.queryBuilderModel;
+        }
+        if (this.model !== null) {
+            this.model.trigger('drop', this);
+        }
     }
 
     moveAfter(target) {
@@ -79,8 +115,10 @@ class Node extends EventEmitter {
     move(target, index) {
         if (!this.isRoot()) {
             this.parent.removeNode(this);
-            target.insertNode(this, index);
-            this.emit('move', this, target, index);
+            target.insertNode(this, index, false);
+            if (this.model !== null) {
+                this.model.trigger('move', this, target, index);
+            }
         }
     }
 }
@@ -89,7 +127,7 @@ class Group extends Node {
     constructor(parent, element) {
         super(parent, element);
         this.rules = [];
-        this.condition = null;
+        this.__.condition = null;
     }
 
     empty() {
@@ -105,10 +143,14 @@ class Group extends Node {
         return this.rules.length;
     }
 
-    insertNode(node, index = this.length()) {
+    insertNode(node, index = this.length(), trigger = true) {
         this.rules.splice(index, 0, node);
         node.parent = this;
-        this.emit('add', this, node, index);
+        node.model = this.model;
+        node.__.level = this.level + 1;
+        if (trigger && this.model !== null) {
+            this.model.trigger('add', this, node, index);
+        }
         return node;
     }
 
@@ -133,17 +175,49 @@ class Group extends Node {
     getNodePos(node) {
         return this.rules.indexOf(node);
     }
+
+    /**
+     * Iterates over the direct children
+     * @param {boolean|string} [reverse=false] - iterates in reverse order
+     * @param {function} cbRule - called for each Rule
+     * @param {function} [cbGroup] - called for each Group
+     * @param {object} [context] - context of the callbacks
+     * @returns {boolean} false if a callback returned false and stopped the iteration
+     */
+    each(reverse, cbRule, cbGroup, context) {
+        if (typeof reverse !== 'boolean' && typeof reverse !== 'string') {
+            context = cbGroup;
+            cbGroup = cbRule;
+            cbRule = reverse;
+            reverse = false;
+        }
+        context = context === undefined ? null : context;
+
+        // copy of the list, the callbacks may remove nodes
+        const nodes = reverse ? this.rules.slice().reverse() : this.rules.slice();
+
+        return nodes.every(node => {
+            if (node instanceof Group) {
+                return !cbGroup || cbGroup.call(context, node) !== false;
+            }
+            return !cbRule || cbRule.call(context, node) !== false;
+        });
+    }
 }
 
 class Rule extends Node {
     constructor(parent, element) {
         super(parent, element);
-        this.filter = null;
-        this.operator = null;
-        this.value = undefined;
+        this.__.filter = null;
+        this.__.operator = null;
+        this.__.value = undefined;
     }
 
     isRoot() {
         return false;
     }
 }
+
+Utils.defineModelProperties(Node, ['level', 'error', 'data', 'flags', 'disabled']);
+Utils.defineModelProperties(Group, ['condition']);
+Utils.defineModelProperties(Rule, ['filter', 'operator', 'value']);
@@ -1,49 +1,91 @@
-// Establishing a basic namespace for QueryBuilder if it doesn't exist
-window.QueryBuilder = window.QueryBuilder || {};
+/**
+ * Definitions of the registered plugins
+ * @type {object.<string, object>}
+ * @readonly
+ */
 QueryBuilder.plugins = {};
 
-class QueryBuilderBase {
-    constructor() {
-        this.plugins = {};
-        this.DEFAULTS = {};  // This should be defined based on your default settings
+/**
+ * Gets or extends the default configuration
+ * @param {object|string} [options] - new configuration, merged with the current one, or the name of a property to get
+ * @returns {object|undefined} a copy of the configuration or of one property
+ */
+QueryBuilder.defaults = function(options) {
+    if (typeof options === 'object') {
+        Utils.merge(QueryBuilder.DEFAULTS, options);
+    } else if (typeof options === 'string') {
+        const value = QueryBuilder.DEFAULTS[options];
+        return (value !== null && typeof value === 'object') ? Utils.merge(Array.isArray(value) ? [] : {}, value) : value;
+    } else {
+        return Utils.merge({}, QueryBuilder.DEFAULTS);
     }
+};
 
-    static defaults(options) {
-        if (typeof options === 'object') {
-            Object.assign(QueryBuilderBase.prototype.DEFAULTS, options);
-        } else if (typeof options === 'string') {
-            return {...QueryBuilderBase.prototype.DEFAULTS[options]};
-        } else {
-            return {...QueryBuilderBase.prototype.DEFAULTS};
-        }
-    }
+/**
+ * Registers a new plugin
+ * @param {string} name
+ * @param {function} fct - init function, called with the builder as context and the plugin options
+ * @param {object} [def] - default options
+ */
+QueryBuilder.define = function(name, fct, def = {}) {
+    QueryBuilder.plugins[name] = { fct: fct, def: def };
+};
 
-    static define(name, fct, def = {}) {
-        QueryBuilder.plugins[name] = { init: fct, defaults: def };
-    }
+/**
+ * Adds new methods to QueryBuilder prototype
+ * @param {object.<string, function>} methods
+ */
+QueryBuilder.extend = function(methods) {
+    Object.assign(QueryBuilder.prototype, methods);
+};
 
-    static extend(methods) {
-        Object.assign(QueryBuilderBase.prototype, methods);
+/**
+ * Initializes plugins for an instance
+ * @throws ConfigError
+ * @private
+ */
+QueryBuilder.prototype.initPlugins = function() {
+    if (!this.plugins) {
+        return;
     }
 
-    initPlugins() {
-        Object.keys(this.plugins).forEach(pluginName => {
-            const plugin = QueryBuilder.plugins[pluginName];
-            if (plugin) {
-                const opts = {...plugin.defaults, ...this.plugins[pluginName]};
-                plugin.init.call(this, opts);
-                this.plugins[pluginName] = opts;
-            } else {
-                throw new Error(`Plugin ${pluginName} not found`);
-            }
+    if (Array.isArray(this.plugins)) {
+        const plugins = {};
+        this.plugins.forEach(name => {
+            plugins[name] = null;
         });
+        this.plugins = plugins;
     }
 
-    getPluginOptions(name, property) {
-        const plugin = this.plugins[name] || QueryBuilder.plugins[name]?.defaults;
+    Object.keys(this.plugins).forEach(name => {
+        const plugin = QueryBuilder.plugins[name];
         if (!plugin) {
-            throw new Error(`Plugin ${name} not found`);
+            Utils.error('Config', 'Unable to find plugin "{0}"', name);
         }
+
+        this.plugins[name] = Utils.merge(Utils.merge({}, plugin.def), this.plugins[name] || {});
+        plugin.fct.call(this, this.plugins[name]);
+    });
+};
+
+/**
+ * Returns the config of a plugin, if the plugin is not loaded, returns the default config.
+ * @param {string} name
+ * @param {string} [property]
+ * @throws ConfigError
+ * @returns {*}
+ */
+QueryBuilder.prototype.getPluginOptions = function(name, property) {
+    let plugin;
+    if (this.plugins && this.plugins[name]) {
+        plugin = this.plugins[name];
+    } else if (QueryBuilder.plugins[name]) {
+        plugin = QueryBuilder.plugins[name].def;
+    }
+
+    if (plugin) {
         return property ? plugin[property] : plugin;
     }
-}
+
+    Utils.error('Config', 'Unable to find plugin "{0}"', name);
+};
@@ -0,0 +1,915 @@
+/**
+ * @class Collaboration
+ * @memberof module:plugins
+ * @description Allows several users to edit the same rules at once, changes are exchanged through a
+ *     {@link module:plugins.Collaboration.Transport}.<br>
+ *     Each rule and group gets a stable `uid`. Concurrent edits are resolved with Lamport timestamps:
+ *     the last edit wins for each key (the filter, operator and value of a rule are a single key),
+ *     a deleted node wins against edits and concurrent additions in the same group are ordered the same way for everyone.<br>
+ *     A builder joining a session replaces its rules by the rules of the session. `setRules`, `reset` and `clear`
+ *     replace the rules of everyone.<br>
+ *     The node focused by each user is displayed with a marker.
+ * @param {object} options
+ * @param {module:plugins.Collaboration.Transport} options.transport
+ * @param {object} [options.user]
+ * @param {string} [options.user.name='Anonymous']
+ * @param {string} [options.user.color='#337AB7'] - CSS color of the presence marker
+ * @throws ConfigError
+ */
+QueryBuilder.define('collaboration', function(options) {
+    if (!options.transport) {
+        Utils.error('Config', 'Collaboration plugin : missing "transport" option');
+    }
+
+    var self = this;
+
+    this.collaboration = {
+        site: Math.random().toString(36).slice(2, 10),
+        user: Object.assign({ name: 'Anonymous', color: '#337AB7' }, options.user),
+        transport: options.transport,
+        clock: 0,
+        counter: 0,
+        nodes: new Map(),
+        meta: new WeakMap(),
+        batch: null,
+        locked: 0,
+        joined: false,
+        synced: false,
+        focused: null,
+        peers: {}
+    };
+
+    this.collaboration.unlisten = options.transport.listen(function(message) {
+        if (message.site !== self.collaboration.site) {
+            self.receiveCollaboration(message);
+        }
+    });
+
+    // A new root group means a new tree, which is sent to everyone at the end of the tick
+    this.on('afterAddGroup', function(e) {
+        var group = e.detail.group;
+
+        if (group.isRoot()) {
+            resetCollaborationTree(self);
+        }
+        else {
+            recordCollaborationAdd(self, group);
+        }
+    });
+
+    this.on('afterAddRule', function(e) {
+        recordCollaborationAdd(self, e.detail.rule);
+    });
+
+    this.on('afterReset', function() {
+        resetCollaborationTree(self);
+    });
+
+    this.on('afterClear', function() {
+        resetCollaborationTree(self);
+    });
+
+    this.model.on('drop', function(e, node) {
+        recordCollaborationRemove(self, node);
+    });
+
+    this.model.on('update', function(e, node, field) {
+        if (field !== 'error') {
+            recordCollaborationChange(self, node, 'updated');
+        }
+    });
+
+    this.model.on('move', function(e, node) {
+        recordCollaborationChange(self, node, 'moved');
+    });
+
+    if (!this.settings.headless) {
+        var containers = QueryBuilder.selectors.rule_container + ', ' + QueryBuilder.selectors.group_container;
+
+        this.element.addEventListener('focusin', function(e) {
+            self.setPresence(self.getModel(e.target.closest(containers)));
+        });
+
+        this.element.addEventListener('focusout', function(e) {
+            if (!e.relatedTarget || !self.element.contains(e.relatedTarget)) {
+                self.setPresence(null);
+            }
+        });
+
+        this.on('rulesChanged', function() {
+            updatePresenceMarkers(self);
+        });
+    }
+
+    // the rules are cleared after this event, which must not be sent
+    this.on('beforeDestroy', function() {
+        var c = self.collaboration;
+
+        sendCollaboration(self, { type: 'leave' });
+
+        if (typeof c.unlisten === 'function') {
+            c.unlisten();
+        }
+
+        c.batch = null;
+        c.locked++;
+    });
+}, {
+    transport: null,
+    user: null
+});
+
+QueryBuilder.extend(/** @lends module:plugins.Collaboration.prototype */ {
+    /**
+     * Sends the changes of the current tick now instead of waiting the end of the tick
+     */
+    sendChanges: function() {
+        var c = this.collaboration;
+        var batch = c.batch;
+
+        if (!batch) {
+            return;
+        }
+
+        c.batch = null;
+
+        var self = this;
+        var stamp = nextCollaborationStamp(this);
+
+        if (batch.reset) {
+            registerCollaborationTree(this, this.model.root, stamp);
+
+            if (!c.joined) {
+                c.joined = true;
+                sendCollaboration(this, { type: 'hello' });
+            }
+            else {
+                sendCollaboration(this, { type: 'state', stamp: stamp, rules: getCollaborationTree(this) });
+            }
+            return;
+        }
+
+        var ops = [];
+
+        batch.removed.forEach(function(uid) {
+            ops.push({ op: 'remove', uid: uid });
+        });
+
+        var added = batch.added.filter(function(node) {
+            return isCollaborationNodeAttached(self, node) && batch.added.indexOf(node.parent) === -1;
+        });
+
+        // additions are sent in the order of the tree, so the previous sibling of a node is always known
+        (function walk(group) {
+            group.rules.forEach(function(node) {
+                if (added.indexOf(node) !== -1) {
+                    ops.push({
+                        op: 'add',
+                        parent: node.parent.uid,
+                        after: getCollaborationPrevious(node),
+                        node: getCollaborationJSON(self, node)
+                    });
+                    registerCollaborationTree(self, node, stamp);
+                }
+                else if (node instanceof Group) {
+                    walk(node);
+                }
+            });
+        }(this.model.root));
+
+        batch.moved.forEach(function(node) {
+            var moved = node;
+            while (moved.parent && batch.added.indexOf(moved) === -1) {
+                moved = moved.parent;
+            }
+
+            // the position of added nodes is already sent
+            if (isCollaborationNodeAttached(self, node) && !moved.parent) {
+                ops.push({
+                    op: 'move',
+                    uid: node.uid,
+                    parent: node.parent.uid,
+                    after: getCollaborationPrevious(node)
+                });
+                c.meta.get(node).stamps.$position = stamp;
+            }
+        });
+
+        batch.updated.forEach(function(node) {
+            var meta = c.meta.get(node);
+            if (!isCollaborationNodeAttached(self, node) || !meta.json) {
+                return;
+            }
+
+            var json = getCollaborationNodeJSON(self, node);
+            var changes = getCollaborationChanges(node, meta.json, json);
+
+            if (changes) {
+                ops.push({ op: 'update', uid: node.uid, changes: changes });
+                Object.keys(changes).forEach(function(key) {
+                    meta.stamps[getCollaborationRegister(node, key)] = stamp;
+                });
+                meta.json = json;
+            }
+        });
+
+        if (ops.length > 0) {
+            sendCollaboration(this, { type: 'ops', stamp: stamp, ops: ops });
+        }
+    },
+
+    /**
+     * Applies a message received from the transport
+     * @param {object} message
+     * @fires module:plugins.Collaboration.afterReceiveChanges
+     * @private
+     */
+    receiveCollaboration: function(message) {
+        var c = this.collaboration;
+        var self = this;
+
+        // local changes are sent before the remote ones are applied
+        this.sendChanges();
+
+        if (message.stamp) {
+            c.clock = Math.max(c.clock, message.stamp[0]);
+        }
+
+        c.locked++;
+
+        try {
+            switch (message.type) {
+                case 'hello':
+                    c.synced = true;
+                    sendCollaboration(this, {
+                        type: 'state',
+                        to: message.site,
+                        stamp: nextCollaborationStamp(this),
+                        rules: getCollaborationTree(this)
+                    });
+                    if (c.focused) {
+                        sendCollaboration(this, { type: 'presence', uid: c.focused });
+                    }
+                    break;
+
+                case 'state':
+                    if (message.to && (message.to !== c.site || c.synced)) {
+                        return;
+                    }
+                    c.synced = true;
+                    c.focused = null;
+                    if (message.rules) {
+                        this.setRules(message.rules, { allow_invalid: true });
+                        registerCollaborationTree(this, this.model.root, message.stamp, message.rules);
+                    }
+                    else {
+                        this.clear();
+                        c.nodes = new Map();
+                        c.meta = new WeakMap();
+                    }
+                    break;
+
+                case 'ops':
+                    message.ops.forEach(function(op) {
+                        applyCollaborationOperation(self, op, message.stamp);
+                    });
+                    break;
+
+                case 'presence':
+                    c.peers[message.site] = { user: message.user, uid: message.uid };
+                    break;
+
+                case 'leave':
+                    delete c.peers[message.site];
+                    break;
+            }
+        }
+        finally {
+            c.locked--;
+        }
+
+        updatePresenceMarkers(this);
+
+        /**
+         * After a message of another user has been applied
+         * @event afterReceiveChanges
+         * @memberof module:plugins.Collaboration
+         * @param {string} type - 'hello', 'state', 'ops', 'presence' or 'leave'
+         */
+        this.trigger('afterReceiveChanges', message.type);
+    },
+
+    /**
+     * Tells the other users which node is edited, called when a rule or a group gets the focus
+     * @param {Node|null} node
+     */
+    setPresence: function(node) {
+        var uid = node ? node.uid : null;
+
+        if (uid === this.collaboration.focused) {
+            return;
+        }
+
+        this.collaboration.focused = uid;
+        sendCollaboration(this, { type: 'presence', uid: uid });
+    },
+
+    /**
+     * Returns the other users and the node they are editing
+     * @returns {Array.<{user: object, node: Node|null}>}
+     */
+    getPresence: function() {
+        var c = this.collaboration;
+
+        return Object.keys(c.peers).map(function(site) {
+            return {
+                user: c.peers[site].user,
+                node: c.nodes.get(c.peers[site].uid) || null
+            };
+        });
+    },
+
+    /**
+     * Returns a node from its uid
+     * @param {string} uid
+     * @returns {Node|null}
+     */
+    getNodeByUid: function(uid) {
+        return this.collaboration.nodes.get(uid) || null;
+    }
+});
+
+/**
+ * Transport sending the messages of a builder to the other builders of the session.<br>
+ * Messages are plain JSON objects, a transport must not deliver the messages to their sender.
+ * @interface Transport
+ * @memberof module:plugins.Collaboration
+ */
+
+/**
+ * Sends a message to the other builders
+ * @function
+ * @name module:plugins.Collaboration.Transport#send
+ * @param {object} message
+ */
+
+/**
+ * Registers the function called with each message sent by the other builders
+ * @function
+ * @name module:plugins.Collaboration.Transport#listen
+ * @param {function} callback
+ * @returns {function} stops listening
+ */
+
+/**
+ * Transport between the tabs of a browser, using a BroadcastChannel
+ * @class BroadcastChannelTransport
+ * @memberof QueryBuilder
+ * @implements module:plugins.Collaboration.Transport
+ * @param {string} name - name of the channel
+ */
+QueryBuilder.BroadcastChannelTransport = function(name) {
+    this.channel = new BroadcastChannel(name);
+};
+
+QueryBuilder.BroadcastChannelTransport.prototype.send = function(message) {
+    this.channel.postMessage(message);
+};
+
+QueryBuilder.BroadcastChannelTransport.prototype.listen = function(callback) {
+    var channel = this.channel;
+    var listener = function(e) {
+        callback(e.data);
+    };
+
+    channel.addEventListener('message', listener);
+
+    return function() {
+        channel.removeEventListener('message', listener);
+    };
+};
+
+QueryBuilder.BroadcastChannelTransport.prototype.close = function() {
+    this.channel.close();
+};
+
+/**
+ * Transport between builders of the same page, messages are delivered synchronously
+ * @class MemoryTransport
+ * @memberof QueryBuilder
+ * @implements module:plugins.Collaboration.Transport
+ * @param {QueryBuilder.MemoryTransport[]} session - list shared by the transports of a session
+ *
+ * @example
+ * var session = [];
+ * QueryBuilder.headless({ filters: filters, plugins: { collaboration: { transport: new QueryBuilder.MemoryTransport(session) } } });
+ * QueryBuilder.headless({ filters: filters, plugins: { collaboration: { transport: new QueryBuilder.MemoryTransport(session) } } });
+ */
+QueryBuilder.MemoryTransport = function(session) {
+    this.session = session;
+    this.listeners = [];
+    session.push(this);
+};
+
+QueryBuilder.MemoryTransport.prototype.send = function(message) {
+    var self = this;
+    var json = JSON.stringify(message);
+
+    this.session.forEach(function(transport) {
+        if (transport !== self) {
+            transport.listeners.slice().forEach(function(callback) {
+                callback(JSON.parse(json));
+            });
+        }
+    });
+};
+
+QueryBuilder.MemoryTransport.prototype.listen = function(callback) {
+    var listeners = this.listeners;
+
+    listeners.push(callback);
+
+    return function() {
+        listeners.splice(listeners.indexOf(callback), 1);
+    };
+};
+
+QueryBuilder.MemoryTransport.prototype.close = function() {
+    this.session.splice(this.session.indexOf(this), 1);
+    this.listeners = [];
+};
+
+/**
+ * Keys of rules merged as a single key, a new filter resets the operator and the value
+ * @memberof module:plugins.Collaboration
+ * @type {string[]}
+ * @private
+ */
+var COLLABORATION_RULE_KEYS = ['id', 'field', 'type', 'input', 'operator', 'value'];
+
+/**
+ * Returns the current batch of changes, the batch is sent at the end of the tick
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @returns {object}
+ * @private
+ */
+function getCollaborationBatch(builder) {
+    return Utils.getTickBatch(builder.collaboration, function() {
+        return {
+            reset: false,
+            added: [],
+            removed: [],
+            moved: [],
+            updated: []
+        };
+    }, function() {
+        builder.sendChanges();
+    });
+}
+
+/**
+ * Records a new tree
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @private
+ */
+function resetCollaborationTree(builder) {
+    var c = builder.collaboration;
+
+    if (c.locked) {
+        return;
+    }
+
+    c.nodes = new Map();
+    c.meta = new WeakMap();
+
+    if (builder.model.root) {
+        builder.model.root.uid = 'root';
+        c.nodes.set('root', builder.model.root);
+        c.meta.set(builder.model.root, { stamps: {}, json: null });
+    }
+
+    getCollaborationBatch(builder).reset = true;
+}
+
+/**
+ * Records the addition of a node, a new uid is given to the node
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordCollaborationAdd(builder, node) {
+    var c = builder.collaboration;
+
+    // placeholders of the sortable plugin are not known
+    if (c.locked || !c.meta.has(node.parent) || c.meta.has(node)) {
+        return;
+    }
+
+    node.uid = c.site + '-' + (++c.counter);
+    c.nodes.set(node.uid, node);
+    c.meta.set(node, { stamps: {}, json: null });
+
+    getCollaborationBatch(builder).added.push(node);
+}
+
+/**
+ * Records the removal of a node, nodes which have not been sent are only forgotten
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordCollaborationRemove(builder, node) {
+    var c = builder.collaboration;
+    var meta = c.meta.get(node);
+
+    if (!meta || node.isRoot()) {
+        return;
+    }
+
+    if (!c.locked && meta.json) {
+        getCollaborationBatch(builder).removed.push(node.uid);
+    }
+
+    c.nodes.delete(node.uid);
+    c.meta.delete(node);
+}
+
+/**
+ * Records the update or the move of a node
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @param {string} type - 'updated' or 'moved'
+ * @private
+ */
+function recordCollaborationChange(builder, node, type) {
+    var c = builder.collaboration;
+
+    if (c.locked || !c.meta.has(node)) {
+        return;
+    }
+
+    var batch = getCollaborationBatch(builder);
+
+    if (batch[type].indexOf(node) === -1) {
+        batch[type].push(node);
+    }
+}
+
+/**
+ * Applies an operation of another user
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {object} op
+ * @param {Array} stamp
+ * @private
+ */
+function applyCollaborationOperation(builder, op, stamp) {
+    var c = builder.collaboration;
+    var node = c.nodes.get(op.op === 'add' ? op.node.uid : op.uid);
+    var parent = c.nodes.get(op.parent);
+    var meta = node && c.meta.get(node);
+
+    switch (op.op) {
+        case 'add':
+            if (node || !parent) {
+                return;
+            }
+
+            node = builder.addNodeFromJSON(parent, JSON.parse(JSON.stringify(op.node)), getCollaborationIndex(builder, parent, op.after, stamp));
+            if (node) {
+                registerCollaborationTree(builder, node, stamp, op.node);
+            }
+            break;
+
+        case 'remove':
+            if (!node) {
+                return;
+            }
+
+            if (node instanceof Group) {
+                builder.deleteGroup(node);
+            }
+            else {
+                builder.deleteRule(node);
+            }
+            break;
+
+        case 'move':
+            // the target group may have been deleted, or moved inside the node
+            if (!node || !parent || isCollaborationAncestor(node, parent) || compareCollaborationStamps(stamp, meta.stamps.$position) <= 0) {
+                return;
+            }
+
+            meta.stamps.$position = stamp;
+            node.move(parent, getCollaborationIndex(builder, parent, op.after, stamp, node));
+            break;
+
+        case 'update':
+            if (!node) {
+                return;
+            }
+
+            var json = getCollaborationNodeJSON(builder, node);
+            var keys = Object.keys(op.changes).filter(function(key) {
+                return compareCollaborationStamps(stamp, meta.stamps[getCollaborationRegister(node, key)]) > 0;
+            });
+
+            if (keys.length === 0) {
+                return;
+            }
+
+            keys.forEach(function(key) {
+                json[key] = op.changes[key];
+                meta.stamps[getCollaborationRegister(node, key)] = stamp;
+            });
+
+            builder.updateNodeFromJSON(node, json);
+            meta.json = getCollaborationNodeJSON(builder, node);
+            break;
+    }
+}
+
+/**
+ * Returns the position of a node added or moved by another user, after the node `after`.<br>
+ * Nodes added later than the operation are skipped, so concurrent additions get the same order for every user.
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Group} parent
+ * @param {string|null} after - uid of the previous sibling
+ * @param {Array} stamp
+ * @param {Node} [node] - moved node
+ * @returns {int}
+ * @private
+ */
+function getCollaborationIndex(builder, parent, after, stamp, node) {
+    var c = builder.collaboration;
+    var siblings = parent.rules.filter(function(sibling) {
+        return sibling !== node;
+    });
+    var previous = after === null ? -1 : siblings.indexOf(c.nodes.get(after));
+    var index = after !== null && previous === -1 ? siblings.length : previous + 1;
+
+    while (index < siblings.length && c.meta.has(siblings[index]) &&
+        compareCollaborationStamps(c.meta.get(siblings[index]).created, stamp) > 0) {
+        index++;
+    }
+
+    return index;
+}
+
+/**
+ * Gives uids and timestamps to a node and its children
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @param {Array} stamp
+ * @param {object} [json] - JSON of another user, containing the uids
+ * @private
+ */
+function registerCollaborationTree(builder, node, stamp, json) {
+    var c = builder.collaboration;
+
+    if (!node) {
+        return;
+    }
+
+    if (node.isRoot()) {
+        c.nodes = new Map();
+        c.meta = new WeakMap();
+    }
+
+    (function walk(node, json) {
+        if (json) {
+            node.uid = json.uid;
+        }
+
+        c.nodes.set(node.uid, node);
+        c.meta.set(node, {
+            created: stamp,
+            stamps: {},
+            json: getCollaborationNodeJSON(builder, node)
+        });
+
+        if (node instanceof Group) {
+            node.rules.forEach(function(child, i) {
+                walk(child, json && json.rules[i]);
+            });
+        }
+    }(node, json));
+}
+
+/**
+ * Returns the JSON of a node with the uids of the node and its children
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @returns {object}
+ * @private
+ */
+function getCollaborationJSON(builder, node) {
+    var json = builder.getNodeJSON(node, { get_flags: true });
+
+    (function walk(node, json) {
+        json.uid = node.uid;
+
+        if (node instanceof Group) {
+            node.rules.forEach(function(child, i) {
+                walk(child, json.rules[i]);
+            });
+        }
+    }(node, json));
+
+    return json;
+}
+
+/**
+ * Returns the JSON of the whole tree, null if there is no root group
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @returns {object|null}
+ * @private
+ */
+function getCollaborationTree(builder) {
+    return builder.model.root ? getCollaborationJSON(builder, builder.model.root) : null;
+}
+
+/**
+ * Returns the JSON of a node without its children
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @returns {object}
+ * @private
+ */
+function getCollaborationNodeJSON(builder, node) {
+    var json = JSON.parse(JSON.stringify(builder.getNodeJSON(node, { get_flags: true })));
+    delete json.rules;
+    return json;
+}
+
+/**
+ * Returns the modified keys of a node, all the keys of a rule filter are sent together
+ * @memberof module:plugins.Collaboration
+ * @param {Node} node
+ * @param {object} before
+ * @param {object} after
+ * @returns {object|null} null if nothing changed
+ * @private
+ */
+function getCollaborationChanges(node, before, after) {
+    var changes = {};
+    var rule = false;
+
+    Object.keys(before).concat(Object.keys(after)).forEach(function(key) {
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            changes[key] = after[key] === undefined ? null : after[key];
+            rule = rule || getCollaborationRegister(node, key) === 'rule';
+        }
+    });
+
+    if (rule) {
+        COLLABORATION_RULE_KEYS.forEach(function(key) {
+            changes[key] = after[key] === undefined ? null : after[key];
+        });
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Returns the key used for conflicts resolution
+ * @memberof module:plugins.Collaboration
+ * @param {Node} node
+ * @param {string} key
+ * @returns {string}
+ * @private
+ */
+function getCollaborationRegister(node, key) {
+    return node instanceof Rule && COLLABORATION_RULE_KEYS.indexOf(key) !== -1 ? 'rule' : key;
+}
+
+/**
+ * Returns the next Lamport timestamp, as [clock, site]
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @returns {Array}
+ * @private
+ */
+function nextCollaborationStamp(builder) {
+    return [++builder.collaboration.clock, builder.collaboration.site];
+}
+
+/**
+ * Compares two timestamps, a missing timestamp is older than any other
+ * @memberof module:plugins.Collaboration
+ * @param {Array} [a]
+ * @param {Array} [b]
+ * @returns {int}
+ * @private
+ */
+function compareCollaborationStamps(a, b) {
+    if (!a || !b) {
+        return !a && !b ? 0 : (a ? 1 : -1);
+    }
+
+    return a[0] - b[0] || (a[1] < b[1] ? -1 : (a[1] > b[1] ? 1 : 0));
+}
+
+/**
+ * Returns the uid of the previous sibling of a node
+ * @memberof module:plugins.Collaboration
+ * @param {Node} node
+ * @returns {string|null}
+ * @private
+ */
+function getCollaborationPrevious(node) {
+    var index = node.getPos();
+    return index > 0 ? node.parent.rules[index - 1].uid : null;
+}
+
+/**
+ * Checks if a node is a group containing another node, or the node itself
+ * @memberof module:plugins.Collaboration
+ * @param {Node} node
+ * @param {Node} child
+ * @returns {boolean}
+ * @private
+ */
+function isCollaborationAncestor(node, child) {
+    while (child) {
+        if (child === node) {
+            return true;
+        }
+        child = child.parent;
+    }
+
+    return false;
+}
+
+/**
+ * Checks if a node is still in the tree
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @returns {boolean}
+ * @private
+ */
+function isCollaborationNodeAttached(builder, node) {
+    while (node.parent) {
+        node = node.parent;
+    }
+
+    return node === builder.model.root;
+}
+
+/**
+ * Sends a message with the site and the user
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @param {object} message
+ * @private
+ */
+function sendCollaboration(builder, message) {
+    var c = builder.collaboration;
+
+    message.site = c.site;
+    message.user = c.user;
+
+    c.transport.send(message);
+}
+
+/**
+ * Displays the name of the other users on the node they are editing
+ * @memberof module:plugins.Collaboration
+ * @param {QueryBuilder} builder
+ * @private
+ */
+function updatePresenceMarkers(builder) {
+    if (builder.settings.headless || !builder.collaboration) {
+        return;
+    }
+
+    builder.element.querySelectorAll('.collaboration-presence').forEach(function(marker) {
+        marker.remove();
+    });
+
+    builder.getPresence().forEach(function(presence) {
+        if (!presence.node) {
+            return;
+        }
+
+        var selector = presence.node instanceof Group ? QueryBuilder.selectors.group_header : QueryBuilder.selectors.rule_header;
+        var header = presence.node.element.querySelector(':scope > ' + selector);
+
+        if (header) {
+            header.insertAdjacentHTML('beforeend', String(Utils.html`
+                <span class="collaboration-presence" style="background-color: ${presence.user.color}">${presence.user.name}</span>
+            `).trim());
+        }
+    });
+}
@@ -0,0 +1,326 @@
+/**
+ * @class CollectionGroups
+ * @memberof module:plugins
+ * @description Adds groups targeting an array field (eg: `orders`), their rules are applied to each element of the array
+ * with an ANY, ALL or NONE quantifier.<br>
+ * Filters dedicated to a collection must have a `collection` property with the collection id, they are only available inside
+ * groups of this collection.
+ * @param {object} [options]
+ * @param {object[]} options.collections - list of `{id, label, field, sql_template}`, `field` defaults to `id`
+ * @param {string} [options.sql_template='SELECT 1 FROM {0} WHERE {1}'] - SQL subquery, `{0}` is the collection field
+ * and `{1}` the condition on its elements
+ * @param {string} [options.default_quantifier='ANY']
+ * @param {string} [options.icon='bi-collection']
+ */
+QueryBuilder.define('collection-groups', function(options) {
+    var self = this;
+    var Selectors = QueryBuilder.selectors;
+
+    // Bind events
+    if (!this.settings.headless) {
+        this.element.addEventListener('click', function(e) {
+            var button = e.target.closest('[data-add=collection]');
+            if (button) {
+                self.addCollectionGroup(self.getModel(button.closest(Selectors.group_container)));
+            }
+        });
+
+        this.element.addEventListener('change', function(e) {
+            if (e.target.matches(Selectors.group_collection)) {
+                self.getModel(e.target.closest(Selectors.group_container)).collection = e.target.value;
+            }
+            else if (e.target.matches(Selectors.group_quantifier)) {
+                self.getModel(e.target.closest(Selectors.group_container)).quantifier = e.target.value;
+            }
+        });
+    }
+
+    this.model.on('update', function(e, node, field) {
+        if (node instanceof Group && (field === 'collection' || field === 'quantifier')) {
+            self.updateGroupCollection(node);
+        }
+    });
+
+    // Init "collection" and "quantifier" properties
+    this.on('afterAddGroup', function(e) {
+        e.detail.group.__.collection = null;
+        e.detail.group.__.quantifier = null;
+    });
+
+    // Modify templates
+    if (!options.disable_template) {
+        this.on('getGroupTemplate', function(e) {
+            var template = document.createElement('template');
+            template.innerHTML = e.detail.value;
+
+            var actions = template.content.querySelector(Selectors.group_actions);
+            var addRule = actions && actions.querySelector(Selectors.add_rule);
+            if (addRule) {
+                addRule.insertAdjacentHTML('afterend',
+                    '<button type="button" class="btn btn-sm btn-success" data-add="collection">' +
+                    '<i class="' + Utils.escapeHtml(options.icon) + '"></i> ' + Utils.escapeHtml(self.translate('add_collection')) +
+                    '</button>'
+                );
+            }
+
+            e.detail.value = template.innerHTML;
+        });
+    }
+
+    // Only propose the filters of the current collection
+    this.on('getRuleFilters', function(e) {
+        var collection = self.getNodeCollection(e.detail.args[0].parent);
+
+        e.detail.value = e.detail.value.filter(function(filter) {
+            return (filter.collection || null) === (collection ? collection.id : null);
+        });
+    });
+
+    // Export collection to JSON
+    this.on('groupToJson', function(e) {
+        var group = e.detail.args[0];
+
+        if (group.collection) {
+            e.detail.value.collection = group.collection;
+            e.detail.value.quantifier = group.quantifier;
+        }
+    });
+
+    // Read collection from JSON
+    this.on('jsonToGroup', function(e) {
+        var json = e.detail.args[0];
+
+        if (json.collection) {
+            self.getCollectionById(json.collection);
+
+            if (self.settings.collectionQuantifiers.indexOf(json.quantifier || options.default_quantifier) === -1) {
+                Utils.error('UndefinedQuantifier', 'Invalid quantifier "{0}"', json.quantifier);
+            }
+
+            e.detail.value.collection = json.collection;
+            e.detail.value.quantifier = json.quantifier || options.default_quantifier;
+        }
+    });
+
+    // Export collection to SQL
+    this.on('groupToSQL', function(e) {
+        var group = e.detail.args[0];
+
+        if (group.collection) {
+            var collection = self.getCollectionById(group.collection);
+            var sql = self.settings.sqlCollectionQuantifiers[group.quantifier];
+            var template = collection.sql_template || options.sql_template;
+            var field = collection.field || collection.id;
+
+            e.detail.value = sql.call(self, function(condition) {
+                return Utils.fmt(template, [field, condition]);
+            }, e.detail.value);
+        }
+    });
+
+    // Export collection to Mongo
+    this.on('groupToMongo', function(e) {
+        var group = e.detail.args[0];
+
+        if (group.collection) {
+            if (e.detail.args[1] === 'expr') {
+                Utils.error('UndefinedMongoCondition', 'Unable to build MongoDB expression with collection "{0}"', group.collection);
+            }
+
+            var collection = self.getCollectionById(group.collection);
+            var mdb = self.settings.mongoCollectionQuantifiers[group.quantifier];
+
+            var expression = {};
+            expression[collection.field || collection.id] = mdb.call(self, e.detail.value);
+            e.detail.value = expression;
+        }
+    });
+}, {
+    collections: [],
+    sql_template: 'SELECT 1 FROM {0} WHERE {1}',
+    default_quantifier: 'ANY',
+    icon: 'bi-collection',
+    disable_template: false
+});
+
+QueryBuilder.defaults({
+    collectionQuantifiers: ['ANY', 'ALL', 'NONE'],
+
+    // quantifiers for internal -> SQL conversion
+    sqlCollectionQuantifiers: {
+        // @formatter:off
+        ANY:  function(subquery, sql) { return 'EXISTS (' + subquery(sql) + ')'; },
+        ALL:  function(subquery, sql) { return 'NOT EXISTS (' + subquery('NOT (' + sql + ')') + ')'; },
+        NONE: function(subquery, sql) { return 'NOT EXISTS (' + subquery(sql) + ')'; }
+        // @formatter:on
+    },
+
+    // quantifiers for internal -> MongoDB conversion
+    mongoCollectionQuantifiers: {
+        // @formatter:off
+        ANY:  function(query) { return { '$elemMatch': query }; },
+        ALL:  function(query) { return { '$not': { '$elemMatch': { '$nor': [query] } } }; },
+        NONE: function(query) { return { '$not': { '$elemMatch': query } }; }
+        // @formatter:on
+    }
+});
+
+/**
+ * From {@link module:plugins.CollectionGroups}
+ * @name collection
+ * @member {string|null}
+ * @memberof Group
+ * @instance
+ */
+/**
+ * From {@link module:plugins.CollectionGroups}
+ * @name quantifier
+ * @member {string|null}
+ * @memberof Group
+ * @instance
+ */
+Utils.defineModelProperties(Group, ['collection', 'quantifier']);
+
+QueryBuilder.selectors.group_collection_container = QueryBuilder.selectors.group_header + ' .group-collection';
+QueryBuilder.selectors.group_collection = QueryBuilder.selectors.group_header + ' [name$=_collection]';
+QueryBuilder.selectors.group_quantifier = QueryBuilder.selectors.group_header + ' [name$=_quantifier]';
+
+QueryBuilder.extend(/** @lends module:plugins.CollectionGroups.prototype */ {
+    /**
+     * Adds a new group targeting a collection
+     * @param {Group} parent
+     * @param {string} [collection] - first collection by default
+     * @param {string} [quantifier] - `default_quantifier` by default
+     * @returns {Group}
+     * @throws UndefinedCollectionError
+     */
+    addCollectionGroup: function(parent, collection, quantifier) {
+        var options = this.plugins['collection-groups'];
+
+        if (collection === undefined) {
+            if (options.collections.length === 0) {
+                Utils.error('UndefinedCollection', 'No collection defined');
+            }
+            collection = options.collections[0].id;
+        }
+
+        this.getCollectionById(collection);
+
+        var group = this.addGroup(parent, false);
+
+        if (group !== null) {
+            group.collection = collection;
+            group.quantifier = quantifier || options.default_quantifier;
+            this.addRule(group);
+        }
+
+        return group;
+    },
+
+    /**
+     * Returns a collection by its id
+     * @param {string} id
+     * @returns {object}
+     * @throws UndefinedCollectionError
+     */
+    getCollectionById: function(id) {
+        var collections = this.plugins['collection-groups'].collections;
+
+        for (var i = 0, l = collections.length; i < l; i++) {
+            if (collections[i].id === id) {
+                return collections[i];
+            }
+        }
+
+        Utils.error('UndefinedCollection', 'Undefined collection "{0}"', id);
+    },
+
+    /**
+     * Returns the collection of the closest collection group containing a node
+     * @param {Node} node
+     * @returns {object|null}
+     */
+    getNodeCollection: function(node) {
+        while (node) {
+            if (node instanceof Group && node.collection) {
+                return this.getCollectionById(node.collection);
+            }
+            node = node.parent;
+        }
+
+        return null;
+    },
+
+    /**
+     * Performs actions when a group's collection or quantifier changes
+     * @param {Group} group
+     * @fires module:plugins.CollectionGroups.afterUpdateGroupCollection
+     * @private
+     */
+    updateGroupCollection: function(group) {
+        var self = this;
+        var Selectors = QueryBuilder.selectors;
+
+        if (!this.settings.headless) {
+            var header = group.element.querySelector(':scope > ' + Selectors.group_header);
+
+            header.querySelectorAll(':scope > .group-collection').forEach(function(element) {
+                element.remove();
+            });
+
+            if (group.collection) {
+                group.element.querySelector(':scope > ' + Selectors.condition_container)
+                    .insertAdjacentHTML('beforebegin', this.getGroupCollectionSelect(group));
+            }
+
+            // the available filters depend on the collection
+            (function refresh(node) {
+                node.each(function(rule) {
+                    self.createRuleFilters(rule);
+                    rule.element.querySelector(Selectors.rule_filter).value = rule.filter ? rule.filter.id : '-1';
+                }, function(subgroup) {
+                    if (!subgroup.collection) {
+                        refresh(subgroup);
+                    }
+                });
+            }(group));
+        }
+
+        /**
+         * After the group's collection or quantifier has been modified
+         * @event afterUpdateGroupCollection
+         * @memberof module:plugins.CollectionGroups
+         * @param {Group} group
+         */
+        this.trigger('afterUpdateGroupCollection', group);
+
+        this.trigger('rulesChanged');
+    },
+
+    /**
+     * Returns the HTML of the quantifier and collection dropdowns of a group
+     * @param {Group} group
+     * @returns {string}
+     * @private
+     */
+    getGroupCollectionSelect: function(group) {
+        var self = this;
+        var h = '<div class="group-collection">';
+
+        h += '<select class="form-select" name="' + group.id + '_quantifier">';
+        this.settings.collectionQuantifiers.forEach(function(quantifier) {
+            h += '<option value="' + quantifier + '"' + (quantifier === group.quantifier ? ' selected' : '') + '>' +
+                self.translate('quantifiers', quantifier) + '</option>';
+        });
+        h += '</select> ';
+
+        h += '<select class="form-select" name="' + group.id + '_collection">';
+        this.plugins['collection-groups'].collections.forEach(function(collection) {
+            h += '<option value="' + collection.id + '"' + (collection.id === group.collection ? ' selected' : '') + '>' +
+                self.translate(collection.label || collection.id) + '</option>';
+        });
+        h += '</select>';
+
+        return h + '</div>';
+    }
+});
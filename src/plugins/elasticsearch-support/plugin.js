@@ -0,0 +1,499 @@
+/**
+ * @class ElasticsearchSupport
+ * @memberof module:plugins
+ * @description Allows to export rules as an Elasticsearch bool query as well as populating the builder from an Elasticsearch query.
+ */
+
+QueryBuilder.defaults({
+    esOperators: {
+        // @formatter:off
+        equal:            function(f, v) { return { 'term': esField(f, v[0]) }; },
+        not_equal:        function(f, v) { return esNot({ 'term': esField(f, v[0]) }); },
+        in:               function(f, v) { return { 'terms': esField(f, v) }; },
+        not_in:           function(f, v) { return esNot({ 'terms': esField(f, v) }); },
+        less:             function(f, v) { return { 'range': esField(f, { 'lt': v[0] }) }; },
+        less_or_equal:    function(f, v) { return { 'range': esField(f, { 'lte': v[0] }) }; },
+        greater:          function(f, v) { return { 'range': esField(f, { 'gt': v[0] }) }; },
+        greater_or_equal: function(f, v) { return { 'range': esField(f, { 'gte': v[0] }) }; },
+        between:          function(f, v) { return { 'range': esField(f, { 'gte': v[0], 'lte': v[1] }) }; },
+        not_between:      function(f, v) { return esNot({ 'range': esField(f, { 'gte': v[0], 'lte': v[1] }) }); },
+        begins_with:      function(f, v) { return { 'prefix': esField(f, v[0]) }; },
+        not_begins_with:  function(f, v) { return esNot({ 'prefix': esField(f, v[0]) }); },
+        contains:         function(f, v) { return { 'wildcard': esField(f, '*' + escapeESWildcard(v[0]) + '*') }; },
+        not_contains:     function(f, v) { return esNot({ 'wildcard': esField(f, '*' + escapeESWildcard(v[0]) + '*') }); },
+        ends_with:        function(f, v) { return { 'wildcard': esField(f, '*' + escapeESWildcard(v[0])) }; },
+        not_ends_with:    function(f, v) { return esNot({ 'wildcard': esField(f, '*' + escapeESWildcard(v[0])) }); },
+        is_empty:         function(f, v) { return { 'term': esField(f, '') }; },
+        is_not_empty:     function(f, v) { return esNot({ 'term': esField(f, '') }); },
+        is_null:          function(f, v) { return esNot({ 'exists': { 'field': f } }); },
+        is_not_null:      function(f, v) { return { 'exists': { 'field': f } }; }
+        // @formatter:on
+    },
+
+    esRuleOperators: {
+        term: function(v) {
+            v = esUnwrapValue(v);
+            return {
+                'val': v,
+                'op': v === '' ? 'is_empty' : 'equal'
+            };
+        },
+        terms: function(v) {
+            return { 'val': v, 'op': 'in' };
+        },
+        range: function(v) {
+            var bounds = ['gt', 'gte', 'lt', 'lte'].filter(function(bound) {
+                return v[bound] !== undefined;
+            });
+
+            if (bounds.length > 1 && bounds.join(',') !== 'gte,lte') {
+                Utils.error('ESParse', 'Unsupported range bounds "{0}"', bounds.join(', '));
+            }
+            if (v.gte !== undefined && v.lte !== undefined) {
+                return { 'val': [v.gte, v.lte], 'op': 'between' };
+            }
+            if (v.lt !== undefined) {
+                return { 'val': v.lt, 'op': 'less' };
+            }
+            if (v.lte !== undefined) {
+                return { 'val': v.lte, 'op': 'less_or_equal' };
+            }
+            if (v.gt !== undefined) {
+                return { 'val': v.gt, 'op': 'greater' };
+            }
+            if (v.gte !== undefined) {
+                return { 'val': v.gte, 'op': 'greater_or_equal' };
+            }
+            Utils.error('ESParse', 'Invalid range format');
+        },
+        prefix: function(v) {
+            return { 'val': esUnwrapValue(v), 'op': 'begins_with' };
+        },
+        wildcard: function(v) {
+            v = esUnwrapValue(v);
+            if (v.length > 1 && v.slice(0, 1) == '*' && v.slice(-1) == '*' && v.slice(-2) != '\\*') {
+                return { 'val': unescapeESWildcard(v.slice(1, -1)), 'op': 'contains' };
+            }
+            else if (v.slice(0, 1) == '*') {
+                return { 'val': unescapeESWildcard(v.slice(1)), 'op': 'ends_with' };
+            }
+            else if (v.slice(-1) == '*' && v.slice(-2) != '\\*') {
+                return { 'val': unescapeESWildcard(v.slice(0, -1)), 'op': 'begins_with' };
+            }
+            Utils.error('ESParse', 'Invalid value for wildcard query "{0}"', v);
+        },
+        exists: function(v) {
+            return { 'val': null, 'op': 'is_not_null' };
+        }
+    },
+
+    // operators obtained by wrapping a query in "bool.must_not"
+    esNegatedOperators: {
+        'equal':       'not_equal',
+        'in':          'not_in',
+        'between':     'not_between',
+        'begins_with': 'not_begins_with',
+        'contains':    'not_contains',
+        'ends_with':   'not_ends_with',
+        'is_empty':    'is_not_empty',
+        'is_not_null': 'is_null'
+    }
+});
+
+QueryBuilder.extend(/** @lends module:plugins.ElasticsearchSupport.prototype */ {
+    /**
+     * Returns rules as an Elasticsearch bool query
+     * @param {object} [data] - current rules by default, without the disabled ones, with the bound parameters and the resolved relative dates
+     * @returns {object}
+     * @fires module:plugins.ElasticsearchSupport.changer:getESField
+     * @fires module:plugins.ElasticsearchSupport.changer:ruleToES
+     * @fires module:plugins.ElasticsearchSupport.changer:groupToES
+     * @throws UndefinedESConditionError, UndefinedESOperatorError
+     */
+    getESBool: function(data) {
+        data = (data === undefined) ? this.getRules({ skip_disabled: true, bind_parameters: true, resolve_relative_dates: true }) : data;
+
+        if (!data) {
+            return null;
+        }
+
+        var self = this;
+
+        return (function parse(group) {
+            if (!group.condition) {
+                group.condition = self.settings.default_condition;
+            }
+            if (['AND', 'OR'].indexOf(group.condition.toUpperCase()) === -1) {
+                Utils.error('UndefinedESCondition', 'Unable to build Elasticsearch query with condition "{0}"', group.condition);
+            }
+
+            if (!group.rules) {
+                return { 'match_all': {} };
+            }
+
+            var parts = [];
+
+            group.rules.forEach(function(rule) {
+                if (rule.rules && rule.rules.length > 0) {
+                    parts.push(parse(rule));
+                }
+                else {
+                    var es = self.settings.esOperators[rule.operator];
+                    var ope = self.getOperatorByType(rule.operator);
+
+                    if (es === undefined) {
+                        Utils.error('UndefinedESOperator', 'Unknown Elasticsearch operation for operator "{0}"', rule.operator);
+                    }
+
+                    if (ope.nb_inputs !== 0) {
+                        if (!(rule.value instanceof Array)) {
+                            rule.value = [rule.value];
+                        }
+                    }
+
+                    /**
+                     * Modifies the Elasticsearch field used by a rule
+                     * @event changer:getESField
+                     * @memberof module:plugins.ElasticsearchSupport
+                     * @param {string} field
+                     * @param {Rule} rule
+                     * @returns {string}
+                     */
+                    var field = self.change('getESField', rule.field, rule);
+
+                    var ruleExpression = es.call(self, field, rule.value);
+
+                    /**
+                     * Modifies the Elasticsearch query generated for a rule
+                     * @event changer:ruleToES
+                     * @memberof module:plugins.ElasticsearchSupport
+                     * @param {object} expression
+                     * @param {Rule} rule
+                     * @param {*} value
+                     * @param {function} valueWrapper - function that takes the field and the value and builds the query
+                     * @returns {object}
+                     */
+                    parts.push(self.change('ruleToES', ruleExpression, rule, rule.value, es));
+                }
+            });
+
+            var groupExpression = { 'bool': {} };
+            if (group.condition.toUpperCase() === 'AND') {
+                groupExpression.bool.must = parts;
+            }
+            else {
+                groupExpression.bool.should = parts;
+                groupExpression.bool.minimum_should_match = 1;
+            }
+
+            /**
+             * Modifies the Elasticsearch query generated for a group
+             * @event changer:groupToES
+             * @memberof module:plugins.ElasticsearchSupport
+             * @param {object} expression
+             * @param {Group} group
+             * @returns {object}
+             */
+            return self.change('groupToES', groupExpression, group);
+        }(data));
+    },
+
+    /**
+     * Converts an Elasticsearch query to rules
+     * @param {object} query
+     * @returns {object}
+     * @fires module:plugins.ElasticsearchSupport.changer:parseESNode
+     * @fires module:plugins.ElasticsearchSupport.changer:getESFieldID
+     * @fires module:plugins.ElasticsearchSupport.changer:esToRule
+     * @fires module:plugins.ElasticsearchSupport.changer:esToGroup
+     * @throws ESParseError, UndefinedESOperatorError
+     */
+    getRulesFromES: function(query) {
+        if (query === undefined || query === null) {
+            return null;
+        }
+
+        var self = this;
+
+        // accept full search bodies
+        if ('query' in query) {
+            query = query.query;
+        }
+
+        /**
+         * Custom parsing of an Elasticsearch query, you can return a sub-part of the query, or a well formed group or rule JSON
+         * @event changer:parseESNode
+         * @memberof module:plugins.ElasticsearchSupport
+         * @param {object} query
+         * @returns {object} query, rule or group
+         */
+        query = self.change('parseESNode', query);
+
+        // a plugin returned a group
+        if ('rules' in query && 'condition' in query) {
+            return query;
+        }
+
+        // a plugin returned a rule
+        if ('id' in query && 'operator' in query && 'value' in query) {
+            return {
+                condition: this.settings.default_condition,
+                rules: [query]
+            };
+        }
+
+        // a single rule
+        if (!self.isESGroup(query)) {
+            return {
+                condition: this.settings.default_condition,
+                rules: [self.esClauseToRule(query)]
+            };
+        }
+
+        return (function parse(data) {
+            var key = self.getESCondition(data);
+            var parts = [];
+
+            (key ? data.bool[key] : []).forEach(function(data) {
+                // allow plugins to manually parse or handle special cases
+                data = self.change('parseESNode', data);
+
+                // a plugin returned a group
+                if ('rules' in data && 'condition' in data) {
+                    parts.push(data);
+                    return;
+                }
+
+                // a plugin returned a rule
+                if ('id' in data && 'operator' in data && 'value' in data) {
+                    parts.push(data);
+                    return;
+                }
+
+                if (self.isESGroup(data)) {
+                    parts.push(parse(data));
+                }
+                else {
+                    parts.push(self.esClauseToRule(data));
+                }
+            });
+
+            // "must_not" next to the other clauses is added as negated rules
+            var negations = (data.bool.must_not || []).map(function(clause) {
+                return self.esClauseToRule({ 'bool': { 'must_not': [clause] } });
+            });
+
+            if (key === 'should' && negations.length > 0) {
+                parts = [self.change('esToGroup', { condition: 'OR', rules: parts }, data)];
+            }
+
+            /**
+             * Modifies the group generated from the Elasticsearch query
+             * @event changer:esToGroup
+             * @memberof module:plugins.ElasticsearchSupport
+             * @param {object} group
+             * @param {object} query
+             * @returns {object}
+             */
+            return self.change('esToGroup', {
+                condition: key === 'should' && negations.length === 0 ? 'OR' : 'AND',
+                rules: parts.concat(negations)
+            }, data);
+        }(query));
+    },
+
+    /**
+     * Sets rules a from Elasticsearch query
+     * @see module:plugins.ElasticsearchSupport.getRulesFromES
+     */
+    setRulesFromES: function(query) {
+        this.setRules(this.getRulesFromES(query));
+    },
+
+    /**
+     * Converts a leaf Elasticsearch query to a rule
+     * @param {object} data
+     * @returns {object}
+     * @fires module:plugins.ElasticsearchSupport.changer:esToRule
+     * @throws ESParseError, UndefinedESOperatorError
+     * @private
+     */
+    esClauseToRule: function(data) {
+        var negated = false;
+        var clause = data;
+
+        if (clause.bool && Object.keys(clause.bool).length === 1 && clause.bool.must_not && clause.bool.must_not.length === 1) {
+            negated = true;
+            clause = clause.bool.must_not[0];
+
+            if (clause.bool) {
+                Utils.error('ESParse', 'Unable to negate a bool query');
+            }
+        }
+
+        var keys = Object.keys(clause);
+        if (keys.length !== 1 || clause[keys[0]] === null || typeof clause[keys[0]] !== 'object') {
+            Utils.error('ESParse', 'Invalid Elasticsearch query format');
+        }
+
+        var type = keys[0];
+        var esrl = this.settings.esRuleOperators[type];
+        if (esrl === undefined) {
+            Utils.error('UndefinedESOperator', 'JSON Rule operation unknown for query "{0}"', type);
+        }
+
+        var field = type === 'exists' ? clause[type].field : Object.keys(clause[type])[0];
+        var value = type === 'exists' ? null : clause[type][field];
+        var opVal = esrl.call(this, value);
+
+        if (negated) {
+            if (!this.settings.esNegatedOperators[opVal.op]) {
+                Utils.error('UndefinedESOperator', 'Unable to negate operator "{0}"', opVal.op);
+            }
+            opVal.op = this.settings.esNegatedOperators[opVal.op];
+        }
+
+        var id = this.getESFieldID(field, value);
+
+        /**
+         * Modifies the rule generated from the Elasticsearch query
+         * @event changer:esToRule
+         * @memberof module:plugins.ElasticsearchSupport
+         * @param {object} rule
+         * @param {object} query
+         * @returns {object}
+         */
+        return this.change('esToRule', {
+            id: id,
+            field: field,
+            operator: opVal.op,
+            value: opVal.val
+        }, data);
+    },
+
+    /**
+     * Returns a filter identifier from the Elasticsearch field.
+     * Automatically use the only one filter with a matching field, fires a changer otherwise.
+     * @param {string} field
+     * @param {*} value
+     * @fires module:plugins.ElasticsearchSupport:changer:getESFieldID
+     * @returns {string}
+     * @private
+     */
+    getESFieldID: function(field, value) {
+        var matchingFilters = this.filters.filter(function(filter) {
+            return filter.field === field;
+        });
+
+        var id;
+        if (matchingFilters.length === 1) {
+            id = matchingFilters[0].id;
+        }
+        else {
+            /**
+             * Returns a filter identifier from the Elasticsearch field
+             * @event changer:getESFieldID
+             * @memberof module:plugins.ElasticsearchSupport
+             * @param {string} field
+             * @param {*} value
+             * @returns {string}
+             */
+            id = this.change('getESFieldID', field, value);
+        }
+
+        return id;
+    },
+
+    /**
+     * Checks if a query is converted to a group: a bool query with "must", "filter", "should" or several "must_not"
+     * @param {object} data
+     * @returns {boolean}
+     * @private
+     */
+    isESGroup: function(data) {
+        return !!data.bool && (!!this.getESCondition(data) || (data.bool.must_not || []).length > 1);
+    },
+
+    /**
+     * Returns the bool clause ("must", "filter" or "should") holding the children of a group
+     * @param {object} data
+     * @returns {string|undefined}
+     * @private
+     */
+    getESCondition: function(data) {
+        if (!data.bool) {
+            return;
+        }
+
+        var keys = Object.keys(data.bool).filter(function(key) {
+            return ['must', 'filter', 'should'].indexOf(key) !== -1;
+        });
+
+        if (keys.length > 1) {
+            Utils.error('ESParse', 'Mixed bool clauses are not supported');
+        }
+
+        return keys[0];
+    }
+});
+
+/**
+ * Builds the "field: value" part of a leaf query
+ * @memberof module:plugins.ElasticsearchSupport
+ * @param {string} field
+ * @param {*} value
+ * @returns {object}
+ * @private
+ */
+function esField(field, value) {
+    var obj = {};
+    obj[field] = value;
+    return obj;
+}
+
+/**
+ * Wraps a leaf query in a "bool.must_not" query
+ * @memberof module:plugins.ElasticsearchSupport
+ * @param {object} query
+ * @returns {object}
+ * @private
+ */
+function esNot(query) {
+    return { 'bool': { 'must_not': [query] } };
+}
+
+/**
+ * Returns the value of a leaf query written in short or long form
+ * @memberof module:plugins.ElasticsearchSupport
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+function esUnwrapValue(value) {
+    if (value !== null && typeof value == 'object' && 'value' in value) {
+        return value.value;
+    }
+    return value;
+}
+
+/**
+ * Escapes a string for use in a wildcard query
+ * @memberof module:plugins.ElasticsearchSupport
+ * @param {string} str
+ * @returns {string}
+ * @private
+ */
+function escapeESWildcard(str) {
+    return String(str).replace(/[\\*?]/g, '\\$&');
+}
+
+/**
+ * Reverts {@link escapeESWildcard}
+ * @memberof module:plugins.ElasticsearchSupport
+ * @param {string} str
+ * @returns {string}
+ * @private
+ */
+function unescapeESWildcard(str) {
+    return str.replace(/\\([\\*?])/g, '$1');
+}
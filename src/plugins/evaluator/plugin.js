@@ -0,0 +1,232 @@
+/**
+ * @class Evaluator
+ * @memberof module:plugins
+ * @description Allows to evaluate rules against plain JavaScript objects, without sending them to a backend.
+ */
+
+QueryBuilder.defaults({
+    // operators for in-memory evaluation, "a" is the record value and "v" the rule values
+    evaluateOperators: {
+        // @formatter:off
+        equal:            function(a, v) { return a === v[0]; },
+        not_equal:        function(a, v) { return a !== v[0]; },
+        in:               function(a, v) { return v.indexOf(a) !== -1; },
+        not_in:           function(a, v) { return v.indexOf(a) === -1; },
+        less:             function(a, v) { return a < v[0]; },
+        less_or_equal:    function(a, v) { return a <= v[0]; },
+        greater:          function(a, v) { return a > v[0]; },
+        greater_or_equal: function(a, v) { return a >= v[0]; },
+        between:          function(a, v) { return a >= v[0] && a <= v[1]; },
+        not_between:      function(a, v) { return a < v[0] || a > v[1]; },
+        begins_with:      function(a, v) { return String(a).indexOf(v[0]) === 0; },
+        not_begins_with:  function(a, v) { return String(a).indexOf(v[0]) !== 0; },
+        contains:         function(a, v) { return String(a).indexOf(v[0]) !== -1; },
+        not_contains:     function(a, v) { return String(a).indexOf(v[0]) === -1; },
+        ends_with:        function(a, v) { return String(a).slice(-String(v[0]).length) === String(v[0]); },
+        not_ends_with:    function(a, v) { return String(a).slice(-String(v[0]).length) !== String(v[0]); },
+        is_empty:         function(a)    { return a === ''; },
+        is_not_empty:     function(a)    { return a !== '' && a !== null; },
+        is_null:          function(a)    { return a === null; },
+        is_not_null:      function(a)    { return a !== null; }
+        // @formatter:on
+    }
+});
+
+QueryBuilder.extend(/** @lends module:plugins.Evaluator.prototype */ {
+    /**
+     * Checks if a record matches the rules.
+     * A `null` or missing value never matches, except for operators without input (`is_null`, `is_empty`...).
+     * @param {object} record
+     * @param {object} [data] - current rules by default, without the disabled ones, with the bound parameters and the resolved relative dates
+     * @returns {boolean|null} `null` if the rules are invalid
+     * @fires module:plugins.Evaluator.changer:getEvaluatedField
+     * @fires module:plugins.Evaluator.changer:evaluateRule
+     * @fires module:plugins.Evaluator.changer:evaluateGroup
+     * @throws UndefinedEvaluateConditionError, UndefinedEvaluateOperatorError
+     */
+    evaluate: function(record, data) {
+        data = (data === undefined) ? this.getRules({ skip_disabled: true, bind_parameters: true, resolve_relative_dates: true }) : data;
+
+        if (!data) {
+            return null;
+        }
+
+        var self = this;
+
+        return (function parse(group) {
+            if (!group.condition) {
+                group.condition = self.settings.default_condition;
+            }
+            if (['AND', 'OR'].indexOf(group.condition.toUpperCase()) === -1) {
+                Utils.error('UndefinedEvaluateCondition', 'Unable to evaluate condition "{0}"', group.condition);
+            }
+
+            var rules = group.rules || [];
+            var isAnd = group.condition.toUpperCase() === 'AND';
+            var result = rules.length === 0 || isAnd;
+
+            for (var i = 0, l = rules.length; i < l; i++) {
+                var partial = rules[i].rules ? parse(rules[i]) : self.evaluateRule(record, rules[i]);
+
+                if (partial !== isAnd) {
+                    result = partial;
+                    break;
+                }
+            }
+
+            /**
+             * Modifies the result of a group
+             * @event changer:evaluateGroup
+             * @memberof module:plugins.Evaluator
+             * @param {boolean} result
+             * @param {Group} group
+             * @param {object} record
+             * @returns {boolean}
+             */
+            return self.change('evaluateGroup', result, group, record);
+        }(data));
+    },
+
+    /**
+     * Returns the records matching the rules
+     * @param {object[]} records
+     * @param {object} [data] - current rules by default, without the disabled ones, with the bound parameters and the resolved relative dates
+     * @returns {object[]} an empty array if the rules are invalid
+     */
+    filterRecords: function(records, data) {
+        data = (data === undefined) ? this.getRules({ skip_disabled: true, bind_parameters: true, resolve_relative_dates: true }) : data;
+
+        if (!data) {
+            return [];
+        }
+
+        var self = this;
+
+        return records.filter(function(record) {
+            return self.evaluate(record, data) === true;
+        });
+    },
+
+    /**
+     * Checks if a record matches a single rule
+     * @param {object} record
+     * @param {object} rule
+     * @returns {boolean}
+     * @fires module:plugins.Evaluator.changer:getEvaluatedField
+     * @fires module:plugins.Evaluator.changer:getEvaluatedValues
+     * @fires module:plugins.Evaluator.changer:evaluateRule
+     * @throws UndefinedEvaluateOperatorError
+     * @private
+     */
+    evaluateRule: function(record, rule) {
+        var fn = this.settings.evaluateOperators[rule.operator];
+        var ope = this.getOperatorByType(rule.operator);
+        var filter = this.getFilterById(rule.id, false) || { type: rule.type };
+
+        if (fn === undefined) {
+            Utils.error('UndefinedEvaluateOperator', 'Unknown evaluation for operator "{0}"', rule.operator);
+        }
+
+        /**
+         * Modifies the path of the record value used by a rule
+         * @event changer:getEvaluatedField
+         * @memberof module:plugins.Evaluator
+         * @param {string} field
+         * @param {Rule} rule
+         * @returns {string}
+         */
+        var field = this.change('getEvaluatedField', rule.field, rule);
+
+        var actual = evaluatorNormalize(this.getRecordValue(record, field), filter);
+        var values = [];
+
+        if (ope.nb_inputs !== 0) {
+            values = rule.value instanceof Array ? rule.value : [rule.value];
+
+            /**
+             * Modifies the values of a rule before they are compared to the record
+             * @event changer:getEvaluatedValues
+             * @memberof module:plugins.Evaluator
+             * @param {array} values
+             * @param {Rule} rule
+             * @param {object} record
+             * @returns {array}
+             */
+            values = this.change('getEvaluatedValues', values, rule, record).map(function(v) {
+                return evaluatorNormalize(v, filter);
+            });
+        }
+
+        var result = (actual === null && ope.nb_inputs !== 0) ? false : !!fn.call(this, actual, values);
+
+        /**
+         * Modifies the result of a rule
+         * @event changer:evaluateRule
+         * @memberof module:plugins.Evaluator
+         * @param {boolean} result
+         * @param {Rule} rule
+         * @param {object} record
+         * @param {*} value - normalized value of the record
+         * @returns {boolean}
+         */
+        return this.change('evaluateRule', result, rule, record, actual);
+    },
+
+    /**
+     * Reads a value in a record, dotted fields are looked-up in nested objects
+     * @param {object} record
+     * @param {string} field
+     * @returns {*}
+     */
+    getRecordValue: function(record, field) {
+        return evaluatorLookup(record, field);
+    }
+});
+
+/**
+ * Reads a value in a record, dotted fields are looked-up in nested objects
+ * @memberof module:plugins.Evaluator
+ * @param {object} record
+ * @param {string} field
+ * @returns {*}
+ * @private
+ */
+function evaluatorLookup(record, field) {
+    if (record === null || record === undefined) {
+        return undefined;
+    }
+
+    if (field in Object(record)) {
+        return record[field];
+    }
+
+    return field.split('.').reduce(function(obj, key) {
+        return (obj === null || obj === undefined) ? undefined : obj[key];
+    }, record);
+}
+
+/**
+ * Converts a value to the type of the filter, datetimes are converted to timestamps
+ * @memberof module:plugins.Evaluator
+ * @param {*} value
+ * @param {object} filter
+ * @returns {*} `null` for missing or invalid values
+ * @private
+ */
+function evaluatorNormalize(value, filter) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (QueryBuilder.types[filter.type] === 'datetime') {
+        var format = filter.validation && filter.validation.format;
+        var datetime = typeof value === 'string' ? moment(value, format) : moment(value);
+        return datetime.isValid() ? datetime.valueOf() : null;
+    }
+
+    if (typeof value === 'string' && value !== '') {
+        return Utils.changeType(value, filter.type);
+    }
+
+    return value;
+}
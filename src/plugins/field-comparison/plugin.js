@@ -0,0 +1,452 @@
+/**
+ * @class FieldComparison
+ * @memberof module:plugins
+ * @description Allows to compare a rule to another filter instead of a literal value (eg: `price > cost`).<br>
+ * The value of such rule is exported as `{ field: 'cost' }`, `field` being the id of the compared filter, all the values
+ * of a rule must reference filters.
+ * Only filters of the same {@link QueryBuilder.types} category can be compared.
+ * @param {object} [options]
+ * @param {string} [options.icon='bi-arrow-left-right']
+ */
+QueryBuilder.define('field-comparison', function(options) {
+    var self = this;
+    var Selectors = QueryBuilder.selectors;
+
+    // Bind events
+    if (!this.settings.headless) {
+        this.element.addEventListener('click', function(e) {
+            var button = e.target.closest('[data-field-comparison=rule]');
+            if (button) {
+                var rule = self.getModel(button.closest(Selectors.rule_container));
+                rule.field_comparison = !rule.field_comparison;
+            }
+        });
+    }
+
+    this.model.on('update', function(e, node, field) {
+        if (node instanceof Rule && field === 'field_comparison') {
+            self.updateRuleFieldComparison(node);
+        }
+    });
+
+    // Init "field_comparison" property
+    this.on('afterAddRule', function(e) {
+        e.detail.rule.__.field_comparison = false;
+    });
+
+    // Modify templates
+    if (!options.disable_template) {
+        this.on('getRuleTemplate', function(e) {
+            var template = document.createElement('template');
+            template.innerHTML = e.detail.value;
+
+            var actions = template.content.querySelector(Selectors.rule_actions);
+            if (actions) {
+                actions.insertAdjacentHTML('afterbegin',
+                    '<button type="button" class="btn btn-sm btn-default" data-field-comparison="rule">' +
+                    '<i class="' + Utils.escapeHtml(options.icon) + '"></i> ' + Utils.escapeHtml(self.translate('field_comparison')) +
+                    '</button>'
+                );
+            }
+
+            e.detail.value = template.innerHTML;
+        });
+    }
+
+    // Replace the inputs by a dropdown of compatible filters
+    this.on('getRuleInput', function(e) {
+        var rule = e.detail.args[0];
+
+        if (rule.field_comparison) {
+            e.detail.value = self.getFieldComparisonSelect(rule, e.detail.args[1]);
+        }
+    });
+
+    // Read the compared filters from the dropdowns
+    this.on('getRuleValue', function(e) {
+        var rule = e.detail.args[0];
+
+        if (rule.field_comparison) {
+            e.detail.value = self.getFieldComparisonValue(rule);
+        }
+    });
+
+    // Write the compared filters in the dropdowns
+    this.on('afterUpdateRuleValue', function(e) {
+        var rule = e.detail.rule;
+
+        if (rule.field_comparison && !rule._updating_value && !self.settings.headless) {
+            self.setFieldComparisonValue(rule, rule.value);
+        }
+    });
+
+    // Validate the compared filters
+    this.on('validateValue', function(e) {
+        if (e.detail.rule.field_comparison) {
+            e.detail.result = self.validateFieldComparison(e.detail.rule, e.detail.value);
+        }
+    });
+
+    // Read "field_comparison" from JSON
+    this.on('jsonToRule', function(e) {
+        var rule = e.detail.value;
+        var json = e.detail.args[0];
+        var value = Array.isArray(json.value) ? json.value : [json.value];
+
+        if (rule.operator && rule.operator.nb_inputs > 0 && value.some(isFieldComparisonValue)) {
+            rule.field_comparison = true;
+            rule.value = json.value;
+        }
+    });
+
+    // Export compared fields to SQL, without quotes nor statement parameters
+    this.on('getSQLRawValue', function(e) {
+        var value = e.detail.args[0];
+
+        if (isFieldComparisonValue(value)) {
+            e.detail.value = self.change('getSQLField', self.getFieldComparisonField(value), e.detail.args[1]);
+        }
+    });
+
+    // Export compared fields to Mongo as an aggregation expression
+    this.on('ruleToMongo', function(e) {
+        var rule = e.detail.args[0];
+        var values = Array.isArray(e.detail.args[1]) ? e.detail.args[1] : [e.detail.args[1]];
+        var mode = e.detail.args[3];
+
+        if (!values.some(isFieldComparisonValue)) {
+            return;
+        }
+
+        var mdb = self.settings.fieldComparisonMongoOperators[rule.operator];
+
+        if (mdb === undefined) {
+            Utils.error('UndefinedFieldComparisonOperator', 'Unable to compare fields with operator "{0}"', rule.operator);
+        }
+
+        var field = '$' + self.change('getMongoDBField', rule.field, rule);
+
+        values = self.getFieldComparisonFields(rule, values).map(function(compared) {
+            return '$' + self.change('getMongoDBField', compared, rule);
+        });
+
+        var expression = mdb.call(self, field, values);
+        e.detail.value = mode === 'expr' ? expression : { '$expr': expression };
+    });
+
+    // Export compared fields to JsonLogic as variables
+    this.on('ruleToJsonLogic', function(e) {
+        var rule = e.detail.args[0];
+        var values = e.detail.args[1];
+
+        if (!Array.isArray(values) || !values.some(isFieldComparisonValue)) {
+            return;
+        }
+
+        if (self.settings.fieldComparisonOperators.indexOf(rule.operator) === -1) {
+            Utils.error('UndefinedFieldComparisonOperator', 'Unable to compare fields with operator "{0}"', rule.operator);
+        }
+
+        values = self.getFieldComparisonFields(rule, values).map(function(compared) {
+            return { 'var': self.change('getJsonLogicField', compared, rule) };
+        });
+
+        e.detail.value = e.detail.args[2].call(self, { 'var': self.change('getJsonLogicField', rule.field, rule) }, values);
+    });
+
+    // Export compared fields to Elasticsearch as a script query
+    this.on('ruleToES', function(e) {
+        var rule = e.detail.args[0];
+        var values = e.detail.args[1];
+
+        if (!Array.isArray(values) || !values.some(isFieldComparisonValue)) {
+            return;
+        }
+
+        var script = self.settings.fieldComparisonESOperators[rule.operator];
+
+        if (script === undefined) {
+            Utils.error('UndefinedFieldComparisonOperator', 'Unable to compare fields with operator "{0}"', rule.operator);
+        }
+
+        values = self.getFieldComparisonFields(rule, values).map(function(compared) {
+            return getFieldComparisonScriptField(self.change('getESField', compared, rule));
+        });
+
+        e.detail.value = {
+            'script': {
+                'script': {
+                    'source': script.call(self, getFieldComparisonScriptField(self.change('getESField', rule.field, rule)), values),
+                    'lang': 'painless'
+                }
+            }
+        };
+    });
+
+    // Compare the record to its other fields
+    this.on('getEvaluatedValues', function(e) {
+        var rule = e.detail.args[0];
+        var record = e.detail.args[1];
+
+        if (!e.detail.value.some(isFieldComparisonValue)) {
+            return;
+        }
+
+        if (self.settings.fieldComparisonOperators.indexOf(rule.operator) === -1) {
+            Utils.error('UndefinedFieldComparisonOperator', 'Unable to compare fields with operator "{0}"', rule.operator);
+        }
+
+        e.detail.value = self.getFieldComparisonFields(rule, e.detail.value).map(function(compared) {
+            return self.getRecordValue(record, compared);
+        });
+    });
+}, {
+    icon: 'bi-arrow-left-right',
+    disable_template: false
+});
+
+QueryBuilder.defaults({
+    // operators allowed with compared fields
+    fieldComparisonOperators: [
+        'equal',
+        'not_equal',
+        'less',
+        'less_or_equal',
+        'greater',
+        'greater_or_equal',
+        'between',
+        'not_between'
+    ],
+
+    // operators for internal -> MongoDB $expr conversion
+    fieldComparisonMongoOperators: {
+        // @formatter:off
+        equal:            function(f, v) { return { '$eq': [f, v[0]] }; },
+        not_equal:        function(f, v) { return { '$ne': [f, v[0]] }; },
+        less:             function(f, v) { return { '$lt': [f, v[0]] }; },
+        less_or_equal:    function(f, v) { return { '$lte': [f, v[0]] }; },
+        greater:          function(f, v) { return { '$gt': [f, v[0]] }; },
+        greater_or_equal: function(f, v) { return { '$gte': [f, v[0]] }; },
+        between:          function(f, v) { return { '$and': [{ '$gte': [f, v[0]] }, { '$lte': [f, v[1]] }] }; },
+        not_between:      function(f, v) { return { '$or': [{ '$lt': [f, v[0]] }, { '$gt': [f, v[1]] }] }; }
+        // @formatter:on
+    },
+
+    // operators for internal -> Elasticsearch painless script conversion
+    fieldComparisonESOperators: {
+        // @formatter:off
+        equal:            function(f, v) { return f + ' == ' + v[0]; },
+        not_equal:        function(f, v) { return f + ' != ' + v[0]; },
+        less:             function(f, v) { return f + ' < ' + v[0]; },
+        less_or_equal:    function(f, v) { return f + ' <= ' + v[0]; },
+        greater:          function(f, v) { return f + ' > ' + v[0]; },
+        greater_or_equal: function(f, v) { return f + ' >= ' + v[0]; },
+        between:          function(f, v) { return f + ' >= ' + v[0] + ' && ' + f + ' <= ' + v[1]; },
+        not_between:      function(f, v) { return f + ' < ' + v[0] + ' || ' + f + ' > ' + v[1]; }
+        // @formatter:on
+    }
+});
+
+/**
+ * From {@link module:plugins.FieldComparison}
+ * @name field_comparison
+ * @member {boolean}
+ * @memberof Rule
+ * @instance
+ */
+Utils.defineModelProperties(Rule, ['field_comparison']);
+
+QueryBuilder.selectors.rule_field_comparison = QueryBuilder.selectors.rule_actions + ' [data-field-comparison=rule]';
+
+QueryBuilder.extend(/** @lends module:plugins.FieldComparison.prototype */ {
+    /**
+     * Returns the filters which can be compared to a rule's filter
+     * @param {Rule} rule
+     * @returns {QueryBuilder.Filter[]}
+     */
+    getComparableFilters: function(rule) {
+        if (!rule.filter) {
+            return [];
+        }
+
+        var type = QueryBuilder.types[rule.filter.type];
+
+        return this.filters.filter(function(filter) {
+            return filter.id !== rule.filter.id && QueryBuilder.types[filter.type] === type;
+        });
+    },
+
+    /**
+     * Returns the field of the filter referenced by a comparison value
+     * @param {object} value - `{ field: 'filter_id' }`
+     * @returns {string}
+     * @throws UndefinedFieldComparisonFilterError
+     */
+    getFieldComparisonField: function(value) {
+        var filter = this.getFilterById(value.field, false);
+
+        if (filter === null) {
+            Utils.error('UndefinedFieldComparisonFilter', 'Unknown compared filter "{0}"', value.field);
+        }
+
+        return filter.field || filter.id;
+    },
+
+    /**
+     * Returns the fields compared by the values of a rule, values cannot mix compared filters and literals
+     * @param {object} rule
+     * @param {object[]} values
+     * @returns {string[]}
+     * @throws FieldComparisonError, UndefinedFieldComparisonFilterError
+     */
+    getFieldComparisonFields: function(rule, values) {
+        var self = this;
+
+        if (!values.every(isFieldComparisonValue)) {
+            Utils.error('FieldComparison', 'Unable to compare "{0}" to both filters and values', rule.id);
+        }
+
+        return values.map(function(value) {
+            return self.getFieldComparisonField(value);
+        });
+    },
+
+    /**
+     * Validates the compared filters of a rule
+     * @param {Rule} rule
+     * @param {object|object[]} value
+     * @returns {array|boolean} true or error array
+     */
+    validateFieldComparison: function(rule, value) {
+        if (this.settings.fieldComparisonOperators.indexOf(rule.operator.type) === -1) {
+            return ['field_comparison_operator', rule.operator.type, this.translate('operators', rule.operator.type)];
+        }
+
+        var comparable = this.getComparableFilters(rule).map(function(filter) {
+            return filter.id;
+        });
+
+        var values = rule.operator.nb_inputs === 1 ? [value] : value;
+
+        for (var i = 0; i < rule.operator.nb_inputs; i++) {
+            if (!isFieldComparisonValue(values[i])) {
+                return ['select_empty'];
+            }
+            if (comparable.indexOf(values[i].field) === -1) {
+                return ['field_comparison_incompatible', values[i].field];
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Performs actions when a rule's field comparison changes
+     * @param {Rule} rule
+     * @fires module:plugins.FieldComparison.afterUpdateRuleFieldComparison
+     * @private
+     */
+    updateRuleFieldComparison: function(rule) {
+        if (!this.settings.headless) {
+            var button = rule.element.querySelector(QueryBuilder.selectors.rule_field_comparison);
+            if (button) {
+                button.classList.toggle('active', rule.field_comparison);
+            }
+        }
+
+        this.createRuleInput(rule);
+
+        /**
+         * After the rule's field comparison has been toggled
+         * @event afterUpdateRuleFieldComparison
+         * @memberof module:plugins.FieldComparison
+         * @param {Rule} rule
+         */
+        this.trigger('afterUpdateRuleFieldComparison', rule);
+
+        this.trigger('rulesChanged');
+    },
+
+    /**
+     * Returns the HTML of the dropdown of compared filters
+     * @param {Rule} rule
+     * @param {string} name
+     * @returns {string}
+     * @private
+     */
+    getFieldComparisonSelect: function(rule, name) {
+        var self = this;
+        var h = '<select class="form-select" name="' + Utils.escapeHtml(name) + '">';
+
+        h += '<option value="-1">' + Utils.escapeHtml(this.settings.select_placeholder) + '</option>';
+
+        this.getComparableFilters(rule).forEach(function(filter) {
+            h += '<option value="' + Utils.escapeHtml(filter.id) + '">' + Utils.escapeHtml(self.translate(filter.label)) + '</option>';
+        });
+
+        return h + '</select>';
+    },
+
+    /**
+     * Returns the compared filters selected in the rule's dropdowns
+     * @param {Rule} rule
+     * @returns {object|object[]}
+     * @private
+     */
+    getFieldComparisonValue: function(rule) {
+        var value = [];
+
+        for (var i = 0; i < rule.operator.nb_inputs; i++) {
+            var name = Utils.escapeElementId(rule.id + '_value_' + i);
+            var select = rule.element.querySelector(QueryBuilder.selectors.value_container + ' [name=' + name + ']');
+            var id = select ? select.value : null;
+            value.push(id && id !== '-1' ? { field: id } : undefined);
+        }
+
+        return rule.operator.nb_inputs === 1 ? value[0] : value;
+    },
+
+    /**
+     * Selects the compared filters in the rule's dropdowns
+     * @param {Rule} rule
+     * @param {object|object[]} value
+     * @private
+     */
+    setFieldComparisonValue: function(rule, value) {
+        var values = rule.operator.nb_inputs === 1 ? [value] : value;
+
+        rule._updating_input = true;
+
+        for (var i = 0; i < rule.operator.nb_inputs; i++) {
+            var name = Utils.escapeElementId(rule.id + '_value_' + i);
+            var select = rule.element.querySelector(QueryBuilder.selectors.value_container + ' [name=' + name + ']');
+            if (select) {
+                select.value = isFieldComparisonValue(values[i]) ? values[i].field : '-1';
+            }
+        }
+
+        rule._updating_input = false;
+    }
+});
+
+/**
+ * Checks if a value references another filter
+ * @param {*} value
+ * @returns {boolean}
+ * @memberof module:plugins.FieldComparison
+ * @private
+ */
+function isFieldComparisonValue(value) {
+    return value !== null && typeof value == 'object' && !Array.isArray(value) && typeof value.field == 'string';
+}
+
+/**
+ * Returns the painless expression reading a field of the document
+ * @param {string} field
+ * @returns {string}
+ * @memberof module:plugins.FieldComparison
+ * @private
+ */
+function getFieldComparisonScriptField(field) {
+    return 'doc[\'' + field.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'].value';
+}
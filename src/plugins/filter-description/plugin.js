@@ -2,6 +2,7 @@
  * @class FilterDescription
  * @memberof module:plugins
  * @description Provides three ways to display a description about a filter: inline, Bootsrap Popover or Bootbox.
+ * The description is escaped, mark it with {@link Utils.raw} to display HTML.
  * @param {object} [options]
  * @param {string} [options.icon='bi-info-circle-fill']
  * @param {string} [options.mode='popover'] - inline, popover or bootbox
@@ -26,7 +27,7 @@ QueryBuilder.define('filter-description', function(options) {
                     $p.css('display', '');
                 }
 
-                $p.html('<i class="' + options.icon + '"></i> ' + description);
+                $p.html('<i class="' + Utils.escapeHtml(options.icon) + '"></i> ' + Utils.escapeHtml(description));
             }
         });
     }
@@ -49,7 +50,7 @@ QueryBuilder.define('filter-description', function(options) {
             }
             else {
                 if ($b.length === 0) {
-                    $b = $($.parseHTML('<button type="button" class="btn btn-sm btn-info filter-description" data-bs-toggle="popover"><i class="' + options.icon + '"></i></button>'));
+                    $b = $($.parseHTML('<button type="button" class="btn btn-sm btn-info filter-description" data-bs-toggle="popover"><i class="' + Utils.escapeHtml(options.icon) + '"></i></button>'));
                     $b.prependTo(rule.$el.find(QueryBuilder.selectors.rule_actions));
                     const popover = new bootstrap.Popover($b.get(0), {
                         placement: 'left',
@@ -64,7 +65,7 @@ QueryBuilder.define('filter-description', function(options) {
                     $b.css('display', '');
                 }
 
-                $b.data('bs-popover').options.content = description;
+                $b.data('bs-popover').options.content = Utils.escapeHtml(description);
 
                 if ($b.attr('aria-describedby')) {
                     $b.popover('show');
@@ -87,7 +88,7 @@ QueryBuilder.define('filter-description', function(options) {
             }
             else {
                 if ($b.length === 0) {
-                    $b = $($.parseHTML('<button type="button" class="btn btn-sm btn-info filter-description" data-bs-toggle="bootbox"><i class="' + options.icon + '"></i></button>'));
+                    $b = $($.parseHTML('<button type="button" class="btn btn-sm btn-info filter-description" data-bs-toggle="bootbox"><i class="' + Utils.escapeHtml(options.icon) + '"></i></button>'));
                     $b.prependTo(rule.$el.find(QueryBuilder.selectors.rule_actions));
 
                     $b.on('click', function() {
@@ -98,7 +99,7 @@ QueryBuilder.define('filter-description', function(options) {
                     $b.css('display', '');
                 }
 
-                $b.data('description', description);
+                $b.data('description', Utils.escapeHtml(description));
             }
         });
     }
@@ -34,7 +34,7 @@ QueryBuilder.define('invert', function(options) {
             var $h = $($.parseHTML(h.value));
             $h.find(Selectors.condition_container).after(
                 '<button type="button" class="btn btn-sm btn-default" data-invert="group">' +
-                '<i class="' + options.icon + '"></i> ' + self.translate('invert') +
+                '<i class="' + Utils.escapeHtml(options.icon) + '"></i> ' + Utils.escapeHtml(self.translate('invert')) +
                 '</button>'
             );
             h.value = $h.prop('outerHTML');
@@ -45,7 +45,7 @@ QueryBuilder.define('invert', function(options) {
                 var $h = $($.parseHTML(h.value));
                 $h.find(Selectors.rule_actions).prepend(
                     '<button type="button" class="btn btn-sm btn-default" data-invert="rule">' +
-                    '<i class="' + options.icon + '"></i> ' + self.translate('invert') +
+                    '<i class="' + Utils.escapeHtml(options.icon) + '"></i> ' + Utils.escapeHtml(self.translate('invert')) +
                     '</button>'
                 );
                 h.value = $h.prop('outerHTML');
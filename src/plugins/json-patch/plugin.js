@@ -0,0 +1,773 @@
+/**
+ * @class JsonPatch
+ * @memberof module:plugins
+ * @description Streams the changes of the builder as [JSON Patch]{@link https://tools.ietf.org/html/rfc6902} operations,
+ *     expressed against the output of {@link QueryBuilder#getRules} (without the `valid` key).<br>
+ *     The plugin keeps its own copy of the rules, updated node by node, so a change only serializes the modified node.
+ *     Operations made in the same tick are sent together, a new tree (`setRules`, `reset`, `clear`) is sent as a single
+ *     `replace` of the whole document.
+ */
+QueryBuilder.define('json-patch', function() {
+    var self = this;
+
+    this.jsonPatch = {
+        doc: null,
+        nodes: new WeakMap(),
+        batch: null,
+        locked: 0
+    };
+
+    // A new root group means a new tree, the whole document is sent at the end of the tick
+    this.on('afterAddGroup', function(e) {
+        var group = e.detail.group;
+
+        if (group.isRoot()) {
+            resetPatchDocument(self);
+        }
+        else {
+            recordPatchAdd(self, group);
+        }
+    });
+
+    this.on('afterAddRule', function(e) {
+        recordPatchAdd(self, e.detail.rule);
+    });
+
+    this.on('afterReset', function() {
+        resetPatchDocument(self);
+    });
+
+    this.on('afterClear', function() {
+        resetPatchDocument(self);
+    });
+
+    // Nothing is sent once the builder is destroyed
+    this.on('beforeDestroy', function() {
+        self.jsonPatch.batch = null;
+        self.jsonPatch.locked++;
+    });
+
+    this.model.on('drop', function(e, node) {
+        recordPatchRemove(self, node);
+    });
+
+    this.model.on('update', function(e, node, field) {
+        if (field !== 'error') {
+            recordPatchUpdate(self, node);
+        }
+    });
+
+    this.model.on('move', function(e, node) {
+        recordPatchMove(self, node);
+    });
+});
+
+QueryBuilder.extend(/** @lends module:plugins.JsonPatch.prototype */ {
+    /**
+     * Sends the operations of the current tick now instead of waiting the end of the tick
+     * @fires module:plugins.JsonPatch.rulesPatch
+     */
+    flushPatch: function() {
+        var batch = this.jsonPatch.batch;
+
+        if (!batch) {
+            return;
+        }
+
+        this.jsonPatch.batch = null;
+
+        var ops = batch.reset ?
+            [{ op: 'replace', path: '', value: clonePatchValue(this.jsonPatch.doc) }] :
+            batch.ops;
+
+        if (ops.length > 0) {
+            /**
+             * After the rules changed
+             * @event rulesPatch
+             * @memberof module:plugins.JsonPatch
+             * @param {object[]} ops - JSON Patch operations
+             */
+            this.trigger('rulesPatch', ops);
+        }
+    },
+
+    /**
+     * Applies JSON Patch operations, as sent by the `rulesPatch` event, to the builder.<br>
+     * Operations are applied in order and are not sent back by `rulesPatch`.
+     * The patch is atomic: it is checked against a copy of the document before the builder is modified,
+     * and if the builder refuses an operation (e.g. unknown filter) the previous ones are reverted.
+     * @param {object[]} ops
+     * @throws JsonPatchError, UndefinedNodeError
+     */
+    applyPatch: function(ops) {
+        var self = this;
+
+        this.flushPatch();
+
+        var snapshot = clonePatchValue(this.jsonPatch.doc);
+        var doc = clonePatchValue(this.jsonPatch.doc);
+
+        ops.forEach(function(op) {
+            doc = applyPatchOperationToJSON(doc, op);
+        });
+
+        this.jsonPatch.locked++;
+
+        try {
+            ops.forEach(function(op) {
+                applyPatchOperation(self, op);
+            });
+        }
+        catch (e) {
+            if (snapshot && snapshot.rules.length > 0) {
+                this.setRules(snapshot, { allow_invalid: true });
+            }
+            else {
+                this.reset();
+            }
+            throw e;
+        }
+        finally {
+            this.jsonPatch.locked--;
+        }
+    }
+});
+
+/**
+ * Returns the current batch of operations, the batch is sent at the end of the tick
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @returns {object}
+ * @private
+ */
+function getPatchBatch(builder) {
+    return Utils.getTickBatch(builder.jsonPatch, function() {
+        return {
+            ops: [],
+            reset: false
+        };
+    }, function() {
+        builder.flushPatch();
+    });
+}
+
+/**
+ * Adds an operation to the current batch, operations made by {@link module:plugins.JsonPatch.applyPatch} are not sent
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {object} op
+ * @private
+ */
+function pushPatchOperation(builder, op) {
+    if (builder.jsonPatch.locked) {
+        return;
+    }
+
+    var batch = getPatchBatch(builder);
+
+    if (!batch.reset) {
+        batch.ops.push(op);
+    }
+}
+
+/**
+ * Replaces the document by the current tree
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @private
+ */
+function resetPatchDocument(builder) {
+    var p = builder.jsonPatch;
+
+    p.nodes = new WeakMap();
+    p.doc = builder.model.root ? getPatchNodeJSON(builder, builder.model.root, p.nodes) : null;
+
+    if (!p.locked) {
+        getPatchBatch(builder).reset = true;
+    }
+}
+
+/**
+ * Records the addition of a node with its children
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordPatchAdd(builder, node) {
+    var p = builder.jsonPatch;
+    var parent = p.nodes.get(node.parent);
+
+    // placeholders of the sortable plugin are not known
+    if (!parent || p.nodes.has(node)) {
+        return;
+    }
+
+    var json = getPatchNodeJSON(builder, node, p.nodes);
+    var index = node.getPos();
+
+    parent.rules.splice(index, 0, json);
+
+    pushPatchOperation(builder, {
+        op: 'add',
+        path: getPatchPointer(builder.getNodePath(node)),
+        value: clonePatchValue(json)
+    });
+}
+
+/**
+ * Records the removal of a node, its position is found in the document as the node is not in the tree anymore
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordPatchRemove(builder, node) {
+    var p = builder.jsonPatch;
+    var path = findPatchPath(p.doc, p.nodes.get(node));
+
+    if (!path || path.length === 0) {
+        return;
+    }
+
+    getPatchJSONByPath(p.doc, path.slice(0, -1)).rules.splice(path[path.length - 1], 1);
+    p.nodes.delete(node);
+
+    pushPatchOperation(builder, {
+        op: 'remove',
+        path: getPatchPointer(path)
+    });
+}
+
+/**
+ * Records the update of a node, each modified key is an operation
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordPatchUpdate(builder, node) {
+    var p = builder.jsonPatch;
+    var before = p.nodes.get(node);
+
+    if (!before) {
+        return;
+    }
+
+    var after = clonePatchValue(builder.getNodeJSON(node));
+    var pointer = getPatchPointer(builder.getNodePath(node));
+    delete after.rules;
+
+    Object.keys(before).forEach(function(key) {
+        if (key !== 'rules' && !(key in after)) {
+            delete before[key];
+            pushPatchOperation(builder, { op: 'remove', path: pointer + '/' + escapePatchToken(key) });
+        }
+    });
+
+    Object.keys(after).forEach(function(key) {
+        if (!(key in before)) {
+            before[key] = after[key];
+            pushPatchOperation(builder, { op: 'add', path: pointer + '/' + escapePatchToken(key), value: clonePatchValue(after[key]) });
+        }
+        else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            before[key] = after[key];
+            pushPatchOperation(builder, { op: 'replace', path: pointer + '/' + escapePatchToken(key), value: clonePatchValue(after[key]) });
+        }
+    });
+}
+
+/**
+ * Records the move of a node
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordPatchMove(builder, node) {
+    var p = builder.jsonPatch;
+    var json = p.nodes.get(node);
+    var from = findPatchPath(p.doc, json);
+    var parent = p.nodes.get(node.parent);
+
+    if (!from || !parent) {
+        return;
+    }
+
+    getPatchJSONByPath(p.doc, from.slice(0, -1)).rules.splice(from[from.length - 1], 1);
+    parent.rules.splice(node.getPos(), 0, json);
+
+    var fromPointer = getPatchPointer(from);
+    var toPointer = getPatchPointer(builder.getNodePath(node));
+
+    if (fromPointer === toPointer) {
+        return;
+    }
+
+    // "from" cannot be a prefix of "path" (e.g. moved in the next sibling group)
+    if (toPointer.indexOf(fromPointer + '/') === 0) {
+        pushPatchOperation(builder, { op: 'remove', path: fromPointer });
+        pushPatchOperation(builder, { op: 'add', path: toPointer, value: clonePatchValue(json) });
+    }
+    else {
+        pushPatchOperation(builder, { op: 'move', from: fromPointer, path: toPointer });
+    }
+}
+
+/**
+ * Returns the JSON of a node and registers the JSON of each node in the document
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @param {WeakMap} nodes
+ * @returns {object}
+ * @private
+ */
+function getPatchNodeJSON(builder, node, nodes) {
+    var json = clonePatchValue(builder.getNodeJSON(node));
+
+    (function walk(node, json) {
+        nodes.set(node, json);
+
+        if (node instanceof Group) {
+            node.rules.forEach(function(child, i) {
+                walk(child, json.rules[i]);
+            });
+        }
+    }(node, json));
+
+    return json;
+}
+
+/**
+ * Returns the position of a JSON object in the document
+ * @memberof module:plugins.JsonPatch
+ * @param {object} doc
+ * @param {object} json
+ * @returns {int[]|null}
+ * @private
+ */
+function findPatchPath(doc, json) {
+    if (!doc || !json) {
+        return null;
+    }
+
+    if (doc === json) {
+        return [];
+    }
+
+    for (var i = 0; i < (doc.rules || []).length; i++) {
+        var path = findPatchPath(doc.rules[i], json);
+        if (path) {
+            return [i].concat(path);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns a JSON object of the document from its position
+ * @memberof module:plugins.JsonPatch
+ * @param {object} doc
+ * @param {int[]} path
+ * @returns {object}
+ * @private
+ */
+function getPatchJSONByPath(doc, path) {
+    return path.reduce(function(json, index) {
+        return json.rules[index];
+    }, doc);
+}
+
+/**
+ * Applies a single operation to the builder
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {object} op
+ * @throws JsonPatchError
+ * @private
+ */
+function applyPatchOperation(builder, op) {
+    if (op.op === 'move') {
+        if (op.path.indexOf(op.from + '/') === 0) {
+            Utils.error('JsonPatch', 'Cannot move "{0}" inside itself', op.from);
+        }
+
+        builder.moveNodeToPath(getPatchSourceNode(builder, op), getPatchMovePath(op));
+        return;
+    }
+
+    var target = parsePatchPointer(builder, op.path, op.op === 'add' || op.op === 'copy');
+    var node, json;
+
+    if (target.field.length > 0) {
+        if (target.field[0] === 'rules') {
+            Utils.error('JsonPatch', 'Invalid path "{0}"', op.path);
+        }
+
+        node = builder.getNodeByPath(target.path);
+        json = builder.getNodeJSON(node);
+
+        applyPatchValueOperation(json, target.field, op);
+
+        if (op.op !== 'test') {
+            builder.updateNodeFromJSON(node, json);
+        }
+        return;
+    }
+
+    if (target.path.length === 0) {
+        switch (op.op) {
+            case 'add':
+            case 'replace':
+                builder.setRules(clonePatchValue(op.value), { allow_invalid: true });
+                return;
+            case 'test':
+                testPatchValue(builder.getNodeJSON(builder.model.root), op);
+                return;
+            default:
+                Utils.error('JsonPatch', 'Cannot {0} the root group', op.op);
+        }
+    }
+
+    var index = target.path[target.path.length - 1];
+    var parent;
+
+    switch (op.op) {
+        case 'add':
+            builder.addNodeFromJSON(builder.getNodeByPath(target.path.slice(0, -1)), clonePatchValue(op.value), index);
+            break;
+
+        case 'remove':
+            deletePatchNode(builder, builder.getNodeByPath(target.path));
+            break;
+
+        case 'replace':
+            parent = builder.getNodeByPath(target.path.slice(0, -1));
+            deletePatchNode(builder, builder.getNodeByPath(target.path));
+            builder.addNodeFromJSON(parent, clonePatchValue(op.value), index);
+            break;
+
+        case 'copy':
+            json = builder.getNodeJSON(getPatchSourceNode(builder, op));
+            builder.addNodeFromJSON(builder.getNodeByPath(target.path.slice(0, -1)), json, index);
+            break;
+
+        case 'test':
+            testPatchValue(builder.getNodeJSON(builder.getNodeByPath(target.path)), op);
+            break;
+
+        default:
+            Utils.error('JsonPatch', 'Unknown operation "{0}"', op.op);
+    }
+}
+
+/**
+ * Applies a single operation to a copy of the document, to check the patch before modifying the builder
+ * @memberof module:plugins.JsonPatch
+ * @param {object} doc
+ * @param {object} op
+ * @returns {object} the new document
+ * @throws JsonPatchError
+ * @private
+ */
+function applyPatchOperationToJSON(doc, op) {
+    var tokens, value;
+
+    switch (op.op) {
+        case 'move':
+        case 'copy':
+            if (op.op === 'move' && op.path.indexOf(op.from + '/') === 0) {
+                Utils.error('JsonPatch', 'Cannot move "{0}" inside itself', op.from);
+            }
+
+            tokens = splitPatchPointer(op.from);
+
+            if (tokens.length === 0) {
+                Utils.error('JsonPatch', 'Cannot {0} "{1}"', op.op, op.from);
+            }
+
+            value = tokens.reduce(function(value, token) {
+                if (value === null || typeof value !== 'object' || !(token in value)) {
+                    Utils.error('JsonPatch', 'Invalid path "{0}"', op.from);
+                }
+                return value[token];
+            }, doc);
+
+            if (op.op === 'move') {
+                applyPatchValueOperation(doc, tokens, { op: 'remove', path: op.from });
+            }
+
+            return applyPatchOperationToJSON(doc, { op: 'add', path: op.path, value: value });
+
+        case 'add':
+        case 'remove':
+        case 'replace':
+        case 'test':
+            tokens = splitPatchPointer(op.path);
+
+            if (tokens.length > 0) {
+                applyPatchValueOperation(doc, tokens, op);
+                return doc;
+            }
+
+            if (op.op === 'test') {
+                testPatchValue(doc, op);
+                return doc;
+            }
+            if (op.op === 'remove') {
+                Utils.error('JsonPatch', 'Cannot {0} the root group', op.op);
+            }
+            return clonePatchValue(op.value);
+
+        default:
+            Utils.error('JsonPatch', 'Unknown operation "{0}"', op.op);
+    }
+}
+
+/**
+ * Applies an operation inside a JSON value, the JSON of a node (e.g. `/value` or `/data/color`) or the whole document
+ * @memberof module:plugins.JsonPatch
+ * @param {object} json
+ * @param {string[]} field - tokens of the path in the value
+ * @param {object} op
+ * @throws JsonPatchError
+ * @private
+ */
+function applyPatchValueOperation(json, field, op) {
+    var key = field[field.length - 1];
+    var container = field.slice(0, -1).reduce(function(value, token) {
+        if (value === null || typeof value !== 'object' || !(token in value)) {
+            Utils.error('JsonPatch', 'Invalid path "{0}"', op.path);
+        }
+        return value[token];
+    }, json);
+
+    if (container === null || typeof container !== 'object') {
+        Utils.error('JsonPatch', 'Invalid path "{0}"', op.path);
+    }
+
+    if (Array.isArray(container)) {
+        key = key === '-' && op.op === 'add' ? container.length : parseInt(key, 10);
+        if (isNaN(key) || key < 0 || key > container.length - (op.op === 'add' ? 0 : 1)) {
+            Utils.error('JsonPatch', 'Invalid path "{0}"', op.path);
+        }
+    }
+    else if (op.op !== 'add' && !(key in container)) {
+        Utils.error('JsonPatch', 'Invalid path "{0}"', op.path);
+    }
+
+    switch (op.op) {
+        case 'add':
+            if (Array.isArray(container)) {
+                container.splice(key, 0, clonePatchValue(op.value));
+            }
+            else {
+                container[key] = clonePatchValue(op.value);
+            }
+            break;
+
+        case 'replace':
+            container[key] = clonePatchValue(op.value);
+            break;
+
+        case 'remove':
+            if (Array.isArray(container)) {
+                container.splice(key, 1);
+            }
+            else {
+                delete container[key];
+            }
+            break;
+
+        case 'test':
+            testPatchValue(container[key], op);
+            break;
+
+        default:
+            Utils.error('JsonPatch', 'Cannot {0} "{1}"', op.op, op.path);
+    }
+}
+
+/**
+ * Splits a JSON pointer in the position of a node and the path inside this node
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {string} pointer
+ * @param {boolean} [allowEnd=false] - allows the index "-" and the index after the last node
+ * @returns {{path: int[], field: string[]}}
+ * @throws JsonPatchError
+ * @private
+ */
+function parsePatchPointer(builder, pointer, allowEnd) {
+    var tokens = splitPatchPointer(pointer);
+    var node = builder.model.root;
+    var path = [];
+    var i = 0;
+
+    while (node instanceof Group && tokens[i] === 'rules' && i + 1 < tokens.length) {
+        var index = tokens[i + 1];
+        var last = i + 2 === tokens.length;
+
+        if (index === '-' && last && allowEnd) {
+            index = node.rules.length;
+        }
+        else if (/^(0|[1-9][0-9]*)$/.test(index)) {
+            index = parseInt(index, 10);
+        }
+        else {
+            Utils.error('JsonPatch', 'Invalid path "{0}"', pointer);
+        }
+
+        if (index > node.rules.length || (index === node.rules.length && !(last && allowEnd))) {
+            Utils.error('JsonPatch', 'Invalid path "{0}"', pointer);
+        }
+
+        path.push(index);
+        node = node.rules[index];
+        i += 2;
+    }
+
+    return {
+        path: path,
+        field: tokens.slice(i)
+    };
+}
+
+/**
+ * Returns the tokens of a JSON pointer
+ * @memberof module:plugins.JsonPatch
+ * @param {string} pointer
+ * @returns {string[]}
+ * @throws JsonPatchError
+ * @private
+ */
+function splitPatchPointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer.charAt(0) !== '/')) {
+        Utils.error('JsonPatch', 'Invalid path "{0}"', pointer);
+    }
+
+    return pointer === '' ? [] : pointer.slice(1).split('/').map(function(token) {
+        return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+}
+
+/**
+ * Returns the target position of a move operation, which cannot be checked against the tree before the node is removed
+ * @memberof module:plugins.JsonPatch
+ * @param {object} op
+ * @returns {int[]} the last index is Infinity for "-"
+ * @throws JsonPatchError
+ * @private
+ */
+function getPatchMovePath(op) {
+    var tokens = splitPatchPointer(op.path);
+    var path = [];
+
+    if (tokens.length === 0 || tokens.length % 2 !== 0) {
+        Utils.error('JsonPatch', 'Cannot {0} "{1}"', op.op, op.path);
+    }
+
+    for (var i = 0; i < tokens.length; i += 2) {
+        if (tokens[i] !== 'rules') {
+            Utils.error('JsonPatch', 'Cannot {0} "{1}"', op.op, op.path);
+        }
+
+        if (tokens[i + 1] === '-' && i + 2 === tokens.length) {
+            path.push(Infinity);
+        }
+        else if (/^(0|[1-9][0-9]*)$/.test(tokens[i + 1])) {
+            path.push(parseInt(tokens[i + 1], 10));
+        }
+        else {
+            Utils.error('JsonPatch', 'Invalid path "{0}"', op.path);
+        }
+    }
+
+    return path;
+}
+
+/**
+ * Returns the node targeted by the `from` of a copy or move operation
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {object} op
+ * @returns {Node}
+ * @throws JsonPatchError
+ * @private
+ */
+function getPatchSourceNode(builder, op) {
+    var source = parsePatchPointer(builder, op.from);
+
+    if (source.field.length > 0 || source.path.length === 0) {
+        Utils.error('JsonPatch', 'Cannot {0} "{1}"', op.op, op.from);
+    }
+
+    return builder.getNodeByPath(source.path);
+}
+
+/**
+ * Deletes a rule or a group
+ * @memberof module:plugins.JsonPatch
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function deletePatchNode(builder, node) {
+    if (node instanceof Group) {
+        builder.deleteGroup(node);
+    }
+    else {
+        builder.deleteRule(node);
+    }
+}
+
+/**
+ * Checks the value of a test operation
+ * @memberof module:plugins.JsonPatch
+ * @param {*} value
+ * @param {object} op
+ * @throws JsonPatchError
+ * @private
+ */
+function testPatchValue(value, op) {
+    if (JSON.stringify(clonePatchValue(value)) !== JSON.stringify(op.value)) {
+        Utils.error('JsonPatch', 'Test failed at "{0}"', op.path);
+    }
+}
+
+/**
+ * Returns the JSON pointer of a node position
+ * @memberof module:plugins.JsonPatch
+ * @param {int[]} path
+ * @returns {string}
+ * @private
+ */
+function getPatchPointer(path) {
+    return path.map(function(index) {
+        return '/rules/' + index;
+    }).join('');
+}
+
+/**
+ * Escapes a key for a JSON pointer
+ * @memberof module:plugins.JsonPatch
+ * @param {string} key
+ * @returns {string}
+ * @private
+ */
+function escapePatchToken(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Deep copy of a JSON value, undefined values are removed
+ * @memberof module:plugins.JsonPatch
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+function clonePatchValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
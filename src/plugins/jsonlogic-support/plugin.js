@@ -0,0 +1,424 @@
+/**
+ * @class JsonLogicSupport
+ * @memberof module:plugins
+ * @description Allows to export rules as a JsonLogic expression as well as populating the builder from a JsonLogic expression.
+ */
+
+QueryBuilder.defaults({
+    jsonLogicOperators: {
+        // @formatter:off
+        equal:            function(f, v) { return { '===': [f, v[0]] }; },
+        not_equal:        function(f, v) { return { '!==': [f, v[0]] }; },
+        in:               function(f, v) { return { 'in': [f, v] }; },
+        not_in:           function(f, v) { return { '!': { 'in': [f, v] } }; },
+        less:             function(f, v) { return { '<': [f, v[0]] }; },
+        less_or_equal:    function(f, v) { return { '<=': [f, v[0]] }; },
+        greater:          function(f, v) { return { '>': [f, v[0]] }; },
+        greater_or_equal: function(f, v) { return { '>=': [f, v[0]] }; },
+        between:          function(f, v) { return { '<=': [v[0], f, v[1]] }; },
+        not_between:      function(f, v) { return { '!': { '<=': [v[0], f, v[1]] } }; },
+        begins_with:      function(f, v) { return { '==': [{ 'substr': [f, 0, String(v[0]).length] }, v[0]] }; },
+        not_begins_with:  function(f, v) { return { '!': { '==': [{ 'substr': [f, 0, String(v[0]).length] }, v[0]] } }; },
+        contains:         function(f, v) { return { 'in': [v[0], f] }; },
+        not_contains:     function(f, v) { return { '!': { 'in': [v[0], f] } }; },
+        ends_with:        function(f, v) { return { '==': [{ 'substr': [f, -String(v[0]).length] }, v[0]] }; },
+        not_ends_with:    function(f, v) { return { '!': { '==': [{ 'substr': [f, -String(v[0]).length] }, v[0]] } }; },
+        is_empty:         function(f, v) { return { '===': [f, ''] }; },
+        is_not_empty:     function(f, v) { return { '!==': [f, ''] }; },
+        is_null:          function(f, v) { return { '==': [f, null] }; },
+        is_not_null:      function(f, v) { return { '!=': [f, null] }; }
+        // @formatter:on
+    },
+
+    jsonLogicRuleOperators: {
+        '==': function(a) {
+            if (a[0] !== null && typeof a[0] == 'object' && a[0].substr) {
+                var args = a[0].substr;
+                return {
+                    'field': jsonLogicVar(args[0]),
+                    'val': a[1],
+                    'op': args[1] < 0 ? 'ends_with' : 'begins_with'
+                };
+            }
+            return {
+                'field': jsonLogicVar(a[0]),
+                'val': a[1],
+                'op': a[1] === null ? 'is_null' : (a[1] === '' ? 'is_empty' : 'equal')
+            };
+        },
+        '!=': function(a) {
+            return {
+                'field': jsonLogicVar(a[0]),
+                'val': a[1],
+                'op': a[1] === null ? 'is_not_null' : (a[1] === '' ? 'is_not_empty' : 'not_equal')
+            };
+        },
+        'in': function(a) {
+            if (jsonLogicVar(a[0]) !== undefined) {
+                return { 'field': jsonLogicVar(a[0]), 'val': a[1], 'op': 'in' };
+            }
+            return { 'field': jsonLogicVar(a[1]), 'val': a[0], 'op': 'contains' };
+        },
+        '<': function(a) {
+            if (jsonLogicVar(a[0]) !== undefined) {
+                return { 'field': jsonLogicVar(a[0]), 'val': a[1], 'op': 'less' };
+            }
+            return { 'field': jsonLogicVar(a[1]), 'val': a[0], 'op': 'greater' };
+        },
+        '<=': function(a) {
+            if (a.length === 3) {
+                return { 'field': jsonLogicVar(a[1]), 'val': [a[0], a[2]], 'op': 'between' };
+            }
+            if (jsonLogicVar(a[0]) !== undefined) {
+                return { 'field': jsonLogicVar(a[0]), 'val': a[1], 'op': 'less_or_equal' };
+            }
+            return { 'field': jsonLogicVar(a[1]), 'val': a[0], 'op': 'greater_or_equal' };
+        },
+        '>': function(a) {
+            if (jsonLogicVar(a[0]) !== undefined) {
+                return { 'field': jsonLogicVar(a[0]), 'val': a[1], 'op': 'greater' };
+            }
+            return { 'field': jsonLogicVar(a[1]), 'val': a[0], 'op': 'less' };
+        },
+        '>=': function(a) {
+            if (jsonLogicVar(a[0]) !== undefined) {
+                return { 'field': jsonLogicVar(a[0]), 'val': a[1], 'op': 'greater_or_equal' };
+            }
+            return { 'field': jsonLogicVar(a[1]), 'val': a[0], 'op': 'less_or_equal' };
+        }
+    },
+
+    // operators obtained by wrapping an expression in "!"
+    jsonLogicNegatedOperators: {
+        'equal':       'not_equal',
+        'in':          'not_in',
+        'between':     'not_between',
+        'begins_with': 'not_begins_with',
+        'contains':    'not_contains',
+        'ends_with':   'not_ends_with'
+    }
+});
+
+QueryBuilder.extend(/** @lends module:plugins.JsonLogicSupport.prototype */ {
+    /**
+     * Returns rules as a JsonLogic expression
+     * @param {object} [data] - current rules by default, without the disabled ones, with the bound parameters and the resolved relative dates
+     * @returns {object}
+     * @fires module:plugins.JsonLogicSupport.changer:getJsonLogicField
+     * @fires module:plugins.JsonLogicSupport.changer:ruleToJsonLogic
+     * @fires module:plugins.JsonLogicSupport.changer:groupToJsonLogic
+     * @throws UndefinedJsonLogicConditionError, UndefinedJsonLogicOperatorError
+     */
+    getJsonLogic: function(data) {
+        data = (data === undefined) ? this.getRules({ skip_disabled: true, bind_parameters: true, resolve_relative_dates: true }) : data;
+
+        if (!data) {
+            return null;
+        }
+
+        var self = this;
+
+        return (function parse(group) {
+            if (!group.condition) {
+                group.condition = self.settings.default_condition;
+            }
+            if (['AND', 'OR'].indexOf(group.condition.toUpperCase()) === -1) {
+                Utils.error('UndefinedJsonLogicCondition', 'Unable to build JsonLogic expression with condition "{0}"', group.condition);
+            }
+
+            if (!group.rules) {
+                return true;
+            }
+
+            var parts = [];
+
+            group.rules.forEach(function(rule) {
+                if (rule.rules && rule.rules.length > 0) {
+                    parts.push(parse(rule));
+                }
+                else {
+                    var jl = self.settings.jsonLogicOperators[rule.operator];
+                    var ope = self.getOperatorByType(rule.operator);
+
+                    if (jl === undefined) {
+                        Utils.error('UndefinedJsonLogicOperator', 'Unknown JsonLogic operation for operator "{0}"', rule.operator);
+                    }
+
+                    if (ope.nb_inputs !== 0) {
+                        if (!(rule.value instanceof Array)) {
+                            rule.value = [rule.value];
+                        }
+                    }
+
+                    /**
+                     * Modifies the JsonLogic variable used by a rule
+                     * @event changer:getJsonLogicField
+                     * @memberof module:plugins.JsonLogicSupport
+                     * @param {string} field
+                     * @param {Rule} rule
+                     * @returns {string}
+                     */
+                    var field = self.change('getJsonLogicField', rule.field, rule);
+
+                    var ruleExpression = jl.call(self, { 'var': field }, rule.value);
+
+                    /**
+                     * Modifies the JsonLogic expression generated for a rule
+                     * @event changer:ruleToJsonLogic
+                     * @memberof module:plugins.JsonLogicSupport
+                     * @param {object} expression
+                     * @param {Rule} rule
+                     * @param {*} value
+                     * @param {function} valueWrapper - function that takes the variable and the value and builds the expression
+                     * @returns {object}
+                     */
+                    parts.push(self.change('ruleToJsonLogic', ruleExpression, rule, rule.value, jl));
+                }
+            });
+
+            var groupExpression = {};
+            groupExpression[group.condition.toLowerCase()] = parts;
+
+            /**
+             * Modifies the JsonLogic expression generated for a group
+             * @event changer:groupToJsonLogic
+             * @memberof module:plugins.JsonLogicSupport
+             * @param {object} expression
+             * @param {Group} group
+             * @returns {object}
+             */
+            return self.change('groupToJsonLogic', groupExpression, group);
+        }(data));
+    },
+
+    /**
+     * Converts a JsonLogic expression to rules
+     * @param {object} logic
+     * @returns {object}
+     * @fires module:plugins.JsonLogicSupport.changer:parseJsonLogicNode
+     * @fires module:plugins.JsonLogicSupport.changer:getJsonLogicFieldID
+     * @fires module:plugins.JsonLogicSupport.changer:jsonLogicToRule
+     * @fires module:plugins.JsonLogicSupport.changer:jsonLogicToGroup
+     * @throws JsonLogicParseError, UndefinedJsonLogicOperatorError
+     */
+    getRulesFromJsonLogic: function(logic) {
+        if (logic === undefined || logic === null) {
+            return null;
+        }
+
+        var self = this;
+
+        /**
+         * Custom parsing of a JsonLogic expression, you can return a sub-part of the expression, or a well formed group or rule JSON
+         * @event changer:parseJsonLogicNode
+         * @memberof module:plugins.JsonLogicSupport
+         * @param {object} expression
+         * @returns {object} expression, rule or group
+         */
+        logic = self.change('parseJsonLogicNode', logic);
+
+        // a plugin returned a group
+        if ('rules' in logic && 'condition' in logic) {
+            return logic;
+        }
+
+        // a plugin returned a rule
+        if ('id' in logic && 'operator' in logic && 'value' in logic) {
+            return {
+                condition: this.settings.default_condition,
+                rules: [logic]
+            };
+        }
+
+        // a single rule
+        if (!self.getJsonLogicCondition(logic)) {
+            return {
+                condition: this.settings.default_condition,
+                rules: [self.jsonLogicToRule(logic)]
+            };
+        }
+
+        return (function parse(data) {
+            var key = self.getJsonLogicCondition(data);
+            var parts = [];
+
+            if (!Array.isArray(data[key])) {
+                Utils.error('JsonLogicParse', 'Invalid JsonLogic expression format');
+            }
+
+            data[key].forEach(function(data) {
+                // allow plugins to manually parse or handle special cases
+                data = self.change('parseJsonLogicNode', data);
+
+                // a plugin returned a group
+                if ('rules' in data && 'condition' in data) {
+                    parts.push(data);
+                    return;
+                }
+
+                // a plugin returned a rule
+                if ('id' in data && 'operator' in data && 'value' in data) {
+                    parts.push(data);
+                    return;
+                }
+
+                if (self.getJsonLogicCondition(data)) {
+                    parts.push(parse(data));
+                }
+                else {
+                    parts.push(self.jsonLogicToRule(data));
+                }
+            });
+
+            /**
+             * Modifies the group generated from the JsonLogic expression
+             * @event changer:jsonLogicToGroup
+             * @memberof module:plugins.JsonLogicSupport
+             * @param {object} group
+             * @param {object} expression
+             * @returns {object}
+             */
+            return self.change('jsonLogicToGroup', {
+                condition: key.toUpperCase(),
+                rules: parts
+            }, data);
+        }(logic));
+    },
+
+    /**
+     * Sets rules a from JsonLogic expression
+     * @see module:plugins.JsonLogicSupport.getRulesFromJsonLogic
+     */
+    setRulesFromJsonLogic: function(logic) {
+        this.setRules(this.getRulesFromJsonLogic(logic));
+    },
+
+    /**
+     * Converts a JsonLogic comparison to a rule
+     * @param {object} data
+     * @returns {object}
+     * @fires module:plugins.JsonLogicSupport.changer:jsonLogicToRule
+     * @throws JsonLogicParseError, UndefinedJsonLogicOperatorError
+     * @private
+     */
+    jsonLogicToRule: function(data) {
+        var negated = false;
+        var expression = data;
+
+        if (data !== null && typeof data == 'object' && '!' in data) {
+            negated = true;
+            expression = Array.isArray(data['!']) ? data['!'][0] : data['!'];
+        }
+
+        var keys = expression !== null && typeof expression == 'object' ? Object.keys(expression) : [];
+        if (keys.length !== 1) {
+            Utils.error('JsonLogicParse', 'Invalid JsonLogic expression format');
+        }
+
+        var operator = keys[0];
+        if (operator === '===') operator = '==';
+        if (operator === '!==') operator = '!=';
+
+        var jlrl = this.settings.jsonLogicRuleOperators[operator];
+        if (jlrl === undefined) {
+            Utils.error('UndefinedJsonLogicOperator', 'JSON Rule operation unknown for operator "{0}"', keys[0]);
+        }
+
+        var args = Array.isArray(expression[keys[0]]) ? expression[keys[0]] : [expression[keys[0]]];
+        var opVal = jlrl.call(this, args);
+
+        if (opVal.field === undefined) {
+            Utils.error('JsonLogicParse', 'Cannot find variable in {0}', JSON.stringify(expression));
+        }
+
+        if (negated) {
+            if (!this.settings.jsonLogicNegatedOperators[opVal.op]) {
+                Utils.error('UndefinedJsonLogicOperator', 'Unable to negate operator "{0}"', opVal.op);
+            }
+            opVal.op = this.settings.jsonLogicNegatedOperators[opVal.op];
+        }
+
+        var id = this.getJsonLogicFieldID(opVal.field, opVal.val);
+
+        /**
+         * Modifies the rule generated from the JsonLogic expression
+         * @event changer:jsonLogicToRule
+         * @memberof module:plugins.JsonLogicSupport
+         * @param {object} rule
+         * @param {object} expression
+         * @returns {object}
+         */
+        return this.change('jsonLogicToRule', {
+            id: id,
+            field: opVal.field,
+            operator: opVal.op,
+            value: opVal.val
+        }, data);
+    },
+
+    /**
+     * Returns a filter identifier from the JsonLogic variable.
+     * Automatically use the only one filter with a matching field, fires a changer otherwise.
+     * @param {string} field
+     * @param {*} value
+     * @fires module:plugins.JsonLogicSupport:changer:getJsonLogicFieldID
+     * @returns {string}
+     * @private
+     */
+    getJsonLogicFieldID: function(field, value) {
+        var matchingFilters = this.filters.filter(function(filter) {
+            return filter.field === field;
+        });
+
+        var id;
+        if (matchingFilters.length === 1) {
+            id = matchingFilters[0].id;
+        }
+        else {
+            /**
+             * Returns a filter identifier from the JsonLogic variable
+             * @event changer:getJsonLogicFieldID
+             * @memberof module:plugins.JsonLogicSupport
+             * @param {string} field
+             * @param {*} value
+             * @returns {string}
+             */
+            id = this.change('getJsonLogicFieldID', field, value);
+        }
+
+        return id;
+    },
+
+    /**
+     * Returns the key corresponding to "and" or "or"
+     * @param {object} data
+     * @returns {string|undefined}
+     * @private
+     */
+    getJsonLogicCondition: function(data) {
+        if (data === null || typeof data != 'object') {
+            return;
+        }
+
+        var keys = Object.keys(data);
+
+        for (var i = 0, l = keys.length; i < l; i++) {
+            if (keys[i].toLowerCase() === 'or' || keys[i].toLowerCase() === 'and') {
+                return keys[i];
+            }
+        }
+    }
+});
+
+/**
+ * Returns the name of a JsonLogic variable
+ * @memberof module:plugins.JsonLogicSupport
+ * @param {*} arg
+ * @returns {string|undefined}
+ * @private
+ */
+function jsonLogicVar(arg) {
+    if (arg !== null && typeof arg == 'object' && 'var' in arg) {
+        return Array.isArray(arg['var']) ? arg['var'][0] : arg['var'];
+    }
+}
@@ -1,7 +1,7 @@
 /**
  * @class MongoDbSupport
  * @memberof module:plugins
- * @description Allows to export rules as a MongoDB find object as well as populating the builder from a MongoDB object.
+ * @description Allows to export rules as a MongoDB find object or aggregation expression as well as populating the builder from a MongoDB object.
  */
 
 QueryBuilder.defaults({
@@ -30,8 +30,37 @@ QueryBuilder.defaults({
         // @formatter:on
     },
 
+    // operators for internal -> MongoDB aggregation expression conversion
+    mongoExprOperators: {
+        // @formatter:off
+        equal:            function(f, v) { return { '$eq': [f, getMongoLiteral(v[0])] }; },
+        not_equal:        function(f, v) { return { '$ne': [f, getMongoLiteral(v[0])] }; },
+        in:               function(f, v) { return { '$in': [f, v.map(getMongoLiteral)] }; },
+        not_in:           function(f, v) { return { '$not': [{ '$in': [f, v.map(getMongoLiteral)] }] }; },
+        less:             function(f, v) { return { '$lt': [f, getMongoLiteral(v[0])] }; },
+        less_or_equal:    function(f, v) { return { '$lte': [f, getMongoLiteral(v[0])] }; },
+        greater:          function(f, v) { return { '$gt': [f, getMongoLiteral(v[0])] }; },
+        greater_or_equal: function(f, v) { return { '$gte': [f, getMongoLiteral(v[0])] }; },
+        between:          function(f, v) { return { '$and': [{ '$gte': [f, getMongoLiteral(v[0])] }, { '$lte': [f, getMongoLiteral(v[1])] }] }; },
+        not_between:      function(f, v) { return { '$or': [{ '$lt': [f, getMongoLiteral(v[0])] }, { '$gt': [f, getMongoLiteral(v[1])] }] }; },
+        begins_with:      function(f, v, o) { return getMongoRegexMatch(f, '^' + Utils.escapeRegExp(v[0]), o); },
+        not_begins_with:  function(f, v, o) { return { '$not': [getMongoRegexMatch(f, '^' + Utils.escapeRegExp(v[0]), o)] }; },
+        contains:         function(f, v, o) { return getMongoRegexMatch(f, Utils.escapeRegExp(v[0]), o); },
+        not_contains:     function(f, v, o) { return { '$not': [getMongoRegexMatch(f, Utils.escapeRegExp(v[0]), o)] }; },
+        ends_with:        function(f, v, o) { return getMongoRegexMatch(f, Utils.escapeRegExp(v[0]) + '$', o); },
+        not_ends_with:    function(f, v, o) { return { '$not': [getMongoRegexMatch(f, Utils.escapeRegExp(v[0]) + '$', o)] }; },
+        is_empty:         function(f) { return { '$eq': [f, ''] }; },
+        is_not_empty:     function(f) { return { '$ne': [f, ''] }; },
+        is_null:          function(f) { return { '$eq': [{ '$ifNull': [f, null] }, null] }; },
+        is_not_null:      function(f) { return { '$ne': [{ '$ifNull': [f, null] }, null] }; }
+        // @formatter:on
+    },
+
     mongoRuleOperators: {
         $eq: function(v) {
+            if (v !== null && typeof v == 'object' && '$eq' in v) {
+                v = v.$eq;
+            }
             return {
                 'val': v,
                 'op': v === null ? 'is_null' : (v === '' ? 'is_empty' : 'equal')
@@ -45,25 +74,44 @@ QueryBuilder.defaults({
             };
         },
         $regex: function(v) {
+            var options = v.$options || '';
             v = v.$regex;
+            if (v instanceof RegExp) {
+                options += v.flags;
+                v = v.source;
+            }
+
+            var opVal;
             if (v.slice(0, 4) == '^(?!' && v.slice(-1) == ')') {
-                return { 'val': v.slice(4, -1), 'op': 'not_begins_with' };
+                opVal = { 'val': v.slice(4, -1), 'op': 'not_begins_with' };
             }
             else if (v.slice(0, 5) == '^((?!' && v.slice(-5) == ').)*$') {
-                return { 'val': v.slice(5, -5), 'op': 'not_contains' };
+                opVal = { 'val': v.slice(5, -5), 'op': 'not_contains' };
             }
             else if (v.slice(0, 4) == '(?<!' && v.slice(-2) == ')$') {
-                return { 'val': v.slice(4, -2), 'op': 'not_ends_with' };
+                opVal = { 'val': v.slice(4, -2), 'op': 'not_ends_with' };
             }
-            else if (v.slice(-1) == '$') {
-                return { 'val': v.slice(0, -1), 'op': 'ends_with' };
+            else if (/(^|[^\\])(\\\\)*\$$/.test(v)) {
+                opVal = { 'val': v.slice(0, -1), 'op': 'ends_with' };
             }
             else if (v.slice(0, 1) == '^') {
-                return { 'val': v.slice(1), 'op': 'begins_with' };
+                opVal = { 'val': v.slice(1), 'op': 'begins_with' };
             }
             else {
-                return { 'val': v, 'op': 'contains' };
+                opVal = { 'val': v, 'op': 'contains' };
             }
+
+            var literal = unescapeMongoRegExp(opVal.val);
+            if (literal === null) {
+                Utils.error('MongoParse', 'Unsupported regular expression "{0}"', v);
+            }
+
+            opVal.val = literal;
+            opVal.case_insensitive = options.indexOf('i') !== -1;
+            return opVal;
+        },
+        $exists: function(v) {
+            return { 'val': null, 'op': v.$exists ? 'is_not_null' : 'is_null' };
         },
         between: function(v) {
             return { 'val': [v.$gte, v.$lte], 'op': 'between' };
@@ -94,22 +142,44 @@ QueryBuilder.defaults({
 
 QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
     /**
-     * Returns rules as a MongoDB query
-     * @param {object} [data] - current rules by default
+     * Returns rules as a MongoDB query, relative dates are resolved to the current date and parameters to their bound values.<br>
+     * The "expr" mode returns an aggregation expression, to use in `$match: { $expr: ... }` or `$filter`.
+     * @param {object} [data] - current rules by default, without the disabled ones
+     * @param {object} [options] - can be given as first parameter to export the current rules
+     * @param {string} [options.mode='find'] - "find" or "expr"
+     * @param {boolean} [options.case_insensitive=false] - make all regexes case insensitive, otherwise only the rules with `data.case_insensitive`
+     * @param {boolean} [options.wrap_dates=false] - convert the values of "date" and "datetime" filters to `Date` objects,
+     *     values without timezone are read as UTC and relative dates are resolved in local time
      * @returns {object}
      * @fires module:plugins.MongoDbSupport.changer:getMongoDBField
      * @fires module:plugins.MongoDbSupport.changer:ruleToMongo
      * @fires module:plugins.MongoDbSupport.changer:groupToMongo
-     * @throws UndefinedMongoConditionError, UndefinedMongoOperatorError
+     * @throws ConfigError, UndefinedMongoConditionError, UndefinedMongoOperatorError, UnboundParameterError
      */
-    getMongo: function(data) {
-        data = (data === undefined) ? this.getRules() : data;
+    getMongo: function(data, options) {
+        if (options === undefined && data && !('rules' in data) && !('condition' in data) && !('id' in data)) {
+            options = data;
+            data = undefined;
+        }
+
+        options = Object.assign({
+            mode: 'find',
+            case_insensitive: false,
+            wrap_dates: false
+        }, options);
+
+        if (['find', 'expr'].indexOf(options.mode) === -1) {
+            Utils.error('Config', 'Unknown MongoDB export mode "{0}"', options.mode);
+        }
+
+        data = (data === undefined) ? this.getRules({ skip_disabled: true }) : data;
 
         if (!data) {
             return null;
         }
 
         var self = this;
+        var operators = options.mode === 'expr' ? self.settings.mongoExprOperators : self.settings.mongoOperators;
 
         return (function parse(group) {
             if (!group.condition) {
@@ -130,8 +200,9 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
                     parts.push(parse(rule));
                 }
                 else {
-                    var mdb = self.settings.mongoOperators[rule.operator];
+                    var mdb = operators[rule.operator];
                     var ope = self.getOperatorByType(rule.operator);
+                    var filter = self.getFilterById(rule.id, false);
 
                     if (mdb === undefined) {
                         Utils.error('UndefinedMongoOperator', 'Unknown MongoDB operation for operator "{0}"', rule.operator);
@@ -141,6 +212,11 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
                         if (!(rule.value instanceof Array)) {
                             rule.value = [rule.value];
                         }
+
+                        rule.value = self.resolveParameters(rule.value);
+                        rule.value = options.wrap_dates ?
+                            getMongoDates(self, filter, rule.value) :
+                            self.resolveRelativeDates(filter, rule.value);
                     }
 
                     /**
@@ -153,8 +229,19 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
                      */
                     var field = self.change('getMongoDBField', rule.field, rule);
 
+                    var caseInsensitive = options.case_insensitive || !!(rule.data && rule.data.case_insensitive);
                     var ruleExpression = {};
-                    ruleExpression[field] = mdb.call(self, rule.value);
+
+                    if (options.mode === 'expr') {
+                        ruleExpression = mdb.call(self, '$' + field, rule.value, caseInsensitive ? 'i' : '');
+                    }
+                    else {
+                        ruleExpression[field] = mdb.call(self, rule.value);
+
+                        if (caseInsensitive && ruleExpression[field] && ruleExpression[field].$regex !== undefined) {
+                            ruleExpression[field].$options = (ruleExpression[field].$options || '') + 'i';
+                        }
+                    }
 
                     /**
                      * Modifies the MongoDB expression generated for a rul
@@ -163,10 +250,11 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
                      * @param {object} expression
                      * @param {Rule} rule
                      * @param {*} value
-                     * @param {function} valueWrapper - function that takes the value and adds the operator
+                     * @param {function} valueWrapper - function that takes the value and adds the operator (and the field in "expr" mode)
+                     * @param {string} mode - "find" or "expr"
                      * @returns {object}
                      */
-                    parts.push(self.change('ruleToMongo', ruleExpression, rule, rule.value, mdb));
+                    parts.push(self.change('ruleToMongo', ruleExpression, rule, rule.value, mdb, options.mode));
                 }
             });
 
@@ -179,21 +267,26 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
              * @memberof module:plugins.MongoDbSupport
              * @param {object} expression
              * @param {Group} group
+             * @param {string} mode - "find" or "expr"
              * @returns {object}
              */
-            return self.change('groupToMongo', groupExpression, group);
+            return self.change('groupToMongo', groupExpression, group, options.mode);
         }(data));
     },
 
     /**
-     * Converts a MongoDB query to rules
+     * Converts a MongoDB query to rules.<br>
+     * The keys of an object are combined with AND, `$nor` and `$not` are applied to the rules,
+     * `$regex` with the `i` option gives rules with `data.case_insensitive`
+     * and `$expr` comparisons give rules comparing fields (see {@link module:plugins.FieldComparison}).<br>
+     * The clauses which cannot be converted are skipped and listed in the `unparsed` property of the result.
      * @param {object} query
-     * @returns {object}
+     * @returns {object} rules, with `unparsed: [{mongo, message}]` if some clauses were skipped
      * @fires module:plugins.MongoDbSupport.changer:parseMongoNode
      * @fires module:plugins.MongoDbSupport.changer:getMongoDBFieldID
      * @fires module:plugins.MongoDbSupport.changer:mongoToRule
      * @fires module:plugins.MongoDbSupport.changer:mongoToGroup
-     * @throws MongoParseError, UndefinedMongoConditionError, UndefinedMongoOperatorError
+     * @throws MongoParseError
      */
     getRulesFromMongo: function(query) {
         if (query === undefined || query === null) {
@@ -224,93 +317,289 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
             };
         }
 
-        var key = self.getMongoCondition(query);
-        if (!key) {
+        if (!Utils.isPlainObject(query)) {
             Utils.error('MongoParse', 'Invalid MongoDB query format');
         }
 
-        return (function parse(data, topKey) {
-            var rules = data[topKey];
-            var parts = [];
-
-            rules.forEach(function(data) {
-                // allow plugins to manually parse or handle special cases
-                data = self.change('parseMongoNode', data);
+        // clauses which cannot be converted
+        var unparsed = [];
 
-                // a plugin returned a group
-                if ('rules' in data && 'condition' in data) {
-                    parts.push(data);
-                    return;
+        var tryParse = function(clause, parser) {
+            try {
+                return parser();
+            }
+            catch (err) {
+                if (['MongoParseError', 'UndefinedMongoOperatorError'].indexOf(err.name) === -1) {
+                    throw err;
                 }
+                unparsed.push({ mongo: clause, message: err.message });
+                return null;
+            }
+        };
+
+        /**
+         * Modifies the group generated from the MongoDB expression
+         * @event changer:mongoToGroup
+         * @memberof module:plugins.MongoDbSupport
+         * @param {object} group
+         * @param {object} expression
+         * @returns {object}
+         */
+        var createGroup = function(condition, rules, data) {
+            return self.change('mongoToGroup', {
+                condition: condition,
+                rules: rules
+            }, data);
+        };
+
+        // list of $and, $or and $nor
+        var parseList = function(list) {
+            if (!Array.isArray(list)) {
+                Utils.error('MongoParse', 'Invalid MongoDB query format');
+            }
+
+            return list
+                .map(function(data) {
+                    // allow plugins to manually parse or handle special cases
+                    data = self.change('parseMongoNode', data);
+
+                    // a plugin returned a group or a rule
+                    if (('rules' in data && 'condition' in data) || ('id' in data && 'operator' in data && 'value' in data)) {
+                        return data;
+                    }
 
-                // a plugin returned a rule
-                if ('id' in data && 'operator' in data && 'value' in data) {
-                    parts.push(data);
+                    return tryParse(data, function() {
+                        return parseDocument(data);
+                    });
+                })
+                .filter(function(node) {
+                    return node !== null;
+                });
+        };
+
+        // object whose keys are combined with AND
+        var parseDocument = function(data) {
+            if (!Utils.isPlainObject(data)) {
+                Utils.error('MongoParse', 'Invalid MongoDB query format');
+            }
+
+            var keys = Object.keys(data).filter(function(key) {
+                // flag set by the "not-group" plugin
+                return !(key === 'not' && typeof data[key] == 'boolean');
+            });
+
+            if (keys.length === 1 && ['$and', '$or'].indexOf(keys[0].toLowerCase()) !== -1) {
+                return createGroup(keys[0].slice(1).toUpperCase(), parseList(data[keys[0]]), data);
+            }
+
+            var rules = [];
+
+            keys.forEach(function(key) {
+                var clause = {};
+                clause[key] = data[key];
+
+                // flatten the nested $and
+                if (key.toLowerCase() === '$and') {
+                    rules = rules.concat(parseList(data[key]));
                     return;
                 }
 
-                var key = self.getMongoCondition(data);
-                if (key) {
-                    parts.push(parse(data, key));
+                var node = tryParse(clause, function() {
+                    return parseClause(key, data[key], clause);
+                });
+
+                if (node !== null) {
+                    rules.push(node);
                 }
-                else {
-                    var field = Object.keys(data)[0];
-                    var value = data[field];
+            });
+
+            if (rules.length === 1 && keys.length === 1) {
+                return rules[0];
+            }
+
+            return createGroup('AND', rules, data);
+        };
+
+        var parseClause = function(key, value, clause) {
+            switch (key.toLowerCase()) {
+                case '$or':
+                    return createGroup('OR', parseList(value), clause);
 
-                    var operator = self.getMongoOperator(value);
-                    if (operator === undefined) {
-                        Utils.error('MongoParse', 'Invalid MongoDB query format');
+                case '$nor':
+                    var skipped = unparsed.length;
+                    var negation = negateMongoRules(createGroup('OR', parseList(value), clause));
+
+                    if (negation === null || unparsed.length > skipped) {
+                        unparsed.length = skipped;
+                        Utils.error('MongoParse', 'Unable to negate the clause');
                     }
 
-                    var mdbrl = self.settings.mongoRuleOperators[operator];
-                    if (mdbrl === undefined) {
-                        Utils.error('UndefinedMongoOperator', 'JSON Rule operation unknown for operator "{0}"', operator);
+                    return negation;
+
+                case '$expr':
+                    return parseExpression(value, clause);
+
+                default:
+                    if (key.charAt(0) === '$') {
+                        Utils.error('MongoParse', 'Unsupported MongoDB operator "{0}"', key);
                     }
 
-                    var opVal = mdbrl.call(self, value);
+                    return parseField(key, value, clause);
+            }
+        };
+
+        var parseField = function(field, value, clause) {
+            if (value instanceof RegExp) {
+                value = { '$regex': value };
+            }
 
-                    var id = self.getMongoDBFieldID(field, value);
+            if (Utils.isPlainObject(value) && Object.keys(value).length === 1 && '$not' in value) {
+                var rule = parseField(field, value.$not, clause);
+                var opposite = MONGO_NEGATED_OPERATORS[rule.operator];
 
-                    /**
-                     * Modifies the rule generated from the MongoDB expression
-                     * @event changer:mongoToRule
-                     * @memberof module:plugins.MongoDbSupport
-                     * @param {object} rule
-                     * @param {object} expression
-                     * @returns {object}
-                     */
-                    var rule = self.change('mongoToRule', {
-                        id: id,
-                        field: field,
-                        operator: opVal.op,
-                        value: opVal.val
-                    }, data);
-
-                    parts.push(rule);
+                if (!opposite) {
+                    Utils.error('MongoParse', 'Unable to negate operator "{0}"', rule.operator);
                 }
-            });
+
+                rule.operator = opposite;
+                return rule;
+            }
+
+            if (Utils.isPlainObject(value)) {
+                Object.keys(value).forEach(function(key) {
+                    if (key.charAt(0) === '$' && key !== '$options' && !(key in self.settings.mongoRuleOperators)) {
+                        Utils.error('MongoParse', 'Unsupported MongoDB operator "{0}"', key);
+                    }
+                });
+            }
+
+            var operator = self.getMongoOperator(value);
+
+            // several operators on the same field
+            if (operator === undefined && Utils.isPlainObject(value) && Object.keys(value).length > 1) {
+                return createGroup('AND', Object.keys(value)
+                    .filter(function(key) {
+                        return key !== '$options';
+                    })
+                    .map(function(key) {
+                        var part = {};
+                        part[key] = value[key];
+                        if (key === '$regex' && value.$options !== undefined) {
+                            part.$options = value.$options;
+                        }
+                        return parseField(field, part, clause);
+                    }), clause);
+            }
+
+            if (operator === undefined) {
+                Utils.error('MongoParse', 'Invalid MongoDB query format');
+            }
+
+            var mdbrl = self.settings.mongoRuleOperators[operator];
+            if (mdbrl === undefined) {
+                Utils.error('UndefinedMongoOperator', 'JSON Rule operation unknown for operator "{0}"', operator);
+            }
+
+            var opVal = mdbrl.call(self, value);
+
+            var rule = {
+                id: self.getMongoDBFieldID(field, value),
+                field: field,
+                operator: opVal.op,
+                value: opVal.val
+            };
+
+            if (opVal.case_insensitive) {
+                rule.data = { case_insensitive: true };
+            }
 
             /**
-             * Modifies the group generated from the MongoDB expression
-             * @event changer:mongoToGroup
+             * Modifies the rule generated from the MongoDB expression
+             * @event changer:mongoToRule
              * @memberof module:plugins.MongoDbSupport
-             * @param {object} group
+             * @param {object} rule
              * @param {object} expression
              * @returns {object}
              */
-            return self.change('mongoToGroup', {
-                condition: topKey.replace('$', '').toUpperCase(),
-                rules: parts
-            }, data);
-        }(query, key));
+            return self.change('mongoToRule', rule, clause);
+        };
+
+        // aggregation expression comparing fields
+        var parseExpression = function(expression, clause) {
+            var keys = Utils.isPlainObject(expression) ? Object.keys(expression) : [];
+
+            if (keys.length !== 1) {
+                Utils.error('MongoParse', 'Invalid MongoDB expression');
+            }
+
+            var args = expression[keys[0]];
+            var range = getMongoExpressionRange(expression);
+
+            if (range) {
+                return createExpressionRule(range.field, range.operator, range.values, clause);
+            }
+
+            if (keys[0] === '$and' || keys[0] === '$or') {
+                return createGroup(keys[0].slice(1).toUpperCase(), (Array.isArray(args) ? args : []).map(function(arg) {
+                    return parseExpression(arg, clause);
+                }), clause);
+            }
+
+            var operator = MONGO_EXPRESSION_OPERATORS[keys[0]];
+
+            if (!operator || !Array.isArray(args) || args.length !== 2 || !isMongoFieldPath(args[0])) {
+                Utils.error('MongoParse', 'Unsupported MongoDB expression "{0}"', keys[0]);
+            }
+
+            return createExpressionRule(args[0], operator, [args[1]], clause);
+        };
+
+        var createExpressionRule = function(path, operator, values, clause) {
+            var field = path.slice(1);
+
+            values = values.map(function(value) {
+                if (isMongoFieldPath(value)) {
+                    return { field: self.getMongoDBFieldID(value.slice(1), value) };
+                }
+                if (Utils.isPlainObject(value) && '$literal' in value) {
+                    return value.$literal;
+                }
+                if (value !== null && typeof value == 'object') {
+                    Utils.error('MongoParse', 'Unsupported MongoDB expression value for field "{0}"', field);
+                }
+                return value;
+            });
+
+            return self.change('mongoToRule', {
+                id: self.getMongoDBFieldID(field, values[0]),
+                field: field,
+                operator: operator,
+                value: values.length === 1 ? values[0] : values
+            }, clause);
+        };
+
+        var out = parseDocument(query);
+
+        if (!('rules' in out)) {
+            out = createGroup(this.settings.default_condition, [out], query);
+        }
+
+        if (unparsed.length) {
+            out.unparsed = unparsed;
+        }
+
+        return out;
     },
 
     /**
      * Sets rules a from MongoDB query
      * @see module:plugins.MongoDbSupport.getRulesFromMongo
+     * @returns {object[]} clauses which could not be converted, `{mongo, message}`
      */
     setRulesFromMongo: function(query) {
-        this.setRules(this.getRulesFromMongo(query));
+        var rules = this.getRulesFromMongo(query);
+        this.setRules(rules);
+        return rules.unparsed || [];
     },
 
     /**
@@ -354,10 +643,13 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
      */
     getMongoOperator: function(data) {
         if (data !== null && typeof data === 'object') {
-            if (data.$gte !== undefined && data.$lte !== undefined) {
+            var keys = Object.keys(data).sort().join(',');
+
+            // shapes of "between" and "not_between", other combinations are split in several rules
+            if (keys === '$gte,$lte') {
                 return 'between';
             }
-            if (data.$lt !== undefined && data.$gt !== undefined) {
+            if (keys === '$gt,$lt' && data.$lt <= data.$gt) {
                 return 'not_between';
             }
 
@@ -391,3 +683,179 @@ QueryBuilder.extend(/** @lends module:plugins.MongoDbSupport.prototype */ {
         }
     }
 });
+
+/**
+ * Reverts {@link Utils.escapeRegExp}
+ * @memberof module:plugins.MongoDbSupport
+ * @param {string} str
+ * @returns {string|null} null if the regular expression is not a literal string
+ * @private
+ */
+function unescapeMongoRegExp(str) {
+    var literal = true;
+
+    var value = str.replace(/\\([\s\S])|[\\\[\](){}*+?.^$|]/g, function(s, escaped) {
+        if (escaped === undefined || !/[\-\[\]\/{}()*+?.\\^$|]/.test(escaped)) {
+            literal = false;
+        }
+        return escaped === undefined ? s : escaped;
+    });
+
+    return literal ? value : null;
+}
+
+/**
+ * Returns a `$regexMatch` aggregation expression
+ * @memberof module:plugins.MongoDbSupport
+ * @param {string} field
+ * @param {string} regex
+ * @param {string} [options]
+ * @returns {object}
+ * @private
+ */
+function getMongoRegexMatch(field, regex, options) {
+    var match = { input: field, regex: regex };
+    if (options) {
+        match.options = options;
+    }
+    return { '$regexMatch': match };
+}
+
+/**
+ * Protects a value of an aggregation expression which would be read as a field path
+ * @memberof module:plugins.MongoDbSupport
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+function getMongoLiteral(value) {
+    return typeof value == 'string' && value.charAt(0) === '$' ? { '$literal': value } : value;
+}
+
+/**
+ * Converts the values of "date" and "datetime" filters to `Date` objects, values without timezone are read as UTC,
+ * relative dates are resolved in local time like the other exports
+ * @memberof module:plugins.MongoDbSupport
+ * @param {QueryBuilder} builder
+ * @param {QueryBuilder.Filter} filter
+ * @param {*[]} values
+ * @returns {*[]}
+ * @private
+ */
+function getMongoDates(builder, filter, values) {
+    if (!filter || ['date', 'datetime'].indexOf(filter.type) === -1) {
+        return builder.resolveRelativeDates(filter, values);
+    }
+
+    return values.map(function(value) {
+        if (typeof value != 'string') {
+            return value;
+        }
+
+        if (filter.relative_dates && Utils.isRelativeDate(value)) {
+            return Utils.resolveRelativeDate(value).toDate();
+        }
+
+        return moment.utc(value, (filter.validation || {}).format).toDate();
+    });
+}
+
+/**
+ * Checks if a value of an aggregation expression is a field path
+ * @memberof module:plugins.MongoDbSupport
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function isMongoFieldPath(value) {
+    return typeof value == 'string' && value.charAt(0) === '$' && value.charAt(1) !== '$';
+}
+
+/**
+ * Reads "between" and "not_between" aggregation expressions, as written by the "field-comparison" plugin
+ * @memberof module:plugins.MongoDbSupport
+ * @param {object} expression
+ * @returns {object|null} `{field, operator, values}`
+ * @private
+ */
+function getMongoExpressionRange(expression) {
+    var ranges = {
+        $and: ['$gte', '$lte', 'between'],
+        $or: ['$lt', '$gt', 'not_between']
+    };
+    var key = Object.keys(expression)[0];
+    var args = expression[key];
+
+    if (!ranges[key] || !Array.isArray(args) || args.length !== 2) {
+        return null;
+    }
+
+    var lower = args[0] && args[0][ranges[key][0]];
+    var upper = args[1] && args[1][ranges[key][1]];
+
+    if (!Array.isArray(lower) || !Array.isArray(upper) || !isMongoFieldPath(lower[0]) || lower[0] !== upper[0]) {
+        return null;
+    }
+
+    return { field: lower[0], operator: ranges[key][2], values: [lower[1], upper[1]] };
+}
+
+/**
+ * Negates a group of rules generated from MongoDB, with the De Morgan's laws
+ * @memberof module:plugins.MongoDbSupport
+ * @param {object} group
+ * @returns {object|null} null if a rule has an operator without opposite
+ * @private
+ */
+function negateMongoRules(group) {
+    var rules = group.rules.map(function(rule) {
+        if ('rules' in rule) {
+            return negateMongoRules(rule);
+        }
+
+        var operator = MONGO_NEGATED_OPERATORS[rule.operator];
+        return operator ? Object.assign({}, rule, { operator: operator }) : null;
+    });
+
+    if (rules.indexOf(null) !== -1) {
+        return null;
+    }
+
+    return Object.assign({}, group, { condition: group.condition === 'AND' ? 'OR' : 'AND', rules: rules });
+}
+
+/**
+ * Operators of the aggregation expressions comparing fields
+ * @type {object.<string, string>}
+ * @memberof module:plugins.MongoDbSupport
+ * @private
+ */
+var MONGO_EXPRESSION_OPERATORS = {
+    $eq: 'equal',
+    $ne: 'not_equal',
+    $lt: 'less',
+    $lte: 'less_or_equal',
+    $gt: 'greater',
+    $gte: 'greater_or_equal'
+};
+
+/**
+ * Opposite of each operator, used to negate rules
+ * @type {object.<string, string>}
+ * @memberof module:plugins.MongoDbSupport
+ * @private
+ */
+var MONGO_NEGATED_OPERATORS = {
+    // @formatter:off
+    equal: 'not_equal', not_equal: 'equal',
+    in: 'not_in', not_in: 'in',
+    less: 'greater_or_equal', greater_or_equal: 'less',
+    greater: 'less_or_equal', less_or_equal: 'greater',
+    between: 'not_between', not_between: 'between',
+    begins_with: 'not_begins_with', not_begins_with: 'begins_with',
+    contains: 'not_contains', not_contains: 'contains',
+    ends_with: 'not_ends_with', not_ends_with: 'ends_with',
+    is_empty: 'is_not_empty', is_not_empty: 'is_empty',
+    is_null: 'is_not_null', is_not_null: 'is_null'
+    // @formatter:on
+};
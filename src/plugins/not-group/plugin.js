@@ -8,108 +8,181 @@
  */
 QueryBuilder.define('not-group', function(options) {
     var self = this;
+    var Selectors = QueryBuilder.selectors;
 
     // Bind events
-    this.on('afterInit', function() {
-        self.$el.on('click.queryBuilder', '[data-not=group]', function() {
-            var $group = $(this).closest(QueryBuilder.selectors.group_container);
-            var group = self.getModel($group);
-            group.not = !group.not;
-        });
-
-        self.model.on('update', function(e, node, field) {
-            if (node instanceof Group && field === 'not') {
-                self.updateGroupNot(node);
+    if (!this.settings.headless) {
+        this.element.addEventListener('click', function(e) {
+            var button = e.target.closest('[data-not=group]');
+            if (button) {
+                var group = self.getModel(button.closest(Selectors.group_container));
+                group.not = !group.not;
             }
         });
+    }
+
+    this.model.on('update', function(e, node, field) {
+        if (node instanceof Group && field === 'not') {
+            self.updateGroupNot(node);
+        }
     });
 
     // Init "not" property
-    this.on('afterAddGroup', function(e, group) {
-        group.__.not = false;
+    this.on('afterAddGroup', function(e) {
+        e.detail.group.__.not = false;
     });
 
     // Modify templates
     if (!options.disable_template) {
-        this.on('getGroupTemplate.filter', function(h) {
-            var $h = $($.parseHTML(h.value));
-            $h.find(QueryBuilder.selectors.condition_container).prepend(
-                '<button type="button" class="btn btn-sm btn-default" data-not="group">' +
-                '<i class="' + options.icon_unchecked + '"></i> ' + self.translate('NOT') +
-                '</button>'
-            );
-            h.value = $h.prop('outerHTML');
+        this.on('getGroupTemplate', function(e) {
+            var template = document.createElement('template');
+            template.innerHTML = e.detail.value;
+
+            var conditions = template.content.querySelector(Selectors.condition_container);
+            if (conditions) {
+                conditions.insertAdjacentHTML('afterbegin',
+                    '<button type="button" class="btn btn-sm btn-default" data-not="group">' +
+                    '<i class="' + Utils.escapeHtml(options.icon_unchecked) + '"></i> ' + Utils.escapeHtml(self.translate('NOT')) +
+                    '</button>'
+                );
+            }
+
+            e.detail.value = template.innerHTML;
         });
     }
 
     // Export "not" to JSON
-    this.on('groupToJson.filter', function(e, group) {
-        e.value.not = group.not;
+    this.on('groupToJson', function(e) {
+        e.detail.value.not = e.detail.args[0].not;
     });
 
     // Read "not" from JSON
-    this.on('jsonToGroup.filter', function(e, json) {
-        e.value.not = !!json.not;
+    this.on('jsonToGroup', function(e) {
+        e.detail.value.not = !!e.detail.args[0].not;
     });
 
     // Export "not" to SQL
-    this.on('groupToSQL.filter', function(e, group) {
-        if (group.not) {
-            e.value = 'NOT ( ' + e.value + ' )';
+    this.on('groupToSQL', function(e) {
+        if (e.detail.args[0].not) {
+            e.detail.value = 'NOT ( ' + e.detail.value + ' )';
         }
     });
 
     // Parse "NOT" function from sqlparser
-    this.on('parseSQLNode.filter', function(e) {
-        if (e.value.name && e.value.name.toUpperCase() == 'NOT') {
-            e.value = e.value.arguments.value[0];
+    this.on('parseSQLNode', function(e) {
+        var data = e.detail.value;
+
+        if (data.name && data.name.toUpperCase() == 'NOT') {
+            data = data.arguments.value[0];
 
             // if the there is no sub-group, create one
-            if (['AND', 'OR'].indexOf(e.value.operation.toUpperCase()) === -1) {
-                e.value = new SQLParser.nodes.Op(
+            if (['AND', 'OR'].indexOf(data.operation.toUpperCase()) === -1) {
+                data = new SQLParser.nodes.Op(
                     self.settings.default_condition,
-                    e.value,
+                    data,
                     null
                 );
             }
 
-            e.value.not = true;
+            data.not = true;
+            e.detail.value = data;
         }
     });
 
     // Request to create sub-group if the "not" flag is set
-    this.on('sqlGroupsDistinct.filter', function(e, group, data, i) {
-        if (data.not && i > 0) {
-            e.value = true;
+    this.on('sqlGroupsDistinct', function(e) {
+        if (e.detail.args[1].not && e.detail.args[2] > 0) {
+            e.detail.value = true;
         }
     });
 
     // Read "not" from parsed SQL
-    this.on('sqlToGroup.filter', function(e, data) {
-        e.value.not = !!data.not;
+    this.on('sqlToGroup', function(e) {
+        e.detail.value.not = !!e.detail.args[0].not;
     });
 
     // Export "not" to Mongo
-    this.on('groupToMongo.filter', function(e, group) {
+    this.on('groupToMongo', function(e) {
+        var group = e.detail.args[0];
         var key = '$' + group.condition.toLowerCase();
-        if (group.not && e.value[key]) {
-            e.value = { '$nor': [e.value] };
+
+        if (group.not && e.detail.value[key]) {
+            e.detail.value = e.detail.args[1] === 'expr' ? { '$not': [e.detail.value] } : { '$nor': [e.detail.value] };
         }
     });
 
     // Parse "$nor" operator from Mongo
-    this.on('parseMongoNode.filter', function(e) {
-        var keys = Object.keys(e.value);
+    this.on('parseMongoNode', function(e) {
+        var keys = Object.keys(e.detail.value);
 
         if (keys[0] == '$nor') {
-            e.value = e.value[keys[0]][0];
-            e.value.not = true;
+            e.detail.value = e.detail.value[keys[0]][0];
+            e.detail.value.not = true;
         }
     });
 
     // Read "not" from parsed Mongo
-    this.on('mongoToGroup.filter', function(e, data) {
-        e.value.not = !!data.not;
+    this.on('mongoToGroup', function(e) {
+        e.detail.value.not = !!e.detail.args[0].not;
+    });
+
+    // Export "not" to Elasticsearch
+    this.on('groupToES', function(e) {
+        if (e.detail.args[0].not) {
+            e.detail.value = { 'bool': { 'must_not': [e.detail.value] } };
+        }
+    });
+
+    // Parse "bool.must_not" wrapping a group from Elasticsearch
+    this.on('parseESNode', function(e) {
+        var bool = e.detail.value.bool;
+
+        if (bool && Object.keys(bool).length === 1 && bool.must_not && bool.must_not.length === 1) {
+            var inner = bool.must_not[0];
+
+            if (inner.bool && (inner.bool.must || inner.bool.filter || inner.bool.should)) {
+                e.detail.value = inner;
+                e.detail.value.not = true;
+            }
+        }
+    });
+
+    // Read "not" from parsed Elasticsearch
+    this.on('esToGroup', function(e) {
+        e.detail.value.not = !!e.detail.args[0].not;
+    });
+
+    // Export "not" to JsonLogic
+    this.on('groupToJsonLogic', function(e) {
+        if (e.detail.args[0].not) {
+            e.detail.value = { '!': e.detail.value };
+        }
+    });
+
+    // Parse "!" wrapping a group from JsonLogic
+    this.on('parseJsonLogicNode', function(e) {
+        var inner = e.detail.value && e.detail.value['!'];
+
+        if (Array.isArray(inner) && inner.length === 1) {
+            inner = inner[0];
+        }
+
+        if (inner && self.getJsonLogicCondition(inner)) {
+            e.detail.value = inner;
+            e.detail.value.not = true;
+        }
+    });
+
+    // Read "not" from parsed JsonLogic
+    this.on('jsonLogicToGroup', function(e) {
+        e.detail.value.not = !!e.detail.args[0].not;
+    });
+
+    // Invert evaluation of "not" groups
+    this.on('evaluateGroup', function(e) {
+        if (e.detail.args[0].not) {
+            e.detail.value = !e.detail.value;
+        }
     });
 }, {
     icon_unchecked: 'bi-square',
@@ -137,9 +210,14 @@ QueryBuilder.extend(/** @lends module:plugins.NotGroup.prototype */ {
      */
     updateGroupNot: function(group) {
         var options = this.plugins['not-group'];
-        group.$el.find('>' + QueryBuilder.selectors.group_not)
-            .toggleClass('active', group.not)
-            .find('i').attr('class', group.not ? options.icon_checked : options.icon_unchecked);
+
+        if (!this.settings.headless) {
+            var button = group.element.querySelector(QueryBuilder.selectors.group_not);
+            if (button) {
+                button.classList.toggle('active', group.not);
+                button.querySelector('i').className = group.not ? options.icon_checked : options.icon_unchecked;
+            }
+        }
 
         /**
          * After the group's not flag has been modified
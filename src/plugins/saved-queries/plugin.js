@@ -0,0 +1,565 @@
+/**
+ * @class SavedQueries
+ * @memberof module:plugins
+ * @description Saves rules in a library, to load them again later. Saved queries have a name and tags.<br>
+ *     Each entry stores the output of `getRules({get_flags: true})`, the version of the filters and the date of the last save.
+ *     Loading a query checks that its filters and operators still exist.<br>
+ *     Entries are stored through a {@link module:plugins.SavedQueries.StorageAdapter}.
+ * @param {object} [options]
+ * @param {module:plugins.SavedQueries.StorageAdapter} [options.storage] - `QueryBuilder.LocalStorageAdapter` by default
+ * @param {string} [options.filters_version] - version of the filters catalog, computed from the ids and types of the filters by default
+ * @param {boolean} [options.panel=true] - displays a panel above the builder to manage saved queries
+ */
+QueryBuilder.define('saved-queries', function(options) {
+    var self = this;
+    var panel = null;
+
+    this.savedQueries = {
+        storage: options.storage || new QueryBuilder.LocalStorageAdapter()
+    };
+
+    if (!options.panel || this.settings.headless) {
+        return;
+    }
+
+    this.on('afterInit', function() {
+        self.element.insertAdjacentHTML('beforebegin', String(self.templates.savedQueries({
+            builder: self,
+            translate: self.translate.bind(self)
+        })).trim());
+
+        panel = self.element.previousElementSibling;
+
+        var list = panel.querySelector('[data-saved-query=list]');
+        var name = panel.querySelector('[data-saved-query=name]');
+        var tags = panel.querySelector('[data-saved-query=tags]');
+
+        var run = function(promise) {
+            promise.then(function() {
+                panel.classList.remove('is-invalid');
+                panel.removeAttribute('title');
+            }, function(err) {
+                panel.classList.add('is-invalid');
+                panel.title = err.message;
+            });
+        };
+
+        list.addEventListener('change', function() {
+            if (!list.value) {
+                return;
+            }
+
+            self.savedQueries.storage.get(list.value).then(function(entry) {
+                name.value = entry ? entry.name : '';
+                tags.value = entry ? entry.tags.join(', ') : '';
+            });
+        });
+
+        panel.addEventListener('click', function(e) {
+            var button = e.target.closest('button[data-saved-query]');
+
+            if (!button) {
+                return;
+            }
+
+            switch (button.dataset.savedQuery) {
+                case 'save':
+                    run(self.saveQuery(name.value, tags.value).then(function(entry) {
+                        list.value = entry.id;
+                    }));
+                    break;
+
+                case 'load':
+                    if (list.value) {
+                        run(self.loadQuery(list.value));
+                    }
+                    break;
+
+                case 'rename':
+                    if (list.value) {
+                        run(self.updateQuery(list.value, { name: name.value, tags: tags.value }));
+                    }
+                    break;
+
+                case 'delete':
+                    if (list.value) {
+                        run(self.deleteQuery(list.value));
+                        name.value = '';
+                        tags.value = '';
+                    }
+                    break;
+            }
+        });
+
+        refreshSavedQueriesPanel(self, panel);
+    });
+
+    this.on('savedQueriesChanged', function() {
+        if (panel) {
+            refreshSavedQueriesPanel(self, panel);
+        }
+    });
+
+    this.on('beforeDestroy', function() {
+        if (panel) {
+            panel.remove();
+            panel = null;
+        }
+    });
+}, {
+    storage: null,
+    filters_version: null,
+    panel: true
+});
+
+QueryBuilder.defaults({
+    templates: {
+        savedQueries: null
+    }
+});
+
+QueryBuilder.templates.savedQueries = function({ builder, translate }) {
+    return Utils.html`
+<div class="query-builder-saved-queries input-group input-group-sm" id="${builder.element.id}_saved_queries">
+  <select class="form-select" data-saved-query="list">
+    <option value="">${translate('saved_queries', 'choose')}</option>
+  </select>
+  <input type="text" class="form-control" data-saved-query="name" placeholder="${translate('saved_queries', 'name')}">
+  <input type="text" class="form-control" data-saved-query="tags" placeholder="${translate('saved_queries', 'tags')}">
+  <button type="button" class="btn btn-success" data-saved-query="save">${translate('saved_queries', 'save')}</button>
+  <button type="button" class="btn btn-primary" data-saved-query="load">${translate('saved_queries', 'load')}</button>
+  <button type="button" class="btn btn-secondary" data-saved-query="rename">${translate('saved_queries', 'rename')}</button>
+  <button type="button" class="btn btn-danger" data-saved-query="delete">${translate('saved_queries', 'delete')}</button>
+</div>`;
+};
+
+QueryBuilder.extend(/** @lends module:plugins.SavedQueries.prototype */ {
+    /**
+     * Returns the version of the filters catalog, stored with each saved query
+     * @returns {string}
+     */
+    getFiltersVersion: function() {
+        var version = this.getPluginOptions('saved-queries', 'filters_version');
+
+        if (version) {
+            return version;
+        }
+
+        // djb2 hash of the ids and types of the filters
+        var hash = 5381;
+        var signature = this.filters.map(function(filter) {
+            return filter.id + ':' + filter.type;
+        }).join(',');
+
+        for (var i = 0; i < signature.length; i++) {
+            hash = ((hash << 5) + hash + signature.charCodeAt(i)) | 0;
+        }
+
+        return (hash >>> 0).toString(16);
+    },
+
+    /**
+     * Lists the saved queries, sorted by name
+     * @param {string} [tag] - only returns the queries with this tag
+     * @returns {Promise.<module:plugins.SavedQueries.Entry[]>}
+     */
+    listQueries: function(tag) {
+        return this.savedQueries.storage.list().then(function(entries) {
+            return entries
+                .filter(function(entry) {
+                    return !tag || entry.tags.indexOf(tag) !== -1;
+                })
+                .sort(function(a, b) {
+                    return a.name.localeCompare(b.name);
+                });
+        });
+    },
+
+    /**
+     * Saves the current rules as a new query
+     * @param {string} name
+     * @param {string[]|string} [tags] - list of tags or comma separated tags
+     * @returns {Promise.<module:plugins.SavedQueries.Entry>}
+     * @fires module:plugins.SavedQueries.savedQueriesChanged
+     */
+    saveQuery: function(name, tags) {
+        var self = this;
+
+        return Promise.resolve().then(function() {
+            name = String(name || '').trim();
+
+            if (!name) {
+                Utils.error('SavedQuery', 'The name of the query is required');
+            }
+
+            var rules = self.getRules({ get_flags: true });
+            if (!rules) {
+                Utils.error('SavedQuery', 'Cannot save invalid rules');
+            }
+
+            return self.savedQueries.storage.save({
+                id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                name: name,
+                tags: parseSavedQueryTags(tags),
+                rules: rules,
+                filters_version: self.getFiltersVersion(),
+                timestamp: Date.now()
+            });
+        }).then(function(entry) {
+            triggerSavedQueriesChanged(self);
+            return entry;
+        });
+    },
+
+    /**
+     * Replaces the current rules by a saved query
+     * @param {string} id
+     * @returns {Promise.<module:plugins.SavedQueries.Entry>}
+     * @throws SavedQueryError if the query does not exist or uses filters or operators which are not available anymore
+     * @fires module:plugins.SavedQueries.afterLoadQuery
+     */
+    loadQuery: function(id) {
+        var self = this;
+
+        return getSavedQuery(this, id).then(function(entry) {
+            var compatibility = self.checkQueryCompatibility(entry);
+
+            if (compatibility.missing_filters.length > 0 || compatibility.missing_operators.length > 0) {
+                Utils.error('SavedQuery', 'Saved query "{0}" is not compatible with the current filters: {1}',
+                    entry.name, compatibility.missing_filters.concat(compatibility.missing_operators).join(', '));
+            }
+
+            self.setRules(JSON.parse(JSON.stringify(entry.rules)));
+
+            /**
+             * After a saved query has been loaded
+             * @event afterLoadQuery
+             * @memberof module:plugins.SavedQueries
+             * @param {module:plugins.SavedQueries.Entry} entry
+             * @param {boolean} sameVersion - false if the query has been saved with another version of the filters
+             */
+            self.trigger('afterLoadQuery', entry, compatibility.same_version);
+
+            return entry;
+        });
+    },
+
+    /**
+     * Changes the name or the tags of a saved query
+     * @param {string} id
+     * @param {object} changes
+     * @param {string} [changes.name]
+     * @param {string[]|string} [changes.tags]
+     * @returns {Promise.<module:plugins.SavedQueries.Entry>}
+     * @throws SavedQueryError
+     * @fires module:plugins.SavedQueries.savedQueriesChanged
+     */
+    updateQuery: function(id, changes) {
+        var self = this;
+
+        return getSavedQuery(this, id).then(function(entry) {
+            if (changes.name !== undefined) {
+                entry.name = String(changes.name).trim();
+
+                if (!entry.name) {
+                    Utils.error('SavedQuery', 'The name of the query is required');
+                }
+            }
+
+            if (changes.tags !== undefined) {
+                entry.tags = parseSavedQueryTags(changes.tags);
+            }
+
+            return self.savedQueries.storage.save(entry);
+        }).then(function(entry) {
+            triggerSavedQueriesChanged(self);
+            return entry;
+        });
+    },
+
+    /**
+     * Deletes a saved query
+     * @param {string} id
+     * @returns {Promise}
+     * @fires module:plugins.SavedQueries.savedQueriesChanged
+     */
+    deleteQuery: function(id) {
+        var self = this;
+
+        return this.savedQueries.storage.remove(id).then(function() {
+            triggerSavedQueriesChanged(self);
+        });
+    },
+
+    /**
+     * Checks if the filters and operators of a saved query are available
+     * @param {module:plugins.SavedQueries.Entry} entry
+     * @returns {{same_version: boolean, missing_filters: string[], missing_operators: string[]}}
+     */
+    checkQueryCompatibility: function(entry) {
+        var self = this;
+        var result = {
+            same_version: entry.filters_version === this.getFiltersVersion(),
+            missing_filters: [],
+            missing_operators: []
+        };
+
+        (function walk(json) {
+            if (json.rules !== undefined) {
+                json.rules.forEach(walk);
+                return;
+            }
+
+            if (json.id === null || json.id === undefined) {
+                return;
+            }
+
+            var filter = self.getFilterById(json.id, false);
+            if (!filter) {
+                if (result.missing_filters.indexOf(json.id) === -1) {
+                    result.missing_filters.push(json.id);
+                }
+                return;
+            }
+
+            if (json.operator && !self.getOperators(filter).some(function(operator) {
+                return operator.type === json.operator;
+            })) {
+                result.missing_operators.push(json.id + ' ' + json.operator);
+            }
+        }(entry.rules));
+
+        return result;
+    }
+});
+
+/**
+ * A saved query
+ * @typedef {object} Entry
+ * @memberof module:plugins.SavedQueries
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} tags
+ * @property {object} rules - output of `getRules({get_flags: true})`
+ * @property {string} filters_version
+ * @property {int} timestamp - date of the last save, in milliseconds
+ */
+
+/**
+ * Storage of saved queries, all methods are asynchronous so remote storages can be used
+ * @interface StorageAdapter
+ * @memberof module:plugins.SavedQueries
+ */
+
+/**
+ * Returns all the saved queries
+ * @function
+ * @name module:plugins.SavedQueries.StorageAdapter#list
+ * @returns {Promise.<module:plugins.SavedQueries.Entry[]>}
+ */
+
+/**
+ * Returns a saved query
+ * @function
+ * @name module:plugins.SavedQueries.StorageAdapter#get
+ * @param {string} id
+ * @returns {Promise.<module:plugins.SavedQueries.Entry|null>}
+ */
+
+/**
+ * Creates or replaces a saved query
+ * @function
+ * @name module:plugins.SavedQueries.StorageAdapter#save
+ * @param {module:plugins.SavedQueries.Entry} entry
+ * @returns {Promise.<module:plugins.SavedQueries.Entry>}
+ */
+
+/**
+ * Deletes a saved query
+ * @function
+ * @name module:plugins.SavedQueries.StorageAdapter#remove
+ * @param {string} id
+ * @returns {Promise}
+ */
+
+/**
+ * Stores saved queries in memory, entries are lost when the page is closed
+ * @class MemoryStorageAdapter
+ * @memberof QueryBuilder
+ * @implements module:plugins.SavedQueries.StorageAdapter
+ * @param {module:plugins.SavedQueries.Entry[]} [entries]
+ */
+QueryBuilder.MemoryStorageAdapter = function(entries) {
+    this.entries = entries || [];
+};
+
+QueryBuilder.MemoryStorageAdapter.prototype.list = function() {
+    return Promise.resolve(JSON.parse(JSON.stringify(this.entries)));
+};
+
+QueryBuilder.MemoryStorageAdapter.prototype.get = function(id) {
+    var entry = this.entries.find(function(entry) {
+        return entry.id === id;
+    });
+
+    return Promise.resolve(entry ? JSON.parse(JSON.stringify(entry)) : null);
+};
+
+QueryBuilder.MemoryStorageAdapter.prototype.save = function(entry) {
+    var index = this.entries.findIndex(function(e) {
+        return e.id === entry.id;
+    });
+
+    entry = Object.assign(JSON.parse(JSON.stringify(entry)), { timestamp: Date.now() });
+
+    if (index === -1) {
+        this.entries.push(entry);
+    }
+    else {
+        this.entries[index] = entry;
+    }
+
+    return Promise.resolve(JSON.parse(JSON.stringify(entry)));
+};
+
+QueryBuilder.MemoryStorageAdapter.prototype.remove = function(id) {
+    this.entries = this.entries.filter(function(entry) {
+        return entry.id !== id;
+    });
+
+    return Promise.resolve();
+};
+
+/**
+ * Stores saved queries in the localStorage of the browser, as a JSON array
+ * @class LocalStorageAdapter
+ * @memberof QueryBuilder
+ * @implements module:plugins.SavedQueries.StorageAdapter
+ * @param {string} [key='query-builder-saved-queries']
+ * @param {Storage} [storage=localStorage]
+ * @throws ConfigError
+ */
+QueryBuilder.LocalStorageAdapter = function(key, storage) {
+    this.key = key || 'query-builder-saved-queries';
+    this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+    if (!this.storage) {
+        Utils.error('Config', 'localStorage is not available, use another storage adapter');
+    }
+};
+
+QueryBuilder.LocalStorageAdapter.prototype.read = function() {
+    return new QueryBuilder.MemoryStorageAdapter(JSON.parse(this.storage.getItem(this.key) || '[]'));
+};
+
+QueryBuilder.LocalStorageAdapter.prototype.write = function(memory) {
+    this.storage.setItem(this.key, JSON.stringify(memory.entries));
+};
+
+QueryBuilder.LocalStorageAdapter.prototype.list = function() {
+    return this.read().list();
+};
+
+QueryBuilder.LocalStorageAdapter.prototype.get = function(id) {
+    return this.read().get(id);
+};
+
+QueryBuilder.LocalStorageAdapter.prototype.save = function(entry) {
+    var memory = this.read();
+    var self = this;
+
+    return memory.save(entry).then(function(entry) {
+        self.write(memory);
+        return entry;
+    });
+};
+
+QueryBuilder.LocalStorageAdapter.prototype.remove = function(id) {
+    var memory = this.read();
+    var self = this;
+
+    return memory.remove(id).then(function() {
+        self.write(memory);
+    });
+};
+
+/**
+ * Returns a saved query, fails if it does not exist
+ * @memberof module:plugins.SavedQueries
+ * @param {QueryBuilder} builder
+ * @param {string} id
+ * @returns {Promise.<module:plugins.SavedQueries.Entry>}
+ * @private
+ */
+function getSavedQuery(builder, id) {
+    return builder.savedQueries.storage.get(id).then(function(entry) {
+        if (!entry) {
+            Utils.error('SavedQuery', 'Unknown saved query "{0}"', id);
+        }
+
+        return entry;
+    });
+}
+
+/**
+ * Returns a list of tags from an array or a comma separated string
+ * @memberof module:plugins.SavedQueries
+ * @param {string[]|string} [tags]
+ * @returns {string[]}
+ * @private
+ */
+function parseSavedQueryTags(tags) {
+    if (!tags) {
+        return [];
+    }
+
+    return (Array.isArray(tags) ? tags : String(tags).split(','))
+        .map(function(tag) {
+            return String(tag).trim();
+        })
+        .filter(function(tag, i, list) {
+            return tag && list.indexOf(tag) === i;
+        });
+}
+
+/**
+ * Fills the list of the panel
+ * @memberof module:plugins.SavedQueries
+ * @param {QueryBuilder} builder
+ * @param {HTMLElement} panel
+ * @private
+ */
+function refreshSavedQueriesPanel(builder, panel) {
+    var list = panel.querySelector('[data-saved-query=list]');
+
+    builder.listQueries().then(function(entries) {
+        var selected = list.value;
+
+        while (list.options.length > 1) {
+            list.options[1].remove();
+        }
+
+        entries.forEach(function(entry) {
+            list.insertAdjacentHTML('beforeend', String(Utils.html`<option value="${entry.id}">${entry.name}${entry.tags.length ? ' [' + entry.tags.join(', ') + ']' : ''}</option>`));
+        });
+
+        list.value = entries.some(function(entry) {
+            return entry.id === selected;
+        }) ? selected : '';
+    });
+}
+
+/**
+ * Triggers the savedQueriesChanged event
+ * @memberof module:plugins.SavedQueries
+ * @param {QueryBuilder} builder
+ * @private
+ */
+function triggerSavedQueriesChanged(builder) {
+    /**
+     * After a query has been saved, updated or deleted
+     * @event savedQueriesChanged
+     * @memberof module:plugins.SavedQueries
+     */
+    builder.trigger('savedQueriesChanged');
+}
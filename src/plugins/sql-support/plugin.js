@@ -3,12 +3,20 @@
  * @memberof module:plugins
  * @description Allows to export rules as a SQL WHERE statement as well as populating the builder from an SQL query.
  * @param {object} [options]
- * @param {boolean} [options.boolean_as_integer=true] - `true` to convert boolean values to integer in the SQL output
+ * @param {boolean} [options.boolean_as_integer=true] - `true` to convert boolean values to integer in the SQL output, the dialect can override it
+ * @param {string|module:plugins.SqlSupport.SqlDialect} [options.dialect=null] - name of a dialect of {@link QueryBuilder.sqlDialects} or a custom dialect,
+ *     by default identifiers are not quoted and strings are escaped like MySQL does
+ * @param {boolean} [options.case_insensitive=false] - `true` to compare strings case insensitively, it can also be set by rule with `data.case_insensitive`
+ * @param {boolean} [options.strict=false] - `true` to only export fields of the filters and to refuse values
+ *     other than numbers and booleans outside prepared statements
  */
 QueryBuilder.define('sql-support', function(options) {
 
 }, {
-    boolean_as_integer: true
+    boolean_as_integer: true,
+    dialect: null,
+    case_insensitive: false,
+    strict: false
 });
 
 QueryBuilder.defaults({
@@ -121,12 +129,19 @@ QueryBuilder.defaults({
             return { val: v, op: 'not_between' };
         },
         'IS': function(v) {
+            if (v === true || v === false) {
+                return { val: v, op: 'equal' };
+            }
             if (v !== null) {
                 Utils.error('SQLParse', 'Invalid value for IS operator');
             }
             return { val: null, op: 'is_null' };
         },
         'IS NOT': function(v) {
+            // "IS NOT TRUE" also matches NULL, unlike "!= TRUE"
+            if (v === true || v === false) {
+                Utils.error('SQLParse', 'IS NOT {0} is not supported', v ? 'TRUE' : 'FALSE');
+            }
             if (v !== null) {
                 Utils.error('SQLParse', 'Invalid value for IS operator');
             }
@@ -176,6 +191,12 @@ QueryBuilder.defaults({
                     params[key] = value;
                     return char + key;
                 },
+                parameter: function(name, value) {
+                    if (value !== undefined) {
+                        params[name] = value;
+                    }
+                    return char + name;
+                },
                 run: function() {
                     return params;
                 }
@@ -234,34 +255,57 @@ QueryBuilder.defaults({
  * @property {object} params
  */
 
+/**
+ * @typedef {object} SqlDialect
+ * @memberof module:plugins.SqlSupport
+ * @property {string} statement - placeholder style used when `getSQL` is called with `true`
+ * @property {boolean} [boolean_as_integer] - overrides the option of the plugin
+ * @property {boolean} [ilike=false] - the database has a case insensitive `ILIKE` operator, `LOWER()` is used otherwise
+ * @property {function} quote - quotes an identifier, called for each part of a dotted field
+ * @property {function} escape - escapes a string literal, without adding the quotes
+ * @property {function} date - returns the literal of a date, called with the quoted date and the filter type
+ * @property {object} [sqlOperators] - overrides {@link QueryBuilder.DEFAULTS.sqlOperators}, merged recursively
+ * @property {object} [sqlStatements] - overrides {@link QueryBuilder.DEFAULTS.sqlStatements}
+ */
+
 QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
     /**
-     * Returns rules as a SQL query
-     * @param {boolean|string} [stmt] - use prepared statements: false, 'question_mark', 'numbered', 'numbered(@)', 'named', 'named(@)'
+     * Returns rules as a SQL query, relative dates are resolved to the current date.<br>
+     * Parameters are replaced by their bound values, except with 'named' statements where `{{region}}` becomes `:region`
+     * @param {boolean|string} [stmt] - use prepared statements: false, 'question_mark', 'numbered', 'numbered(@)', 'named', 'named(@)',
+     *     true for the default placeholder style of the dialect
      * @param {boolean} [nl=false] output with new lines
-     * @param {object} [data] - current rules by default
+     * @param {object} [data] - current rules by default, without the disabled ones
      * @returns {module:plugins.SqlSupport.SqlQuery}
+     * @fires module:plugins.SqlSupport.changer:getSQLRawValue
      * @fires module:plugins.SqlSupport.changer:getSQLField
      * @fires module:plugins.SqlSupport.changer:ruleToSQL
      * @fires module:plugins.SqlSupport.changer:groupToSQL
-     * @throws UndefinedSQLConditionError, UndefinedSQLOperatorError
+     * @throws UndefinedSQLConditionError, UndefinedSQLOperatorError, UnboundParameterError, ConfigError, UnsafeSQLError
      */
     getSQL: function(stmt, nl, data) {
-        data = (data === undefined) ? this.getRules() : data;
+        data = (data === undefined) ? this.getRules({ skip_disabled: true }) : data;
 
         if (!data) {
             return null;
         }
 
         nl = !!nl ? '\n' : ' ';
-        var boolean_as_integer = this.getPluginOptions('sql-support', 'boolean_as_integer');
+        var dialect = this.getSQLDialect();
+        var boolean_as_integer = dialect && dialect.boolean_as_integer !== undefined ?
+            dialect.boolean_as_integer :
+            this.getPluginOptions('sql-support', 'boolean_as_integer');
+        var case_insensitive = this.getPluginOptions('sql-support', 'case_insensitive');
+        var strict = this.getPluginOptions('sql-support', 'strict');
+        var sqlOperators = dialect ? Utils.merge(Utils.merge({}, this.settings.sqlOperators), dialect.sqlOperators || {}) : this.settings.sqlOperators;
+        var sqlStatements = dialect ? Object.assign({}, this.settings.sqlStatements, dialect.sqlStatements) : this.settings.sqlStatements;
 
         if (stmt === true) {
-            stmt = 'question_mark';
+            stmt = dialect ? dialect.statement : 'question_mark';
         }
         if (typeof stmt == 'string') {
             var config = getStmtConfig(stmt);
-            stmt = this.settings.sqlStatements[config[1]](config[2]);
+            stmt = sqlStatements[config[1]](config[2]);
         }
 
         var self = this;
@@ -285,27 +329,92 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
                     parts.push('(' + nl + parse(rule) + nl + ')' + nl);
                 }
                 else {
-                    var sql = self.settings.sqlOperators[rule.operator];
+                    var sql = sqlOperators[rule.operator];
                     var ope = self.getOperatorByType(rule.operator);
+                    var filter = self.getFilterById(rule.id, false);
                     var value = '';
 
                     if (sql === undefined) {
                         Utils.error('UndefinedSQLOperator', 'Unknown SQL operation for operator "{0}"', rule.operator);
                     }
 
+                    if (strict) {
+                        checkSQLField(rule, filter, dialect);
+                    }
+
                     if (ope.nb_inputs !== 0) {
                         if (!(rule.value instanceof Array)) {
                             rule.value = [rule.value];
                         }
 
+                        // statements supporting parameters keep them as placeholders
+                        if (!stmt || !stmt.parameter) {
+                            rule.value = self.resolveParameters(rule.value);
+                        }
+
+                        rule.value = self.resolveRelativeDates(filter, rule.value);
+
                         rule.value.forEach(function(v, i) {
                             if (i > 0) {
                                 value += sql.sep;
                             }
 
+                            /**
+                             * Returns raw SQL to use instead of a rule value, it is neither escaped, quoted nor added to the statement parameters
+                             * @event changer:getSQLRawValue
+                             * @memberof module:plugins.SqlSupport
+                             * @param {string|null} sql - null to export the value as usual
+                             * @param {*} value
+                             * @param {Rule} rule
+                             * @returns {string|null}
+                             */
+                            var raw = self.change('getSQLRawValue', null, v, rule);
+
+                            if (raw !== null) {
+                                value += raw;
+                                return;
+                            }
+
+                            var parameter = Utils.getParameterName(v);
+
+                            if (parameter !== null) {
+                                v = self.parameters[parameter];
+
+                                if (v === undefined) {
+                                    // the modifier (eg: "%{0}%") cannot be applied to a placeholder
+                                    if (sql.mod) {
+                                        Utils.error('UnboundParameter', 'Parameter "{0}" must be bound to be used with operator "{1}"', parameter, rule.operator);
+                                    }
+
+                                    value += stmt.parameter(parameter);
+                                    return;
+                                }
+                            }
+
+                            if (strict && !stmt) {
+                                checkSQLValue(rule, v);
+                            }
+
+                            var literal = null;
+
                             if (rule.type == 'boolean' && boolean_as_integer) {
                                 v = v ? 1 : 0;
                             }
+                            else if (dialect && QueryBuilder.types[rule.type] === 'datetime' && typeof v == 'string') {
+                                v = formatSQLDate(self, filter, rule.type, v);
+
+                                if (!stmt) {
+                                    literal = dialect.date('\'' + dialect.escape(v) + '\'', rule.type);
+                                }
+                            }
+                            else if (dialect && rule.type !== 'integer' && rule.type !== 'double' && rule.type !== 'boolean') {
+                                if (sql.escape) {
+                                    v = escapeSQLLike(v, sql.escape);
+                                }
+                                if (!stmt) {
+                                    v = dialect.escape(v);
+                                }
+                            }
                             else if (!stmt && rule.type !== 'integer' && rule.type !== 'double' && rule.type !== 'boolean') {
                                 v = Utils.escapeString(v, sql.escape);
                             }
@@ -314,7 +423,13 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
                                 v = Utils.fmt(sql.mod, v);
                             }
 
-                            if (stmt) {
+                            if (literal !== null) {
+                                value += literal;
+                            }
+                            else if (parameter !== null) {
+                                value += stmt.parameter(parameter, v);
+                            }
+                            else if (stmt) {
                                 value += stmt.add(rule, v);
                             }
                             else {
@@ -327,21 +442,35 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
                         });
                     }
 
-                    var sqlFn = function(v) {
-                        return sql.op.replace('?', function() {
-                            return v;
-                        });
-                    };
-
                     /**
-                     * Modifies the SQL field used by a rule
+                     * Modifies the SQL field used by a rule, it is already quoted if a dialect is used
                      * @event changer:getSQLField
                      * @memberof module:plugins.SqlSupport
                      * @param {string} field
                      * @param {Rule} rule
                      * @returns {string}
                      */
-                    var field = self.change('getSQLField', rule.field, rule);
+                    var field = self.change('getSQLField', dialect ? quoteSQLIdentifier(dialect, rule.field) : rule.field, rule);
+                    var op = sql.op;
+
+                    // LIKE operators and comparisons of strings with a single value
+                    var comparison = !sql.sep && op.indexOf('?') !== -1 && (rule.type === 'string' || /\bLIKE\b/.test(op));
+
+                    if ((case_insensitive || (rule.data && rule.data.case_insensitive)) && comparison) {
+                        if (dialect && dialect.ilike && /\bLIKE\b/.test(op)) {
+                            op = op.replace(/\bLIKE\b/, 'ILIKE');
+                        }
+                        else {
+                            field = 'LOWER(' + field + ')';
+                            op = op.replace('?', 'LOWER(?)');
+                        }
+                    }
+
+                    var sqlFn = function(v) {
+                        return op.replace('?', function() {
+                            return v;
+                        });
+                    };
 
                     var ruleExpression = field + ' ' + sqlFn(value);
 
@@ -386,18 +515,40 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
     },
 
     /**
-     * Convert a SQL query to rules
+     * Returns the dialect profile set in the options
+     * @returns {module:plugins.SqlSupport.SqlDialect|null}
+     * @throws ConfigError
+     * @private
+     */
+    getSQLDialect: function() {
+        var dialect = this.getPluginOptions('sql-support', 'dialect');
+
+        if (typeof dialect == 'string') {
+            if (!QueryBuilder.sqlDialects[dialect]) {
+                Utils.error('Config', 'Unknown SQL dialect "{0}"', dialect);
+            }
+            return QueryBuilder.sqlDialects[dialect];
+        }
+
+        return dialect || null;
+    },
+
+    /**
+     * Convert a SQL query to rules.<br>
+     * AND has precedence over OR, `NOT (...)` is applied to the rules when the "not-group" plugin is not used
+     * and `ILIKE` or fields in `LOWER()`/`UPPER()` give rules with `data.case_insensitive`.<br>
+     * The conditions which cannot be converted are skipped and listed in the `unparsed` property of the result.
      * @param {string|module:plugins.SqlSupport.SqlQuery} query
      * @param {boolean|string} stmt
-     * @returns {object}
+     * @returns {object} rules, with `unparsed: [{sql, message}]` if some conditions were skipped
      * @fires module:plugins.SqlSupport.changer:parseSQLNode
      * @fires module:plugins.SqlSupport.changer:getSQLFieldID
      * @fires module:plugins.SqlSupport.changer:sqlToRule
      * @fires module:plugins.SqlSupport.changer:sqlToGroup
-     * @throws MissingLibraryError, SQLParseError, UndefinedSQLOperatorError
+     * @throws MissingLibraryError, SQLParseError
      */
     getRulesFromSQL: function(query, stmt) {
-        if (!('SQLParser' in window)) {
+        if (typeof SQLParser == 'undefined') {
             Utils.error('MissingLibrary', 'SQLParser is required to parse SQL queries. Get it here https://github.com/mistic100/sql-parser');
         }
 
@@ -413,15 +564,13 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
             stmt = this.settings.sqlRuleStatement[config[1]](query.params, config[2]);
         }
 
-        if (stmt) {
-            query.sql = stmt.esc(query.sql);
-        }
+        var sql = stmt ? stmt.esc(query.sql) : query.sql;
 
-        if (query.sql.toUpperCase().indexOf('SELECT') !== 0) {
-            query.sql = 'SELECT * FROM table WHERE ' + query.sql;
+        if (sql.toUpperCase().indexOf('SELECT') !== 0) {
+            sql = 'SELECT * FROM table WHERE ' + sql;
         }
 
-        var parsed = SQLParser.parse(query.sql);
+        var parsed = SQLParser.parse(fixSQLPrecedence(sql));
 
         if (!parsed.where) {
             Utils.error('SQLParse', 'No WHERE clause found');
@@ -458,6 +607,123 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
         // keep track of current group
         var curr = out;
 
+        // conditions which cannot be converted
+        var unparsed = [];
+        var skip = function(data, message) {
+            unparsed.push({ sql: String(data), message: message });
+        };
+
+        var parseLeaf = function(data) {
+            var left = data.left;
+            var right = data.right;
+            var caseInsensitive = false;
+
+            // case insensitive comparison
+            if (isSQLCaseFunction(left)) {
+                left = left.arguments.value[0];
+                caseInsensitive = true;
+
+                if (isSQLCaseFunction(right)) {
+                    right = right.arguments.value[0];
+                }
+            }
+
+            // "name = age" compares two columns
+            if ('values' in right) {
+                Utils.error('SQLParse', 'Comparison with column {0} not supported.', String(right));
+            }
+
+            if (!('value' in right) || Utils.isPlainObject(right.value)) {
+                Utils.error('SQLParse', 'Value format not supported for {0}.', String(left));
+            }
+
+            // convert array
+            var value;
+            if (Array.isArray(right.value)) {
+                value = right.value.map(function(v) {
+                    return v.value;
+                });
+            }
+            else {
+                value = right.value;
+            }
+
+            // get actual values
+            if (stmt) {
+                if (Array.isArray(value)) {
+                    value = value.map(stmt.parse);
+                }
+                else {
+                    value = stmt.parse(value);
+                }
+            }
+
+            // convert operator
+            var operator = data.operation.toUpperCase();
+            if (operator == '<>') {
+                operator = '!=';
+            }
+            else if (operator == 'ILIKE' || operator == 'NOT ILIKE') {
+                operator = operator.replace('ILIKE', 'LIKE');
+                caseInsensitive = true;
+            }
+
+            var sqlrl = self.settings.sqlRuleOperator[operator];
+            if (sqlrl === undefined) {
+                Utils.error('UndefinedSQLOperator', 'Invalid SQL operation "{0}".', data.operation);
+            }
+
+            var opVal = sqlrl.call(this, value, data.operation);
+
+            // find field name
+            var field;
+            if ('values' in left) {
+                field = left.values.join('.');
+            }
+            else if ('value' in left && typeof left.value == 'string') {
+                field = left.value;
+            }
+            else {
+                Utils.error('SQLParse', 'Cannot find field name in {0}', String(left));
+            }
+
+            // unescape chars declared by the operator
+            var finalValue = opVal.val;
+            var sql = self.settings.sqlOperators[opVal.op];
+            if (!stmt && sql && sql.escape) {
+                var searchChars = sql.escape.split('').map(function(c) {
+                    return '\\\\' + c;
+                }).join('|');
+                finalValue = finalValue
+                    .replace(new RegExp('(' + searchChars + ')', 'g'), function(s) {
+                        return s[1];
+                    });
+            }
+
+            var id = self.getSQLFieldID(field, value);
+
+            var rule = {
+                id: id,
+                field: field,
+                operator: opVal.op,
+                value: finalValue
+            };
+
+            if (caseInsensitive) {
+                rule.data = { case_insensitive: true };
+            }
+
+            /**
+             * Modifies the rule generated from the SQL expression
+             * @event changer:sqlToRule
+             * @memberof module:plugins.SqlSupport
+             * @param {object} rule
+             * @param {object} AST
+             * @returns {object}
+             */
+            return self.change('sqlToRule', rule, data);
+        };
+
         (function flatten(data, i) {
             if (data === null) {
                 return;
@@ -478,9 +744,35 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
                 return;
             }
 
+            // negation without the "not-group" plugin
+            if (data.name && data.name.toUpperCase() == 'NOT' && data.arguments && data.arguments.value.length === 1) {
+                var parent = curr;
+                var skipped = unparsed.length;
+
+                curr = { condition: self.settings.default_condition, rules: [] };
+                flatten(data.arguments.value[0], 0);
+
+                var negation = unparsed.length === skipped ? negateSQLRules(curr) : null;
+                curr = parent;
+
+                if (negation === null) {
+                    unparsed.length = skipped;
+                    skip(data, 'Unable to negate the condition');
+                }
+                else if (i === 0 && curr.rules.length === 0) {
+                    curr.condition = negation.condition;
+                    curr.rules = negation.rules;
+                }
+                else {
+                    curr.rules.push(negation.rules.length === 1 ? negation.rules[0] : negation);
+                }
+                return;
+            }
+
             // data must be a SQL parser node
             if (!('left' in data) || !('right' in data) || !('operation' in data)) {
-                Utils.error('SQLParse', 'Unable to parse WHERE clause');
+                skip(data, 'Unable to parse WHERE clause');
+                return;
             }
 
             // it's a node
@@ -529,99 +821,34 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
             }
             // it's a leaf
             else {
-                if ($.isPlainObject(data.right.value)) {
-                    Utils.error('SQLParse', 'Value format not supported for {0}.', data.left.value);
-                }
-
-                // convert array
-                var value;
-                if ($.isArray(data.right.value)) {
-                    value = data.right.value.map(function(v) {
-                        return v.value;
-                    });
-                }
-                else {
-                    value = data.right.value;
+                try {
+                    curr.rules.push(parseLeaf(data));
                 }
-
-                // get actual values
-                if (stmt) {
-                    if ($.isArray(value)) {
-                        value = value.map(stmt.parse);
-                    }
-                    else {
-                        value = stmt.parse(value);
+                catch (err) {
+                    if (['SQLParseError', 'UndefinedSQLOperatorError'].indexOf(err.name) === -1) {
+                        throw err;
                     }
+                    skip(data, err.message);
                 }
-
-                // convert operator
-                var operator = data.operation.toUpperCase();
-                if (operator == '<>') {
-                    operator = '!=';
-                }
-
-                var sqlrl = self.settings.sqlRuleOperator[operator];
-                if (sqlrl === undefined) {
-                    Utils.error('UndefinedSQLOperator', 'Invalid SQL operation "{0}".', data.operation);
-                }
-
-                var opVal = sqlrl.call(this, value, data.operation);
-
-                // find field name
-                var field;
-                if ('values' in data.left) {
-                    field = data.left.values.join('.');
-                }
-                else if ('value' in data.left) {
-                    field = data.left.value;
-                }
-                else {
-                    Utils.error('SQLParse', 'Cannot find field name in {0}', JSON.stringify(data.left));
-                }
-
-                // unescape chars declared by the operator
-                var finalValue = opVal.val;
-                var sql = self.settings.sqlOperators[opVal.op];
-                if (!stmt && sql && sql.escape) {
-                    var searchChars = sql.escape.split('').map(function(c) {
-                        return '\\\\' + c;
-                    }).join('|');
-                    finalValue = finalValue
-                        .replace(new RegExp('(' + searchChars + ')', 'g'), function(s) {
-                            return s[1];
-                        });
-                }
-
-                var id = self.getSQLFieldID(field, value);
-
-                /**
-                 * Modifies the rule generated from the SQL expression
-                 * @event changer:sqlToRule
-                 * @memberof module:plugins.SqlSupport
-                 * @param {object} rule
-                 * @param {object} AST
-                 * @returns {object}
-                 */
-                var rule = self.change('sqlToRule', {
-                    id: id,
-                    field: field,
-                    operator: opVal.op,
-                    value: finalValue
-                }, data);
-
-                curr.rules.push(rule);
             }
         }(data, 0));
 
+        if (unparsed.length) {
+            out.unparsed = unparsed;
+        }
+
         return out;
     },
 
     /**
      * Sets the builder's rules from a SQL query
      * @see module:plugins.SqlSupport.getRulesFromSQL
+     * @returns {object[]} conditions which could not be converted, `{sql, message}`
      */
     setRulesFromSQL: function(query, stmt) {
-        this.setRules(this.getRulesFromSQL(query, stmt));
+        var rules = this.getRulesFromSQL(query, stmt);
+        this.setRules(rules);
+        return rules.unparsed || [];
     },
 
     /**
@@ -658,6 +885,183 @@ QueryBuilder.extend(/** @lends module:plugins.SqlSupport.prototype */ {
     }
 });
 
+/**
+ * SQL column types and the matching filter types, unknown types are considered as strings
+ * @type {object.<string, string>}
+ * @memberof module:plugins.SqlSupport
+ */
+QueryBuilder.sqlColumnTypes = {
+    // @formatter:off
+    INT: 'integer', INTEGER: 'integer', SMALLINT: 'integer', TINYINT: 'integer', MEDIUMINT: 'integer', BIGINT: 'integer',
+    SERIAL: 'integer', SMALLSERIAL: 'integer', BIGSERIAL: 'integer',
+    DECIMAL: 'double', NUMERIC: 'double', FLOAT: 'double', DOUBLE: 'double', REAL: 'double', MONEY: 'double',
+    DATE: 'date',
+    TIME: 'time',
+    DATETIME: 'datetime', TIMESTAMP: 'datetime', TIMESTAMPTZ: 'datetime',
+    BOOLEAN: 'boolean', BOOL: 'boolean', BIT: 'boolean'
+    // @formatter:on
+};
+
+/**
+ * SQL dialects usable with the `dialect` option, dates are exported in the ISO formats of {@link QueryBuilder.dateFormats}
+ * and the wildcards of LIKE values are escaped with a backslash
+ * @type {object.<string, module:plugins.SqlSupport.SqlDialect>}
+ * @memberof module:plugins.SqlSupport
+ */
+QueryBuilder.sqlDialects = {
+    postgresql: {
+        statement: 'numbered',
+        boolean_as_integer: false,
+        ilike: true,
+        quote: function(name) {
+            return '"' + name.replace(/"/g, '""') + '"';
+        },
+        escape: escapeSQLString,
+        date: function(value, type) {
+            return { date: 'DATE', time: 'TIME', datetime: 'TIMESTAMP' }[type] + ' ' + value;
+        }
+    },
+
+    mysql: {
+        statement: 'question_mark',
+        boolean_as_integer: false,
+        quote: function(name) {
+            return '`' + name.replace(/`/g, '``') + '`';
+        },
+        escape: function(value) {
+            return Utils.escapeString(value);
+        },
+        date: function(value, type) {
+            return { date: 'DATE', time: 'TIME', datetime: 'TIMESTAMP' }[type] + ' ' + value;
+        }
+    },
+
+    sqlserver: {
+        statement: 'named(@)',
+        boolean_as_integer: true,
+        quote: function(name) {
+            return '[' + name.replace(/]/g, ']]') + ']';
+        },
+        escape: escapeSQLString,
+        date: function(value, type) {
+            return 'CAST(' + value + ' AS ' + { date: 'DATE', time: 'TIME', datetime: 'DATETIME2' }[type] + ')';
+        },
+        sqlOperators: getSQLLikeEscapeOperators()
+    },
+
+    oracle: {
+        statement: 'named',
+        boolean_as_integer: true,
+        quote: function(name) {
+            return '"' + name.replace(/"/g, '""') + '"';
+        },
+        escape: escapeSQLString,
+        date: function(value, type) {
+            // no TIME type in Oracle
+            return type === 'time' ? value : { date: 'DATE', datetime: 'TIMESTAMP' }[type] + ' ' + value;
+        },
+        // empty strings are NULL in Oracle
+        sqlOperators: Object.assign(getSQLLikeEscapeOperators(), {
+            is_empty: { op: 'IS NULL' },
+            is_not_empty: { op: 'IS NOT NULL' }
+        })
+    },
+
+    sqlite: {
+        statement: 'question_mark',
+        boolean_as_integer: true,
+        quote: function(name) {
+            return '"' + name.replace(/"/g, '""') + '"';
+        },
+        escape: escapeSQLString,
+        // dates are stored as text
+        date: function(value) {
+            return value;
+        },
+        sqlOperators: getSQLLikeEscapeOperators()
+    }
+};
+
+/**
+ * Generates filters from SQL `CREATE TABLE` statements, other statements are ignored.<br>
+ * Each column gives a filter with `table.column` as id and field and the table as optgroup,
+ * `ENUM(...)` types and `CHECK (column IN (...))` constraints give select inputs.
+ *
+ * @example
+ * QueryBuilder.filtersFromSQL(
+ *     'CREATE TABLE users (id INT PRIMARY KEY, name VARCHAR(50), status VARCHAR(10) CHECK (status IN (\'active\', \'closed\')))'
+ * );
+ *
+ * @memberof module:plugins.SqlSupport
+ * @param {string} ddl
+ * @param {object} [options]
+ * @param {object.<string, string>} [options.types] - additional column types, see {@link module:plugins.SqlSupport.sqlColumnTypes}
+ * @param {function} [options.map] - called with the filter, the table and the column, can modify the filter or return `null` to skip it
+ * @returns {QueryBuilder.Filter[]}
+ * @throws MissingLibraryError, SQLParseError
+ */
+QueryBuilder.filtersFromSQL = function(ddl, options) {
+    if (typeof SQLParser == 'undefined') {
+        Utils.error('MissingLibrary', 'SQLParser is required to parse SQL queries. Get it here https://github.com/mistic100/sql-parser');
+    }
+
+    options = Object.assign({ types: {}, map: null }, options);
+
+    var types = Object.assign({}, QueryBuilder.sqlColumnTypes, options.types);
+    var filters = [];
+
+    // the lexer does not handle statements separators
+    ddl.split(/;(?=(?:[^']*'[^']*')*[^']*$)/).forEach(function(statement) {
+        if (!statement.trim()) {
+            return;
+        }
+
+        var tokens;
+        try {
+            tokens = SQLParser.lexer.tokenize(statement);
+        }
+        catch (e) {
+            Utils.error('SQLParse', 'Unable to parse statement "{0}"', statement.trim());
+        }
+
+        var table = parseSQLCreateTable(tokens);
+        if (!table) {
+            return;
+        }
+
+        table.columns.forEach(function(column) {
+            var filter = {
+                id: table.name + '.' + column.name,
+                field: table.name + '.' + column.name,
+                label: column.name,
+                type: types[column.type] || 'string',
+                optgroup: table.name
+            };
+
+            var values = column.values || table.checks[column.name];
+
+            if (values) {
+                filter.input = 'select';
+                filter.values = values;
+            }
+            else if (filter.type === 'boolean') {
+                filter.input = 'radio';
+                filter.values = [true, false];
+            }
+
+            if (options.map) {
+                filter = options.map(filter, table.name, column.name);
+            }
+
+            if (filter) {
+                filters.push(filter);
+            }
+        });
+    });
+
+    return filters;
+};
+
 /**
  * Parses the statement configuration
  * @memberof module:plugins.SqlSupport
@@ -670,3 +1074,391 @@ function getStmtConfig(stmt) {
     if (!config) config = [null, 'question_mark', undefined];
     return config;
 }
+
+/**
+ * Checks that the field of a rule is the one of its filter and can be used without quotes if there is no dialect
+ * @memberof module:plugins.SqlSupport
+ * @param {object} rule
+ * @param {QueryBuilder.Filter} filter
+ * @param {module:plugins.SqlSupport.SqlDialect} dialect
+ * @throws UnsafeSQLError
+ * @private
+ */
+function checkSQLField(rule, filter, dialect) {
+    if (!filter || filter.field !== rule.field) {
+        Utils.error('UnsafeSQL', 'Field "{0}" does not belong to the filters', rule.field);
+    }
+
+    if (!dialect && !/^[a-z_][\w$]*(\.[a-z_][\w$]*)*$/i.test(rule.field)) {
+        Utils.error('UnsafeSQL', 'Field "{0}" must be quoted, set a dialect', rule.field);
+    }
+}
+
+/**
+ * Checks that a value can be written in the SQL without prepared statements
+ * @memberof module:plugins.SqlSupport
+ * @param {object} rule
+ * @param {*} value
+ * @throws UnsafeSQLError
+ * @private
+ */
+function checkSQLValue(rule, value) {
+    switch (rule.type) {
+        case 'integer':
+        case 'double':
+            if (typeof value != 'number' || !isFinite(value)) {
+                Utils.error('UnsafeSQL', 'Value of "{0}" is not a number', rule.field);
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value != 'boolean' && value !== 0 && value !== 1) {
+                Utils.error('UnsafeSQL', 'Value of "{0}" is not a boolean', rule.field);
+            }
+            break;
+
+        default:
+            Utils.error('UnsafeSQL', 'Value of "{0}" must be sent with a prepared statement', rule.field);
+    }
+}
+
+/**
+ * Escapes a string literal by doubling the quotes, as standard SQL does
+ * @memberof module:plugins.SqlSupport
+ * @param {string} value
+ * @returns {string}
+ * @private
+ */
+function escapeSQLString(value) {
+    return String(value).replace(/'/g, '\'\'');
+}
+
+/**
+ * Escapes the wildcards of a LIKE value with a backslash
+ * @memberof module:plugins.SqlSupport
+ * @param {string} value
+ * @param {string} chars - wildcards
+ * @returns {string}
+ * @private
+ */
+function escapeSQLLike(value, chars) {
+    return String(value).replace(new RegExp('[' + Utils.escapeRegExp('\\' + chars) + ']', 'g'), '\\$&');
+}
+
+/**
+ * Quotes each part of a dotted field with the dialect
+ * @memberof module:plugins.SqlSupport
+ * @param {module:plugins.SqlSupport.SqlDialect} dialect
+ * @param {string} field
+ * @returns {string}
+ * @private
+ */
+function quoteSQLIdentifier(dialect, field) {
+    return field.split('.').map(dialect.quote).join('.');
+}
+
+/**
+ * Formats a date value in the ISO format of its type, invalid dates are kept as is
+ * @memberof module:plugins.SqlSupport
+ * @param {QueryBuilder} builder
+ * @param {QueryBuilder.Filter} filter
+ * @param {string} type
+ * @param {string} value
+ * @returns {string}
+ * @private
+ */
+function formatSQLDate(builder, filter, type, value) {
+    var date = builder.parseDateValue(filter || {}, value);
+    return date.isValid() ? date.format(QueryBuilder.dateFormats[type]) : value;
+}
+
+/**
+ * Returns the LIKE operators with an explicit escape character, for databases without default one
+ * @memberof module:plugins.SqlSupport
+ * @returns {object}
+ * @private
+ */
+function getSQLLikeEscapeOperators() {
+    return {
+        begins_with: { op: 'LIKE ? ESCAPE \'\\\'' },
+        not_begins_with: { op: 'NOT LIKE ? ESCAPE \'\\\'' },
+        contains: { op: 'LIKE ? ESCAPE \'\\\'' },
+        not_contains: { op: 'NOT LIKE ? ESCAPE \'\\\'' },
+        ends_with: { op: 'LIKE ? ESCAPE \'\\\'' },
+        not_ends_with: { op: 'NOT LIKE ? ESCAPE \'\\\'' }
+    };
+}
+
+/**
+ * Adds parentheses around the operands of OR in the WHERE clause, as the parser gives the same precedence to AND and OR
+ * @memberof module:plugins.SqlSupport
+ * @param {string} sql
+ * @returns {string}
+ * @private
+ */
+function fixSQLPrecedence(sql) {
+    var tokens = SQLParser.lexer.tokenize(sql);
+    var i = tokens.findIndex(function(token) {
+        return token[0] === 'WHERE';
+    });
+
+    if (i === -1) {
+        return sql;
+    }
+
+    var insertions = [];
+    var close = function(level, end) {
+        if (level.subquery || !level.and || level.ors.length === 0) {
+            return;
+        }
+        insertions.push([level.start, '('], [end, ')']);
+        level.ors.forEach(function(or) {
+            insertions.push([or[0], ')'], [or[1], '(']);
+        });
+    };
+    var open = function(token) {
+        return { start: token[3], subquery: token[0] === 'SELECT', ors: [], and: false, between: false };
+    };
+
+    var stack = [];
+    var level = open(tokens[++i]);
+
+    for (; i < tokens.length; i++) {
+        var token = tokens[i];
+
+        if (token[0] === 'LEFT_PAREN') {
+            stack.push(level);
+            level = open(tokens[i + 1]);
+        }
+        else if (token[0] === 'RIGHT_PAREN' && stack.length) {
+            close(level, token[3]);
+            level = stack.pop();
+        }
+        else if (token[0] === 'BETWEEN') {
+            level.between = true;
+        }
+        else if (token[0] === 'CONDITIONAL' && token[1].toUpperCase() === 'AND') {
+            // the AND of "BETWEEN x AND y" is not a condition
+            if (level.between) {
+                level.between = false;
+            }
+            else {
+                level.and = true;
+            }
+        }
+        else if (token[0] === 'CONDITIONAL' && token[1].toUpperCase() === 'OR') {
+            level.ors.push([token[3], tokens[i + 1][3]]);
+        }
+        else if (stack.length === 0 && ['GROUP', 'ORDER', 'HAVING', 'LIMIT', 'UNION', 'EOF'].indexOf(token[0]) !== -1) {
+            close(level, token[3]);
+            break;
+        }
+    }
+
+    insertions
+        .sort(function(a, b) {
+            return b[0] - a[0];
+        })
+        .forEach(function(insertion) {
+            sql = sql.slice(0, insertion[0]) + insertion[1] + sql.slice(insertion[0]);
+        });
+
+    return sql;
+}
+
+/**
+ * Checks if a parser node is a `LOWER()` or `UPPER()` call with a single argument
+ * @memberof module:plugins.SqlSupport
+ * @param {object} node
+ * @returns {boolean}
+ * @private
+ */
+function isSQLCaseFunction(node) {
+    return !!node.name && ['LOWER', 'UPPER'].indexOf(node.name.toUpperCase()) !== -1 &&
+        !!node.arguments && node.arguments.value.length === 1;
+}
+
+/**
+ * Negates a group of rules generated from SQL, with the De Morgan's laws
+ * @memberof module:plugins.SqlSupport
+ * @param {object} group
+ * @returns {object|null} null if a rule has an operator without opposite
+ * @private
+ */
+function negateSQLRules(group) {
+    var condition = { AND: 'OR', OR: 'AND' }[group.condition.toUpperCase()];
+
+    if (!condition) {
+        return null;
+    }
+
+    var rules = group.rules.map(function(rule) {
+        if ('rules' in rule) {
+            return negateSQLRules(rule);
+        }
+
+        var operator = SQL_NEGATED_OPERATORS[rule.operator];
+        return operator ? Object.assign({}, rule, { operator: operator }) : null;
+    });
+
+    if (rules.indexOf(null) !== -1) {
+        return null;
+    }
+
+    return Object.assign({}, group, { condition: condition, rules: rules });
+}
+
+/**
+ * Opposite of each operator, used to negate rules
+ * @type {object.<string, string>}
+ * @memberof module:plugins.SqlSupport
+ * @private
+ */
+var SQL_NEGATED_OPERATORS = {
+    // @formatter:off
+    equal: 'not_equal', not_equal: 'equal',
+    in: 'not_in', not_in: 'in',
+    less: 'greater_or_equal', greater_or_equal: 'less',
+    greater: 'less_or_equal', less_or_equal: 'greater',
+    between: 'not_between', not_between: 'between',
+    begins_with: 'not_begins_with', not_begins_with: 'begins_with',
+    contains: 'not_contains', not_contains: 'contains',
+    ends_with: 'not_ends_with', not_ends_with: 'ends_with',
+    is_empty: 'is_not_empty', is_not_empty: 'is_empty',
+    is_null: 'is_not_null', is_not_null: 'is_null'
+    // @formatter:on
+};
+
+/**
+ * Reads the table name, columns and `IN` checks of a tokenized `CREATE TABLE` statement
+ * @memberof module:plugins.SqlSupport
+ * @param {Array[]} tokens - SQLParser tokens
+ * @returns {object|null} `{name, columns: [{name, type, values}], checks: {column: values}}`, null for other statements
+ * @throws SQLParseError
+ * @private
+ */
+function parseSQLCreateTable(tokens) {
+    var i = 0;
+    var value = function(offset) {
+        var token = tokens[i + (offset || 0)];
+        return token ? String(token[1]).toUpperCase() : '';
+    };
+
+    if (value() !== 'CREATE') {
+        return null;
+    }
+    // skip modifiers like TEMPORARY
+    while (i < tokens.length && value() !== 'TABLE' && tokens[i][0] !== 'LEFT_PAREN') {
+        i++;
+    }
+    if (value() !== 'TABLE') {
+        return null;
+    }
+    i++;
+
+    if (value() === 'IF') {
+        i += 3;
+    }
+
+    // keep the last part of "schema.table"
+    var table = { name: tokens[i][1], columns: [], checks: {} };
+    while (tokens[i + 1] && tokens[i + 1][0] === 'DOT') {
+        i += 2;
+        table.name = tokens[i][1];
+    }
+    i++;
+
+    if (!tokens[i] || tokens[i][0] !== 'LEFT_PAREN') {
+        Utils.error('SQLParse', 'Missing columns definition of table "{0}"', table.name);
+    }
+    i++;
+
+    // split definitions on top level commas
+    var definitions = [[]];
+    var depth = 0;
+    for (; i < tokens.length; i++) {
+        var type = tokens[i][0];
+
+        if (type === 'LEFT_PAREN') {
+            depth++;
+        }
+        else if (type === 'RIGHT_PAREN') {
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+        }
+        else if (type === 'SEPARATOR' && depth === 0) {
+            definitions.push([]);
+            continue;
+        }
+
+        definitions[definitions.length - 1].push(tokens[i]);
+    }
+
+    definitions.forEach(function(definition) {
+        if (definition.length === 0) {
+            return;
+        }
+
+        var first = String(definition[0][1]).toUpperCase();
+
+        if (['CONSTRAINT', 'CHECK'].indexOf(first) !== -1) {
+            readSQLChecks(definition, table.checks);
+        }
+        else if (['PRIMARY', 'FOREIGN', 'UNIQUE', 'KEY', 'INDEX'].indexOf(first) === -1 && definition.length > 1) {
+            var column = {
+                name: definition[0][1],
+                type: String(definition[1][1]).toUpperCase()
+            };
+
+            if (column.type === 'ENUM' && definition[2] && definition[2][0] === 'LEFT_PAREN') {
+                column.values = readSQLValues(definition, 3);
+            }
+
+            table.columns.push(column);
+            readSQLChecks(definition, table.checks);
+        }
+    });
+
+    return table;
+}
+
+/**
+ * Reads the `CHECK (column IN (...))` constraints of a definition
+ * @memberof module:plugins.SqlSupport
+ * @param {Array[]} tokens
+ * @param {object} checks - values by column
+ * @private
+ */
+function readSQLChecks(tokens, checks) {
+    for (var i = 0; i < tokens.length - 4; i++) {
+        if (String(tokens[i][1]).toUpperCase() === 'CHECK' && tokens[i + 1][0] === 'LEFT_PAREN' &&
+            String(tokens[i + 3][1]).toUpperCase() === 'IN' && tokens[i + 4] && tokens[i + 4][0] === 'LEFT_PAREN') {
+            checks[tokens[i + 2][1]] = readSQLValues(tokens, i + 5);
+        }
+    }
+}
+
+/**
+ * Reads a list of values until the closing parenthesis
+ * @memberof module:plugins.SqlSupport
+ * @param {Array[]} tokens
+ * @param {int} start
+ * @returns {Array}
+ * @private
+ */
+function readSQLValues(tokens, start) {
+    var values = [];
+
+    for (var i = start; i < tokens.length && tokens[i][0] !== 'RIGHT_PAREN'; i++) {
+        if (tokens[i][0] === 'NUMBER') {
+            values.push(parseFloat(tokens[i][1]));
+        }
+        else if (tokens[i][0] !== 'SEPARATOR') {
+            values.push(tokens[i][1]);
+        }
+    }
+
+    return values;
+}
@@ -0,0 +1,648 @@
+/**
+ * @class TextSupport
+ * @memberof module:plugins
+ * @description Allows to export rules as a text query as well as populating the builder from a text query.<br>
+ * The syntax uses the filters ids and the operators of {@link QueryBuilder.defaults} `textOperators`:
+ * `age > 18 AND (country IN ("FR", "DE") OR NOT vip)`.<br>
+ * Boolean filters can be written alone (`vip` / `NOT vip`), other fields can be quoted with backticks (`` `unit price` > 5 ``).
+ * Negated groups (`NOT (...)`) are kept with the not-group plugin, otherwise their operators are negated.
+ * @param {object} [options]
+ * @param {boolean} [options.editor=false] - displays a text editor below the builder, synchronized with it
+ */
+QueryBuilder.define('text-support', function(options) {
+    if (!options.editor || this.settings.headless) {
+        return;
+    }
+
+    var self = this;
+    var updating = false;
+    var editor = null;
+
+    this.on('afterInit', function() {
+        editor = document.createElement('textarea');
+        editor.className = 'form-control query-builder-text';
+        editor.rows = 3;
+        self.element.insertAdjacentElement('afterend', editor);
+
+        editor.addEventListener('change', function() {
+            updating = true;
+
+            try {
+                self.setRulesFromText(editor.value);
+                editor.classList.remove('is-invalid');
+                editor.removeAttribute('title');
+            }
+            catch (err) {
+                var pos = err.args ? err.args[err.args.length - 1] : undefined;
+
+                editor.classList.add('is-invalid');
+                editor.title = err.message;
+
+                if (typeof pos == 'number') {
+                    editor.setSelectionRange(pos, pos);
+                }
+            }
+
+            updating = false;
+        });
+    });
+
+    this.on('rulesChanged', function() {
+        if (updating || !editor) {
+            return;
+        }
+
+        // the builder can be incomplete while it is edited
+        try {
+            editor.value = self.getText(self.getNodeJSON(self.model.root));
+            editor.classList.remove('is-invalid');
+            editor.removeAttribute('title');
+        }
+        catch (err) {
+            // keep the last valid text
+        }
+    });
+
+    this.on('beforeDestroy', function() {
+        if (editor) {
+            editor.remove();
+            editor = null;
+        }
+    });
+}, {
+    editor: false
+});
+
+QueryBuilder.defaults({
+    // operators for internal <-> text conversion
+    textOperators: {
+        equal:            { op: '=' },
+        not_equal:        { op: '!=' },
+        in:               { op: 'IN', list: true },
+        not_in:           { op: 'NOT IN', list: true },
+        less:             { op: '<' },
+        less_or_equal:    { op: '<=' },
+        greater:          { op: '>' },
+        greater_or_equal: { op: '>=' },
+        between:          { op: 'BETWEEN', sep: 'AND' },
+        not_between:      { op: 'NOT BETWEEN', sep: 'AND' },
+        begins_with:      { op: 'BEGINS WITH' },
+        not_begins_with:  { op: 'NOT BEGINS WITH' },
+        contains:         { op: 'CONTAINS' },
+        not_contains:     { op: 'NOT CONTAINS' },
+        ends_with:        { op: 'ENDS WITH' },
+        not_ends_with:    { op: 'NOT ENDS WITH' },
+        is_empty:         { op: 'IS EMPTY' },
+        is_not_empty:     { op: 'IS NOT EMPTY' },
+        is_null:          { op: 'IS NULL' },
+        is_not_null:      { op: 'IS NOT NULL' }
+    }
+});
+
+QueryBuilder.extend(/** @lends module:plugins.TextSupport.prototype */ {
+    /**
+     * Returns rules as a text query
+     * @param {object} [data] - current rules by default
+     * @returns {string}
+     * @fires module:plugins.TextSupport.changer:getTextField
+     * @fires module:plugins.TextSupport.changer:ruleToText
+     * @fires module:plugins.TextSupport.changer:groupToText
+     * @throws UndefinedTextConditionError, UndefinedTextOperatorError, UndefinedTextValueError
+     */
+    getText: function(data) {
+        data = (data === undefined) ? this.getRules() : data;
+
+        if (!data) {
+            return null;
+        }
+
+        var self = this;
+
+        return (function parse(group, root) {
+            if (!group.condition) {
+                group.condition = self.settings.default_condition;
+            }
+            if (['AND', 'OR'].indexOf(group.condition.toUpperCase()) === -1) {
+                Utils.error('UndefinedTextCondition', 'Unable to build text query with condition "{0}"', group.condition);
+            }
+
+            if (!group.rules) {
+                return '';
+            }
+
+            var parts = [];
+
+            group.rules.forEach(function(rule) {
+                if (rule.rules) {
+                    if (rule.rules.length > 0) {
+                        parts.push(parse(rule, false));
+                    }
+                    return;
+                }
+
+                var text = self.settings.textOperators[rule.operator];
+                var ope = self.getOperatorByType(rule.operator);
+
+                if (text === undefined) {
+                    Utils.error('UndefinedTextOperator', 'Unknown text operation for operator "{0}"', rule.operator);
+                }
+
+                /**
+                 * Modifies the text field used by a rule
+                 * @event changer:getTextField
+                 * @memberof module:plugins.TextSupport
+                 * @param {string} field
+                 * @param {Rule} rule
+                 * @returns {string}
+                 */
+                var field = quoteTextField(self.change('getTextField', rule.id, rule));
+                var ruleExpression;
+
+                if (rule.type == 'boolean' && rule.operator == 'equal' && typeof rule.value == 'boolean') {
+                    ruleExpression = (rule.value ? '' : 'NOT ') + field;
+                }
+                else {
+                    ruleExpression = field + ' ' + text.op;
+
+                    if (ope.nb_inputs !== 0) {
+                        var values = Array.isArray(rule.value) ? rule.value : [rule.value];
+
+                        values = values.map(function(v) {
+                            if (v === undefined) {
+                                Utils.error('UndefinedTextValue', 'Missing value for rule "{0}"', rule.id);
+                            }
+                            return typeof v == 'string' ? JSON.stringify(v) : String(v);
+                        });
+
+                        if (text.list) {
+                            ruleExpression += ' (' + values.join(', ') + ')';
+                        }
+                        else {
+                            ruleExpression += ' ' + values.join(' ' + (text.sep || ',') + ' ');
+                        }
+                    }
+                }
+
+                /**
+                 * Modifies the text generated for a rule
+                 * @event changer:ruleToText
+                 * @memberof module:plugins.TextSupport
+                 * @param {string} expression
+                 * @param {Rule} rule
+                 * @returns {string}
+                 */
+                parts.push(self.change('ruleToText', ruleExpression, rule));
+            });
+
+            var groupExpression = parts.join(' ' + group.condition.toUpperCase() + ' ');
+
+            if (group.not) {
+                groupExpression = 'NOT (' + groupExpression + ')';
+            }
+            else if (!root && parts.length > 1) {
+                groupExpression = '(' + groupExpression + ')';
+            }
+
+            /**
+             * Modifies the text generated for a group
+             * @event changer:groupToText
+             * @memberof module:plugins.TextSupport
+             * @param {string} expression
+             * @param {Group} group
+             * @returns {string}
+             */
+            return self.change('groupToText', groupExpression, group);
+        }(data, true));
+    },
+
+    /**
+     * Converts a text query to rules
+     * @param {string} text
+     * @returns {object}
+     * @fires module:plugins.TextSupport.changer:getTextFieldID
+     * @fires module:plugins.TextSupport.changer:textToRule
+     * @fires module:plugins.TextSupport.changer:textToGroup
+     * @throws TextParseError - with the position of the error as last argument
+     */
+    getRulesFromText: function(text) {
+        var self = this;
+        var tokens = tokenizeText(text);
+        var operators = getTextOperatorsTokens(this.settings.textOperators);
+        var i = 0;
+
+        function fail(token) {
+            if (token) {
+                Utils.error('TextParse', 'Unexpected "{0}" at position {1}', token.value, token.pos);
+            }
+            else {
+                Utils.error('TextParse', 'Unexpected end of query at position {0}', text.length);
+            }
+        }
+
+        function isWord(token, word) {
+            return !!token && token.type == 'word' && token.value.toUpperCase() == word;
+        }
+
+        function isPunct(token, punct) {
+            return !!token && token.type == 'punct' && token.value == punct;
+        }
+
+        function expectPunct(punct) {
+            if (!isPunct(tokens[i], punct)) {
+                fail(tokens[i]);
+            }
+            i++;
+        }
+
+        // OR has the lowest precedence, then AND, then NOT
+        function parseCondition(condition, parseOperand) {
+            var operands = [parseOperand()];
+
+            while (isWord(tokens[i], condition)) {
+                i++;
+                operands.push(parseOperand());
+            }
+
+            if (operands.length === 1) {
+                return operands[0];
+            }
+
+            return { condition: condition, rules: operands };
+        }
+
+        function parseOr() {
+            return parseCondition('OR', parseAnd);
+        }
+
+        function parseAnd() {
+            return parseCondition('AND', parseNot);
+        }
+
+        function parseNot() {
+            if (!isWord(tokens[i], 'NOT')) {
+                return parsePrimary();
+            }
+
+            var token = tokens[i++];
+            var node = parseNot();
+
+            // "NOT bool_field"
+            if (node.boolean) {
+                node.value = !node.value;
+                return node;
+            }
+
+            // without the "not-group" plugin, the negation is applied to the rules
+            if (!self.plugins || !('not-group' in self.plugins)) {
+                var negation = negateTextRules(node);
+
+                if (negation === null) {
+                    Utils.error('TextParse', 'Unable to negate the condition at position {0}', token.pos);
+                }
+
+                return negation;
+            }
+
+            if (!node.rules) {
+                node = { condition: self.settings.default_condition, rules: [node] };
+            }
+
+            node.not = !node.not;
+            return node;
+        }
+
+        function parsePrimary() {
+            if (isPunct(tokens[i], '(')) {
+                i++;
+                var node = parseOr();
+                expectPunct(')');
+
+                // keep the parenthesis as a distinct group
+                if (node.rules) {
+                    node.parenthesis = true;
+                }
+
+                return node;
+            }
+
+            return parseRule();
+        }
+
+        function parseValue() {
+            var token = tokens[i];
+
+            if (!token) {
+                fail(token);
+            }
+
+            i++;
+
+            switch (token.type) {
+                case 'string':
+                    return token.parsed;
+                case 'number':
+                    return parseFloat(token.value);
+                case 'word':
+                    if (isWord(token, 'TRUE')) return true;
+                    if (isWord(token, 'FALSE')) return false;
+                    if (isWord(token, 'NULL')) return null;
+            }
+
+            fail(token);
+        }
+
+        function parseRule() {
+            var token = tokens[i];
+
+            if (!token || (token.type != 'word' && token.type != 'field')) {
+                fail(token);
+            }
+
+            i++;
+
+            /**
+             * Returns a filter identifier from the text field
+             * @event changer:getTextFieldID
+             * @memberof module:plugins.TextSupport
+             * @param {string} field
+             * @returns {string}
+             */
+            var id = self.change('getTextFieldID', token.type == 'field' ? token.parsed : token.value);
+            var filter = self.getFilterById(id, false);
+
+            if (!filter) {
+                Utils.error('TextParse', 'Unknown field "{0}" at position {1}', token.value, token.pos);
+            }
+
+            var type = matchTextOperator(tokens, i, operators);
+
+            // boolean filter alone
+            if (type === null && filter.type == 'boolean') {
+                return { id: filter.id, operator: 'equal', value: true, boolean: true };
+            }
+
+            if (type === null) {
+                fail(tokens[i]);
+            }
+
+            i += operators[type].length;
+
+            var text = self.settings.textOperators[type];
+            var ope = self.getOperatorByType(type);
+            var value = null;
+
+            if (text.list) {
+                expectPunct('(');
+                value = [parseValue()];
+                while (isPunct(tokens[i], ',')) {
+                    i++;
+                    value.push(parseValue());
+                }
+                expectPunct(')');
+            }
+            else if (ope.nb_inputs > 0) {
+                value = [parseValue()];
+                while (value.length < ope.nb_inputs) {
+                    if (!isWord(tokens[i], (text.sep || ',').toUpperCase()) && !isPunct(tokens[i], text.sep || ',')) {
+                        fail(tokens[i]);
+                    }
+                    i++;
+                    value.push(parseValue());
+                }
+                if (value.length === 1) {
+                    value = value[0];
+                }
+            }
+
+            return { id: filter.id, operator: type, value: value };
+        }
+
+        var data = parseOr();
+
+        if (i < tokens.length) {
+            fail(tokens[i]);
+        }
+
+        if (!data.rules || data.parenthesis) {
+            data = { condition: this.settings.default_condition, rules: [data] };
+        }
+
+        return (function convert(data) {
+            /**
+             * Modifies the group generated from the text parser
+             * @event changer:textToGroup
+             * @memberof module:plugins.TextSupport
+             * @param {object} group
+             * @param {object} parsed
+             * @returns {object}
+             */
+            var group = self.change('textToGroup', {
+                condition: data.condition,
+                rules: data.rules.map(function(node) {
+                    if (node.rules) {
+                        return convert(node);
+                    }
+
+                    /**
+                     * Modifies the rule generated from the text parser
+                     * @event changer:textToRule
+                     * @memberof module:plugins.TextSupport
+                     * @param {object} rule
+                     * @param {object} parsed
+                     * @returns {object}
+                     */
+                    return self.change('textToRule', {
+                        id: node.id,
+                        operator: node.operator,
+                        value: node.value
+                    }, node);
+                })
+            }, data);
+
+            if (data.not) {
+                group.not = true;
+            }
+
+            return group;
+        }(data));
+    },
+
+    /**
+     * Sets the rules of the builder from a text query
+     * @param {string} text
+     * @param {object} [options] - see {@link QueryBuilder#setRules}
+     * @throws TextParseError
+     */
+    setRulesFromText: function(text, options) {
+        this.setRules(this.getRulesFromText(text), options);
+    }
+});
+
+/**
+ * Splits a text query in tokens
+ * @param {string} text
+ * @returns {object[]} `{type, value, pos}`, strings and quoted fields also have a `parsed` value
+ * @throws TextParseError
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+function tokenizeText(text) {
+    var regex = /\s*(?:("(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w.]*)|(<=|>=|!=|[=<>(),])|(`(?:[^`]|``)+`))/y;
+    var tokens = [];
+    var pos = 0;
+    var match;
+
+    while (pos < text.length) {
+        regex.lastIndex = pos;
+        match = regex.exec(text);
+
+        if (match === null) {
+            if (/^\s*$/.test(text.slice(pos))) {
+                break;
+            }
+
+            var start = pos + text.slice(pos).search(/\S/);
+            Utils.error('TextParse', 'Unexpected "{0}" at position {1}', text.charAt(start), start);
+        }
+
+        var value = match[1] || match[2] || match[3] || match[4] || match[5];
+        var token = {
+            type: match[1] ? 'string' : (match[2] ? 'number' : (match[3] ? 'word' : (match[4] ? 'punct' : 'field'))),
+            value: value,
+            pos: regex.lastIndex - value.length
+        };
+
+        if (token.type == 'string') {
+            try {
+                token.parsed = JSON.parse(value);
+            }
+            catch (err) {
+                Utils.error('TextParse', 'Invalid string {0} at position {1}', value, token.pos);
+            }
+        }
+        else if (token.type == 'field') {
+            token.parsed = value.slice(1, -1).replace(/``/g, '`');
+        }
+
+        tokens.push(token);
+        pos = regex.lastIndex;
+    }
+
+    return tokens;
+}
+
+/**
+ * Splits each text operator in tokens
+ * @param {object} textOperators
+ * @returns {object.<string, object[]>}
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+function getTextOperatorsTokens(textOperators) {
+    var operators = {};
+
+    Object.keys(textOperators).forEach(function(type) {
+        operators[type] = tokenizeText(textOperators[type].op);
+    });
+
+    return operators;
+}
+
+/**
+ * Finds the longest text operator starting at a position
+ * @param {object[]} tokens
+ * @param {int} index
+ * @param {object.<string, object[]>} operators
+ * @returns {string|null} operator type
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+function matchTextOperator(tokens, index, operators) {
+    var found = null;
+
+    Object.keys(operators).forEach(function(type) {
+        var ope = operators[type];
+
+        var match = ope.every(function(token, j) {
+            var other = tokens[index + j];
+            return !!other && other.type == token.type && other.value.toUpperCase() == token.value.toUpperCase();
+        });
+
+        if (match && (found === null || ope.length > operators[found].length)) {
+            found = type;
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Quotes a text field with backticks when it cannot be read as a single word
+ * @param {string} field
+ * @returns {string}
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+function quoteTextField(field) {
+    if (/^[A-Za-z_][\w.]*$/.test(field) && TEXT_KEYWORDS.indexOf(field.toUpperCase()) === -1) {
+        return field;
+    }
+
+    return '`' + field.replace(/`/g, '``') + '`';
+}
+
+/**
+ * Words which cannot be used as unquoted fields
+ * @type {string[]}
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+var TEXT_KEYWORDS = ['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL'];
+
+/**
+ * Negates a parsed text node, with the De Morgan's laws
+ * @param {object} node - rule or group
+ * @returns {object|null} null if a rule has an operator without opposite
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+function negateTextRules(node) {
+    if (node.boolean) {
+        return Object.assign({}, node, { value: !node.value });
+    }
+
+    if (!node.rules) {
+        var operator = TEXT_NEGATED_OPERATORS[node.operator];
+        return operator ? Object.assign({}, node, { operator: operator }) : null;
+    }
+
+    var condition = { AND: 'OR', OR: 'AND' }[node.condition.toUpperCase()];
+    var rules = node.rules.map(negateTextRules);
+
+    if (!condition || rules.indexOf(null) !== -1) {
+        return null;
+    }
+
+    return Object.assign({}, node, { condition: condition, rules: rules });
+}
+
+/**
+ * Opposite of each operator, used to negate rules
+ * @type {object.<string, string>}
+ * @memberof module:plugins.TextSupport
+ * @private
+ */
+var TEXT_NEGATED_OPERATORS = {
+    // @formatter:off
+    equal: 'not_equal', not_equal: 'equal',
+    in: 'not_in', not_in: 'in',
+    less: 'greater_or_equal', greater_or_equal: 'less',
+    greater: 'less_or_equal', less_or_equal: 'greater',
+    between: 'not_between', not_between: 'between',
+    begins_with: 'not_begins_with', not_begins_with: 'begins_with',
+    contains: 'not_contains', not_contains: 'contains',
+    ends_with: 'not_ends_with', not_ends_with: 'ends_with',
+    is_empty: 'is_not_empty', is_not_empty: 'is_empty',
+    is_null: 'is_not_null', is_not_null: 'is_null'
+    // @formatter:on
+};
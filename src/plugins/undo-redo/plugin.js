@@ -0,0 +1,643 @@
+/**
+ * @class UndoRedo
+ * @memberof module:plugins
+ * @description Records every change of the builder in an history to allow undo and redo.<br>
+ *     Changes made in the same tick (e.g. a new filter resetting the operator and the value) are grouped in a single step.
+ *     The history is cleared by `setRules`, `reset` and `clear`, changes made in the same tick as `setRules` are not recorded.
+ * @param {object} [options]
+ * @param {int} [options.max_depth=50] - maximum number of steps kept in history
+ * @param {boolean} [options.keyboard=true] - binds Ctrl+Z, Ctrl+Y and Ctrl+Shift+Z on the builder
+ */
+QueryBuilder.define('undo-redo', function(options) {
+    var self = this;
+
+    this.history = {
+        undo: [],
+        redo: [],
+        batch: null,
+        cache: new WeakMap(),
+        locked: 0
+    };
+
+    // Bind events
+    if (options.keyboard && !this.settings.headless) {
+        this.element.addEventListener('keydown', function(e) {
+            if (!(e.ctrlKey || e.metaKey) || e.target.matches('input:not([type=checkbox], [type=radio]), textarea')) {
+                return;
+            }
+
+            var key = String(e.key).toLowerCase();
+
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                self.undo();
+            }
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                self.redo();
+            }
+        });
+    }
+
+    // A new root group means a new tree, nothing is recorded until the end of the tick
+    this.on('afterAddGroup', function(e) {
+        var group = e.detail.group;
+
+        if (group.isRoot()) {
+            self.clearHistory();
+            getHistoryBatch(self).added.push(group);
+        }
+        else {
+            recordHistoryAdd(self, group);
+        }
+    });
+
+    this.on('afterAddRule', function(e) {
+        recordHistoryAdd(self, e.detail.rule);
+    });
+
+    this.on('beforeDeleteRule', function(e) {
+        if (!e.defaultPrevented) {
+            recordHistoryDelete(self, e.detail.rule);
+        }
+    });
+
+    this.on('beforeDeleteGroup', function(e) {
+        if (!e.defaultPrevented) {
+            recordHistoryDelete(self, e.detail.group);
+        }
+    });
+
+    this.on('afterReset', function() {
+        self.clearHistory();
+    });
+
+    this.on('afterClear', function() {
+        self.clearHistory();
+    });
+
+    // Nothing is recorded once the builder is destroyed
+    this.on('beforeDestroy', function() {
+        self.history.batch = null;
+        self.history.locked++;
+    });
+
+    this.model.on('update', function(e, node, field) {
+        if (field !== 'error') {
+            recordHistoryUpdate(self, node);
+        }
+    });
+
+    this.model.on('move', function(e, node) {
+        recordHistoryMove(self, node);
+    });
+}, {
+    max_depth: 50,
+    keyboard: true
+});
+
+QueryBuilder.defaults({
+    // commands used to undo and redo each step of the history
+    historyCommands: {
+        addRule:              { undo: removeHistoryNode, redo: addHistoryNode },
+        addGroup:             { undo: removeHistoryNode, redo: addHistoryNode },
+        deleteRule:           { undo: addHistoryNode, redo: removeHistoryNode },
+        deleteGroup:          { undo: addHistoryNode, redo: removeHistoryNode },
+        updateRuleFilter:     { undo: restoreHistoryBefore, redo: restoreHistoryAfter },
+        updateRuleOperator:   { undo: restoreHistoryBefore, redo: restoreHistoryAfter },
+        updateRuleValue:      { undo: restoreHistoryBefore, redo: restoreHistoryAfter },
+        updateRule:           { undo: restoreHistoryBefore, redo: restoreHistoryAfter },
+        updateGroupCondition: { undo: restoreHistoryBefore, redo: restoreHistoryAfter },
+        updateGroup:          { undo: restoreHistoryBefore, redo: restoreHistoryAfter },
+        move: {
+            undo: function(step) {
+                this.moveNodeToPath(this.getNodeByPath(step.to), step.from);
+            },
+            redo: function(step) {
+                this.moveNodeToPath(this.getNodeByPath(step.from), step.to);
+            }
+        }
+    }
+});
+
+QueryBuilder.extend(/** @lends module:plugins.UndoRedo.prototype */ {
+    /**
+     * Reverts the last step of the history
+     * @returns {boolean} false if there is nothing to undo
+     * @fires module:plugins.UndoRedo.historyChanged
+     */
+    undo: function() {
+        this.commitHistory();
+
+        var steps = this.history.undo.pop();
+        if (!steps) {
+            return false;
+        }
+
+        this.applyHistory(steps.slice().reverse(), 'undo');
+        this.history.redo.push(steps);
+
+        triggerHistoryChanged(this);
+
+        return true;
+    },
+
+    /**
+     * Applies again the last reverted step of the history
+     * @returns {boolean} false if there is nothing to redo
+     * @fires module:plugins.UndoRedo.historyChanged
+     */
+    redo: function() {
+        this.commitHistory();
+
+        var steps = this.history.redo.pop();
+        if (!steps) {
+            return false;
+        }
+
+        this.applyHistory(steps, 'redo');
+        this.history.undo.push(steps);
+
+        triggerHistoryChanged(this);
+
+        return true;
+    },
+
+    /**
+     * Checks if there is something to undo
+     * @returns {boolean}
+     */
+    canUndo: function() {
+        this.commitHistory();
+        return this.history.undo.length > 0;
+    },
+
+    /**
+     * Checks if there is something to redo
+     * @returns {boolean}
+     */
+    canRedo: function() {
+        this.commitHistory();
+        return this.history.redo.length > 0;
+    },
+
+    /**
+     * Empties the history
+     * @fires module:plugins.UndoRedo.historyChanged
+     */
+    clearHistory: function() {
+        var h = this.history;
+        var changed = h.undo.length > 0 || h.redo.length > 0;
+
+        h.undo = [];
+        h.redo = [];
+        h.batch = null;
+
+        if (this.model.root) {
+            refreshHistoryCache(this);
+        }
+
+        if (changed) {
+            triggerHistoryChanged(this);
+        }
+    },
+
+    /**
+     * Adds the changes of the current tick to the history
+     * @fires module:plugins.UndoRedo.historyChanged
+     * @private
+     */
+    commitHistory: function() {
+        var h = this.history;
+        var batch = h.batch;
+
+        if (!batch) {
+            return;
+        }
+
+        h.batch = null;
+
+        var self = this;
+        var steps = [];
+        var deletedGroups = [];
+
+        batch.steps.forEach(function(step) {
+            var attached = isHistoryNodeAttached(self, step.node);
+
+            switch (step.type) {
+                case 'addRule':
+                case 'addGroup':
+                    if (!attached) {
+                        return;
+                    }
+                    step.path = self.getNodePath(step.node);
+                    step.json = self.getNodeJSON(step.node, { get_flags: true });
+                    break;
+
+                case 'deleteRule':
+                case 'deleteGroup':
+                    // the group was not entirely deleted, or the node is part of a deleted group
+                    if (attached || deletedGroups.some(function(path) {
+                        return isHistoryPathPrefix(path, step.path);
+                    })) {
+                        return;
+                    }
+                    if (step.type === 'deleteGroup') {
+                        deletedGroups.push(step.path);
+                    }
+                    break;
+
+                case 'update':
+                    if (!attached) {
+                        return;
+                    }
+                    step.path = self.getNodePath(step.node);
+                    step.after = getHistoryNodeJSON(self, step.node);
+                    step.type = getHistoryUpdateType(step.node, step.before, step.after);
+                    if (!step.type) {
+                        return;
+                    }
+                    break;
+
+                case 'move':
+                    if (!attached) {
+                        return;
+                    }
+                    step.to = self.getNodePath(step.node);
+                    if (step.to.join('.') === step.from.join('.')) {
+                        return;
+                    }
+                    break;
+            }
+
+            delete step.node;
+            steps.push(step);
+        });
+
+        refreshHistoryCache(this);
+
+        if (steps.length > 0) {
+            h.undo.push(steps);
+            h.redo = [];
+
+            var maxDepth = this.getPluginOptions('undo-redo', 'max_depth');
+            if (h.undo.length > maxDepth) {
+                h.undo.splice(0, h.undo.length - maxDepth);
+            }
+
+            triggerHistoryChanged(this);
+        }
+    },
+
+    /**
+     * Applies a list of history steps without recording them
+     * @param {object[]} steps
+     * @param {string} direction - 'undo' or 'redo'
+     * @throws UndefinedHistoryCommandError
+     * @private
+     */
+    applyHistory: function(steps, direction) {
+        var self = this;
+
+        this.history.locked++;
+
+        try {
+            steps.forEach(function(step) {
+                var command = self.settings.historyCommands[step.type];
+
+                if (command === undefined) {
+                    Utils.error('UndefinedHistoryCommand', 'Unknown history command "{0}"', step.type);
+                }
+
+                command[direction].call(self, step);
+            });
+        }
+        finally {
+            this.history.locked--;
+            refreshHistoryCache(this);
+        }
+    }
+});
+
+/**
+ * Returns the current batch of changes, the batch is committed at the end of the tick
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @returns {object}
+ * @private
+ */
+function getHistoryBatch(builder) {
+    return Utils.getTickBatch(builder.history, function() {
+        return {
+            steps: [],
+            added: [],
+            updated: [],
+            moved: []
+        };
+    }, function() {
+        builder.commitHistory();
+    });
+}
+
+/**
+ * Checks if a node or one of its parents has been added in the current batch
+ * @memberof module:plugins.UndoRedo
+ * @param {object} batch
+ * @param {Node} node
+ * @returns {boolean}
+ * @private
+ */
+function isHistoryNodeAdded(batch, node) {
+    while (node) {
+        if (batch.added.indexOf(node) !== -1) {
+            return true;
+        }
+        node = node.parent;
+    }
+
+    return false;
+}
+
+/**
+ * Records the addition of a node
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordHistoryAdd(builder, node) {
+    if (builder.history.locked) {
+        return;
+    }
+
+    var batch = getHistoryBatch(builder);
+    var skip = isHistoryNodeAdded(batch, node.parent);
+
+    batch.added.push(node);
+
+    if (!skip) {
+        batch.steps.push({
+            type: node instanceof Group ? 'addGroup' : 'addRule',
+            node: node
+        });
+    }
+}
+
+/**
+ * Records the deletion of a node, its content is saved before it is deleted
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordHistoryDelete(builder, node) {
+    if (builder.history.locked) {
+        return;
+    }
+
+    var batch = getHistoryBatch(builder);
+
+    if (isHistoryNodeAdded(batch, node)) {
+        return;
+    }
+
+    batch.steps.push({
+        type: node instanceof Group ? 'deleteGroup' : 'deleteRule',
+        node: node,
+        path: builder.getNodePath(node),
+        json: builder.getNodeJSON(node, { get_flags: true })
+    });
+}
+
+/**
+ * Records the update of a node, the state of the node at the end of the previous batch is saved
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordHistoryUpdate(builder, node) {
+    if (builder.history.locked) {
+        return;
+    }
+
+    var batch = getHistoryBatch(builder);
+    var cached = builder.history.cache.get(node);
+
+    if (!cached || isHistoryNodeAdded(batch, node)) {
+        return;
+    }
+
+    if (batch.updated.indexOf(node) === -1) {
+        batch.updated.push(node);
+        batch.steps.push({
+            type: 'update',
+            node: node,
+            before: cached.json
+        });
+    }
+}
+
+/**
+ * Records the move of a node, the position of the node at the end of the previous batch is saved
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @private
+ */
+function recordHistoryMove(builder, node) {
+    if (builder.history.locked) {
+        return;
+    }
+
+    var batch = getHistoryBatch(builder);
+    var cached = builder.history.cache.get(node);
+
+    // placeholders of the sortable plugin are not known
+    if (!cached || isHistoryNodeAdded(batch, node)) {
+        return;
+    }
+
+    if (batch.moved.indexOf(node) === -1) {
+        batch.moved.push(node);
+        batch.steps.push({
+            type: 'move',
+            node: node,
+            from: cached.path
+        });
+    }
+}
+
+/**
+ * Saves the position and JSON of each node, used as "before" state of the next batch
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @private
+ */
+function refreshHistoryCache(builder) {
+    var cache = builder.history.cache = new WeakMap();
+
+    (function walk(node, path) {
+        cache.set(node, {
+            path: path,
+            json: getHistoryNodeJSON(builder, node)
+        });
+
+        if (node instanceof Group) {
+            node.rules.forEach(function(child, i) {
+                walk(child, path.concat([i]));
+            });
+        }
+    }(builder.model.root, []));
+}
+
+/**
+ * Returns the JSON of a node without its children
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @returns {object}
+ * @private
+ */
+function getHistoryNodeJSON(builder, node) {
+    var json = builder.getNodeJSON(node, { get_flags: true });
+    delete json.rules;
+    return json;
+}
+
+/**
+ * Returns the type of an update step, depending on what changed
+ * @memberof module:plugins.UndoRedo
+ * @param {Node} node
+ * @param {object} before
+ * @param {object} after
+ * @returns {string|undefined} undefined if nothing changed
+ * @private
+ */
+function getHistoryUpdateType(node, before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return;
+    }
+
+    if (node instanceof Group) {
+        return before.condition !== after.condition ? 'updateGroupCondition' : 'updateGroup';
+    }
+
+    if (before.id !== after.id) {
+        return 'updateRuleFilter';
+    }
+    if (before.operator !== after.operator) {
+        return 'updateRuleOperator';
+    }
+    if (JSON.stringify(before.value) !== JSON.stringify(after.value)) {
+        return 'updateRuleValue';
+    }
+
+    return 'updateRule';
+}
+
+/**
+ * Checks if a node is still in the tree
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @param {Node} node
+ * @returns {boolean}
+ * @private
+ */
+function isHistoryNodeAttached(builder, node) {
+    while (node.parent) {
+        node = node.parent;
+    }
+
+    return node === builder.model.root;
+}
+
+/**
+ * Checks if a path is the path of an ancestor of another path
+ * @memberof module:plugins.UndoRedo
+ * @param {int[]} parent
+ * @param {int[]} path
+ * @returns {boolean}
+ * @private
+ */
+function isHistoryPathPrefix(parent, path) {
+    return path.length > parent.length && parent.every(function(index, i) {
+        return path[i] === index;
+    });
+}
+
+/**
+ * Deep copy of the JSON saved in a step, the commands must not modify the history
+ * @memberof module:plugins.UndoRedo
+ * @param {object} json
+ * @returns {object}
+ * @private
+ */
+function cloneHistoryJSON(json) {
+    return JSON.parse(JSON.stringify(json));
+}
+
+/**
+ * Command: adds the node saved in a step
+ * @memberof module:plugins.UndoRedo
+ * @param {object} step
+ * @private
+ */
+function addHistoryNode(step) {
+    var parent = this.getNodeByPath(step.path.slice(0, -1));
+    this.addNodeFromJSON(parent, cloneHistoryJSON(step.json), step.path[step.path.length - 1]);
+}
+
+/**
+ * Command: deletes the node of a step
+ * @memberof module:plugins.UndoRedo
+ * @param {object} step
+ * @private
+ */
+function removeHistoryNode(step) {
+    var node = this.getNodeByPath(step.path);
+
+    if (node instanceof Group) {
+        this.deleteGroup(node);
+    }
+    else {
+        this.deleteRule(node);
+    }
+}
+
+/**
+ * Command: restores the state of a node before an update
+ * @memberof module:plugins.UndoRedo
+ * @param {object} step
+ * @private
+ */
+function restoreHistoryBefore(step) {
+    this.updateNodeFromJSON(this.getNodeByPath(step.path), cloneHistoryJSON(step.before));
+}
+
+/**
+ * Command: restores the state of a node after an update
+ * @memberof module:plugins.UndoRedo
+ * @param {object} step
+ * @private
+ */
+function restoreHistoryAfter(step) {
+    this.updateNodeFromJSON(this.getNodeByPath(step.path), cloneHistoryJSON(step.after));
+}
+
+/**
+ * Triggers the historyChanged event
+ * @memberof module:plugins.UndoRedo
+ * @param {QueryBuilder} builder
+ * @private
+ */
+function triggerHistoryChanged(builder) {
+    /**
+     * After the history changed
+     * @event historyChanged
+     * @memberof module:plugins.UndoRedo
+     * @param {boolean} canUndo
+     * @param {boolean} canRedo
+     */
+    builder.trigger('historyChanged', builder.history.undo.length > 0, builder.history.redo.length > 0);
+}
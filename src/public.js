@@ -1,26 +1,19 @@
-class QueryBuilder {
-    constructor(element, options) {
-        this.element = element;
-        this.options = options;
-        this.model = new Model();
-        this.init();
-    }
+/**
+ * Destroys the builder
+ * @fires QueryBuilder.beforeDestroy
+ */
+QueryBuilder.prototype.destroy = function() {
+    const beforeDestroyEvent = new CustomEvent("beforeDestroy");
+    this.element.dispatchEvent(beforeDestroyEvent);
 
-    init() {
-        this.element.classList.add("query-builder");
+    if (this.status.generated_id) {
+        this.element.removeAttribute("id");
     }
 
-    destroy() {
-        const beforeDestroyEvent = new CustomEvent("beforeDestroy");
-        this.element.dispatchEvent(beforeDestroyEvent);
-
-        if (this.status.generated_id) {
-            this.element.removeAttribute("id");
-        }
-
-        this.clear();
-        this.model = null;
+    this.clear();
+    this.model = null;
 
+    if (!this.settings.headless) {
         this.element.removeEventListener(".queryBuilder");
         this.element.className = this.element.className.replace(
             " query-builder",
@@ -28,106 +21,564 @@ class QueryBuilder {
         );
         delete this.element.queryBuilder;
     }
+};
 
-    reset() {
-        const beforeResetEvent = new CustomEvent("beforeReset", {
-            cancelable: true,
-        });
-        this.element.dispatchEvent(beforeResetEvent);
-        if (beforeResetEvent.defaultPrevented) return;
+/**
+ * Clear all rules and resets the root group
+ * @fires QueryBuilder.beforeReset
+ * @fires QueryBuilder.afterReset
+ */
+QueryBuilder.prototype.reset = function() {
+    const beforeResetEvent = new CustomEvent("beforeReset", {
+        cancelable: true,
+    });
+    this.element.dispatchEvent(beforeResetEvent);
+    if (beforeResetEvent.defaultPrevented) return;
+
+    this.status.group_id = 1;
+    this.status.rule_id = 0;
+
+    this.model.root.empty();
 
-        this.status.group_id = 1;
-        this.status.rule_id = 0;
+    this.model.root.data = undefined;
+    this.model.root.flags = { ...this.settings.default_group_flags };
+    this.model.root.condition = this.settings.default_condition;
 
-        this.model.root.empty();
+    this.addRule(this.model.root);
 
-        this.model.root.data = undefined;
-        this.model.root.flags = { ...this.options.default_group_flags };
-        this.model.root.condition = this.options.default_condition;
+    const afterResetEvent = new CustomEvent("afterReset");
+    this.element.dispatchEvent(afterResetEvent);
 
-        this.addRule(this.model.root);
+    this.element.dispatchEvent(new CustomEvent("rulesChanged"));
+};
 
-        const afterResetEvent = new CustomEvent("afterReset");
-        this.element.dispatchEvent(afterResetEvent);
+/**
+ * Clears all rules and removes the root group
+ * @fires QueryBuilder.beforeClear
+ * @fires QueryBuilder.afterClear
+ */
+QueryBuilder.prototype.clear = function() {
+    const beforeClearEvent = new CustomEvent("beforeClear", {
+        cancelable: true,
+    });
+    this.element.dispatchEvent(beforeClearEvent);
+    if (beforeClearEvent.defaultPrevented) return;
 
-        this.element.dispatchEvent(new CustomEvent("rulesChanged"));
+    this.status.group_id = 0;
+    this.status.rule_id = 0;
+
+    if (this.model.root) {
+        this.model.root.drop();
+        this.model.root = null;
     }
 
-    clear() {
-        const beforeClearEvent = new CustomEvent("beforeClear", {
-            cancelable: true,
-        });
-        this.element.dispatchEvent(beforeClearEvent);
-        if (beforeClearEvent.defaultPrevented) return;
+    const afterClearEvent = new CustomEvent("afterClear");
+    this.element.dispatchEvent(afterClearEvent);
 
-        this.status.group_id = 0;
-        this.status.rule_id = 0;
+    this.element.dispatchEvent(new CustomEvent("rulesChanged"));
+};
 
-        if (this.model.root) {
-            this.model.root.drop();
-            this.model.root = null;
+/**
+ * Modifies the builder configuration.<br>
+ * Only options defined in QueryBuilder.modifiable_options are modifiable
+ * @param {object} options
+ */
+QueryBuilder.prototype.setOptions = function(options) {
+    Object.keys(options).forEach((opt) => {
+        if (QueryBuilder.modifiable_options.includes(opt)) {
+            this.settings[opt] = options[opt];
         }
+    });
+};
 
-        const afterClearEvent = new CustomEvent("afterClear");
-        this.element.dispatchEvent(afterClearEvent);
-
-        this.element.dispatchEvent(new CustomEvent("rulesChanged"));
+/**
+ * Returns the model associated to a DOM object, or the root model
+ * @param {Element} [target]
+ * @returns {Node}
+ */
+QueryBuilder.prototype.getModel = function(target) {
+    if (!target) {
+        return this.model.root;
+    } else if (target instanceof Node) {
+        return target;
+    } else {
+        return target.closest("[data-query-builder-model]").queryBuilderModel;
     }
+};
+
+/**
+ * Validates the whole builder
+ * @param {object} [options]
+ * @param {boolean} [options.skip_empty=false] - skips validating rules that have no filter selected
+ * @returns {boolean}
+ * @fires QueryBuilder.changer:validate
+ */
+QueryBuilder.prototype.validate = function(options = {}) {
+    options = { skip_empty: false, ...options };
+
+    this.clearErrors();
+
+    const self = this;
+
+    const valid = (function parse(group) {
+        let done = 0;
+        let errors = 0;
 
-    setOptions(options) {
-        Object.keys(options).forEach((opt) => {
-            if (QueryBuilder.modifiable_options.includes(opt)) {
-                this.options[opt] = options[opt];
+        group.rules.forEach(node => {
+            // disabled nodes are kept in the builder but ignored everywhere else
+            if (node.disabled) {
+                return;
             }
+
+            if (node instanceof Group) {
+                const res = parse(node);
+                if (res === true) {
+                    done++;
+                } else if (res === false) {
+                    errors++;
+                }
+                return;
+            }
+
+            if (!node.filter && options.skip_empty) {
+                return;
+            }
+
+            if (!node.filter) {
+                self.triggerValidationError(node, 'no_filter', null);
+                errors++;
+                return;
+            }
+
+            if (!node.operator) {
+                self.triggerValidationError(node, 'no_operator', null);
+                errors++;
+                return;
+            }
+
+            // parameters are validated when their values are bound
+            if (node.operator.nb_inputs !== 0 && !self.getValueParameters(node.value).length) {
+                const result = self.validateValue(node, node.value);
+                if (result !== true) {
+                    self.triggerValidationError(node, result, node.value);
+                    errors++;
+                    return;
+                }
+            }
+
+            done++;
         });
-    }
 
-    getModel(target) {
-        if (!target) {
-            return this.model.root;
-        } else if (target instanceof Node) {
-            return target;
-        } else {
-            return target.closest("[data-queryBuilderModel]").queryBuilderModel;
+        if (errors > 0) {
+            return false;
+        } else if (done === 0 && !group.isRoot() && (options.skip_empty || group.rules.some(node => node.disabled))) {
+            return null;
+        } else if (done === 0 && (!self.settings.allow_empty || !group.isRoot())) {
+            self.triggerValidationError(group, 'empty_group', null);
+            return false;
         }
+
+        return true;
+    }(this.model.root));
+
+    /**
+     * Modifies the result of the {@link QueryBuilder#validate} method
+     * @event changer:validate
+     * @memberof QueryBuilder
+     * @param {boolean} valid
+     * @returns {boolean}
+     */
+    return this.change('validate', valid);
+};
+
+/**
+ * Gets an object representing current rules
+ * @param {object} [options]
+ * @param {boolean|string} [options.get_flags=false] - export flags, true: only changes from default flags or 'all'
+ * @param {boolean} [options.allow_invalid=false] - returns rules even if they are invalid
+ * @param {boolean} [options.skip_empty=false] - remove rules that have no filter selected
+ * @param {boolean} [options.resolve_relative_dates=false] - replaces relative dates by actual dates, they are kept as expressions by default
+ * @param {boolean} [options.bind_parameters=false] - replaces parameters by the values given to {@link QueryBuilder#bindParameters}, they are kept as `{{name}}` by default
+ * @param {boolean} [options.skip_disabled=false] - remove disabled rules and groups, they are kept with `disabled: true` by default
+ * @returns {object}
+ * @fires QueryBuilder.changer:ruleToJson
+ * @fires QueryBuilder.changer:groupToJson
+ * @fires QueryBuilder.changer:getRules
+ */
+QueryBuilder.prototype.getRules = function(options = {}) {
+    options = { get_flags: false, allow_invalid: false, skip_empty: false, resolve_relative_dates: false, bind_parameters: false, skip_disabled: false, ...options };
+
+    const valid = this.validate(options);
+    if (!valid && !options.allow_invalid) {
+        return null;
     }
 
-    validate(options = { skip_empty: false }) {
-        this.clearErrors();
+    let out = this.getNodeJSON(this.model.root, options);
 
-        let isValid = true; // Placeholder for actual validation logic
+    out.valid = valid;
 
-        let validateEvent = new CustomEvent("validate", {
-            detail: { isValid },
-        });
-        this.element.dispatchEvent(validateEvent);
+    /**
+     * Modifies the rules before {@link QueryBuilder#getRules} returns them
+     * @event changer:getRules
+     * @memberof QueryBuilder
+     * @param {object} json
+     * @returns {object}
+     */
+    return this.change('getRules', out);
+};
+
+/**
+ * Sets rules from object
+ * @param {object} data
+ * @param {object} [options]
+ * @param {boolean} [options.allow_invalid=false] - silent-fail if the data are invalid
+ * @throws RulesError, UndefinedConditionError
+ * @fires QueryBuilder.changer:setRules
+ * @fires QueryBuilder.changer:jsonToRule
+ * @fires QueryBuilder.changer:jsonToGroup
+ * @fires QueryBuilder.afterSetRules
+ */
+QueryBuilder.prototype.setRules = function(data, options = {}) {
+    options = { allow_invalid: false, ...options };
 
-        return validateEvent.detail.isValid;
+    if (Array.isArray(data)) {
+        data = {
+            condition: this.settings.default_condition,
+            rules: data
+        };
     }
 
-    getRules(
-        options = { get_flags: false, allow_invalid: false, skip_empty: false }
-    ) {
-        let valid = this.validate(options);
-        if (!valid && !options.allow_invalid) {
-            return null;
+    if (!data || !data.rules || (data.rules.length === 0 && !this.settings.allow_empty)) {
+        Utils.error('RulesParse', 'Incorrect data object passed');
+    }
+
+    this.clear();
+    this.setRoot(false, data.data, this.parseGroupFlags(data));
+    this.applyGroupFlags(this.model.root);
+
+    /**
+     * Modifies data before the {@link QueryBuilder#setRules} method
+     * @event changer:setRules
+     * @memberof QueryBuilder
+     * @param {object} json
+     * @param {object} options
+     * @returns {object}
+     */
+    data = this.change('setRules', data, options);
+
+    const self = this;
+
+    (function add(data, group) {
+        if (data.condition === undefined) {
+            data.condition = self.settings.default_condition;
+        } else if (self.settings.conditions.indexOf(data.condition) === -1) {
+            Utils.error(!options.allow_invalid, 'UndefinedCondition', 'Invalid condition "{0}"', data.condition);
+            data.condition = self.settings.default_condition;
         }
 
-        let rules = {}; // Placeholder for actual rules extraction logic
+        group.condition = data.condition;
 
-        let getRulesEvent = new CustomEvent("getRules", {
-            detail: { rules },
+        data.rules.forEach(item => {
+            if (item.rules !== undefined) {
+                if (self.settings.allow_groups !== -1 && self.settings.allow_groups < group.level) {
+                    Utils.error(!options.allow_invalid, 'RulesParse', 'No more than {0} groups are allowed', self.settings.allow_groups);
+                    self.reset();
+                } else {
+                    const model = self.addGroup(group, false, item.data, self.parseGroupFlags(item));
+                    if (model !== null) {
+                        model.disabled = !!item.disabled;
+                        add(item, model);
+                    }
+                }
+            } else {
+                if (!item.empty && item.id === undefined) {
+                    Utils.error(!options.allow_invalid, 'RulesParse', 'Missing rule field id');
+                    item.empty = true;
+                }
+
+                self.addNodeFromJSON(group, item.empty ? { ...item, id: null } : item);
+            }
         });
-        this.element.dispatchEvent(getRulesEvent);
 
-        return getRulesEvent.detail.rules;
-    }
+        if (self.change('jsonToGroup', group, data) != group) {
+            Utils.error('RulesParse', 'Plugin tried to change group reference');
+        }
+    }(data, this.model.root));
+
+    /**
+     * After the {@link QueryBuilder#setRules} method
+     * @event afterSetRules
+     * @memberof QueryBuilder
+     */
+    this.trigger('afterSetRules');
+};
+
+/**
+ * Lists the parameters (eg: `{{region}}`) used as values by the enabled rules, the type of each parameter
+ * is inferred from the filter of the first rule using it
+ * @returns {object[]} `{name, type, input, filter, operator, values}`
+ * @throws ParameterError if a parameter is used by filters of different types
+ */
+QueryBuilder.prototype.getParameters = function() {
+    const parameters = [];
+
+    this.getParameterRules().forEach(rule => {
+        this.getValueParameters(rule.value).forEach(name => {
+            const parameter = parameters.find(param => param.name === name);
+
+            if (!parameter) {
+                parameters.push({
+                    name: name,
+                    type: rule.filter.type,
+                    input: rule.filter.input,
+                    filter: rule.filter.id,
+                    operator: rule.operator.type,
+                    values: rule.filter.values
+                });
+            } else if (parameter.type !== rule.filter.type) {
+                Utils.error('Parameter', 'Parameter "{0}" is used with types "{1}" and "{2}"', name, parameter.type, rule.filter.type);
+            }
+        });
+    });
+
+    return parameters;
+};
+
+/**
+ * Binds the values of the parameters, each value is validated against the rules using it and converted to the type of their filter.<br>
+ * Bound values are used by {@link QueryBuilder#getRules} with `bind_parameters` and by the export plugins.
+ * @param {object} values - values by parameter name
+ * @throws UnboundParameterError, ParameterError
+ * @fires QueryBuilder.afterBindParameters
+ */
+QueryBuilder.prototype.bindParameters = function(values) {
+    this.getParameterRules().forEach(rule => {
+        const value = this.resolveParameters(rule.value, values);
+        const result = this.validateValue(rule, value);
+
+        if (result !== true) {
+            const error = Array.isArray(result) ? result : [result];
+            Utils.error('Parameter', 'Invalid value for parameter "{0}": {1}',
+                this.getValueParameters(rule.value).join('", "'),
+                Utils.fmt(this.translate('errors', error[0]), error.slice(1))
+            );
+        }
+    });
+
+    const parameters = this.getParameters();
+
+    this.parameters = {};
+
+    Object.keys(values).forEach(name => {
+        const parameter = parameters.find(param => param.name === name);
+        const value = values[name];
+
+        if (!parameter) {
+            this.parameters[name] = value;
+        } else if (Array.isArray(value)) {
+            this.parameters[name] = value.map(val => Utils.changeType(val, parameter.type));
+        } else {
+            this.parameters[name] = Utils.changeType(value, parameter.type);
+        }
+    });
 
-    setRules(data, options = { allow_invalid: false }) {
-        // Placeholder for setting rules based on provided data
-        let setRulesEvent = new CustomEvent("setRules", {
-            detail: { data, options },
+    /**
+     * After the {@link QueryBuilder#bindParameters} method
+     * @event afterBindParameters
+     * @memberof QueryBuilder
+     * @param {object} parameters
+     */
+    this.trigger('afterBindParameters', this.parameters);
+};
+
+/**
+ * Returns the enabled rules having parameters in their value
+ * @returns {Rule[]}
+ * @private
+ */
+QueryBuilder.prototype.getParameterRules = function() {
+    const self = this;
+    const rules = [];
+
+    (function parse(group) {
+        group.rules.forEach(node => {
+            if (node.disabled) {
+                return;
+            }
+
+            if (node instanceof Group) {
+                parse(node);
+            } else if (node.filter && node.operator && node.operator.nb_inputs !== 0 && self.getValueParameters(node.value).length) {
+                rules.push(node);
+            }
         });
-        this.element.dispatchEvent(setRulesEvent);
+    }(this.model.root));
+
+    return rules;
+};
+
+/**
+ * Copies a rule or a group, with its children, flags and data.<br>
+ * The JSON is kept in {@link QueryBuilder.clipboard} and written to the system clipboard when available
+ * @param {Node} node
+ * @returns {object} JSON of the node, same format as {@link QueryBuilder#getRules}
+ * @fires QueryBuilder.afterCopyNode
+ */
+QueryBuilder.prototype.copyNode = function(node) {
+    const json = this.getNodeJSON(node, { get_flags: 'all' });
+
+    QueryBuilder.clipboard = json;
+
+    if (typeof navigator !== 'undefined' && navigator.clipboard) {
+        // the system clipboard may be denied, the internal one is still usable
+        navigator.clipboard.writeText(JSON.stringify(json)).catch(() => {});
+    }
+
+    /**
+     * After a node has been copied
+     * @event afterCopyNode
+     * @memberof QueryBuilder
+     * @param {Node} node
+     * @param {object} json
+     */
+    this.trigger('afterCopyNode', node, json);
+
+    return json;
+};
+
+/**
+ * Adds a copied rule or group into a group
+ * @param {Group} group
+ * @param {int} [index] - position in the group, at the end by default
+ * @param {object} [json] - JSON of a rule or a group, {@link QueryBuilder.clipboard} by default
+ * @returns {Node|null} the new node, null if there is nothing to paste or the node could not be added
+ * @throws RulesParseError, UndefinedFilterError
+ * @fires QueryBuilder.afterPasteNode
+ */
+QueryBuilder.prototype.pasteInto = function(group, index, json = QueryBuilder.clipboard) {
+    if (!json) {
+        return null;
+    }
+
+    if (json.rules === undefined && json.id === undefined) {
+        Utils.error('RulesParse', 'Incorrect data object passed');
+    }
+
+    if (json.rules !== undefined && this.settings.allow_groups !== -1 && this.settings.allow_groups < group.level) {
+        Utils.error('RulesParse', 'No more than {0} groups are allowed', this.settings.allow_groups);
+    }
+
+    // plugins may modify the JSON while it is applied
+    const node = this.addNodeFromJSON(group, JSON.parse(JSON.stringify(json)), index);
+
+    if (node !== null) {
+        /**
+         * After a node has been pasted
+         * @event afterPasteNode
+         * @memberof QueryBuilder
+         * @param {Node} node
+         */
+        this.trigger('afterPasteNode', node);
     }
-}
+
+    return node;
+};
+
+/**
+ * Adds the rule or group of the system clipboard into a group, used to paste between browser tabs.<br>
+ * {@link QueryBuilder.clipboard} is used when the system clipboard is not available
+ * @param {Group} group
+ * @param {int} [index] - position in the group, at the end by default
+ * @returns {Promise<Node|null>}
+ * @throws RulesParseError
+ */
+QueryBuilder.prototype.pasteFromClipboard = function(group, index) {
+    if (typeof navigator === 'undefined' || !navigator.clipboard) {
+        return Promise.resolve().then(() => this.pasteInto(group, index));
+    }
+
+    return navigator.clipboard.readText().then((text) => {
+        let json;
+
+        try {
+            json = JSON.parse(text);
+        }
+        catch (e) {
+            Utils.error('RulesParse', 'The clipboard does not contain rules');
+        }
+
+        return this.pasteInto(group, index, json);
+    });
+};
+
+/**
+ * Adds a copy of a rule or a group just after it
+ * @param {Node} node
+ * @returns {Node|null} the new node
+ * @fires QueryBuilder.afterPasteNode
+ */
+QueryBuilder.prototype.duplicateNode = function(node) {
+    if (node.isRoot()) {
+        return null;
+    }
+
+    return this.pasteInto(node.parent, node.getPos() + 1, this.getNodeJSON(node, { get_flags: 'all' }));
+};
+
+/**
+ * Collapses or expands a group, the state is kept in the `collapsed` flag
+ * @param {Group} group
+ * @param {boolean} [collapsed] - toggles the current state by default
+ */
+QueryBuilder.prototype.collapseGroup = function(group, collapsed = !group.flags.collapsed) {
+    group.flags = { ...group.flags, collapsed };
+};
+
+/**
+ * Returns a one-line description of a group, eg: "age greater 18 AND country in (FR, DE) +3 more"
+ * @param {Group} group
+ * @param {int} [length] - number of rules and groups to describe, `summary_length` by default
+ * @returns {string}
+ * @fires QueryBuilder.changer:getGroupSummary
+ */
+QueryBuilder.prototype.getGroupSummary = function(group, length = this.settings.summary_length) {
+    const describe = (node) => {
+        if (node instanceof Group) {
+            return '(' + this.getGroupSummary(node, length) + ')';
+        }
+
+        if (!node.filter) {
+            return '?';
+        }
+
+        let text = this.translate(node.filter.label || node.filter.id);
+
+        if (node.operator) {
+            text += ' ' + this.translate('operators', node.operator.type);
+
+            if (node.operator.nb_inputs !== 0 && node.value !== undefined && node.value !== null) {
+                text += ' ' + (Array.isArray(node.value) ? '(' + node.value.join(', ') + ')' : node.value);
+            }
+        }
+
+        return text;
+    };
+
+    let summary = group.rules.slice(0, length)
+        .map(describe)
+        .join(' ' + this.translate('conditions', group.condition) + ' ');
+
+    if (group.rules.length > length) {
+        summary += ' ' + Utils.fmt(this.translate('summary_more'), [group.rules.length - length]);
+    }
+
+    /**
+     * Modifies the summary of a collapsed group
+     * @event changer:getGroupSummary
+     * @memberof QueryBuilder
+     * @param {string} summary
+     * @param {Group} group
+     * @returns {string}
+     */
+    return this.change('getGroupSummary', summary, group);
+};
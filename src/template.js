@@ -1,30 +1,42 @@
+// Templates are built with Utils.html, interpolated values are escaped unless marked with Utils.raw
+
 QueryBuilder.templates.group = ({ group_id, level, conditions, icons, settings, translate, builder }) => {
-  return `
+  return Utils.html`
 <div id="${group_id}" class="rules-group-container">
   <div class="rules-group-header">
     <div class="btn-group float-end group-actions">
       <button type="button" class="btn btn-sm btn-success" data-add="rule">
         <i class="${icons.add_rule}"></i> ${translate("add_rule")}
       </button>
-      ${settings.allow_groups === -1 || settings.allow_groups >= level ? `
+      ${settings.allow_groups === -1 || settings.allow_groups >= level ? Utils.html`
         <button type="button" class="btn btn-sm btn-success" data-add="group">
           <i class="${icons.add_group}"></i> ${translate("add_group")}
         </button>
       ` : ''}
-      ${level > 1 ? `
+      ${level > 1 ? Utils.html`
+        <button type="button" class="btn btn-sm btn-secondary" data-disable="group" title="${translate("disable")}">
+          <i class="${icons.disable}"></i>
+        </button>
+        <button type="button" class="btn btn-sm btn-secondary" data-duplicate="group">
+          <i class="${icons.duplicate}"></i> ${translate("duplicate_group")}
+        </button>
         <button type="button" class="btn btn-sm btn-danger" data-delete="group">
           <i class="${icons.remove_group}"></i> ${translate("delete_group")}
         </button>
       ` : ''}
     </div>
+    <button type="button" class="btn btn-sm btn-link group-collapse" data-collapse="group" title="${translate("collapse_group")}">
+      <i class="${icons.collapse_group}"></i>
+    </button>
     <div class="btn-group group-conditions">
-      ${conditions.map(condition => `
+      ${conditions.map(condition => Utils.html`
         <label class="btn btn-sm btn-primary">
           <input type="radio" name="${group_id}_cond" value="${condition}"> ${translate("conditions", condition)}
         </label>
-      `).join('\n')}
+      `)}
     </div>
-    ${settings.display_errors ? `
+    <div class="group-summary"></div>
+    ${settings.display_errors ? Utils.html`
       <div class="error-container"><i class="${icons.error}"></i></div>
     ` : ''}
   </div>
@@ -35,16 +47,22 @@ QueryBuilder.templates.group = ({ group_id, level, conditions, icons, settings,
 };
 
 QueryBuilder.templates.rule = ({ rule_id, icons, settings, translate, builder }) => {
-  return `
+  return Utils.html`
 <div id="${rule_id}" class="rule-container">
   <div class="rule-header">
     <div class="btn-group float-end rule-actions">
+      <button type="button" class="btn btn-sm btn-secondary" data-disable="rule" title="${translate("disable")}">
+        <i class="${icons.disable}"></i>
+      </button>
+      <button type="button" class="btn btn-sm btn-secondary" data-duplicate="rule">
+        <i class="${icons.duplicate}"></i> ${translate("duplicate_rule")}
+      </button>
       <button type="button" class="btn btn-sm btn-danger" data-delete="rule">
         <i class="${icons.remove_rule}"></i> ${translate("delete_rule")}
       </button>
     </div>
   </div>
-  ${settings.display_errors ? `
+  ${settings.display_errors ? Utils.html`
     <div class="error-container"><i class="${icons.error}"></i></div>
   ` : ''}
   <div class="rule-filter-container"></div>
@@ -55,63 +73,63 @@ QueryBuilder.templates.rule = ({ rule_id, icons, settings, translate, builder })
 
 QueryBuilder.templates.filterSelect = ({ rule, filters, icons, settings, translate, builder }) => {
   let optgroup = null;
-  return `
+  return Utils.html`
 <select class="form-select" name="${rule.id}_filter">
-  ${settings.display_empty_filter ? `
+  ${settings.display_empty_filter ? Utils.html`
     <option value="-1">${settings.select_placeholder}</option>
   ` : ''}
-  ${filters.map(filter => `
-    ${optgroup !== filter.optgroup ? `
-      ${optgroup !== null ? `</optgroup>` : ''}
-      ${(optgroup = filter.optgroup) !== null ? `
+  ${filters.map(filter => Utils.html`
+    ${optgroup !== filter.optgroup ? Utils.html`
+      ${optgroup !== null ? Utils.html`</optgroup>` : ''}
+      ${(optgroup = filter.optgroup) !== null ? Utils.html`
         <optgroup label="${translate(settings.optgroups[optgroup])}">
       ` : ''}
     ` : ''}
-    <option value="${filter.id}" ${filter.icon ? `data-icon="${filter.icon}"` : ''}>${translate(filter.label)}</option>
-  `).join('')}
-  ${optgroup !== null ? '</optgroup>' : ''}
+    <option value="${filter.id}" ${filter.icon ? Utils.html`data-icon="${filter.icon}"` : ''}>${translate(filter.label)}</option>
+  `)}
+  ${optgroup !== null ? Utils.html`</optgroup>` : ''}
 </select>`;
 };
 
 QueryBuilder.templates.operatorSelect = ({ rule, operators, icons, settings, translate, builder }) => {
   let optgroup = null;
-  return `
-${operators.length === 1 ? `
+  return Utils.html`
+${operators.length === 1 ? Utils.html`
 <span>
 ${translate("operators", operators[0].type)}
 </span>
 ` : ''}
 <select class="form-select ${operators.length === 1 ? 'd-none' : ''}" name="${rule.id}_operator">
-  ${operators.map(operator => `
-    ${optgroup !== operator.optgroup ? `
-      ${optgroup !== null ? `</optgroup>` : ''}
-      ${(optgroup = operator.optgroup) !== null ? `
+  ${operators.map(operator => Utils.html`
+    ${optgroup !== operator.optgroup ? Utils.html`
+      ${optgroup !== null ? Utils.html`</optgroup>` : ''}
+      ${(optgroup = operator.optgroup) !== null ? Utils.html`
         <optgroup label="${translate(settings.optgroups[optgroup])}">
       ` : ''}
     ` : ''}
-    <option value="${operator.type}" ${operator.icon ? `data-icon="${operator.icon}"` : ''}>${translate("operators", operator.type)}</option>
-  `).join('')}
-  ${optgroup !== null ? '</optgroup>' : ''}
+    <option value="${operator.type}" ${operator.icon ? Utils.html`data-icon="${operator.icon}"` : ''}>${translate("operators", operator.type)}</option>
+  `)}
+  ${optgroup !== null ? Utils.html`</optgroup>` : ''}
 </select>`;
 };
 
 QueryBuilder.templates.ruleValueSelect = ({ name, rule, icons, settings, translate, builder }) => {
   let optgroup = null;
-  return `
+  return Utils.html`
 <select class="form-select" name="${name}" ${rule.filter.multiple ? 'multiple' : ''}>
-  ${rule.filter.placeholder ? `
+  ${rule.filter.placeholder ? Utils.html`
     <option value="${rule.filter.placeholder_value}" disabled selected>${rule.filter.placeholder}</option>
   ` : ''}
-  ${rule.filter.values.map(entry => `
-    ${optgroup !== entry.optgroup ? `
-      ${optgroup !== null ? `</optgroup>` : ''}
-      ${(optgroup = entry.optgroup) !== null ? `
+  ${rule.filter.values.map(entry => Utils.html`
+    ${optgroup !== entry.optgroup ? Utils.html`
+      ${optgroup !== null ? Utils.html`</optgroup>` : ''}
+      ${(optgroup = entry.optgroup) !== null ? Utils.html`
         <optgroup label="${translate(settings.optgroups[optgroup])}">
       ` : ''}
     ` : ''}
     <option value="${entry.value}">${entry.label}</option>
-  `).join('')}
-  ${optgroup !== null ? '</optgroup>' : ''}
+  `)}
+  ${optgroup !== null ? Utils.html`</optgroup>` : ''}
 </select>`;
 };
 
@@ -124,7 +142,7 @@ QueryBuilder.templates.ruleValueSelect = ({ name, rule, icons, settings, transla
  * @private
  */
 QueryBuilder.prototype.getGroupTemplate = function (group_id, level) {
-  var h = this.templates.group({
+  var h = String(this.templates.group({
     builder: this,
     group_id: group_id,
     level: level,
@@ -132,7 +150,7 @@ QueryBuilder.prototype.getGroupTemplate = function (group_id, level) {
     icons: this.icons,
     settings: this.settings,
     translate: this.translate.bind(this)
-  }).trim();
+  })).trim();
 
   /**
    * Modifies the raw HTML of a group
@@ -153,13 +171,13 @@ QueryBuilder.prototype.getGroupTemplate = function (group_id, level) {
  * @private
  */
 QueryBuilder.prototype.getRuleTemplate = function (rule_id) {
-  var h = this.templates.rule({
+  var h = String(this.templates.rule({
     builder: this,
     rule_id: rule_id,
     icons: this.icons,
     settings: this.settings,
     translate: this.translate.bind(this)
-  }).trim();
+  })).trim();
 
   /**
    * Modifies the raw HTML of a rule
@@ -180,14 +198,14 @@ QueryBuilder.prototype.getRuleTemplate = function (rule_id) {
  * @private
  */
 QueryBuilder.prototype.getRuleFilterSelect = function (rule, filters) {
-  var h = this.templates.filterSelect({
+  var h = String(this.templates.filterSelect({
     builder: this,
     rule: rule,
     filters: filters,
     icons: this.icons,
     settings: this.settings,
     translate: this.translate.bind(this)
-  }).trim();
+  })).trim();
 
   /**
    * Modifies the raw HTML of the rule's filter dropdown
@@ -210,14 +228,14 @@ QueryBuilder.prototype.getRuleFilterSelect = function (rule, filters) {
  * @private
  */
 QueryBuilder.prototype.getRuleOperatorSelect = function (rule, operators) {
-  var h = this.templates.operatorSelect({
+  var h = String(this.templates.operatorSelect({
     builder: this,
     rule: rule,
     operators: operators,
     icons: this.icons,
     settings: this.settings,
     translate: this.translate.bind(this)
-  }).trim();
+  })).trim();
 
   /**
    * Modifies the raw HTML of the rule's operator dropdown
@@ -240,14 +258,14 @@ QueryBuilder.prototype.getRuleOperatorSelect = function (rule, operators) {
  * @private
  */
 QueryBuilder.prototype.getRuleValueSelect = function (name, rule) {
-  var h = this.templates.ruleValueSelect({
+  var h = String(this.templates.ruleValueSelect({
     builder: this,
     name: name,
     rule: rule,
     icons: this.icons,
     settings: this.settings,
     translate: this.translate.bind(this)
-  }).trim();
+  })).trim();
 
   /**
    * Modifies the raw HTML of the rule's value dropdown (in case of a "select filter)
@@ -285,7 +303,7 @@ QueryBuilder.prototype.getRuleInput = function (rule, value_id) {
       case 'radio':
       case 'checkbox':
         Utils.iterateOptions(filter.values, function (key, val) {
-          h += '<label' + c + '><input type="' + filter.input + '" name="' + name + '" value="' + key + '"> ' + val + '</label> ';
+          h += '<label' + c + '><input type="' + filter.input + '" name="' + name + '" value="' + Utils.escapeHtml(key) + '"> ' + Utils.escapeHtml(val) + '</label> ';
         });
         break;
 
@@ -299,7 +317,7 @@ QueryBuilder.prototype.getRuleInput = function (rule, value_id) {
         if (filter.rows) h += ' rows="' + filter.rows + '"';
         if (validation.min !== undefined) h += ' minlength="' + validation.min + '"';
         if (validation.max !== undefined) h += ' maxlength="' + validation.max + '"';
-        if (placeholder) h += ' placeholder="' + placeholder + '"';
+        if (placeholder) h += ' placeholder="' + Utils.escapeHtml(placeholder) + '"';
         h += '></textarea>';
         break;
 
@@ -308,14 +326,14 @@ QueryBuilder.prototype.getRuleInput = function (rule, value_id) {
         if (validation.step !== undefined) h += ' step="' + validation.step + '"';
         if (validation.min !== undefined) h += ' min="' + validation.min + '"';
         if (validation.max !== undefined) h += ' max="' + validation.max + '"';
-        if (placeholder) h += ' placeholder="' + placeholder + '"';
+        if (placeholder) h += ' placeholder="' + Utils.escapeHtml(placeholder) + '"';
         if (filter.size) h += ' size="' + filter.size + '"';
         h += '>';
         break;
 
       default:
         h += '<input class="form-control" type="text" name="' + name + '"';
-        if (placeholder) h += ' placeholder="' + placeholder + '"';
+        if (placeholder) h += ' placeholder="' + Utils.escapeHtml(placeholder) + '"';
         if (filter.type === 'string' && validation.min !== undefined) h += ' minlength="' + validation.min + '"';
         if (filter.type === 'string' && validation.max !== undefined) h += ' maxlength="' + validation.max + '"';
         if (filter.size) h += ' size="' + filter.size + '"';
@@ -38,19 +38,19 @@ QueryBuilder.utils = Utils;
  */
 Utils.iterateOptions = function(options, tpl) {
     if (options) {
-        if ($.isArray(options)) {
+        if (Array.isArray(options)) {
             options.forEach(function(entry) {
-                if ($.isPlainObject(entry)) {
+                if (entry !== null && typeof entry == 'object') {
                     // array of elements
                     if ('value' in entry) {
                         tpl(entry.value, entry.label || entry.value, entry.optgroup);
                     }
                     // array of one-element maps
                     else {
-                        $.each(entry, function(key, val) {
-                            tpl(key, val);
-                            return false; // break after first entry
-                        });
+                        var key = Object.keys(entry)[0];
+                        if (key !== undefined) {
+                            tpl(key, entry[key]);
+                        }
                     }
                 }
                 // array of values
@@ -61,8 +61,8 @@ Utils.iterateOptions = function(options, tpl) {
         }
         // unordered map
         else {
-            $.each(options, function(key, val) {
-                tpl(key, val);
+            Object.keys(options).forEach(function(key) {
+                tpl(key, options[key]);
             });
         }
     }
@@ -180,6 +180,72 @@ Utils.escapeString = function(value, additionalEscape) {
     return escaped;
 };
 
+/**
+ * Checks if a value is a relative date expression
+ *
+ * @example
+ * 'now'             // current date
+ * 'now-7d'          // seven days ago
+ * 'now+1M-1d'       // in one month minus one day
+ * 'startOf:month'   // first day of the current month
+ * 'endOf:week+1w'   // last day of next week
+ *
+ * Offsets use moment units: s, m, h, d, w, M, Q, y
+ * @param {*} value
+ * @returns {boolean}
+ */
+Utils.isRelativeDate = function(value) {
+    return typeof value == 'string' && RELATIVE_DATE_REGEX.test(value.trim());
+};
+
+/**
+ * Resolves a relative date expression
+ * @param {string} value - see {@link Utils.isRelativeDate}
+ * @param {*} [now] - reference date, default is the current date
+ * @returns {moment|null} null if the expression is invalid
+ */
+Utils.resolveRelativeDate = function(value, now) {
+    var match = typeof value == 'string' ? RELATIVE_DATE_REGEX.exec(value.trim()) : null;
+
+    if (!match) {
+        return null;
+    }
+
+    var date = moment(now);
+
+    if (match[2]) {
+        date = date[match[2]](match[3]);
+    }
+
+    (match[4].match(/[+-]\d+[smhdwMQy]/g) || []).forEach(function(offset) {
+        date.add(parseInt(offset.slice(0, -1)), offset.slice(-1));
+    });
+
+    return date;
+};
+
+/**
+ * @type {RegExp}
+ * @private
+ */
+var RELATIVE_DATE_REGEX = /^(now|(startOf|endOf):(year|quarter|month|isoWeek|week|day|hour|minute))((?:[+-]\d+[smhdwMQy])*)$/;
+
+/**
+ * Returns the name of a query parameter (eg: `{{region}}`) or null if the value is not a parameter
+ * @param {*} value
+ * @returns {string|null}
+ */
+Utils.getParameterName = function(value) {
+    var match = typeof value == 'string' ? PARAMETER_REGEX.exec(value.trim()) : null;
+    return match ? match[1] : null;
+};
+
+/**
+ * @type {RegExp}
+ * @private
+ */
+var PARAMETER_REGEX = /^\{\{\s*([a-zA-Z_]\w*)\s*\}\}$/;
+
 /**
  * Escapes a string for use in regex
  * @param {string} str
@@ -203,6 +269,103 @@ Utils.escapeElementId = function(str) {
             function( $0, $1, $2 ) { return $1 ? $0 : '\\' + $2; }) : str;
 };
 
+/**
+ * Escapes HTML special chars, values marked with {@link Utils.raw} are returned as is
+ * @param {*} value
+ * @returns {string}
+ */
+Utils.escapeHtml = function(value) {
+    if (value instanceof RawHtml) {
+        return value.html;
+    }
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    return String(value).replace(/[&<>"']/g, function(s) {
+        return HTML_ENTITIES[s];
+    });
+};
+
+/**
+ * Marks a string as trusted HTML, it will not be escaped by {@link Utils.html} and {@link Utils.escapeHtml}
+ * @param {string} html
+ * @returns {object}
+ */
+Utils.raw = function(html) {
+    return new RawHtml(html);
+};
+
+/**
+ * Checks if a value has been marked as trusted HTML
+ * @param {*} value
+ * @returns {boolean}
+ */
+Utils.isRaw = function(value) {
+    return value instanceof RawHtml;
+};
+
+/**
+ * Tag for template literals building HTML, interpolated values are escaped unless they are marked with {@link Utils.raw}
+ * or built by another `Utils.html` template, arrays are concatenated
+ *
+ * @example
+ * Utils.html`<option value="${entry.value}">${entry.label}</option>`
+ *
+ * @param {string[]} strings
+ * @param {...*} values
+ * @returns {object} trusted HTML, use `String()` to get the markup
+ */
+Utils.html = function(strings) {
+    var out = strings[0];
+
+    for (var i = 1; i < strings.length; i++) {
+        out += htmlValue(arguments[i]) + strings[i];
+    }
+
+    return new RawHtml(out);
+};
+
+/**
+ * Trusted HTML
+ * @param {string} html
+ * @constructor
+ * @private
+ */
+function RawHtml(html) {
+    this.html = (html === undefined || html === null) ? '' : String(html);
+}
+
+RawHtml.prototype.toString = function() {
+    return this.html;
+};
+
+/**
+ * Returns the HTML of a value interpolated in {@link Utils.html}
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function htmlValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(htmlValue).join('');
+    }
+
+    return Utils.escapeHtml(value);
+}
+
+/**
+ * @type {object.<string, string>}
+ * @private
+ */
+var HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
 /**
  * Sorts objects by grouping them by `key`, preserving initial order when possible
  * @param {object[]} items
@@ -237,6 +400,57 @@ Utils.groupSort = function(items, key) {
     return newItems;
 };
 
+/**
+ * Checks if a value is an object literal
+ * @param {*} value
+ * @returns {boolean}
+ */
+Utils.isPlainObject = function(value) {
+    return value !== null && typeof value == 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Merges an object into a target, plain objects are merged recursively, arrays are copied and other values are replaced
+ * @param {object} target
+ * @param {object} source
+ * @returns {object} target
+ */
+Utils.merge = function(target, source) {
+    Object.keys(source).forEach(function(key) {
+        var value = source[key];
+
+        if (Utils.isPlainObject(value)) {
+            target[key] = Utils.merge(Utils.isPlainObject(target[key]) ? target[key] : {}, value);
+        }
+        else if (Array.isArray(value)) {
+            target[key] = value.slice();
+        }
+        else {
+            target[key] = value;
+        }
+    });
+
+    return target;
+};
+
+/**
+ * Returns the batch of the current tick stored in `holder.batch`, the changes made in the same tick are grouped
+ * in this batch and committed together at the end of the tick
+ * @param {object} holder
+ * @param {function} create - returns a new batch
+ * @param {function} commit - called at the end of the tick
+ * @returns {object}
+ */
+Utils.getTickBatch = function(holder, create, commit) {
+    if (!holder.batch) {
+        holder.batch = create();
+
+        Promise.resolve().then(commit);
+    }
+
+    return holder.batch;
+};
+
 /**
  * Defines properties on an Node prototype with getter and setter.<br>
  *     Update events are emitted in the setter through root Model (if any).<br>
@@ -253,7 +467,7 @@ Utils.defineModelProperties = function(obj, fields) {
             },
             set: function(value) {
                 var previousValue = (this.__[field] !== null && typeof this.__[field] == 'object') ?
-                    $.extend({}, this.__[field]) :
+                    Object.assign({}, this.__[field]) :
                     this.__[field];
 
                 this.__[field] = value;
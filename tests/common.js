@@ -1,8 +1,17 @@
+/**
+ * The fixtures and custom asserts are also used by the headless tests in Node.js, see node.js
+ */
+var IS_BROWSER = typeof window !== 'undefined';
+
 /**
  * Sync load of language file once QUnit and Blanket are ready
  * Otherwise the language file is loaded before instrumented files
  */
 QUnit.begin(function() {
+    if (!IS_BROWSER) {
+        return;
+    }
+
     $.ajax({
         async: false,
         url: '../dist/i18n/query-builder.en.js',
@@ -14,6 +23,10 @@ QUnit.begin(function() {
  * Add GitHub link in header
  */
 QUnit.begin(function(){
+    if (!IS_BROWSER) {
+        return;
+    }
+
     $('#qunit-header').append(
         '<div class="float-end" style="margin:-5px 10px 0 0">' +
             '<a href="https://github.com/mistic100/jQuery-QueryBuilder">' +
@@ -27,6 +40,10 @@ QUnit.begin(function(){
  * Modify Blanket results display
  */
 QUnit.done(function(){
+    if (!IS_BROWSER) {
+        return;
+    }
+
     $('#blanket-main')
         .css('marginTop', '10px')
         .addClass('col-lg-8 col-lg-push-2')
@@ -65,6 +82,10 @@ QUnit.assert.rulesMatch = function(actual, expected, message) {
             }
         }
 
+        if (!!a.disabled !== !!b.disabled) {
+            ok = false;
+        }
+
         if (b.hasOwnProperty('rules')) {
             if (!a.hasOwnProperty('rules')) {
                 ok = false;
@@ -91,8 +112,13 @@ QUnit.assert.rulesMatch = function(actual, expected, message) {
             ok = false;
         }
         else {
-            if ($.isArray(a.value)) {
-                ok&= $(a.value).not(b.value).length == 0 && $(b.value).not(a.value).length == 0;
+            if (Array.isArray(a.value)) {
+                ok&= Array.isArray(b.value) &&
+                    a.value.every(function(v) { return b.value.indexOf(v) !== -1; }) &&
+                    b.value.every(function(v) { return a.value.indexOf(v) !== -1; });
+            }
+            else if (a.value !== null && typeof a.value == 'object') {
+                ok&= QUnit.equiv(a.value, b.value);
             }
             else {
                 ok&= a.value==b.value;
@@ -177,6 +203,10 @@ QUnit.assert.match = function(actual, regex, message) {
  * https://gist.github.com/mistic100/37c95fab77b5626c5623
  */
 (function($) {
+    if (!$) {
+        return;
+    }
+
     $.fn.simulateDragDrop = function(options) {
         return this.each(function() {
             new $.simulateDragDrop(this, options);
@@ -252,7 +282,7 @@ QUnit.assert.match = function(actual, regex, message) {
             }
         }
     });
-})(jQuery);
+})(IS_BROWSER ? jQuery : null);
 
 
 var basic_filters = [{
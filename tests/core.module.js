@@ -814,4 +814,309 @@ $(function(){
             done();
         });
     });
+
+    /**
+     * Test headless builder
+     */
+    QUnit.test('Headless', function(assert) {
+        var builder = QueryBuilder.headless({
+            filters: basic_filters
+        });
+
+        assert.equal(
+            builder.element.nodeType,
+            undefined,
+            'Should not be attached to a DOM element'
+        );
+
+        builder.setRules(basic_rules);
+
+        assert.rulesMatch(
+            builder.getRules(),
+            basic_rules,
+            'Should return object with rules'
+        );
+
+        builder.setRules({
+            condition: 'AND',
+            rules: [{
+                id: 'price',
+                operator: 'less',
+                value: 'foo'
+            }]
+        });
+
+        assert.notOk(
+            builder.validate(),
+            'Should invalidate non numeric value'
+        );
+
+        assert.notEqual(
+            builder.model.root.rules[0].error,
+            null,
+            'Should set the error on the model'
+        );
+
+        builder.destroy();
+    });
+
+    /**
+     * Test copy, paste and duplicate
+     */
+    QUnit.test('Copy paste', function(assert) {
+        var builder = QueryBuilder.headless({
+            filters: basic_filters,
+            rules: {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10.25,
+                    data: { source: 'test' },
+                    flags: { no_delete: true }
+                }, {
+                    condition: 'OR',
+                    rules: [{
+                        id: 'name',
+                        operator: 'equal',
+                        value: 'Mistic'
+                    }]
+                }]
+            }
+        });
+
+        var root = builder.model.root;
+
+        builder.duplicateNode(root.rules[0]);
+
+        assert.deepEqual(
+            [root.rules[1].filter.id, root.rules[1].value, root.rules[1].data, root.rules[1].flags.no_delete],
+            ['price', 10.25, { source: 'test' }, true],
+            'Should duplicate the rule with its data and flags'
+        );
+
+        var json = builder.copyNode(root.rules[0]);
+
+        assert.deepEqual(
+            QueryBuilder.clipboard,
+            json,
+            'Should keep the copied rule in the clipboard'
+        );
+
+        builder.pasteInto(root.rules[2], 0);
+
+        assert.rulesMatch(
+            builder.getRules().rules[2],
+            {
+                condition: 'OR',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10.25,
+                    data: { source: 'test' }
+                }, {
+                    id: 'name',
+                    operator: 'equal',
+                    value: 'Mistic'
+                }]
+            },
+            'Should paste the rule in another group'
+        );
+
+        builder.duplicateNode(root.rules[2]);
+
+        assert.equal(
+            root.rules[3].rules.length,
+            2,
+            'Should duplicate the group with its rules'
+        );
+
+        QueryBuilder.clipboard = null;
+        builder.destroy();
+    });
+
+    /**
+     * Test collapsed groups
+     */
+    QUnit.test('Collapse groups', function(assert) {
+        var builder = QueryBuilder.headless({
+            filters: basic_filters,
+            rules: basic_rules
+        });
+
+        var group = builder.model.root.rules[2];
+
+        builder.collapseGroup(group);
+
+        assert.ok(
+            group.flags.collapsed,
+            'Should set the collapsed flag'
+        );
+
+        assert.deepEqual(
+            builder.getRules({ get_flags: true }).rules[2].flags,
+            { collapsed: true },
+            'Should export the collapsed flag'
+        );
+
+        builder.setRules(builder.getRules({ get_flags: true }));
+
+        assert.ok(
+            builder.model.root.rules[2].flags.collapsed,
+            'Should import the collapsed flag'
+        );
+
+        assert.equal(
+            builder.getGroupSummary(builder.model.root),
+            'Price less 10.25 AND Name is null +1 more',
+            'Should summarize the group'
+        );
+
+        assert.equal(
+            builder.getGroupSummary(builder.model.root.rules[2], 1),
+            'Category in (mo, mu) +1 more',
+            'Should summarize multiple values'
+        );
+
+        builder.destroy();
+    });
+
+    /**
+     * Test disabled rules and groups
+     */
+    QUnit.test('Disable rules', function(assert) {
+        var builder = QueryBuilder.headless({
+            filters: basic_filters,
+            rules: {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10.25
+                }, {
+                    id: 'name',
+                    operator: 'equal',
+                    value: '',
+                    disabled: true
+                }, {
+                    condition: 'OR',
+                    disabled: true,
+                    rules: [{
+                        id: 'category',
+                        operator: 'in',
+                        value: ['mo', 'mu']
+                    }]
+                }]
+            }
+        });
+
+        assert.ok(
+            builder.validate(),
+            'Should not validate disabled rules'
+        );
+
+        assert.rulesMatch(
+            builder.getRules(),
+            {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10.25
+                }, {
+                    id: 'name',
+                    operator: 'equal',
+                    value: '',
+                    disabled: true
+                }, {
+                    condition: 'OR',
+                    disabled: true,
+                    rules: [{
+                        id: 'category',
+                        operator: 'in',
+                        value: ['mo', 'mu']
+                    }]
+                }]
+            },
+            'Should keep disabled rules and groups'
+        );
+
+        builder.model.root.rules[2].disabled = false;
+        builder.model.root.rules[2].rules[0].disabled = true;
+
+        assert.rulesMatch(
+            builder.getRules({ skip_disabled: true }),
+            {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10.25
+                }]
+            },
+            'Should remove disabled rules and empty groups'
+        );
+
+        builder.destroy();
+    });
+
+    /**
+     * Test custom element
+     */
+    QUnit.test('Custom element', function(assert) {
+        var element = document.createElement('query-builder');
+        var events = [];
+
+        element.filters = basic_filters;
+        element.rules = basic_rules;
+
+        document.addEventListener('rulesChanged', function listener(e) {
+            events.push(e.composed);
+            document.removeEventListener('rulesChanged', listener);
+        });
+
+        document.getElementById('qunit-fixture').appendChild(element);
+
+        assert.ok(
+            element.shadowRoot.querySelector('.query-builder'),
+            'Should render the builder in the shadow root'
+        );
+
+        assert.rulesMatch(
+            element.getRules(),
+            basic_rules,
+            'Should return object with rules'
+        );
+
+        element.setRules({
+            condition: 'OR',
+            rules: [{
+                id: 'price',
+                operator: 'less',
+                value: 5
+            }]
+        });
+
+        assert.deepEqual(
+            events,
+            [true],
+            'Should dispatch builder events out of the shadow root'
+        );
+
+        element.setAttribute('lang-code', 'fr');
+
+        assert.equal(
+            element.getRules().condition,
+            'OR',
+            'Should keep the rules when the builder is created again'
+        );
+
+        element.remove();
+
+        assert.equal(
+            element.builder,
+            null,
+            'Should destroy the builder'
+        );
+    });
 });
@@ -567,6 +567,254 @@ $(function() {
         );
     });
 
+    QUnit.test('relative dates', function(assert) {
+        $b.queryBuilder({
+            filters: [{
+                id: 'date',
+                type: 'date',
+                relative_dates: true,
+                validation: {
+                    format: 'YYYY/MM/DD',
+                    max: 'now'
+                }
+            }]
+        });
+
+        var rules = {
+            condition: 'AND',
+            rules: [{
+                id: 'date',
+                operator: 'between',
+                value: ['startOf:year', 'now']
+            }]
+        };
+
+        $b.queryBuilder('setRules', rules);
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRules'),
+            rules,
+            'Should keep relative dates as expressions'
+        );
+
+        assert.deepEqual(
+            $b.queryBuilder('getRules', { resolve_relative_dates: true }).rules[0].value,
+            [moment().startOf('year').format('YYYY/MM/DD'), moment().format('YYYY/MM/DD')],
+            'Should resolve relative dates with the filter format'
+        );
+
+        $b.queryBuilder('setRules', {
+            condition: 'AND',
+            rules: [{
+                id: 'date',
+                operator: 'equal',
+                value: 'now+1d'
+            }]
+        });
+
+        assert.notOk(
+            $b.queryBuilder('validate'),
+            'Should invalidate a date after the max'
+        );
+
+        assert.deepEqual(
+            $b.queryBuilder('getModel', $('#builder_rule_0')).error,
+            ['datetime_exceed_max', 'now'],
+            'Should validate relative dates against relative max'
+        );
+    });
+
+    QUnit.test('parameters', function(assert) {
+        var rules = {
+            condition: 'AND',
+            rules: [{
+                id: 'price',
+                operator: 'between',
+                value: ['{{min_price}}', 100]
+            }, {
+                id: 'name',
+                operator: 'equal',
+                value: '{{name}}'
+            }, {
+                id: 'age',
+                operator: 'greater',
+                value: '{{min_price}}'
+            }]
+        };
+
+        $b.queryBuilder({
+            filters: basic_filters,
+            rules: rules
+        });
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRules'),
+            rules,
+            'Should keep parameters as values'
+        );
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getParameters');
+            },
+            /Parameter "min_price" is used with types "double" and "integer"/,
+            'Should refuse parameters of different types'
+        );
+
+        $b.queryBuilder('getModel').rules[2].drop();
+
+        assert.deepEqual(
+            $b.queryBuilder('getParameters').map(function(parameter) {
+                return [parameter.name, parameter.type, parameter.filter];
+            }),
+            [['min_price', 'double', 'price'], ['name', 'string', 'name']],
+            'Should list parameters with their type'
+        );
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getRules', { bind_parameters: true });
+            },
+            /Parameter "min_price" is not bound/,
+            'Should refuse to bind missing parameters'
+        );
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('bindParameters', { min_price: -5, name: 'foo' });
+            },
+            /Invalid value for parameter "min_price": Must be greater than 0/,
+            'Should validate bound values'
+        );
+
+        $b.queryBuilder('bindParameters', { min_price: 10, name: 'foo' });
+
+        assert.deepEqual(
+            $b.queryBuilder('getRules', { bind_parameters: true }).rules.map(function(rule) {
+                return rule.value;
+            }),
+            [[10, 100], 'foo'],
+            'Should replace parameters by bound values'
+        );
+    });
+
+    QUnit.test('node JSON and path', function(assert) {
+        $b.queryBuilder({
+            filters: basic_filters,
+            rules: basic_rules
+        });
+
+        var group = $b.queryBuilder('getModel').rules[2];
+
+        assert.deepEqual(
+            $b.queryBuilder('getNodePath', group.rules[1]),
+            [2, 1],
+            'Should return node path'
+        );
+
+        assert.equal(
+            $b.queryBuilder('getNodeByPath', [2, 1]),
+            group.rules[1],
+            'Should return node by path'
+        );
+
+        var json = $b.queryBuilder('getNodeJSON', group);
+
+        assert.rulesMatch(
+            json,
+            basic_rules.rules[2],
+            'Should return group JSON'
+        );
+
+        $b.queryBuilder('addNodeFromJSON', $b.queryBuilder('getModel'), json, 0);
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRules').rules[0],
+            basic_rules.rules[2],
+            'Should add group from JSON'
+        );
+    });
+
+    QUnit.test('filters from JSON Schema', function(assert) {
+        assert.deepEqual(
+            QueryBuilder.filtersFromJsonSchema(json_schema),
+            [{
+                id: 'name',
+                field: 'name',
+                label: 'Name',
+                type: 'string',
+                validation: { min: 2, format: '^[A-Z]' }
+            }, {
+                id: 'age',
+                field: 'age',
+                label: 'age',
+                type: 'integer',
+                validation: { min: 0, max: 120 }
+            }, {
+                id: 'status',
+                field: 'status',
+                label: 'status',
+                type: 'string',
+                input: 'select',
+                values: ['active', 'closed']
+            }, {
+                id: 'vip',
+                field: 'vip',
+                label: 'vip',
+                type: 'boolean',
+                input: 'radio',
+                values: [true, false]
+            }, {
+                id: 'address.city',
+                field: 'address.city',
+                label: 'City',
+                type: 'string',
+                description: 'Main city'
+            }, {
+                id: 'address.since',
+                field: 'address.since',
+                label: 'since',
+                type: 'date'
+            }],
+            'Should convert properties to filters'
+        );
+
+        $b.queryBuilder({
+            filters: QueryBuilder.filtersFromJsonSchema(json_schema)
+        });
+
+        $b.queryBuilder('setRules', {
+            rules: [{ id: 'age', operator: 'equal', value: 150 }]
+        });
+
+        assert.deepEqual(
+            $b.queryBuilder('getModel', $('#builder_rule_0')).error,
+            ['number_exceed_max', 120],
+            'Should validate with the schema constraints'
+        );
+    });
+
+
+    var json_schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', title: 'Name', minLength: 2, pattern: '^[A-Z]' },
+            age: { type: ['integer', 'null'], minimum: 0, maximum: 120 },
+            status: { type: 'string', enum: ['active', 'closed'] },
+            vip: { type: 'boolean' },
+            address: { $ref: '#/definitions/address' },
+            tags: { type: 'array', items: { type: 'object' } }
+        },
+        definitions: {
+            address: {
+                type: 'object',
+                properties: {
+                    city: { type: 'string', title: 'City', description: 'Main city' },
+                    since: { type: 'string', format: 'date' }
+                }
+            }
+        }
+    };
 
     var validation_filters = [{
         id: 'radio',
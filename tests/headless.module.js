@@ -0,0 +1,216 @@
+QUnit.module('headless');
+
+/**
+ * Test headless builder
+ */
+QUnit.test('Headless', function(assert) {
+    var builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    assert.equal(
+        builder.element.nodeType,
+        undefined,
+        'Should not be attached to a DOM element'
+    );
+
+    builder.setRules(basic_rules);
+
+    assert.rulesMatch(
+        builder.getRules(),
+        basic_rules,
+        'Should return object with rules'
+    );
+
+    builder.setRules({
+        condition: 'AND',
+        rules: [{
+            id: 'price',
+            operator: 'less',
+            value: 'foo'
+        }]
+    });
+
+    assert.notOk(
+        builder.validate(),
+        'Should invalidate non numeric value'
+    );
+
+    assert.notEqual(
+        builder.model.root.rules[0].error,
+        null,
+        'Should set the error on the model'
+    );
+
+    builder.destroy();
+
+    builder = QueryBuilder.headless({
+        filters: [{
+            id: 'done',
+            type: 'boolean'
+        }],
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'done',
+                operator: 'equal',
+                value: true
+            }]
+        }
+    });
+
+    assert.ok(
+        builder.validate(),
+        'Should validate boolean values'
+    );
+
+    builder.destroy();
+});
+
+/**
+ * Test options and model events without DOM
+ */
+QUnit.test('Init and model events', function(assert) {
+    var events = [];
+
+    QueryBuilder.define('headless-test', function(options) {
+        this.headless_test = options.value;
+    }, {
+        value: 'default'
+    });
+
+    var builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: {
+            'headless-test': { value: 'foo' }
+        }
+    });
+
+    assert.rulesMatch(
+        builder.getRules(),
+        basic_rules,
+        'Should load the rules of the options'
+    );
+
+    assert.equal(
+        builder.headless_test,
+        'foo',
+        'Should init the plugins with their options'
+    );
+
+    builder.model.on('add', function(e, parent, node, index) {
+        events.push('add ' + index);
+    });
+    builder.model.on('move', function(e, node, group, index) {
+        events.push('move ' + index);
+    });
+    builder.model.on('drop', function(e, node) {
+        events.push('drop ' + (node.parent === null));
+    });
+    builder.model.on('update', function(e, node, field, value) {
+        if (field === 'filter') {
+            events.push('update ' + value.id);
+        }
+    });
+
+    var rule = builder.addRule(builder.model.root);
+    rule.filter = builder.getFilterById('name');
+    rule.moveAtBegin();
+    builder.deleteRule(rule);
+
+    assert.deepEqual(
+        events,
+        ['add 3', 'update name', 'move 0', 'drop true'],
+        'Should trigger the model events'
+    );
+
+    builder.destroy();
+    delete QueryBuilder.plugins['headless-test'];
+});
+
+/**
+ * Test errors of the listeners
+ */
+QUnit.test('Listener errors', function(assert) {
+    var builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    var calls = [];
+
+    function fail() {
+        calls.push('fail');
+        throw new Error('listener error');
+    }
+
+    function next() {
+        calls.push('next');
+    }
+
+    builder.on('headlessTest', fail);
+    builder.on('headlessTest', next);
+
+    assert.throws(
+        function() {
+            builder.trigger('headlessTest');
+        },
+        /listener error/,
+        'Should throw the error of a listener to the caller of trigger'
+    );
+
+    assert.throws(
+        function() {
+            builder.change('headlessTest', 'value');
+        },
+        /listener error/,
+        'Should throw the error of a listener to the caller of change'
+    );
+
+    assert.deepEqual(
+        calls,
+        ['fail', 'fail'],
+        'Should not call the following listeners'
+    );
+
+    builder.off('headlessTest', fail);
+
+    assert.equal(
+        builder.change('headlessTest', 'value'),
+        'value',
+        'Should remove the listener'
+    );
+
+    assert.deepEqual(
+        calls,
+        ['fail', 'fail', 'next'],
+        'Should call the remaining listeners'
+    );
+
+    builder.destroy();
+});
+
+/**
+ * Test paste without system clipboard
+ */
+QUnit[IS_BROWSER ? 'skip' : 'test']('Paste from clipboard', function(assert) {
+    var builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules
+    });
+
+    var root = builder.model.root;
+
+    builder.copyNode(root.rules[0]);
+
+    return builder.pasteFromClipboard(root, 0).then(function(node) {
+        assert.equal(
+            root.rules[0],
+            node,
+            'Should paste the internal clipboard without system clipboard'
+        );
+
+        QueryBuilder.clipboard = null;
+        builder.destroy();
+    });
+});
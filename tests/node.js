@@ -0,0 +1,17 @@
+/**
+ * Bootstrap of the tests executed in Node.js with the headless builder
+ * The dist file must be built before
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+global.QueryBuilder = require('../dist/js/query-builder.js');
+global.moment = require('moment');
+global.SQLParser = require('sql-parser-mistic');
+
+// common.js is a browser script, its fixtures must be globals
+vm.runInThisContext(
+    fs.readFileSync(path.join(__dirname, 'common.js'), 'utf8'),
+    { filename: path.join(__dirname, 'common.js') }
+);
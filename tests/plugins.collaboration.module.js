@@ -0,0 +1,165 @@
+QUnit.module('plugins.collaboration');
+
+function createPeer(session, rules, name) {
+    var builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: rules,
+        plugins: {
+            collaboration: {
+                transport: new QueryBuilder.MemoryTransport(session),
+                user: { name: name }
+            }
+        }
+    });
+
+    builder.sendChanges();
+
+    return builder;
+}
+
+QUnit.test('Join a session', function(assert) {
+    var session = [];
+    var alice = createPeer(session, basic_rules, 'Alice');
+    var bob = createPeer(session, { condition: 'OR', rules: [{ id: 'name', operator: 'equal', value: 'foo' }] }, 'Bob');
+
+    assert.rulesMatch(
+        bob.getRules(),
+        basic_rules,
+        'Should get the rules of the session'
+    );
+
+    assert.equal(
+        bob.getModel().rules[2].uid,
+        alice.getModel().rules[2].uid,
+        'Should share the uids of the nodes'
+    );
+
+    bob.setRules({ condition: 'AND', rules: [{ id: 'price', operator: 'less', value: 5 }] });
+    bob.sendChanges();
+
+    assert.rulesMatch(
+        alice.getRules(),
+        { condition: 'AND', rules: [{ id: 'price', operator: 'less', value: 5 }] },
+        'Should replace the rules of everyone'
+    );
+
+    alice.destroy();
+    bob.destroy();
+});
+
+QUnit.test('Remote operations', function(assert) {
+    var session = [];
+    var alice = createPeer(session, basic_rules, 'Alice');
+    var bob = createPeer(session, null, 'Bob');
+
+    var model = alice.getModel();
+
+    model.rules[2].condition = 'AND';
+    model.rules[0].operator = alice.getOperatorByType('greater');
+    model.rules[0].move(model.rules[2], 0);
+    alice.deleteRule(model.rules[0]);
+    alice.sendChanges();
+
+    assert.rulesMatch(
+        bob.getRules(),
+        {
+            condition: 'AND',
+            rules: [{
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'greater',
+                    value: 10.25
+                }, {
+                    id: 'category',
+                    operator: 'in',
+                    value: ['mo', 'mu']
+                }, {
+                    id: 'id',
+                    operator: 'not_equal',
+                    value: '1234-azer-5678'
+                }]
+            }]
+        },
+        'Should send the updates, moves and removals'
+    );
+
+    alice.destroy();
+    bob.destroy();
+});
+
+QUnit.test('Concurrent edits', function(assert) {
+    var session = [];
+    var alice = createPeer(session, basic_rules, 'Alice');
+    var bob = createPeer(session, null, 'Bob');
+
+    var ruleA = alice.getModel().rules[0];
+    var ruleB = bob.getNodeByUid(ruleA.uid);
+
+    ruleA.value = 20;
+    ruleB.value = 30;
+    alice.sendChanges();
+
+    assert.equal(
+        ruleA.value,
+        ruleB.value,
+        'Should keep the same value for everyone'
+    );
+
+    alice.addRule(alice.getModel().rules[2]);
+    bob.addRule(bob.getModel().rules[2]);
+    bob.getModel().rules[2].rules[0].value = 'mi';
+    alice.sendChanges();
+    bob.sendChanges();
+
+    assert.deepEqual(
+        bob.getRules({ allow_invalid: true }),
+        alice.getRules({ allow_invalid: true }),
+        'Should order concurrent additions the same way'
+    );
+
+    alice.deleteGroup(alice.getModel().rules[2]);
+    bob.getModel().rules[2].rules[1].value = 'foo';
+    bob.sendChanges();
+    alice.sendChanges();
+
+    assert.rulesMatch(
+        bob.getRules(),
+        {
+            condition: 'AND',
+            rules: basic_rules.rules.slice(0, 2).map(function(rule, i) {
+                return Object.assign({}, rule, i === 0 ? { value: ruleA.value } : {});
+            })
+        },
+        'Should delete a group edited by another user'
+    );
+
+    alice.destroy();
+    bob.destroy();
+});
+
+QUnit.test('Presence', function(assert) {
+    var session = [];
+    var alice = createPeer(session, basic_rules, 'Alice');
+    var bob = createPeer(session, null, 'Bob');
+
+    alice.setPresence(alice.getModel().rules[1]);
+
+    assert.deepEqual(
+        bob.getPresence().map(function(presence) {
+            return [presence.user.name, presence.node.uid];
+        }),
+        [['Alice', alice.getModel().rules[1].uid]],
+        'Should know the node edited by other users'
+    );
+
+    alice.destroy();
+
+    assert.deepEqual(
+        bob.getPresence(),
+        [],
+        'Should remove users leaving the session'
+    );
+
+    bob.destroy();
+});
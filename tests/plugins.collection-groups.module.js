@@ -0,0 +1,189 @@
+var builder;
+
+QUnit.module('plugins.collection-groups', {
+    afterEach: function () {
+        if (builder) {
+            builder.destroy();
+            builder = null;
+        }
+    }
+});
+
+QUnit.test('Collection groups', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters,
+        rules: rules,
+        plugins: {
+            'collection-groups': { collections: collections }
+        }
+    });
+
+    assert.rulesMatch(
+        builder.getRules(),
+        rules,
+        'Should export collection and quantifier'
+    );
+
+    assert.deepEqual(
+        builder.change('getRuleFilters', builder.filters, builder.getModel().rules[1].rules[0]).map(function (filter) {
+            return filter.id;
+        }),
+        ['amount', 'country'],
+        'Should only propose filters of the collection'
+    );
+
+    builder.addCollectionGroup(builder.getModel(), 'orders', 'NONE');
+
+    assert.equal(
+        builder.getModel().rules[3].quantifier,
+        'NONE',
+        'Should add a collection group'
+    );
+});
+
+QUnit[IS_BROWSER ? 'test' : 'skip']('Add collection button', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters,
+        plugins: {
+            'collection-groups': { collections: collections }
+        }
+    });
+
+    assert.ok(
+        builder.getGroupTemplate('builder_group_0', 1).indexOf('data-add="collection"') !== -1,
+        'Should add "add collection" buttons'
+    );
+});
+
+QUnit.test('Invalid collection', function (assert) {
+    assert.throws(
+        function () {
+            builder = QueryBuilder.headless({
+                filters: filters,
+                rules: {
+                    condition: 'AND',
+                    rules: [{
+                        condition: 'AND',
+                        collection: 'invoices',
+                        rules: [{ id: 'amount', operator: 'less', value: 10 }]
+                    }]
+                },
+                plugins: {
+                    'collection-groups': { collections: collections }
+                }
+            });
+        },
+        /Undefined collection "invoices"/,
+        'Should throw on unknown collection'
+    );
+});
+
+QUnit.test('SQL export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters,
+        rules: rules,
+        plugins: {
+            'collection-groups': { collections: collections }
+        }
+    });
+
+    assert.equal(
+        builder.getSQL().sql,
+        sql,
+        'Should export collection groups as EXISTS subqueries'
+    );
+});
+
+QUnit.test('Mongo export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters,
+        rules: rules,
+        plugins: {
+            'collection-groups': { collections: collections }
+        }
+    });
+
+    assert.deepEqual(
+        builder.getMongo(),
+        mongo,
+        'Should export collection groups with $elemMatch'
+    );
+});
+
+var collections = [{
+    id: 'orders',
+    label: 'Orders'
+}];
+
+var filters = [{
+    id: 'name',
+    type: 'string'
+}, {
+    id: 'amount',
+    type: 'double',
+    collection: 'orders'
+}, {
+    id: 'country',
+    type: 'string',
+    collection: 'orders'
+}];
+
+var rules = {
+    condition: 'AND',
+    rules: [{
+        id: 'name',
+        operator: 'equal',
+        value: 'John'
+    }, {
+        condition: 'AND',
+        collection: 'orders',
+        quantifier: 'ANY',
+        rules: [{
+            id: 'amount',
+            operator: 'greater',
+            value: 100
+        }, {
+            id: 'country',
+            operator: 'equal',
+            value: 'FR'
+        }]
+    }, {
+        condition: 'AND',
+        collection: 'orders',
+        quantifier: 'ALL',
+        rules: [{
+            id: 'amount',
+            operator: 'less',
+            value: 10
+        }]
+    }]
+};
+
+var sql = 'name = \'John\' ' +
+    'AND ( EXISTS (SELECT 1 FROM orders WHERE amount > 100 AND country = \'FR\') )  ' +
+    'AND ( NOT EXISTS (SELECT 1 FROM orders WHERE NOT (amount < 10)) ) ';
+
+var mongo = {
+    '$and': [{
+        'name': 'John'
+    }, {
+        'orders': {
+            '$elemMatch': {
+                '$and': [
+                    { 'amount': { '$gt': 100 } },
+                    { 'country': 'FR' }
+                ]
+            }
+        }
+    }, {
+        'orders': {
+            '$not': {
+                '$elemMatch': {
+                    '$nor': [{
+                        '$and': [{ 'amount': { '$lt': 10 } }]
+                    }]
+                }
+            }
+        }
+    }]
+};
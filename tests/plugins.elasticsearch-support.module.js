@@ -0,0 +1,358 @@
+var builder;
+
+QUnit.module('plugins.elasticsearch-support', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Basics', function(assert) {
+    var basic_rules_es = {
+        'bool': {
+            'must': [
+                {'range': {'price': {'lt': 10.25}}},
+                {'bool': {'must_not': [{'exists': {'field': 'name'}}]}},
+                {
+                    'bool': {
+                        'should': [
+                            {'terms': {'category': ['mo', 'mu']}},
+                            {'bool': {'must_not': [{'term': {'id': '1234-azer-5678'}}]}}
+                        ],
+                        'minimum_should_match': 1
+                    }
+                }
+            ]
+        }
+    };
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules
+    });
+
+    assert.deepEqual(
+        builder.getESBool(),
+        basic_rules_es,
+        'Should create Elasticsearch query'
+    );
+
+    assert.deepEqual(
+        builder.getRulesFromES(basic_rules_es),
+        basic_rules,
+        'Should return rules object from Elasticsearch query'
+    );
+
+    assert.deepEqual(
+        builder.getRulesFromES({ query: basic_rules_es }),
+        basic_rules,
+        'Should accept a full search body'
+    );
+});
+
+QUnit.test('All operators', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: all_operators_rules
+    });
+
+    assert.deepEqual(
+        builder.getESBool(),
+        all_operators_rules_es,
+        'Should successfully convert all kind of operators to Elasticsearch'
+    );
+
+    builder.reset();
+
+    builder.setRulesFromES(all_operators_rules_es);
+
+    assert.rulesMatch(
+        builder.getRules(),
+        all_operators_rules,
+        'Should successfully parse all kind of operators from Elasticsearch'
+    );
+});
+
+QUnit.test('Long form and escaping', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    assert.rulesMatch(
+        builder.getRulesFromES({
+            'bool': {
+                'filter': [
+                    {'term': {'name': {'value': 'foo'}}},
+                    {'wildcard': {'name': '*a\\*b*'}}
+                ]
+            }
+        }),
+        {
+            condition: 'AND',
+            rules: [{
+                id: 'name',
+                operator: 'equal',
+                value: 'foo'
+            }, {
+                id: 'name',
+                operator: 'contains',
+                value: 'a*b'
+            }]
+        },
+        'Should parse long form term and escaped wildcards'
+    );
+
+    assert.throws(
+        function() {
+            builder.getRulesFromES({'match': {'name': 'foo'}});
+        },
+        /UndefinedESOperatorError/,
+        'Should throw error on unsupported query'
+    );
+});
+
+QUnit.test('Must not and ranges', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    assert.rulesMatch(
+        builder.getRulesFromES({
+            'bool': {
+                'should': [
+                    {'term': {'name': 'foo'}},
+                    {'term': {'name': 'bar'}}
+                ],
+                'must_not': [
+                    {'terms': {'category': ['mo', 'mu']}},
+                    {'exists': {'field': 'id'}}
+                ],
+                'minimum_should_match': 1
+            }
+        }),
+        {
+            condition: 'AND',
+            rules: [{
+                condition: 'OR',
+                rules: [{
+                    id: 'name',
+                    operator: 'equal',
+                    value: 'foo'
+                }, {
+                    id: 'name',
+                    operator: 'equal',
+                    value: 'bar'
+                }]
+            }, {
+                id: 'category',
+                operator: 'not_in',
+                value: ['mo', 'mu']
+            }, {
+                id: 'id',
+                operator: 'is_null',
+                value: null
+            }]
+        },
+        'Should add must_not clauses as negated rules'
+    );
+
+    assert.rulesMatch(
+        builder.getRulesFromES({
+            'bool': {
+                'must_not': [
+                    {'term': {'name': 'foo'}},
+                    {'prefix': {'name': 'bar'}}
+                ]
+            }
+        }),
+        {
+            condition: 'AND',
+            rules: [{
+                id: 'name',
+                operator: 'not_equal',
+                value: 'foo'
+            }, {
+                id: 'name',
+                operator: 'not_begins_with',
+                value: 'bar'
+            }]
+        },
+        'Should parse several must_not clauses alone'
+    );
+
+    assert.throws(
+        function() {
+            builder.getRulesFromES({'bool': {'must': [{'term': {'name': 'foo'}}], 'must_not': [{'bool': {'should': []}}]}});
+        },
+        /Unable to negate a bool query/,
+        'Should throw on negated bool queries'
+    );
+
+    assert.throws(
+        function() {
+            builder.getRulesFromES({'range': {'price': {'gte': 1, 'lt': 5}}});
+        },
+        /Unsupported range bounds "gte, lt"/,
+        'Should throw on ranges which are not a between'
+    );
+});
+
+QUnit.test('Relative dates', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: [{
+            id: 'date',
+            type: 'date',
+            relative_dates: true,
+            validation: {
+                format: 'YYYY-MM-DD'
+            }
+        }],
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'date',
+                operator: 'greater',
+                value: 'now-7d'
+            }]
+        }
+    });
+
+    assert.deepEqual(
+        builder.getESBool(),
+        { 'bool': { 'must': [{ 'range': { 'date': { 'gt': moment().subtract(7, 'days').format('YYYY-MM-DD') } } }] } },
+        'Should resolve relative dates'
+    );
+});
+
+QUnit.test('Change ruleToES', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules
+    });
+
+    builder.on('ruleToES', function(e) {
+        var rule = e.detail.args[0];
+
+        if (rule.id === 'price') {
+            e.detail.value = {'range': {'cost': {'lt': rule.value[0]}}};
+        }
+    });
+
+    assert.deepEqual(
+        builder.getESBool().bool.must[0],
+        {'range': {'cost': {'lt': 10.25}}},
+        'Should use the expression returned by ruleToES'
+    );
+});
+
+
+var all_operators_rules = {
+    condition: 'AND',
+    rules: [{
+        id: 'name',
+        operator: 'equal',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_equal',
+        value: 'foo'
+    }, {
+        id: 'category',
+        operator: 'in',
+        value: ['bk','mo']
+    }, {
+        id: 'category',
+        operator: 'not_in',
+        value: ['bk','mo']
+    }, {
+        id: 'price',
+        operator: 'less',
+        value: 5
+    }, {
+        id: 'price',
+        operator: 'less_or_equal',
+        value: 5
+    }, {
+        id: 'price',
+        operator: 'greater',
+        value: 4
+    }, {
+        id: 'price',
+        operator: 'greater_or_equal',
+        value: 4
+    }, {
+        id: 'price',
+        operator: 'between',
+        value: [4,5]
+    }, {
+        id: 'price',
+        operator: 'not_between',
+        value: [4,5]
+    }, {
+        id: 'name',
+        operator: 'begins_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_begins_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'contains',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_contains',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'ends_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_ends_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'is_empty',
+        value: null
+    }, {
+        id: 'name',
+        operator: 'is_not_empty',
+        value: null
+    }, {
+        id: 'name',
+        operator: 'is_null',
+        value: null
+    }, {
+        id: 'name',
+        operator: 'is_not_null',
+        value: null
+    }]
+};
+
+var all_operators_rules_es = {
+    bool: {
+        must: [
+            { term: { name: 'foo' } },
+            { bool: { must_not: [{ term: { name: 'foo' } }] } },
+            { terms: { category: ['bk','mo'] } },
+            { bool: { must_not: [{ terms: { category: ['bk','mo'] } }] } },
+            { range: { price: { lt: 5 } } },
+            { range: { price: { lte: 5 } } },
+            { range: { price: { gt: 4 } } },
+            { range: { price: { gte: 4 } } },
+            { range: { price: { gte: 4, lte: 5 } } },
+            { bool: { must_not: [{ range: { price: { gte: 4, lte: 5 } } }] } },
+            { prefix: { name: 'foo' } },
+            { bool: { must_not: [{ prefix: { name: 'foo' } }] } },
+            { wildcard: { name: '*foo*' } },
+            { bool: { must_not: [{ wildcard: { name: '*foo*' } }] } },
+            { wildcard: { name: '*foo' } },
+            { bool: { must_not: [{ wildcard: { name: '*foo' } }] } },
+            { term: { name: '' } },
+            { bool: { must_not: [{ term: { name: '' } }] } },
+            { bool: { must_not: [{ exists: { field: 'name' } }] } },
+            { exists: { field: 'name' } }
+        ]
+    }
+};
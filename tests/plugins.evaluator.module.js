@@ -0,0 +1,217 @@
+var builder;
+
+QUnit.module('plugins.evaluator', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Basics', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules
+    });
+
+    assert.ok(
+        builder.evaluate({ price: 5, name: null, category: 'mo', id: '1234-azer-5678' }),
+        'Should match record'
+    );
+
+    assert.notOk(
+        builder.evaluate({ price: 5, name: 'foo', category: 'mo', id: '1234-azer-5678' }),
+        'Should not match record with a name'
+    );
+
+    assert.deepEqual(
+        builder.filterRecords(records).map(function(record) {
+            return record.id;
+        }),
+        ['aaaa-aaaa-aaaa', 'cccc-cccc-cccc'],
+        'Should filter records'
+    );
+});
+
+QUnit.test('All operators', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    var record = { name: 'foo bar', category: 'bk', price: '4.5', in_stock: '1' };
+
+    [
+        ['name', 'equal', 'foo bar', true],
+        ['name', 'not_equal', 'foo bar', false],
+        ['category', 'in', ['bk', 'mo'], true],
+        ['category', 'not_in', ['bk', 'mo'], false],
+        ['price', 'less', 5, true],
+        ['price', 'less_or_equal', 4.5, true],
+        ['price', 'greater', 5, false],
+        ['price', 'greater_or_equal', 4.5, true],
+        ['price', 'between', [4, 5], true],
+        ['price', 'not_between', [4, 5], false],
+        ['name', 'begins_with', 'foo', true],
+        ['name', 'not_begins_with', 'foo', false],
+        ['name', 'contains', 'o b', true],
+        ['name', 'not_contains', 'o b', false],
+        ['name', 'ends_with', 'bar', true],
+        ['name', 'not_ends_with', 'bar', false],
+        ['name', 'is_empty', null, false],
+        ['name', 'is_not_empty', null, true],
+        ['name', 'is_null', null, false],
+        ['name', 'is_not_null', null, true],
+        ['in_stock', 'equal', 1, true],
+        ['age', 'is_null', null, true],
+        ['age', 'not_equal', 12, false]
+    ].forEach(function(test) {
+        assert.equal(
+            builder.evaluate(record, {
+                condition: 'AND',
+                rules: [{ id: test[0], field: test[0], operator: test[1], value: test[2] }]
+            }),
+            test[3],
+            test[0] + ' ' + test[1]
+        );
+    });
+});
+
+QUnit.test('Dates and nested fields', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: [{
+            id: 'date',
+            field: 'meta.date',
+            type: 'date',
+            validation: {
+                format: 'YYYY/MM/DD'
+            }
+        }],
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'date',
+                operator: 'between',
+                value: ['2020/01/01', '2020/12/31']
+            }]
+        }
+    });
+
+    assert.ok(
+        builder.evaluate({ meta: { date: '2020/06/15' } }),
+        'Should compare dates with the validation format'
+    );
+
+    assert.ok(
+        builder.evaluate({ meta: { date: new Date(2020, 1, 1) } }),
+        'Should compare Date objects'
+    );
+
+    assert.notOk(
+        builder.evaluate({ meta: { date: '2021/01/01' } }),
+        'Should not match dates out of range'
+    );
+});
+
+QUnit.test('Relative dates', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: [{
+            id: 'date',
+            type: 'date',
+            relative_dates: true,
+            validation: {
+                format: 'YYYY-MM-DD'
+            }
+        }],
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'date',
+                operator: 'greater',
+                value: 'now-7d'
+            }]
+        }
+    });
+
+    assert.notOk(
+        builder.evaluate({ date: '2020-01-01' }),
+        'Should resolve relative dates before comparing'
+    );
+
+    assert.deepEqual(
+        builder.filterRecords([{ date: '2020-01-01' }, { date: moment().format('YYYY-MM-DD') }]),
+        [{ date: moment().format('YYYY-MM-DD') }],
+        'Should resolve relative dates before filtering'
+    );
+});
+
+QUnit.test('Change evaluateOperators and evaluateRule', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'name',
+                operator: 'equal',
+                value: 'FOO'
+            }]
+        },
+        evaluateOperators: {
+            equal: function(a, v) {
+                return String(a).toLowerCase() === String(v[0]).toLowerCase();
+            }
+        }
+    });
+
+    assert.ok(
+        builder.evaluate({ name: 'foo' }),
+        'Should use custom operator'
+    );
+
+    builder.on('evaluateRule', function(e) {
+        e.detail.value = !e.detail.value;
+    });
+
+    assert.notOk(
+        builder.evaluate({ name: 'foo' }),
+        'Should use the result returned by evaluateRule'
+    );
+});
+
+QUnit.test('Not group', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        plugins: ['not-group'],
+        rules: {
+            condition: 'AND',
+            not: true,
+            rules: [{
+                id: 'price',
+                operator: 'less',
+                value: 10
+            }]
+        }
+    });
+
+    assert.deepEqual(
+        builder.filterRecords(records).map(function(record) {
+            return record.id;
+        }),
+        ['bbbb-bbbb-bbbb'],
+        'Should invert "not" groups'
+    );
+});
+
+
+var records = [{
+    id: 'aaaa-aaaa-aaaa',
+    price: 1,
+    name: null,
+    category: 'mu'
+}, {
+    id: 'bbbb-bbbb-bbbb',
+    price: 20,
+    name: null,
+    category: 'mo'
+}, {
+    id: 'cccc-cccc-cccc',
+    price: '2.5',
+    category: 'bk'
+}];
@@ -0,0 +1,259 @@
+var builder;
+
+QUnit.module('plugins.field-comparison', {
+    afterEach: function () {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Compared filters', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters.concat([{
+            id: 'cost',
+            label: '<b>Cost</b>',
+            type: 'double'
+        }]),
+        rules: rules,
+        plugins: ['field-comparison']
+    });
+
+    var rule = builder.getModel().rules[0];
+
+    assert.ok(
+        rule.field_comparison,
+        'Should enable field comparison when the value references a filter'
+    );
+
+    assert.notOk(
+        builder.getModel().rules[2].field_comparison,
+        'Should not enable field comparison for literal values'
+    );
+
+    assert.deepEqual(
+        builder.getComparableFilters(rule).map(function (filter) {
+            return filter.id;
+        }),
+        ['in_stock', 'age', 'cost'],
+        'Should list compatible filters only'
+    );
+
+    assert.ok(
+        builder.getFieldComparisonSelect(rule, 'rule_0_value_0').indexOf('&lt;b&gt;Cost&lt;/b&gt;') !== -1,
+        'Should escape the labels of the dropdown'
+    );
+
+    assert.rulesMatch(
+        builder.getRules(),
+        rules,
+        'Should export the compared filter'
+    );
+});
+
+QUnit.test('Validation', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        plugins: ['field-comparison']
+    });
+
+    builder.setRules({
+        condition: 'AND',
+        rules: [{
+            id: 'price',
+            operator: 'less',
+            value: { field: 'name' }
+        }]
+    });
+
+    assert.notOk(
+        builder.validate(),
+        'Should not allow comparison with a filter of another type'
+    );
+
+    assert.deepEqual(
+        builder.getModel().rules[0].error,
+        ['field_comparison_incompatible', 'name'],
+        'Should set the error on the rule'
+    );
+});
+
+QUnit.test('SQL export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: rules,
+        plugins: ['field-comparison']
+    });
+
+    assert.equal(
+        builder.getSQL().sql,
+        sql_raw,
+        'Should export compared fields without quotes'
+    );
+
+    assert.deepEqual(
+        builder.getSQL('question_mark'),
+        sql_params,
+        'Should not add compared fields to the parameters'
+    );
+});
+
+QUnit.test('Mongo export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: rules,
+        plugins: ['field-comparison']
+    });
+
+    assert.deepEqual(
+        builder.getMongo(),
+        mongo,
+        'Should export compared fields with $expr'
+    );
+
+    assert.deepEqual(
+        builder.getMongo({ mode: 'expr' }),
+        {
+            '$and': [
+                { '$gt': ['$price', '$age'] },
+                { '$and': [{ '$gte': ['$age', '$in_stock'] }, { '$lte': ['$age', '$price'] }] },
+                { '$eq': ['$name', 'Mistic'] }
+            ]
+        },
+        'Should export compared fields in an aggregation expression'
+    );
+});
+
+QUnit.test('JsonLogic export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: rules,
+        plugins: ['field-comparison']
+    });
+
+    assert.deepEqual(
+        builder.getJsonLogic(),
+        {
+            'and': [
+                { '>': [{ 'var': 'price' }, { 'var': 'age' }] },
+                { '<=': [{ 'var': 'in_stock' }, { 'var': 'age' }, { 'var': 'price' }] },
+                { '===': [{ 'var': 'name' }, 'Mistic'] }
+            ]
+        },
+        'Should export compared fields as variables'
+    );
+});
+
+QUnit.test('Elasticsearch export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: rules,
+        plugins: ['field-comparison']
+    });
+
+    assert.deepEqual(
+        builder.getESBool().bool.must.slice(0, 2),
+        [
+            { 'script': { 'script': { 'source': 'doc[\'price\'].value > doc[\'age\'].value', 'lang': 'painless' } } },
+            { 'script': { 'script': { 'source': 'doc[\'age\'].value >= doc[\'in_stock\'].value && doc[\'age\'].value <= doc[\'price\'].value', 'lang': 'painless' } } }
+        ],
+        'Should export compared fields as script queries'
+    );
+});
+
+QUnit.test('Evaluation', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: {
+            condition: 'AND',
+            rules: [rules.rules[0]]
+        },
+        plugins: ['field-comparison']
+    });
+
+    assert.ok(
+        builder.evaluate({ price: 5, age: 3 }),
+        'Should match when the record is greater than its other field'
+    );
+
+    assert.notOk(
+        builder.evaluate({ price: 2, age: 3 }),
+        'Should not match when the record is lower than its other field'
+    );
+});
+
+QUnit.test('Mixed values', function (assert) {
+    var mixed = {
+        condition: 'AND',
+        rules: [{
+            id: 'price',
+            field: 'price',
+            operator: 'between',
+            value: [{ field: 'age' }, 10]
+        }]
+    };
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: mixed,
+        plugins: ['field-comparison']
+    });
+
+    assert.notOk(
+        builder.validate(),
+        'Should not allow a value next to a compared filter'
+    );
+
+    assert.throws(
+        function () {
+            builder.getMongo(mixed);
+        },
+        /Unable to compare "price" to both filters and values/,
+        'Should not export a value next to a compared filter'
+    );
+
+    assert.throws(
+        function () {
+            builder.evaluate({ price: 5, age: 3 }, mixed);
+        },
+        /Unable to compare "price" to both filters and values/,
+        'Should not evaluate a value next to a compared filter'
+    );
+});
+
+var rules = {
+    condition: 'AND',
+    rules: [{
+        id: 'price',
+        operator: 'greater',
+        value: { field: 'age' }
+    }, {
+        id: 'age',
+        operator: 'between',
+        value: [{ field: 'in_stock' }, { field: 'price' }]
+    }, {
+        id: 'name',
+        operator: 'equal',
+        value: 'Mistic'
+    }]
+};
+
+var sql_raw = 'price > age AND age BETWEEN in_stock AND price AND name = \'Mistic\'';
+
+var sql_params = {
+    sql: 'price > age AND age BETWEEN in_stock AND price AND name = ?',
+    params: ['Mistic']
+};
+
+var mongo = {
+    '$and': [{
+        '$expr': { '$gt': ['$price', '$age'] }
+    }, {
+        '$expr': {
+            '$and': [
+                { '$gte': ['$age', '$in_stock'] },
+                { '$lte': ['$age', '$price'] }
+            ]
+        }
+    }, {
+        'name': 'Mistic'
+    }]
+};
@@ -0,0 +1,223 @@
+var builder;
+
+QUnit.module('plugins.json-patch', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Patch stream', function(assert) {
+    var patches = [];
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        plugins: ['json-patch']
+    });
+
+    builder.on('rulesPatch', function(e) {
+        patches.push(e.detail.args[0]);
+    });
+
+    builder.setRules(basic_rules);
+    builder.flushPatch();
+
+    var ops = patches.pop();
+
+    assert.deepEqual(
+        [ops.length, ops[0].op, ops[0].path],
+        [1, 'replace', ''],
+        'Should send the new rules as a single replace'
+    );
+
+    assert.rulesMatch(
+        ops[0].value,
+        basic_rules,
+        'Should send the whole rules'
+    );
+
+    var model = builder.getModel();
+
+    model.rules[0].value = 20;
+    builder.flushPatch();
+
+    assert.deepEqual(
+        patches.pop(),
+        [{ op: 'replace', path: '/rules/0/value', value: 20 }],
+        'Should send the updated value only'
+    );
+
+    model.rules[2].condition = 'AND';
+    builder.deleteRule(model.rules[1]);
+    builder.flushPatch();
+
+    assert.deepEqual(
+        patches.pop(),
+        [
+            { op: 'replace', path: '/rules/2/condition', value: 'AND' },
+            { op: 'remove', path: '/rules/1' }
+        ],
+        'Should send the changes of the tick in order'
+    );
+
+    model.rules[0].move(model.rules[1], 0);
+    builder.flushPatch();
+
+    assert.deepEqual(
+        patches.pop().map(function(op) {
+            return op.op + ' ' + op.path;
+        }),
+        ['remove /rules/0', 'add /rules/0/rules/0'],
+        'Should not send a move inside its own path'
+    );
+
+    builder.reset();
+    builder.flushPatch();
+
+    assert.deepEqual(
+        patches.pop().map(function(op) {
+            return op.op + ' ' + op.path;
+        }),
+        ['replace '],
+        'Should send the reset as a single replace'
+    );
+});
+
+QUnit.test('Mirror a builder', function(assert) {
+    var mirror = QueryBuilder.headless({
+        filters: basic_filters,
+        plugins: ['json-patch']
+    });
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        plugins: ['json-patch']
+    });
+
+    builder.on('rulesPatch', function(e) {
+        mirror.applyPatch(e.detail.args[0]);
+    });
+
+    builder.setRules(basic_rules);
+
+    var model = builder.getModel();
+
+    builder.flushPatch();
+    builder.addRule(model.rules[2]);
+    model.rules[0].operator = builder.getOperatorByType('greater');
+    model.rules[2].rules[0].move(model, 0);
+    builder.flushPatch();
+
+    assert.rulesMatch(
+        mirror.getRules({ allow_invalid: true }),
+        builder.getRules({ allow_invalid: true }),
+        'Should apply the patches to the second builder'
+    );
+
+    mirror.destroy();
+});
+
+QUnit.test('Apply patch', function(assert) {
+    var patches = [];
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: ['json-patch']
+    });
+
+    builder.flushPatch();
+
+    builder.on('rulesPatch', function(e) {
+        patches.push(e.detail.args[0]);
+    });
+
+    builder.applyPatch([
+        { op: 'test', path: '/rules/2/condition', value: 'OR' },
+        { op: 'replace', path: '/rules/0/value', value: 5 },
+        { op: 'remove', path: '/rules/1' },
+        { op: 'add', path: '/rules/-', value: { id: 'name', operator: 'equal', value: 'foo' } },
+        { op: 'move', from: '/rules/2', path: '/rules/1/rules/0' }
+    ]);
+
+    var expected = {
+        condition: 'AND',
+        rules: [{
+            id: 'price',
+            operator: 'less',
+            value: 5
+        }, {
+            condition: 'OR',
+            rules: [{
+                id: 'name',
+                operator: 'equal',
+                value: 'foo'
+            }, {
+                id: 'category',
+                operator: 'in',
+                value: ['mo', 'mu']
+            }, {
+                id: 'id',
+                operator: 'not_equal',
+                value: '1234-azer-5678'
+            }]
+        }]
+    };
+
+    assert.rulesMatch(
+        builder.getRules(),
+        expected,
+        'Should apply the operations in order'
+    );
+
+    builder.flushPatch();
+
+    assert.deepEqual(
+        patches,
+        [],
+        'Should not send back the applied operations'
+    );
+
+    assert.throws(
+        function() {
+            builder.applyPatch([{ op: 'test', path: '/rules/0/value', value: 10 }]);
+        },
+        /Test failed at "\/rules\/0\/value"/,
+        'Should throw on failed test'
+    );
+
+    assert.throws(
+        function() {
+            builder.applyPatch([{ op: 'move', from: '/rules/1', path: '/rules/1/rules/0' }]);
+        },
+        /Cannot move "\/rules\/1" inside itself/,
+        'Should throw on move inside itself'
+    );
+
+    assert.throws(
+        function() {
+            builder.applyPatch([
+                { op: 'replace', path: '/rules/0/value', value: 10 },
+                { op: 'remove', path: '/rules/1/rules/5' }
+            ]);
+        },
+        /Invalid path "\/rules\/1\/rules\/5"/,
+        'Should throw on invalid path'
+    );
+
+    assert.throws(
+        function() {
+            builder.applyPatch([
+                { op: 'remove', path: '/rules/0' },
+                { op: 'add', path: '/rules/-', value: { id: 'unknown', operator: 'equal', value: 'foo' } }
+            ]);
+        },
+        /Undefined filter "unknown"/,
+        'Should throw on unknown filter'
+    );
+
+    assert.rulesMatch(
+        builder.getRules(),
+        expected,
+        'Should not apply any operation of a failed patch'
+    );
+});
@@ -0,0 +1,262 @@
+var builder;
+
+QUnit.module('plugins.jsonlogic-support', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Basics', function(assert) {
+    var basic_rules_jsonlogic = {
+        'and': [
+            {'<': [{'var': 'price'}, 10.25]},
+            {'==': [{'var': 'name'}, null]},
+            {
+                'or': [
+                    {'in': [{'var': 'category'}, ['mo', 'mu']]},
+                    {'!==': [{'var': 'id'}, '1234-azer-5678']}
+                ]
+            }
+        ]
+    };
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules
+    });
+
+    assert.deepEqual(
+        builder.getJsonLogic(),
+        basic_rules_jsonlogic,
+        'Should create JsonLogic expression'
+    );
+
+    assert.deepEqual(
+        builder.getRulesFromJsonLogic(basic_rules_jsonlogic),
+        basic_rules,
+        'Should return rules object from JsonLogic expression'
+    );
+});
+
+QUnit.test('All operators', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: all_operators_rules
+    });
+
+    assert.deepEqual(
+        builder.getJsonLogic(),
+        all_operators_rules_jsonlogic,
+        'Should successfully convert all kind of operators to JsonLogic'
+    );
+
+    builder.reset();
+
+    builder.setRulesFromJsonLogic(all_operators_rules_jsonlogic);
+
+    assert.rulesMatch(
+        builder.getRules(),
+        all_operators_rules,
+        'Should successfully parse all kind of operators from JsonLogic'
+    );
+});
+
+QUnit.test('Alternative forms', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    assert.rulesMatch(
+        builder.getRulesFromJsonLogic({
+            'and': [
+                {'==': [{'var': 'name'}, 'foo']},
+                {'>': [5, {'var': ['price', 0]}]},
+                {'!': [{'in': ['foo', {'var': 'name'}]}]}
+            ]
+        }),
+        {
+            condition: 'AND',
+            rules: [{
+                id: 'name',
+                operator: 'equal',
+                value: 'foo'
+            }, {
+                id: 'price',
+                operator: 'less',
+                value: 5
+            }, {
+                id: 'name',
+                operator: 'not_contains',
+                value: 'foo'
+            }]
+        },
+        'Should parse loose equality, reversed comparisons and array arguments'
+    );
+
+    assert.throws(
+        function() {
+            builder.getRulesFromJsonLogic({'some': [{'var': 'name'}, {'==': [{'var': ''}, 'foo']}]});
+        },
+        /UndefinedJsonLogicOperatorError/,
+        'Should throw error on unsupported operation'
+    );
+});
+
+QUnit.test('Relative dates', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: [{
+            id: 'date',
+            type: 'date',
+            relative_dates: true,
+            validation: {
+                format: 'YYYY-MM-DD'
+            }
+        }],
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'date',
+                operator: 'greater',
+                value: 'now-7d'
+            }]
+        }
+    });
+
+    assert.deepEqual(
+        builder.getJsonLogic(),
+        { 'and': [{ '>': [{ 'var': 'date' }, moment().subtract(7, 'days').format('YYYY-MM-DD')] }] },
+        'Should resolve relative dates'
+    );
+});
+
+QUnit.test('Change ruleToJsonLogic', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules
+    });
+
+    builder.on('ruleToJsonLogic', function(e) {
+        var rule = e.detail.args[0];
+
+        if (rule.id === 'price') {
+            e.detail.value = {'<': [{'var': 'cost'}, rule.value[0]]};
+        }
+    });
+
+    assert.deepEqual(
+        builder.getJsonLogic().and[0],
+        {'<': [{'var': 'cost'}, 10.25]},
+        'Should use the expression returned by ruleToJsonLogic'
+    );
+});
+
+
+var all_operators_rules = {
+    condition: 'AND',
+    rules: [{
+        id: 'name',
+        operator: 'equal',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_equal',
+        value: 'foo'
+    }, {
+        id: 'category',
+        operator: 'in',
+        value: ['bk','mo']
+    }, {
+        id: 'category',
+        operator: 'not_in',
+        value: ['bk','mo']
+    }, {
+        id: 'price',
+        operator: 'less',
+        value: 5
+    }, {
+        id: 'price',
+        operator: 'less_or_equal',
+        value: 5
+    }, {
+        id: 'price',
+        operator: 'greater',
+        value: 4
+    }, {
+        id: 'price',
+        operator: 'greater_or_equal',
+        value: 4
+    }, {
+        id: 'price',
+        operator: 'between',
+        value: [4,5]
+    }, {
+        id: 'price',
+        operator: 'not_between',
+        value: [4,5]
+    }, {
+        id: 'name',
+        operator: 'begins_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_begins_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'contains',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_contains',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'ends_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'not_ends_with',
+        value: 'foo'
+    }, {
+        id: 'name',
+        operator: 'is_empty',
+        value: null
+    }, {
+        id: 'name',
+        operator: 'is_not_empty',
+        value: null
+    }, {
+        id: 'name',
+        operator: 'is_null',
+        value: null
+    }, {
+        id: 'name',
+        operator: 'is_not_null',
+        value: null
+    }]
+};
+
+var all_operators_rules_jsonlogic = {
+    'and': [
+        {'===': [{'var': 'name'}, 'foo']},
+        {'!==': [{'var': 'name'}, 'foo']},
+        {'in': [{'var': 'category'}, ['bk', 'mo']]},
+        {'!': {'in': [{'var': 'category'}, ['bk', 'mo']]}},
+        {'<': [{'var': 'price'}, 5]},
+        {'<=': [{'var': 'price'}, 5]},
+        {'>': [{'var': 'price'}, 4]},
+        {'>=': [{'var': 'price'}, 4]},
+        {'<=': [4, {'var': 'price'}, 5]},
+        {'!': {'<=': [4, {'var': 'price'}, 5]}},
+        {'==': [{'substr': [{'var': 'name'}, 0, 3]}, 'foo']},
+        {'!': {'==': [{'substr': [{'var': 'name'}, 0, 3]}, 'foo']}},
+        {'in': ['foo', {'var': 'name'}]},
+        {'!': {'in': ['foo', {'var': 'name'}]}},
+        {'==': [{'substr': [{'var': 'name'}, -3]}, 'foo']},
+        {'!': {'==': [{'substr': [{'var': 'name'}, -3]}, 'foo']}},
+        {'===': [{'var': 'name'}, '']},
+        {'!==': [{'var': 'name'}, '']},
+        {'==': [{'var': 'name'}, null]},
+        {'!=': [{'var': 'name'}, null]}
+    ]
+};
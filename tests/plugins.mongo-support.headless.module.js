@@ -0,0 +1,97 @@
+var builder;
+
+QUnit.module('plugins.mongo-support.headless', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Expression mode', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters.concat([{
+            id: 'updated',
+            type: 'datetime',
+            validation: { format: 'YYYY-MM-DD HH:mm Z' }
+        }]),
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'price',
+                operator: 'between',
+                value: [10, 20]
+            }]
+        }
+    });
+
+    assert.deepEqual(
+        builder.getMongo(undefined, { mode: 'expr' }),
+        builder.getMongo({ mode: 'expr' }),
+        'Should take the options as first or second parameter'
+    );
+
+    assert.deepEqual(
+        builder.getMongo({
+            condition: 'AND',
+            rules: [{ id: 'updated', field: 'updated', operator: 'greater', value: '2020-01-02 10:00 +02:00' }]
+        }, { wrap_dates: true }),
+        { $and: [{ updated: { '$gt': new Date(Date.UTC(2020, 0, 2, 8)) } }] },
+        'Should keep the timezone of the dates'
+    );
+});
+
+QUnit.test('Robust import', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    assert.rulesMatch(
+        builder.getRulesFromMongo({
+            price: { $gte: 1, $lte: 9, $ne: 5 },
+            age: { $gt: 1, $lt: 9 }
+        }),
+        {
+            condition: 'AND',
+            rules: [{
+                condition: 'AND',
+                rules: [
+                    { id: 'price', operator: 'greater_or_equal', value: 1 },
+                    { id: 'price', operator: 'less_or_equal', value: 9 },
+                    { id: 'price', operator: 'not_equal', value: 5 }
+                ]
+            }, {
+                condition: 'AND',
+                rules: [
+                    { id: 'age', operator: 'greater', value: 1 },
+                    { id: 'age', operator: 'less', value: 9 }
+                ]
+            }]
+        },
+        'Should only parse between and not_between from their own shapes'
+    );
+
+    assert.rulesMatch(
+        builder.getRulesFromMongo({
+            name: { $regex: '^foo\\.bar' },
+            id: { $regex: '1\\$' }
+        }),
+        {
+            condition: 'AND',
+            rules: [
+                { id: 'name', operator: 'begins_with', value: 'foo.bar' },
+                { id: 'id', operator: 'contains', value: '1$' }
+            ]
+        },
+        'Should unescape regexes'
+    );
+
+    assert.deepEqual(
+        builder.setRulesFromMongo({
+            price: { $lt: 10.25 },
+            id: { $regex: '^fo+' }
+        }),
+        [
+            { mongo: { id: { $regex: '^fo+' } }, message: 'Unsupported regular expression "^fo+"' }
+        ],
+        'Should report the regexes which cannot be unescaped'
+    );
+});
@@ -39,6 +39,36 @@ $(function(){
         );
     });
 
+    QUnit.test('Parameters', function(assert) {
+        $b.queryBuilder({
+            filters: basic_filters,
+            rules: {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: '{{max_price}}'
+                }]
+            }
+        });
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getMongo');
+            },
+            /Parameter "max_price" is not bound/,
+            'Should refuse unbound parameters'
+        );
+
+        $b.queryBuilder('bindParameters', { max_price: 10.25 });
+
+        assert.deepEqual(
+            $b.queryBuilder('getMongo'),
+            { '$and': [{ 'price': { '$lt': 10.25 } }] },
+            'Should replace parameters by bound values'
+        );
+    });
+
     QUnit.test('All operators', function(assert) {
         $b.queryBuilder({
             filters: basic_filters,
@@ -104,6 +134,175 @@ $(function(){
         );
     });
 
+    QUnit.test('Expression mode', function(assert) {
+        $b.queryBuilder({
+            filters: basic_filters.concat([{
+                id: 'release',
+                type: 'date',
+                validation: { format: 'YYYY/MM/DD' }
+            }]),
+            rules: {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'between',
+                    value: [10, 20]
+                }, {
+                    condition: 'OR',
+                    rules: [{
+                        id: 'name',
+                        operator: 'begins_with',
+                        value: 'foo'
+                    }, {
+                        id: 'id',
+                        operator: 'is_null',
+                        value: null
+                    }]
+                }, {
+                    id: 'release',
+                    operator: 'less',
+                    value: '2020/01/02'
+                }]
+            }
+        });
+
+        assert.deepEqual(
+            $b.queryBuilder('getMongo', { mode: 'expr' }),
+            {
+                '$and': [
+                    { '$and': [{ '$gte': ['$price', 10] }, { '$lte': ['$price', 20] }] },
+                    {
+                        '$or': [
+                            { '$regexMatch': { input: '$name', regex: '^foo' } },
+                            { '$eq': [{ '$ifNull': ['$id', null] }, null] }
+                        ]
+                    },
+                    { '$lt': ['$release', '2020/01/02'] }
+                ]
+            },
+            'Should export an aggregation expression'
+        );
+
+        assert.deepEqual(
+            $b.queryBuilder('getMongo', { mode: 'expr', case_insensitive: true, wrap_dates: true }).$and.slice(1),
+            [
+                {
+                    '$or': [
+                        { '$regexMatch': { input: '$name', regex: '^foo', options: 'i' } },
+                        { '$eq': [{ '$ifNull': ['$id', null] }, null] }
+                    ]
+                },
+                { '$lt': ['$release', new Date(Date.UTC(2020, 0, 2))] }
+            ],
+            'Should use case insensitive regexes and Date objects'
+        );
+
+        assert.deepEqual(
+            $b.queryBuilder('getMongo', { case_insensitive: true, wrap_dates: true }).$and.slice(1),
+            [
+                { '$or': [{ name: { '$regex': '^foo', '$options': 'i' } }, { id: null }] },
+                { release: { '$lt': new Date(Date.UTC(2020, 0, 2)) } }
+            ],
+            'Should apply the options to find queries'
+        );
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getMongo', { mode: 'aggregate' });
+            },
+            /Unknown MongoDB export mode "aggregate"/,
+            'Should refuse unknown modes'
+        );
+    });
+
+    QUnit.test('Robust import', function(assert) {
+        $b.queryBuilder({
+            filters: basic_filters
+        });
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRulesFromMongo', {
+                price: { $gt: 10, $ne: 15 },
+                name: { $not: { $regex: '^foo' } },
+                id: { $eq: 'bar' },
+                $nor: [{ age: { $exists: true } }, { category: 2 }]
+            }),
+            {
+                condition: 'AND',
+                rules: [{
+                    condition: 'AND',
+                    rules: [
+                        { id: 'price', operator: 'greater', value: 10 },
+                        { id: 'price', operator: 'not_equal', value: 15 }
+                    ]
+                }, {
+                    id: 'name', operator: 'not_begins_with', value: 'foo'
+                }, {
+                    id: 'id', operator: 'equal', value: 'bar'
+                }, {
+                    condition: 'AND',
+                    rules: [
+                        { id: 'age', operator: 'is_null', value: null },
+                        { id: 'category', operator: 'not_equal', value: 2 }
+                    ]
+                }]
+            },
+            'Should parse implicit AND, $not, $eq, $exists and $nor'
+        );
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRulesFromMongo', {
+                $or: [
+                    { name: { $regex: 'foo', $options: 'i' } },
+                    { $expr: { $gt: ['$age', '$in_stock'] } }
+                ]
+            }),
+            {
+                condition: 'OR',
+                rules: [
+                    { id: 'name', operator: 'contains', value: 'foo', data: { case_insensitive: true } },
+                    { id: 'age', operator: 'greater', value: { field: 'in_stock' } }
+                ]
+            },
+            'Should parse case insensitive regexes and field comparisons'
+        );
+
+        var unparsed = $b.queryBuilder('setRulesFromMongo', {
+            price: { $lt: 10.25 },
+            name: { $size: 2 },
+            $where: 'this.id > 1'
+        });
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRules'),
+            {
+                condition: 'AND',
+                rules: [{ id: 'price', operator: 'less', value: 10.25 }]
+            },
+            'Should import the supported clauses'
+        );
+
+        assert.deepEqual(
+            unparsed,
+            [
+                { mongo: { name: { $size: 2 } }, message: 'Unsupported MongoDB operator "$size"' },
+                { mongo: { $where: 'this.id > 1' }, message: 'Unsupported MongoDB operator "$where"' }
+            ],
+            'Should report the unsupported clauses'
+        );
+
+        $b.queryBuilder('setRules', {
+            condition: 'AND',
+            rules: [{ id: 'name', operator: 'begins_with', value: 'foo', data: { case_insensitive: true } }]
+        });
+
+        assert.deepEqual(
+            $b.queryBuilder('getMongo'),
+            { $and: [{ name: { $regex: '^foo', $options: 'i' } }] },
+            'Should export case insensitive rules'
+        );
+    });
+
 
     var all_operators_rules = {
         condition: 'AND',
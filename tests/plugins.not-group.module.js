@@ -121,6 +121,17 @@ $(function () {
             'Should export MongoDB with $nor function'
         );
 
+        assert.deepEqual(
+            $b.queryBuilder('getMongo', { mode: 'expr' }),
+            {
+                '$or': [
+                    { '$eq': ['$name', 'Mistic'] },
+                    { '$not': [{ '$and': [{ '$lt': ['$price', 10.25] }, { '$in': ['$category', ['mo', 'mu']] }] }] }
+                ]
+            },
+            'Should export MongoDB expression with $not function'
+        );
+
         $b.queryBuilder('reset');
 
         $b.queryBuilder('setRulesFromMongo', mongo);
@@ -132,6 +143,54 @@ $(function () {
         );
     });
 
+    QUnit.test('Elasticsearch export', function (assert) {
+        $b.queryBuilder({
+            filters: basic_filters,
+            rules: rules,
+            plugins: ['not-group']
+        });
+
+        assert.deepEqual(
+            $b.queryBuilder('getESBool'),
+            es,
+            'Should export Elasticsearch with bool.must_not'
+        );
+
+        $b.queryBuilder('reset');
+
+        $b.queryBuilder('setRulesFromES', es);
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRules'),
+            rules,
+            'Should parse bool.must_not Elasticsearch query'
+        );
+    });
+
+    QUnit.test('JsonLogic export', function (assert) {
+        $b.queryBuilder({
+            filters: basic_filters,
+            rules: rules,
+            plugins: ['not-group']
+        });
+
+        assert.deepEqual(
+            $b.queryBuilder('getJsonLogic'),
+            jsonlogic,
+            'Should export JsonLogic with "!"'
+        );
+
+        $b.queryBuilder('reset');
+
+        $b.queryBuilder('setRulesFromJsonLogic', jsonlogic);
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRules'),
+            rules,
+            'Should parse "!" JsonLogic expression'
+        );
+    });
+
     var rules = {
         condition: 'OR',
         not: false,
@@ -253,4 +312,39 @@ $(function () {
             }]
     };
 
+    var es = {
+        "bool": {
+            "should": [{
+                "term": {"name": "Mistic"}
+            }, {
+                "bool": {
+                    "must_not": [{
+                        "bool": {
+                            "must": [{
+                                "range": {"price": {"lt": 10.25}}
+                            }, {
+                                "terms": {"category": ["mo", "mu"]}
+                            }]
+                        }
+                    }]
+                }
+            }],
+            "minimum_should_match": 1
+        }
+    };
+
+    var jsonlogic = {
+        "or": [{
+            "===": [{"var": "name"}, "Mistic"]
+        }, {
+            "!": {
+                "and": [{
+                    "<": [{"var": "price"}, 10.25]
+                }, {
+                    "in": [{"var": "category"}, ["mo", "mu"]]
+                }]
+            }
+        }]
+    };
+
 });
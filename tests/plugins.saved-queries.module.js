@@ -0,0 +1,144 @@
+var builder;
+
+QUnit.module('plugins.saved-queries', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Save and load', function(assert) {
+    var done = assert.async();
+    var storage = new QueryBuilder.MemoryStorageAdapter();
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: {
+            'saved-queries': { storage: storage }
+        }
+    });
+
+    assert.equal(
+        builder.templates.savedQueries,
+        QueryBuilder.templates.savedQueries,
+        'Should use the default panel template'
+    );
+
+    builder.saveQuery('Cheap products', 'daily, products')
+        .then(function(entry) {
+            assert.deepEqual(
+                [entry.name, entry.tags, entry.filters_version],
+                ['Cheap products', ['daily', 'products'], builder.getFiltersVersion()],
+                'Should save name, tags and filters version'
+            );
+
+            entry.rules.rules[0].value = 0;
+
+            assert.rulesMatch(
+                storage.entries[0].rules,
+                basic_rules,
+                'Should store a copy of the rules'
+            );
+
+            builder.reset();
+
+            return builder.updateQuery(entry.id, { name: 'Products', tags: ['weekly'] });
+        })
+        .then(function(entry) {
+            return builder.listQueries('weekly').then(function(entries) {
+                assert.deepEqual(
+                    entries.map(function(e) {
+                        return e.name;
+                    }),
+                    ['Products'],
+                    'Should rename and tag the query'
+                );
+
+                return builder.loadQuery(entry.id);
+            });
+        })
+        .then(function(entry) {
+            assert.rulesMatch(
+                builder.getRules(),
+                basic_rules,
+                'Should load the rules'
+            );
+
+            return builder.deleteQuery(entry.id);
+        })
+        .then(function() {
+            assert.equal(storage.entries.length, 0, 'Should delete the query');
+        })
+        .then(done, function(err) {
+            assert.ok(false, err.message);
+            done();
+        });
+});
+
+QUnit.test('Compatibility check', function(assert) {
+    var done = assert.async();
+    var storage = new QueryBuilder.MemoryStorageAdapter([{
+        id: 'old',
+        name: 'Old query',
+        tags: [],
+        filters_version: '1',
+        timestamp: 0,
+        rules: {
+            condition: 'AND',
+            rules: [
+                { id: 'price', operator: 'between', value: [1, 2] },
+                { id: 'weight', operator: 'less', value: 10 }
+            ]
+        }
+    }]);
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        plugins: {
+            'saved-queries': { storage: storage, panel: false }
+        }
+    });
+
+    assert.deepEqual(
+        builder.checkQueryCompatibility(storage.entries[0]),
+        { same_version: false, missing_filters: ['weight'], missing_operators: [] },
+        'Should find unknown filters'
+    );
+
+    builder.loadQuery('old').then(function() {
+        assert.ok(false, 'Should not load the query');
+        done();
+    }, function(err) {
+        assert.equal(
+            err.message,
+            'Saved query "Old query" is not compatible with the current filters: weight',
+            'Should refuse to load the query'
+        );
+        done();
+    });
+});
+
+// the localStorage is only available in browsers
+QUnit[IS_BROWSER ? 'test' : 'skip']('Local storage', function(assert) {
+    var done = assert.async();
+
+    localStorage.removeItem('query-builder-tests');
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: {
+            'saved-queries': { storage: new QueryBuilder.LocalStorageAdapter('query-builder-tests') }
+        }
+    });
+
+    builder.saveQuery('Stored')
+        .then(function(entry) {
+            return new QueryBuilder.LocalStorageAdapter('query-builder-tests').get(entry.id);
+        })
+        .then(function(entry) {
+            assert.equal(entry.name, 'Stored', 'Should store entries in localStorage');
+            localStorage.removeItem('query-builder-tests');
+            done();
+        });
+});
@@ -0,0 +1,112 @@
+var builder;
+
+QUnit.module('plugins.sql-support.headless', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Parameters', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'name',
+                operator: 'contains',
+                value: '{{q}}'
+            }]
+        }
+    });
+
+    assert.throws(
+        function() {
+            builder.getSQL('named');
+        },
+        /Parameter "q" must be bound to be used with operator "contains"/,
+        'Should refuse unbound parameters with LIKE operators'
+    );
+
+    builder.bindParameters({ q: 'foo' });
+
+    assert.deepEqual(
+        builder.getSQL('named'),
+        {
+            sql: 'name LIKE :q',
+            params: { q: '%foo%' }
+        },
+        'Should apply the LIKE modifier to bound parameters'
+    );
+});
+
+QUnit.test('Bind parameters', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: [{
+            id: 'age',
+            type: 'integer'
+        }, {
+            id: 'id',
+            type: 'string'
+        }],
+        rules: {
+            condition: 'AND',
+            rules: [{
+                id: 'age',
+                operator: 'greater',
+                value: '{{p}}'
+            }, {
+                id: 'id',
+                operator: 'equal',
+                value: '{{q}}'
+            }]
+        }
+    });
+
+    builder.bindParameters({ p: '3', q: '4' });
+
+    assert.deepEqual(
+        builder.getRules({ bind_parameters: true }).rules.map(function(rule) {
+            return rule.value;
+        }),
+        [3, '4'],
+        'Should convert the bound values to the type of the filter'
+    );
+
+    assert.equal(
+        builder.getSQL().sql,
+        'age > 3 AND id = \'4\'',
+        'Should export the converted values'
+    );
+});
+
+QUnit.test('Robust import', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters
+    });
+
+    var rules = builder.getRulesFromSQL('price < 10 AND name = age AND in_stock IS NOT FALSE');
+
+    assert.rulesMatch(
+        rules,
+        {
+            condition: 'AND',
+            rules: [{
+                id: 'price',
+                operator: 'less',
+                value: 10
+            }]
+        },
+        'Should keep the conditions which can be parsed'
+    );
+
+    assert.deepEqual(
+        rules.unparsed.map(function(report) {
+            return report.message;
+        }),
+        [
+            'Comparison with column `age` not supported.',
+            'IS NOT FALSE is not supported'
+        ],
+        'Should report column comparisons and IS NOT TRUE/FALSE'
+    );
+});
@@ -131,6 +131,50 @@ $(function() {
         );
     });
 
+    QUnit.test('Parameters', function(assert) {
+        $b.queryBuilder({
+            filters: basic_filters,
+            rules: {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: '{{max_price}}'
+                }, {
+                    id: 'name',
+                    operator: 'equal',
+                    value: '{{name}}'
+                }]
+            }
+        });
+
+        assert.deepEqual(
+            $b.queryBuilder('getSQL', 'named'),
+            {
+                sql: 'price < :max_price AND name = :name',
+                params: {}
+            },
+            'Should export parameters as named placeholders'
+        );
+
+        $b.queryBuilder('bindParameters', { max_price: 10.25, name: 'foo' });
+
+        assert.deepEqual(
+            $b.queryBuilder('getSQL', 'named'),
+            {
+                sql: 'price < :max_price AND name = :name',
+                params: { max_price: 10.25, name: 'foo' }
+            },
+            'Should add bound values to named statement parameters'
+        );
+
+        assert.equal(
+            $b.queryBuilder('getSQL').sql,
+            'price < 10.25 AND name = \'foo\'',
+            'Should replace parameters by bound values'
+        );
+    });
+
     QUnit.test('Special chars', function(assert) {
         // PhantomJS is broken https://github.com/ariya/phantomjs/issues/14921
         if (!!window._phantom) {
@@ -140,8 +184,8 @@ $(function() {
 
         var chars = ['\'', '"', '$1', '$$', '$&', '$`', '$\''];
 
-        var sql = "name = '\\'' AND name = '\\\"' AND name = '$1' AND " +
-            "name = '$$' AND name = '$&' AND name = '$`' AND name = '$\\''";
+        var sql = "name = '''' AND name = '\\\"' AND name = '$1' AND " +
+            "name = '$$' AND name = '$&' AND name = '$`' AND name = '$'''";
 
         $b.queryBuilder({
             filters: basic_filters,
@@ -374,6 +418,282 @@ $(function() {
         );
     });
 
+    QUnit.test('Dialects', function(assert) {
+        $b.queryBuilder({
+            plugins: {
+                'sql-support': {
+                    dialect: 'postgresql'
+                }
+            },
+            filters: [{
+                id: 'name',
+                field: 'users.name',
+                type: 'string'
+            }, {
+                id: 'birthday',
+                type: 'date',
+                validation: {
+                    format: 'DD/MM/YYYY'
+                }
+            }, {
+                id: 'done',
+                type: 'boolean'
+            }],
+            rules: [{
+                id: 'name',
+                operator: 'contains',
+                value: 'o\'k_'
+            }, {
+                id: 'birthday',
+                operator: 'less',
+                value: '17/06/2020'
+            }, {
+                id: 'done',
+                operator: 'equal',
+                value: true
+            }]
+        });
+
+        assert.equal(
+            $b.queryBuilder('getSQL').sql,
+            '"users"."name" LIKE \'%o\'\'k\\_%\' AND "birthday" < DATE \'2020-06-17\' AND "done" = true',
+            'Should quote identifiers and format literals for PostgreSQL'
+        );
+
+        assert.deepEqual(
+            $b.queryBuilder('getSQL', true),
+            {
+                sql: '"users"."name" LIKE $1 AND "birthday" < $2 AND "done" = $3',
+                params: ['%o\'k\\_%', '2020-06-17', true]
+            },
+            'Should use the placeholders of PostgreSQL'
+        );
+
+        var options = $b[0].queryBuilder.plugins['sql-support'];
+        options.case_insensitive = true;
+
+        assert.equal(
+            $b.queryBuilder('getSQL').sql.split(' AND ')[0],
+            '"users"."name" ILIKE \'%o\'\'k\\_%\'',
+            'Should use ILIKE with PostgreSQL'
+        );
+
+        options.dialect = 'sqlserver';
+
+        assert.equal(
+            $b.queryBuilder('getSQL').sql,
+            'LOWER([users].[name]) LIKE LOWER(\'%o\'\'k\\_%\') ESCAPE \'\\\' AND [birthday] < CAST(\'2020-06-17\' AS DATE) AND [done] = 1',
+            'Should use LOWER() and ESCAPE with SQL Server'
+        );
+
+        options.dialect = 'unknown';
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getSQL');
+            },
+            /Unknown SQL dialect "unknown"/,
+            'Should throw on unknown dialect'
+        );
+    });
+
+    QUnit.test('Strict mode', function(assert) {
+        $b.queryBuilder({
+            plugins: {
+                'sql-support': {
+                    strict: true
+                }
+            },
+            filters: basic_filters,
+            rules: {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10.25
+                }]
+            }
+        });
+
+        assert.equal(
+            $b.queryBuilder('getSQL').sql,
+            'price < 10.25',
+            'Should write numbers in the SQL'
+        );
+
+        $b.queryBuilder('setRules', basic_rules);
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getSQL');
+            },
+            /Value of "category" must be sent with a prepared statement/,
+            'Should refuse strings outside prepared statements'
+        );
+
+        assert.deepEqual(
+            $b.queryBuilder('getSQL', 'question_mark'),
+            basic_rules_sql_stmt,
+            'Should accept strings in prepared statements'
+        );
+
+        var rules = $b.queryBuilder('getRules');
+        rules.rules[0].field = 'price; DROP TABLE users';
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getSQL', 'question_mark', false, rules);
+            },
+            /Field "price; DROP TABLE users" does not belong to the filters/,
+            'Should refuse unknown fields'
+        );
+
+        rules.rules[0].field = 'price';
+        rules.rules[0].value = '1 OR 1=1';
+
+        assert.throws(
+            function() {
+                $b.queryBuilder('getSQL', false, false, { condition: 'AND', rules: [rules.rules[0]] });
+            },
+            /Value of "price" is not a number/,
+            'Should refuse invalid numbers'
+        );
+    });
+
+    QUnit.test('Robust import', function(assert) {
+        $b.queryBuilder({
+            filters: basic_filters
+        });
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRulesFromSQL', 'price < 10 OR name = \'foo\' AND age > 18'),
+            {
+                condition: 'OR',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10
+                }, {
+                    condition: 'AND',
+                    rules: [{
+                        id: 'name',
+                        operator: 'equal',
+                        value: 'foo'
+                    }, {
+                        id: 'age',
+                        operator: 'greater',
+                        value: 18
+                    }]
+                }]
+            },
+            'Should give precedence to AND over OR'
+        );
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRulesFromSQL', 'age > 18 AND NOT (price BETWEEN 1 AND 2 OR category IN(\'mo\', \'mu\'))'),
+            {
+                condition: 'AND',
+                rules: [{
+                    id: 'age',
+                    operator: 'greater',
+                    value: 18
+                }, {
+                    condition: 'AND',
+                    rules: [{
+                        id: 'price',
+                        operator: 'not_between',
+                        value: [1, 2]
+                    }, {
+                        id: 'category',
+                        operator: 'not_in',
+                        value: ['mo', 'mu']
+                    }]
+                }]
+            },
+            'Should negate the rules in NOT'
+        );
+
+        assert.rulesMatch(
+            $b.queryBuilder('getRulesFromSQL', 'in_stock IS TRUE AND name ILIKE \'foo%\' AND LOWER(id) = \'bar\''),
+            {
+                condition: 'AND',
+                rules: [{
+                    id: 'in_stock',
+                    operator: 'equal',
+                    value: true
+                }, {
+                    id: 'name',
+                    operator: 'begins_with',
+                    value: 'foo',
+                    data: { case_insensitive: true }
+                }, {
+                    id: 'id',
+                    operator: 'equal',
+                    value: 'bar',
+                    data: { case_insensitive: true }
+                }]
+            },
+            'Should parse IS TRUE and case insensitive comparisons'
+        );
+
+        var rules = $b.queryBuilder('getRulesFromSQL', 'price < 10 AND age > 1 + 2 AND SUBSTR(name, 1) = \'f\'');
+
+        assert.rulesMatch(
+            rules,
+            {
+                condition: 'AND',
+                rules: [{
+                    id: 'price',
+                    operator: 'less',
+                    value: 10
+                }]
+            },
+            'Should keep the conditions which can be parsed'
+        );
+
+        assert.deepEqual(
+            rules.unparsed.map(function(report) {
+                return report.message;
+            }),
+            ['Value format not supported for `age`.', 'Cannot find field name in SUBSTR(`name`, 1)'],
+            'Should report the conditions which cannot be parsed'
+        );
+    });
+
+    QUnit.test('Filters from DDL', function(assert) {
+        assert.deepEqual(
+            QueryBuilder.filtersFromSQL(
+                'CREATE TABLE IF NOT EXISTS shop.users (' +
+                '  id INT NOT NULL PRIMARY KEY,' +
+                '  status VARCHAR(10) CHECK (status IN (\'active\', \'closed\')),' +
+                '  vip BOOLEAN,' +
+                '  level SMALLINT,' +
+                '  CONSTRAINT level_check CHECK (level IN (1, 2, 3))' +
+                ');' +
+                'CREATE INDEX users_status ON users (status);' +
+                'CREATE TABLE orders (placed TIMESTAMP, size ENUM(\'S\', \'M\'))'
+            ),
+            [{
+                id: 'users.id', field: 'users.id', label: 'id', type: 'integer', optgroup: 'users'
+            }, {
+                id: 'users.status', field: 'users.status', label: 'status', type: 'string', optgroup: 'users',
+                input: 'select', values: ['active', 'closed']
+            }, {
+                id: 'users.vip', field: 'users.vip', label: 'vip', type: 'boolean', optgroup: 'users',
+                input: 'radio', values: [true, false]
+            }, {
+                id: 'users.level', field: 'users.level', label: 'level', type: 'integer', optgroup: 'users',
+                input: 'select', values: [1, 2, 3]
+            }, {
+                id: 'orders.placed', field: 'orders.placed', label: 'placed', type: 'datetime', optgroup: 'orders'
+            }, {
+                id: 'orders.size', field: 'orders.size', label: 'size', type: 'string', optgroup: 'orders',
+                input: 'select', values: ['S', 'M']
+            }],
+            'Should generate filters from CREATE TABLE statements'
+        );
+    });
+
 
     var basic_rules_sql_raw = {
         sql: 'price < 10.25 AND name IS NULL AND ( category IN(\'mo\', \'mu\') OR id != \'1234-azer-5678\' ) '
@@ -510,12 +830,12 @@ $(function() {
         'AND price >= ? ' +
         'AND price BETWEEN ? AND ? ' +
         'AND price NOT BETWEEN ? AND ? ' +
-        'AND name LIKE(?) ' +
-        'AND name NOT LIKE(?) ' +
-        'AND name LIKE(?) ' +
-        'AND name NOT LIKE(?) ' +
-        'AND name LIKE(?) ' +
-        'AND name NOT LIKE(?) ' +
+        'AND name LIKE ? ' +
+        'AND name NOT LIKE ? ' +
+        'AND name LIKE ? ' +
+        'AND name NOT LIKE ? ' +
+        'AND name LIKE ? ' +
+        'AND name NOT LIKE ? ' +
         'AND name = \'\' ' +
         'AND name != \'\' ' +
         'AND name IS NULL ' +
@@ -0,0 +1,163 @@
+var builder;
+
+QUnit.module('plugins.text-support', {
+    afterEach: function () {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Text export', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters,
+        rules: rules
+    });
+
+    assert.equal(
+        builder.getText(),
+        text,
+        'Should export rules as text'
+    );
+});
+
+QUnit.test('Text import', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters
+    });
+
+    builder.setRulesFromText(text);
+
+    assert.rulesMatch(
+        builder.getRules(),
+        rules,
+        'Should parse text query'
+    );
+
+    builder.setRulesFromText('NOT (age < 10 OR vip) AND age BETWEEN 1 AND 99');
+
+    assert.rulesMatch(
+        builder.getRules(),
+        {
+            condition: 'AND',
+            rules: [{
+                condition: 'AND',
+                rules: [
+                    { id: 'age', operator: 'greater_or_equal', value: 10 },
+                    { id: 'vip', operator: 'equal', value: false }
+                ]
+            }, {
+                id: 'age',
+                operator: 'between',
+                value: [1, 99]
+            }]
+        },
+        'Should negate the rules of negated groups and parse between'
+    );
+});
+
+QUnit.test('Quoted fields', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters.concat([{
+            id: 'unit price',
+            type: 'double'
+        }, {
+            id: 'not',
+            type: 'string'
+        }])
+    });
+
+    var quoted = {
+        condition: 'AND',
+        rules: [{
+            id: 'unit price',
+            operator: 'less',
+            value: 5
+        }, {
+            id: 'not',
+            operator: 'equal',
+            value: 'foo'
+        }]
+    };
+
+    assert.equal(
+        builder.getText(quoted),
+        '`unit price` < 5 AND `not` = "foo"',
+        'Should quote fields which are not single words'
+    );
+
+    assert.rulesMatch(
+        builder.getRulesFromText('`unit price` < 5 AND `not` = "foo"'),
+        quoted,
+        'Should parse quoted fields'
+    );
+});
+
+QUnit.test('Parse errors', function (assert) {
+    builder = QueryBuilder.headless({
+        filters: filters
+    });
+
+    assert.throws(
+        function () {
+            builder.getRulesFromText('age > 18 AND');
+        },
+        /Unexpected end of query at position 12/,
+        'Should throw on incomplete query'
+    );
+
+    assert.throws(
+        function () {
+            builder.getRulesFromText('age > 18 AND height < 2');
+        },
+        /Unknown field "height" at position 13/,
+        'Should throw on unknown field'
+    );
+
+    try {
+        builder.getRulesFromText('age >> 18');
+    }
+    catch (err) {
+        assert.deepEqual(
+            [err.name, err.args],
+            ['TextParseError', ['>', 5]],
+            'Should give the position of the error'
+        );
+    }
+});
+
+var filters = [{
+    id: 'age',
+    type: 'integer'
+}, {
+    id: 'country',
+    type: 'string',
+    input: 'select',
+    multiple: true,
+    values: ['FR', 'DE', 'IT']
+}, {
+    id: 'vip',
+    type: 'boolean',
+    input: 'radio',
+    values: [true, false]
+}];
+
+var rules = {
+    condition: 'AND',
+    rules: [{
+        id: 'age',
+        operator: 'greater',
+        value: 18
+    }, {
+        condition: 'OR',
+        rules: [{
+            id: 'country',
+            operator: 'in',
+            value: ['FR', 'DE']
+        }, {
+            id: 'vip',
+            operator: 'equal',
+            value: false
+        }]
+    }]
+};
+
+var text = 'age > 18 AND (country IN ("FR", "DE") OR NOT vip)';
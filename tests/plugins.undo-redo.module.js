@@ -0,0 +1,181 @@
+var builder;
+
+QUnit.module('plugins.undo-redo', {
+    afterEach: function() {
+        builder.destroy();
+    }
+});
+
+QUnit.test('Undo delete group', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: ['undo-redo']
+    });
+
+    assert.notOk(
+        builder.canUndo(),
+        'Should not record initial rules'
+    );
+
+    builder.deleteGroup(builder.getModel().rules[2]);
+
+    assert.ok(
+        builder.canUndo(),
+        'Should record deleted group'
+    );
+
+    builder.undo();
+
+    assert.rulesMatch(
+        builder.getRules(),
+        basic_rules,
+        'Should restore deleted group'
+    );
+
+    assert.ok(
+        builder.canRedo(),
+        'Should be able to redo'
+    );
+
+    builder.redo();
+
+    assert.rulesMatch(
+        builder.getRules(),
+        {
+            condition: 'AND',
+            rules: basic_rules.rules.slice(0, 2)
+        },
+        'Should delete group again'
+    );
+});
+
+QUnit.test('Undo updates', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: ['undo-redo']
+    });
+
+    assert.notOk(builder.canUndo());
+
+    var rule = builder.getModel().rules[0];
+
+    rule.filter = builder.getFilterById('name');
+    rule.operator = builder.getOperatorByType('equal');
+    rule.value = 'foo';
+
+    assert.ok(builder.canUndo());
+
+    builder.getModel().condition = 'OR';
+
+    assert.ok(builder.canUndo());
+
+    builder.undo();
+
+    assert.equal(
+        builder.getModel().condition,
+        'AND',
+        'Should restore group condition'
+    );
+
+    builder.undo();
+
+    assert.rulesMatch(
+        builder.getRules(),
+        basic_rules,
+        'Should restore filter, operator and value in a single step'
+    );
+
+    assert.notOk(
+        builder.canUndo(),
+        'Should have nothing more to undo'
+    );
+});
+
+QUnit.test('Undo add and move', function(assert) {
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: ['undo-redo']
+    });
+
+    assert.notOk(builder.canUndo());
+
+    var model = builder.getModel();
+
+    builder.addGroup(model);
+
+    assert.ok(builder.canUndo());
+
+    model.rules[0].move(model.rules[2], 0);
+
+    assert.ok(builder.canUndo());
+
+    builder.undo();
+
+    assert.equal(
+        builder.getModel().rules[0].filter.id,
+        'price',
+        'Should move back rule'
+    );
+
+    builder.undo();
+
+    assert.rulesMatch(
+        builder.getRules(),
+        basic_rules,
+        'Should remove added group'
+    );
+});
+
+QUnit.test('Max depth, reset and historyChanged', function(assert) {
+    var changes = [];
+
+    builder = QueryBuilder.headless({
+        filters: basic_filters,
+        rules: basic_rules,
+        plugins: {
+            'undo-redo': { max_depth: 2 }
+        }
+    });
+
+    builder.on('historyChanged', function(e) {
+        changes.push(e.detail.args);
+    });
+
+    assert.notOk(builder.canUndo());
+
+    var model = builder.getModel();
+
+    for (var i = 0; i < 3; i++) {
+        builder.addRule(model);
+        builder.canUndo();
+    }
+
+    assert.ok(builder.undo());
+    assert.ok(builder.undo());
+    assert.notOk(
+        builder.undo(),
+        'Should keep only two steps'
+    );
+
+    assert.equal(
+        builder.getModel().rules.length,
+        4,
+        'Should keep the first added rule'
+    );
+
+    builder.reset();
+
+    assert.notOk(
+        builder.canRedo(),
+        'Should clear history on reset'
+    );
+
+    assert.deepEqual(
+        changes,
+        [[true, false], [true, false], [true, false], [true, true], [false, true], [false, false]],
+        'Should trigger historyChanged'
+    );
+});
@@ -163,4 +163,96 @@ $(function () {
             );
         }
     });
+
+    /**
+     * Test relative dates
+     */
+    QUnit.test('relativeDate', function (assert) {
+        var now = moment('2020-06-17 14:30:00', 'YYYY-MM-DD HH:mm:ss');
+        var fmt = 'YYYY-MM-DD HH:mm:ss';
+
+        assert.ok(
+            Utils.isRelativeDate('now-7d') && Utils.isRelativeDate('startOf:month') && Utils.isRelativeDate('endOf:week+1w'),
+            'Should detect relative dates'
+        );
+
+        assert.notOk(
+            Utils.isRelativeDate('2020-06-17') || Utils.isRelativeDate('now-7x') || Utils.isRelativeDate('startOf:foo'),
+            'Should not detect other strings'
+        );
+
+        assert.equal(
+            Utils.resolveRelativeDate('now-7d', now).format(fmt),
+            '2020-06-10 14:30:00',
+            'Should subtract days'
+        );
+
+        assert.equal(
+            Utils.resolveRelativeDate('startOf:month', now).format(fmt),
+            '2020-06-01 00:00:00',
+            'Should go to the start of the month'
+        );
+
+        assert.equal(
+            Utils.resolveRelativeDate('endOf:day+1M-1h', now).format(fmt),
+            '2020-07-17 22:59:59',
+            'Should chain offsets'
+        );
+
+        assert.equal(
+            Utils.resolveRelativeDate('yesterday', now),
+            null,
+            'Should return null for invalid expressions'
+        );
+    });
+
+    /**
+     * Test parameters
+     */
+    QUnit.test('parameterName', function (assert) {
+        assert.deepEqual(
+            [Utils.getParameterName('{{region}}'), Utils.getParameterName('{{ min_price }}')],
+            ['region', 'min_price'],
+            'Should return the name of parameters'
+        );
+
+        assert.deepEqual(
+            [Utils.getParameterName('region'), Utils.getParameterName('{{1st}}'), Utils.getParameterName(12)],
+            [null, null, null],
+            'Should not detect other values'
+        );
+    });
+
+    /**
+     * Test html escaping
+     */
+    QUnit.test('html', function (assert) {
+        var label = '<img src=x onerror="alert(1)">';
+
+        assert.equal(
+            Utils.escapeHtml(label),
+            '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;',
+            'Should escape special chars'
+        );
+
+        assert.equal(
+            Utils.escapeHtml(Utils.raw('<b>bold</b>')),
+            '<b>bold</b>',
+            'Should not escape raw HTML'
+        );
+
+        assert.equal(
+            String(Utils.html`<option value="${'a"b'}">${label}</option>`),
+            '<option value="a&quot;b">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</option>',
+            'Should escape interpolated values'
+        );
+
+        assert.equal(
+            String(Utils.html`<select>${['a', 'b'].map(function (v) {
+                return Utils.html`<option>${v}</option>`;
+            })}${Utils.raw('<option>c</option>')}</select>`),
+            '<select><option>a</option><option>b</option><option>c</option></select>',
+            'Should not escape nested templates and raw HTML'
+        );
+    });
 });